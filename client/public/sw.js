@@ -0,0 +1,45 @@
+/* Service worker: keeps the app shell available when the network is gone (registered by main.jsx
+ * in production builds).
+ *
+ * Pages come from the network first and fall back to the cached index.html, so a new build is
+ * picked up as soon as the host answers. Scripts, styles, fonts and images (hashed build files,
+ * the Los Santos map image and tiles) are served from the cache once fetched. API data is not
+ * handled here: the app keeps it in IndexedDB (src/offline.js), per logged-in user. That includes
+ * attachment images: anything under /api/ or with a query string (signed links) is left to the network.
+ */
+const CACHE = "mtd-shell-v2";
+const SHELL = ["./", "./index.html"];
+const CACHED_DESTINATIONS = ["script", "style", "font", "image"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+// drops the caches of older versions
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+function store(key, response) {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE).then(cache => cache.put(key, copy));
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request).then(response => store("./index.html", response)).catch(() => caches.match("./index.html")));
+  } else if (CACHED_DESTINATIONS.includes(request.destination) && !url.search && !url.pathname.includes("/api/")) {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request).then(response => store(request, response))));
+  }
+});
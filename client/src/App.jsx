@@ -1,9 +1,19 @@
 import React, { useEffect, useRef, useState } from "react";
 import axios from "axios";
-import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
+import { MapContainer, TileLayer, ImageOverlay, Marker, Popup, Polygon, Polyline, Circle, CircleMarker, Tooltip, useMapEvents } from "react-leaflet";
+import L from "leaflet";
 import "leaflet/dist/leaflet.css";
 import "./styles.css";
 import "./map-fix.css";
+import { PermissionsProvider, useCan, useCurrentUser } from "./permissions.jsx";
+import { LS_MAP, LS_NATIVE_ZOOM, gameToLatLng, latLngToGame, gameDistanceToMap, imageBounds } from "./lsMap.js";
+import { UNIT_ICONS, uid, parseAnnotations, hitTest, translateShape, isEmptyShape, renderPlan } from "./planShapes.js";
+import { connectRealtime } from "./realtime.js";
+import { getAccessToken, getStoredUser, saveSession, endSession, installSessionInterceptor } from "./session.js";
+import { buildBriefing } from "./briefing.js";
+import { LANGUAGES, t, getLanguage, getLocale, setLanguage, useLanguage, formatDateTime } from "./i18n.js";
+import { notify, dismiss, useNotifications } from "./notifications.js";
+import { installOfflineCache, clearOfflineCache, useOfflineState, isNetworkError, loadPending, queueCreate, replayQueue } from "./offline.js";
 
 /**
  * Configuration
@@ -11,65 +21,271 @@ import "./map-fix.css";
  */
 const API = import.meta.env.VITE_API_URL || "http://localhost:4000/api";
 
+// the API words its error messages in the interface language (server/src/messages.js)
+axios.interceptors.request.use((config) => {
+  config.headers["Accept-Language"] = getLanguage();
+  return config;
+});
+
 /* ---------- Helpers ---------- */
 function getTokenHeader() {
-  const t = localStorage.getItem("mtd_token");
+  const t = getAccessToken();
   return t ? { Authorization: "Bearer " + t } : {};
 }
 
+// attachment payloads carry signed links relative to the API
+function fileUrl(url) {
+  return url ? API + url : null;
+}
+
+/** Uploads new attachments (multipart) and deletes removed ones for a record, e.g. path "/tactics/3". */
+async function syncAttachments(path, { files = [], removeIds = [] } = {}) {
+  for (const id of removeIds) {
+    await axios.delete(API + path + "/attachments/" + id, { headers: getTokenHeader() });
+  }
+  if (files.length) {
+    const form = new FormData();
+    for (const f of files) form.append("files", f);
+    await axios.post(API + path + "/attachments", form, { headers: getTokenHeader() });
+  }
+}
+
+/**
+ * Multipart body of a tactic (POST / PUT /tactics): lists are sent as JSON text and the new step
+ * images as "stepImages" files, referenced by the steps as "new:<index>".
+ * Steps without title nor text are dropped.
+ */
+function tacticFormData({ title, description, category, difficulty, tags, steps, planIds, operationIds }) {
+  const form = new FormData();
+  const files = [];
+  const stepList = steps.filter(s => s.title.trim() || s.text.trim()).map(s => {
+    let image = s.imageId ?? null;
+    if (s.file) {
+      files.push(s.file);
+      image = "new:" + (files.length - 1);
+    }
+    return { title: s.title, text: s.text, image };
+  });
+  form.append("title", title);
+  form.append("content", description);
+  form.append("category", category);
+  if (difficulty) form.append("difficulty", difficulty);
+  form.append("tags", JSON.stringify(tags));
+  form.append("steps", JSON.stringify(stepList));
+  form.append("planIds", JSON.stringify(planIds));
+  if (operationIds) form.append("operationIds", JSON.stringify(operationIds));
+  for (const f of files) form.append("stepImages", f);
+  return form;
+}
+
+/** Saves a Blob (export, generated document) as a file. */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/** Applies a live change ({ action, id, data }) to a cached list; `newFirst` for lists sorted by id DESC. */
+function applyChange(list, { action, id, data }, newFirst) {
+  if (action === "deleted") return list.filter(x => x.id !== id);
+  if (!data) return list;
+  if (list.some(x => x.id === id)) return list.map(x => (x.id === id ? data : x));
+  return newFirst ? [data, ...list] : [...list, data];
+}
+
+/** Plan bodies are multipart: the base image and the preview are uploaded as files. */
+function planFormData({ title, annotations, baseImageFile, preview }) {
+  const form = new FormData();
+  form.append("title", title);
+  form.append("annotations", JSON.stringify(annotations));
+  if (baseImageFile) form.append("baseImage", baseImageFile);
+  if (preview) form.append("preview", preview, "preview.jpg");
+  return form;
+}
+
+/* ---------- Creates ----------
+ * The requests behind the create actions of App, by kind. Made offline, a create is queued with
+ * its arguments (offline.js) and replayed through the same request when the API answers again.
+ */
+// the record exists once posted: a failed upload afterwards must not queue it a second time
+async function postWithAttachments(path, body, attachments) {
+  const res = await axios.post(API + path, body, { headers: getTokenHeader() });
+  try {
+    await syncAttachments(path + "/" + res.data.id, attachments);
+  } catch (e) {
+    e.created = true;
+    throw e;
+  }
+  return res;
+}
+
+const CREATE_REQUESTS = {
+  marker: (marker) => axios.post(API + "/map/markers", marker, { headers: getTokenHeader() }),
+  squad: (values) => axios.post(API + "/squads", values, { headers: getTokenHeader() }),
+  // attachments = { files, removeIds } (see syncAttachments)
+  tactic: (values, attachments) => postWithAttachments("/tactics", tacticFormData(values), attachments),
+  // { name, description, locationText, locationX, locationY, startAt, endAt, commanderId, squadIds, planIds, tacticIds }
+  operation: (operation, attachments) => postWithAttachments("/operations", operation, attachments),
+  // plan = { title, annotations, baseImageFile, preview (Blob) }
+  plan: (plan, attachments) => postWithAttachments("/tactical-plans", planFormData(plan), attachments),
+  // zone = { label, kind, color, shape, points | center, radius }, drawn on the map
+  zone: (operationId, zone) => axios.post(API + "/operations/" + operationId + "/zones", zone, { headers: getTokenHeader() }),
+};
+
+/* ---------- Forms ---------- */
+/**
+ * Submission state of a form: per-field errors and a busy flag for its submit button.
+ * submit(check, send): check() (optional) returns { field: message } for what can be seen before
+ * sending, with the same rules as the server; when it finds nothing, send() runs, once at a time.
+ * Server errors about one of `fields` come back under that field (see reportError).
+ */
+function useForm(fields) {
+  const [errors, setErrors] = useState({});
+  const [busy, setBusy] = useState(false);
+  const busyRef = useRef(false);
+
+  async function submit(check, send) {
+    if (busyRef.current) return;
+    const found = check?.() || {};
+    setErrors(found);
+    if (Object.keys(found).length) return;
+    busyRef.current = true;
+    setBusy(true);
+    try {
+      return await send();
+    } finally {
+      busyRef.current = false;
+      setBusy(false);
+    }
+  }
+
+  function showError(field, message) {
+    if (!fields.includes(field)) return false;
+    setErrors(e => ({ ...e, [field]: message }));
+    return true;
+  }
+
+  return { errors, busy, submit, showError };
+}
+
+function FieldError({ form, name }) {
+  const message = form.errors[name];
+  return message ? <div style={{ color: "#dc3545", fontSize: 13 }}>{message}</div> : null;
+}
+
+function SubmitButton({ form, children, ...props }) {
+  return <button className="btn" disabled={form.busy} {...props}>{form.busy ? t("common.saving") : children}</button>;
+}
+
+// a rejected field goes under its input when the form has it, anything else is notified
+function reportError(e, key, form) {
+  if (isNetworkError(e)) return notify(t("offline.unreachable"), "error");
+  const { error, field } = e?.response?.data || {};
+  if (form && field && form.showError(field, error)) return;
+  notify(t(key, { error: error || e.message }), "error");
+}
+
 /* ---------- Main App ---------- */
 export default function App() {
+  // the whole tree re-renders in the new language (see i18n.js)
+  useLanguage();
   const [tab, setTab] = useState("map");
-  const [user, setUser] = useState(() => {
-    try {
-      return JSON.parse(localStorage.getItem("mtd_user"));
-    } catch {
-      return null;
-    }
-  });
+  const [user, setUser] = useState(getStoredUser);
+  // set when the session could not be renewed, shown on the login screen
+  const [sessionExpired, setSessionExpired] = useState(false);
+  // seeded accounts must pick their own password before using the app
+  const active = !!user && !user.must_change_password;
+  const view = active ? tab : null;
 
   // small state caches
+  // (tactics, operations and plans are paged: their views load them, see usePagedList)
   const [members, setMembers] = useState([]);
-  const [tactics, setTactics] = useState([]);
-  const [operations, setOperations] = useState([]);
   const [squads, setSquads] = useState([]);
-  const [plans, setPlans] = useState([]);
   const [mapMarkers, setMapMarkers] = useState([]);
+  const [unitPositions, setUnitPositions] = useState([]);
+  const [mapZones, setMapZones] = useState([]);
 
-  // permissions fetched from server? We'll infer permissions via ability to call endpoints:
-  const [can, setCan] = useState({
-    manage_tactics: false,
-    manage_members: false,
-    manage_permissions: false,
-    manage_operations: false,
-    manage_squads: false,
-    manage_plans: false,
-    view_map: false,
-  });
+  // effective permission names, from GET /auth/me (read by views through useCan)
+  const [permissions, setPermissions] = useState([]);
+
+  // live updates: connection state for the header, last event for views showing a single record
+  const [liveStatus, setLiveStatus] = useState("offline");
+  const [lastChange, setLastChange] = useState(null);
+
+  // API reachable or not, creates queued while it was not (see offline.js)
+  const offline = useOfflineState();
+
+  // record picked in the global search: its tab opens it ({ type, id })
+  const [focus, setFocus] = useState(null);
+
+  useEffect(() => installSessionInterceptor({
+    api: API,
+    onRefreshed: setUser,
+    onExpired: () => {
+      setSessionExpired(true);
+      resetSession();
+    },
+    onPasswordChangeRequired: () => setUser(u => u && { ...u, must_change_password: true }),
+  }), []);
+
+  useEffect(() => installOfflineCache({ api: API }), []);
 
   useEffect(() => {
-    if (user) {
-      // optimistic: set permissions based on role 'admin' seed
-      if (user.role === "admin") {
-        setCan({
-          manage_tactics: true,
-          manage_members: true,
-          manage_permissions: true,
-          manage_operations: true,
-          manage_squads: true,
-          manage_plans: true,
-          view_map: true,
-        });
-      } else {
-        // for non-admin we try to call endpoints and fallback on server responses
-        setCan(prev => ({ ...prev }));
-      }
-      refreshData();
+    if (user) fetchMe();
+    loadPending(user?.id);
+  }, [user?.id]);
+
+  // the language saved with the account wins over the one of this browser
+  useEffect(() => {
+    if (user?.language) setLanguage(user.language);
+  }, [user?.language]);
+
+  useEffect(() => {
+    if (active) refreshData();
+  }, [user?.id, active]);
+
+  useEffect(() => {
+    if (!active) return;
+    const close = connectRealtime({ api: API, headers: getTokenHeader, onChange: onLiveChange, onStatus: setLiveStatus, onResync: resync });
+    return () => { close(); setLiveStatus("offline"); };
+  }, [user?.id, active]);
+
+  // the live connection retries every few seconds: it is what notices the API is back
+  useEffect(() => {
+    if (active && offline.online && liveStatus === "online" && offline.pending.length) replayOffline();
+  }, [active, offline.online, liveStatus, offline.pending.length]);
+
+  function onLiveChange(change) {
+    if (change.action !== "journal") {
+      if (change.entity === "marker") setMapMarkers(list => applyChange(list, change, false));
+      if (change.entity === "position") setUnitPositions(list => applyChange(list, change, false));
+      if (change.entity === "squad") setSquads(list => applyChange(list, change, true));
+      if (change.entity === "zone") setMapZones(list => applyChange(list, change, false).filter(isActiveZone));
+      if (change.entity === "operation") setMapZones(list => followOperation(list, change));
     }
-  }, [user]);
+    setLastChange(change);
+  }
+
+  // events may have been missed while disconnected: paged views reload on { action: "resync" }
+  function resync() {
+    refreshData();
+    setLastChange({ action: "resync" });
+  }
+
+  async function fetchMe() {
+    try {
+      const res = await axios.get(API + "/auth/me", { headers: getTokenHeader() });
+      saveSession({ token: getAccessToken(), user: res.data.user });
+      setUser(res.data.user);
+      setPermissions(res.data.permissions);
+    } catch (e) {}
+  }
 
   async function refreshData() {
-    await Promise.allSettled([fetchMembers(), fetchTactics(), fetchOperations(), fetchSquads(), fetchPlans(), fetchMapMarkers()]);
+    await Promise.allSettled([fetchMembers(), fetchSquads(), fetchMapMarkers(), fetchUnitPositions(), fetchMapZones()]);
   }
 
   async function fetchMembers() {
@@ -81,670 +297,3739 @@ export default function App() {
     }
   }
 
-  async function fetchTactics() {
-    try {
-      const res = await axios.get(API + "/tactics", { headers: getTokenHeader() });
-      setTactics(res.data);
-    } catch (e) {}
-  }
-
-  async function fetchOperations() {
+  async function fetchSquads() {
     try {
-      const res = await axios.get(API + "/operations", { headers: getTokenHeader() });
-      setOperations(res.data);
+      const res = await axios.get(API + "/squads", { headers: getTokenHeader() });
+      setSquads(res.data);
     } catch (e) {}
   }
 
-  async function fetchSquads() {
+  async function fetchMapMarkers() {
     try {
-      const res = await axios.get(API + "/squads", { headers: getTokenHeader() });
-      setSquads(res.data);
+      const res = await axios.get(API + "/map/markers", { headers: getTokenHeader() });
+      setMapMarkers(res.data);
     } catch (e) {}
   }
 
-  async function fetchPlans() {
+  async function fetchUnitPositions() {
     try {
-      const res = await axios.get(API + "/tactical-plans", { headers: getTokenHeader() });
-      setPlans(res.data);
+      const res = await axios.get(API + "/map/positions", { headers: getTokenHeader() });
+      setUnitPositions(res.data);
     } catch (e) {}
   }
 
-  async function fetchMapMarkers() {
+  async function fetchMapZones() {
     try {
-      const res = await axios.get(API + "/map/markers", { headers: getTokenHeader() });
-      setMapMarkers(res.data);
+      const res = await axios.get(API + "/map/zones", { headers: getTokenHeader() });
+      setMapZones(res.data);
     } catch (e) {}
   }
 
   /* ---------- Auth ---------- */
+  // returns an error message for the login screen, null on success
   async function doLogin(username, password) {
     try {
       const res = await axios.post(API + "/auth/login", { username, password });
-      localStorage.setItem("mtd_token", res.data.token);
-      localStorage.setItem("mtd_user", JSON.stringify(res.data.user));
+      saveSession(res.data);
+      setSessionExpired(false);
       setUser(res.data.user);
-      refreshData();
-      alert("Connecté en tant que " + res.data.user.username);
+      return null;
     } catch (e) {
-      alert("Échec de connexion");
+      return e?.response?.data?.error || t("login.unreachable");
     }
   }
 
-  function logout() {
-    localStorage.removeItem("mtd_token");
-    localStorage.removeItem("mtd_user");
+  async function changePassword(currentPassword, newPassword, form) {
+    try {
+      const res = await axios.post(API + "/auth/change-password", { currentPassword, newPassword }, { headers: getTokenHeader() });
+      saveSession(res.data);
+      setUser(res.data.user);
+      return true;
+    } catch (e) {
+      reportError(e, "password.errors.change", form);
+      return false;
+    }
+  }
+
+  // applied at once, then saved with the account
+  async function changeLanguage(language) {
+    setLanguage(language);
+    try {
+      const res = await axios.put(API + "/auth/me/preferences", { language }, { headers: getTokenHeader() });
+      saveSession({ token: getAccessToken(), user: res.data.user });
+      setUser(res.data.user);
+    } catch (e) {
+      reportError(e, "settings.errors.language");
+    }
+  }
+
+  // a search result stays focused until the user changes tab by hand
+  function selectTab(name) {
+    setTab(name);
+    setFocus(null);
+  }
+
+  function openRecord(type, id) {
+    setTab(SEARCH_GROUPS.find(g => g.type === type).tab);
+    setFocus({ type, id });
+  }
+
+  function resetSession() {
     setUser(null);
-    setCan({});
+    setPermissions([]);
+    setTab("map");
+    clearOfflineCache();
+  }
+
+  function logout() {
+    endSession(API);
+    setSessionExpired(false);
+    resetSession();
+  }
+
+  /* ---------- Offline creates ---------- */
+  // the API did not answer: the create waits in the queue, the form is done with it
+  async function queueOffline(kind, name, args) {
+    try {
+      await queueCreate({ userId: user.id, kind, name, args });
+    } catch (e) {
+      notify(t("offline.errors.queue", { error: e.message }), "error");
+      return false;
+    }
+    notify(t("offline.queued", { entry: offlineEntryLabel({ kind, name }) }));
+    return true;
+  }
+
+  async function replayOffline() {
+    const { sent, conflicts } = await replayQueue(user.id, entry => CREATE_REQUESTS[entry.kind](...entry.args));
+    for (const { entry, error } of conflicts) notify(t("offline.conflict", { entry: offlineEntryLabel(entry), error }), "error");
+    if (sent.length) {
+      notify(t("offline.replayed", { count: sent.length }));
+      resync();
+    }
   }
 
   /* ---------- Members (create & assign permission) ---------- */
-  async function createMember({ username, password, displayName, role }) {
+  async function createMember(values, form) {
+    try {
+      await axios.post(API + "/members", values, { headers: getTokenHeader() });
+      await fetchMembers();
+      notify(t("members.created"));
+      return true;
+    } catch (e) {
+      // not queued offline: the queue would keep the new account's password in the browser
+      reportError(e, "members.errors.create", form);
+      return false;
+    }
+  }
+
+  async function updateMember(id, values, form) {
     try {
-      await axios.post(API + "/members", { username, password, displayName, role }, { headers: getTokenHeader() });
+      await axios.put(API + "/members/" + id, values, { headers: getTokenHeader() });
       await fetchMembers();
-      alert("Membre créé");
+      return true;
+    } catch (e) {
+      reportError(e, "members.errors.update", form);
+      return false;
+    }
+  }
+
+  async function resetMemberPassword(id, password) {
+    try {
+      await axios.post(API + "/members/" + id + "/reset-password", { password }, { headers: getTokenHeader() });
+      notify(t("members.passwordReset"));
+    } catch (e) {
+      reportError(e, "members.errors.resetPassword");
+    }
+  }
+
+  /* ---------- Map markers (create / move / edit / delete) ---------- */
+  async function createMarker(marker, form) {
+    try {
+      await CREATE_REQUESTS.marker(marker);
+      await fetchMapMarkers();
+      return true;
+    } catch (e) {
+      if (isNetworkError(e)) return queueOffline("marker", marker.title, [marker]);
+      reportError(e, "map.errors.create", form);
+      return false;
+    }
+  }
+
+  async function updateMarker(id, changes, form) {
+    try {
+      await axios.put(API + "/map/markers/" + id, changes, { headers: getTokenHeader() });
+      await fetchMapMarkers();
+      return true;
+    } catch (e) {
+      reportError(e, "map.errors.update", form);
+      // re-sync so a rejected drag snaps back
+      await fetchMapMarkers();
+      return false;
+    }
+  }
+
+  async function deleteMarker(id) {
+    try {
+      await axios.delete(API + "/map/markers/" + id, { headers: getTokenHeader() });
+      await fetchMapMarkers();
+    } catch (e) {
+      reportError(e, "map.errors.delete");
+    }
+  }
+
+  /* ---------- Operation zones (drawn on the map, edited from the operation) ---------- */
+  async function createZone(operationId, zone, form) {
+    try {
+      await CREATE_REQUESTS.zone(operationId, zone);
+      await fetchMapZones();
+      return true;
     } catch (e) {
-      alert("Erreur création membre : " + (e?.response?.data?.error || e.message));
+      if (isNetworkError(e)) return queueOffline("zone", zone.label, [operationId, zone]);
+      reportError(e, "zones.errors.create", form);
+      return false;
     }
   }
 
-  async function createPermission(name, description) {
+  async function updateZone(operationId, id, zone, form) {
     try {
-      await axios.post(API + "/admin/permissions", { name, description }, { headers: getTokenHeader() });
-      alert("Permission créée");
+      await axios.put(API + "/operations/" + operationId + "/zones/" + id, zone, { headers: getTokenHeader() });
+      await fetchMapZones();
+      return true;
     } catch (e) {
-      alert("Erreur création permission : " + (e?.response?.data?.error || e.message));
+      reportError(e, "zones.errors.update", form);
+      return false;
     }
   }
 
-  async function assignPermission(userId, permissionName) {
+  async function deleteZone(operationId, id) {
     try {
-      await axios.post(API + "/admin/assign-permission", { userId, permissionName }, { headers: getTokenHeader() });
-      alert("Permission assignée");
+      await axios.delete(API + "/operations/" + operationId + "/zones/" + id, { headers: getTokenHeader() });
+      await fetchMapZones();
+      return true;
     } catch (e) {
-      alert("Erreur assignation : " + (e?.response?.data?.error || e.message));
+      reportError(e, "zones.errors.delete");
+      return false;
     }
   }
 
   /* ---------- Tactiques (create: image + description) ---------- */
-  async function createTactic({ title, imageBase64, description }) {
+  async function createTactic(values, attachments, form) {
+    try {
+      await CREATE_REQUESTS.tactic(values, attachments);
+      notify(t("tactics.created"));
+      return true;
+    } catch (e) {
+      if (isNetworkError(e) && !e.created) return queueOffline("tactic", values.title, [values, attachments]);
+      reportError(e, "tactics.errors.create", form);
+      return false;
+    }
+  }
+
+  async function updateTactic(id, values, attachments, form) {
+    try {
+      await axios.put(API + "/tactics/" + id, tacticFormData(values), { headers: getTokenHeader() });
+      await syncAttachments("/tactics/" + id, attachments);
+      notify(t("tactics.updated"));
+      return true;
+    } catch (e) {
+      reportError(e, "tactics.errors.update", form);
+      return false;
+    }
+  }
+
+  async function deleteTactic(id) {
     try {
-      // we'll put image + description into 'content' as JSON string (server currently saves content field)
-      const content = JSON.stringify({ description, imageBase64 });
-      await axios.post(API + "/tactics", { title, content }, { headers: getTokenHeader() });
-      await fetchTactics();
-      alert("Tactique créée");
+      await axios.delete(API + "/tactics/" + id, { headers: getTokenHeader() });
+      return true;
     } catch (e) {
-      alert("Erreur création tactique: " + (e?.response?.data?.error || e.message));
+      reportError(e, "tactics.errors.delete");
+      return false;
     }
   }
 
   /* ---------- Operations (create) ---------- */
-  async function createOperation({ name, description, status, location, evidenceBase64 }) {
+  async function createOperation(operation, attachments, form) {
+    try {
+      await CREATE_REQUESTS.operation(operation, attachments);
+      notify(t("operations.created"));
+      return true;
+    } catch (e) {
+      if (isNetworkError(e) && !e.created) return queueOffline("operation", operation.name, [operation, attachments]);
+      reportError(e, "operations.errors.create", form);
+      return false;
+    }
+  }
+
+  async function updateOperation(id, operation, attachments, form) {
+    try {
+      await axios.put(API + "/operations/" + id, operation, { headers: getTokenHeader() });
+      await syncAttachments("/operations/" + id, attachments);
+      notify(t("operations.updated"));
+      return true;
+    } catch (e) {
+      reportError(e, "operations.errors.update", form);
+      return false;
+    }
+  }
+
+  async function deleteOperation(id) {
     try {
-      // server accepts name/description/status; we'll pack location + evidence into description JSON
-      const payloadDesc = JSON.stringify({ description, location, evidenceBase64 });
-      await axios.post(API + "/operations", { name, description: payloadDesc, status }, { headers: getTokenHeader() });
-      await fetchOperations();
-      alert("Opération créée");
+      await axios.delete(API + "/operations/" + id, { headers: getTokenHeader() });
+      return true;
     } catch (e) {
-      alert("Erreur création opération: " + (e?.response?.data?.error || e.message));
+      reportError(e, "operations.errors.delete");
+      return false;
     }
   }
 
   /* ---------- Squads (create) ---------- */
-  async function createSquad({ name, description }) {
+  async function createSquad({ name, description, leaderId, color }, form) {
+    const values = { name, description, leaderId, color };
+    try {
+      await CREATE_REQUESTS.squad(values);
+      await fetchSquads();
+      notify(t("squads.created"));
+      return true;
+    } catch (e) {
+      if (isNetworkError(e)) return queueOffline("squad", name, [values]);
+      reportError(e, "squads.errors.create", form);
+      return false;
+    }
+  }
+
+  async function updateSquad(id, changes, form) {
+    try {
+      await axios.put(API + "/squads/" + id, changes, { headers: getTokenHeader() });
+      await fetchSquads();
+      return true;
+    } catch (e) {
+      reportError(e, "squads.errors.update", form);
+      return false;
+    }
+  }
+
+  async function deleteSquad(id) {
+    try {
+      await axios.delete(API + "/squads/" + id, { headers: getTokenHeader() });
+      await fetchSquads();
+    } catch (e) {
+      reportError(e, "squads.errors.delete");
+    }
+  }
+
+  // adds the member, or changes their role when already in the squad
+  async function setSquadMember(squadId, userId, role) {
+    try {
+      await axios.put(API + "/squads/" + squadId + "/members/" + userId, { role }, { headers: getTokenHeader() });
+      await fetchSquads();
+    } catch (e) {
+      reportError(e, "squads.errors.setMember");
+    }
+  }
+
+  async function removeSquadMember(squadId, userId) {
     try {
-      await axios.post(API + "/squads", { name, description }, { headers: getTokenHeader() });
+      await axios.delete(API + "/squads/" + squadId + "/members/" + userId, { headers: getTokenHeader() });
       await fetchSquads();
-      alert("Escouade créée");
     } catch (e) {
-      alert("Erreur création escouade: " + (e?.response?.data?.error || e.message));
+      reportError(e, "squads.errors.removeMember");
+    }
+  }
+
+  /* ---------- Tactical plan (base image + vector annotations) ---------- */
+  async function createTacticalPlan(plan, attachments, form) {
+    try {
+      await CREATE_REQUESTS.plan(plan, attachments);
+      notify(t("plans.created"));
+      return true;
+    } catch (e) {
+      if (isNetworkError(e) && !e.created) return queueOffline("plan", plan.title, [plan, attachments]);
+      reportError(e, "plans.errors.create", form);
+      return false;
+    }
+  }
+
+  async function updateTacticalPlan(id, plan, attachments, form) {
+    try {
+      await axios.put(API + "/tactical-plans/" + id, planFormData(plan), { headers: getTokenHeader() });
+      await syncAttachments("/tactical-plans/" + id, attachments);
+      notify(t("plans.updated"));
+      return true;
+    } catch (e) {
+      reportError(e, "plans.errors.update", form);
+      return false;
     }
   }
 
-  /* ---------- Tactical plan (upload image + draw) ---------- */
-  async function createTacticalPlan({ title, imageBase64WithDrawing }) {
+  async function deleteTacticalPlan(id) {
     try {
-      // server expects title + body -> we send body = JSON with merged image
-      const body = JSON.stringify({ mergedImage: imageBase64WithDrawing });
-      await axios.post(API + "/tactical-plans", { title, body }, { headers: getTokenHeader() });
-      await fetchPlans();
-      alert("Plan tactique sauvegardé");
+      await axios.delete(API + "/tactical-plans/" + id, { headers: getTokenHeader() });
+      return true;
     } catch (e) {
-      alert("Erreur création plan tactique: " + (e?.response?.data?.error || e.message));
+      reportError(e, "plans.errors.delete");
+      return false;
     }
   }
 
   /* ---------- UI ---------- */
   return (
-    <div className="app-root">
-      <header className="app-header">
-        <div className="header-left">
-          <div className="logo">SWAT</div>
-          <div className="title-small">MDT</div>
-        </div>
+    <PermissionsProvider user={user} permissions={permissions}>
+      <div className="app-root">
+        <header className="app-header">
+          <div className="header-left">
+            <div className="logo">SWAT</div>
+            <div className="title-small">MDT</div>
+          </div>
 
-        <nav className="header-nav">
-          <button className={tab === "map" ? "active" : ""} onClick={() => setTab("map")}>Carte</button>
-          <button className={tab === "tactics" ? "active" : ""} onClick={() => setTab("tactics")}>Tactiques</button>
-          <button className={tab === "members" ? "active" : ""} onClick={() => setTab("members")}>Membres</button>
-          <button className={tab === "operations" ? "active" : ""} onClick={() => setTab("operations")}>Opérations</button>
-          <button className={tab === "squads" ? "active" : ""} onClick={() => setTab("squads")}>Escouades</button>
-          <button className={tab === "plans" ? "active" : ""} onClick={() => setTab("plans")}>Plan Tactique</button>
-          <button className={tab === "settings" ? "active" : ""} onClick={() => setTab("settings")}>Paramètres</button>
-        </nav>
-
-        <div className="header-right">
-          {user ? (
-            <>
-              <div className="user-chip">{user.username}</div>
-              <button className="btn logout" onClick={logout}>Déconnexion</button>
-            </>
-          ) : (
-            <MiniLogin onLogin={doLogin} />
+          {active && (
+            <nav className="header-nav">
+              <button className={tab === "map" ? "active" : ""} onClick={() => selectTab("map")}>{t("nav.map")}</button>
+              <button className={tab === "tactics" ? "active" : ""} onClick={() => selectTab("tactics")}>{t("nav.tactics")}</button>
+              <button className={tab === "members" ? "active" : ""} onClick={() => selectTab("members")}>{t("nav.members")}</button>
+              <button className={tab === "operations" ? "active" : ""} onClick={() => selectTab("operations")}>{t("nav.operations")}</button>
+              <button className={tab === "squads" ? "active" : ""} onClick={() => selectTab("squads")}>{t("nav.squads")}</button>
+              <button className={tab === "plans" ? "active" : ""} onClick={() => selectTab("plans")}>{t("nav.plans")}</button>
+              <button className={tab === "settings" ? "active" : ""} onClick={() => selectTab("settings")}>{t("nav.settings")}</button>
+            </nav>
           )}
-        </div>
-      </header>
-
-      <main className="app-main">
-        <div className="gyro blue" />
-        <div className="gyro red" />
-
-        {/* WELCOME (center) */}
-        {tab === "home" && (
-          <section className="panel centered">
-            <h1 style={{ textTransform: "uppercase" }}>BIENVENUE SUR LE SYSTÈME MDT SWAT</h1>
-            <p className="muted">DIVISION DU SPECIAL WEAPONS AND TACTICS</p>
-          </section>
-        )}
 
-        {/* MAP */}
-        {tab === "map" && (
-          <MapView markers={mapMarkers} refreshMarkers={fetchMapMarkers} canCreate={can.manage_map} />
-        )}
+          <div className="header-right">
+            {active && <GlobalSearch onOpen={openRecord} />}
+            {user && (
+              <>
+                <OfflineIndicator state={offline} />
+                {active && <LiveIndicator status={liveStatus} />}
+                <div className="user-chip">{user.username}</div>
+                <button className="btn logout" onClick={logout}>{t("nav.logout")}</button>
+              </>
+            )}
+          </div>
+        </header>
 
-        {/* TACTICS */}
-        {tab === "tactics" && (
-          <TacticsView
-            tactics={tactics}
-            createTactic={createTactic}
-            canCreate={user && (user.role === "admin" || can.manage_tactics)}
-          />
-        )}
+        <main className="app-main">
+          <div className="gyro blue" />
+          <div className="gyro red" />
 
-        {/* MEMBERS */}
-        {tab === "members" && (
-          <MembersView
-            members={members}
-            fetchMembers={fetchMembers}
-            createMember={createMember}
-            createPermission={createPermission}
-            assignPermission={assignPermission}
-            canManage={user && (user.role === "admin" || can.manage_members)}
-            canManagePermissions={user && (user.role === "admin" || can.manage_permissions)}
-          />
-        )}
+          {!user && <LoginScreen onLogin={doLogin} expired={sessionExpired} />}
+          {user && !active && <ChangePasswordScreen user={user} onSubmit={changePassword} />}
 
-        {/* OPERATIONS */}
-        {tab === "operations" && (
-          <OperationsView operations={operations} createOperation={createOperation} canCreate={user && (user.role === "admin" || can.manage_operations)} />
-        )}
+          {/* WELCOME (center) */}
+          {view === "home" && (
+            <section className="panel centered">
+              <h1 style={{ textTransform: "uppercase" }}>{t("home.title")}</h1>
+              <p className="muted">{t("home.subtitle")}</p>
+            </section>
+          )}
 
-        {/* SQUADS */}
-        {tab === "squads" && (
-          <SquadsView squads={squads} members={members} createSquad={createSquad} />
-        )}
+          {/* MAP */}
+          {view === "map" && (
+            <MapView
+              markers={mapMarkers}
+              positions={unitPositions}
+              squads={squads}
+              zones={mapZones}
+              createMarker={createMarker}
+              updateMarker={updateMarker}
+              deleteMarker={deleteMarker}
+              createZone={createZone}
+              onOpen={openRecord}
+            />
+          )}
 
-        {/* PLANS */}
-        {tab === "plans" && (
-          <PlansView plans={plans} createTacticalPlan={createTacticalPlan} canCreate={user && (user.role === "admin" || can.manage_plans)} />
-        )}
+          {/* TACTICS */}
+          {view === "tactics" && (
+            <TacticsView
+              createTactic={createTactic}
+              updateTactic={updateTactic}
+              deleteTactic={deleteTactic}
+              onOpen={openRecord}
+              focus={focus}
+            />
+          )}
 
-        {/* SETTINGS */}
-        {tab === "settings" && (
-          <section className="panel">
-            <h2>Paramètres & Administration</h2>
-            <p className="muted">Créer des comptes, gérer les permissions (Admin requis)</p>
-            <p>Utilise l'onglet Membres pour créer des comptes et assigner des permissions.</p>
-          </section>
-        )}
-      </main>
+          {/* MEMBERS */}
+          {view === "members" && (
+            <MembersView
+              members={members}
+              fetchMembers={fetchMembers}
+              createMember={createMember}
+              updateMember={updateMember}
+              resetMemberPassword={resetMemberPassword}
+              focus={focus}
+            />
+          )}
 
-      <footer className="app-footer">© 2025 Los Santos SWAT</footer>
-    </div>
+          {/* OPERATIONS */}
+          {view === "operations" && (
+            <OperationsView members={members} squads={squads} createOperation={createOperation} updateOperation={updateOperation} deleteOperation={deleteOperation} updateZone={updateZone} deleteZone={deleteZone} lastChange={lastChange} onOpen={openRecord} focus={focus} />
+          )}
+
+          {/* SQUADS */}
+          {view === "squads" && (
+            <SquadsView
+              squads={squads}
+              members={members}
+              createSquad={createSquad}
+              updateSquad={updateSquad}
+              deleteSquad={deleteSquad}
+              refreshSquads={fetchSquads}
+              setSquadMember={setSquadMember}
+              removeSquadMember={removeSquadMember}
+              focus={focus}
+            />
+          )}
+
+          {/* PLANS */}
+          {view === "plans" && (
+            <PlansView
+              createTacticalPlan={createTacticalPlan}
+              updateTacticalPlan={updateTacticalPlan}
+              deleteTacticalPlan={deleteTacticalPlan}
+              lastChange={lastChange}
+              focus={focus}
+            />
+          )}
+
+          {/* SETTINGS */}
+          {view === "settings" && <SettingsView members={members} changeLanguage={changeLanguage} />}
+        </main>
+
+        <footer className="app-footer">© 2025 Los Santos SWAT</footer>
+        <Notifications />
+      </div>
+    </PermissionsProvider>
   );
 }
 
-/* ---------- MiniLogin component (small) ---------- */
-function MiniLogin({ onLogin }) {
-  const [u, setU] = useState("admin");
-  const [p, setP] = useState("admin123");
+/* ---------- LiveIndicator: state of the live updates connection ---------- */
+const LIVE_COLORS = { online: "#198754", connecting: "#ffc107", offline: "#dc3545" };
+
+function LiveIndicator({ status }) {
+  const s = LIVE_COLORS[status] ? status : "offline";
   return (
-    <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-      <input className="mini-input" value={u} onChange={(e) => setU(e.target.value)} />
-      <input className="mini-input" value={p} onChange={(e) => setP(e.target.value)} type="password" />
-      <button className="btn" onClick={() => onLogin(u, p)}>Connexion</button>
-    </div>
+    <span title={t(`live.${s}.title`)} style={{ display: "inline-flex", alignItems: "center", gap: 4, fontSize: 12, marginRight: 8 }}>
+      <span style={{ width: 8, height: 8, borderRadius: "50%", background: LIVE_COLORS[s] }} />
+      {t(`live.${s}.label`)}
+    </span>
   );
 }
 
-/* ---------- MapView ---------- */
-function MapView({ markers, refreshMarkers, canCreate }) {
-  // check if public/los_santos.jpg exists by attempting to fetch it (client-side)
-  const [lsImageAvailable, setLsImageAvailable] = useState(false);
-  useEffect(() => {
-    fetch("/los_santos.jpg", { method: "HEAD" }).then(r => {
-      if (r.ok) setLsImageAvailable(true);
-    }).catch(() => {});
-  }, []);
-
-  return (
-    <section className="panel map-panel">
-      <div className="map-left">
-        <h2>Carte de Los Santos</h2>
-        <div className="map-container">
-          <MapContainer center={[34.0522, -118.2437]} zoom={12} style={{ height: "100%", width: "100%" }}>
-            <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
-            {markers && markers.map(m => (
-              <Marker key={m.id} position={[m.lat, m.lng]}>
-                <Popup>
-                  <strong>{m.title}</strong>
-                  <div>{m.description}</div>
-                </Popup>
-              </Marker>
-            ))}
-          </MapContainer>
-        </div>
-      </div>
+/* ---------- OfflineIndicator: shown while the API is unreachable or creates wait to be sent ---------- */
+const OFFLINE_KINDS = ["marker", "squad", "tactic", "operation", "plan", "zone"];
 
-      <aside className="map-right">
-        <h3>Référence</h3>
-        {lsImageAvailable ? (
-          <img src="/los_santos.jpg" alt="Los Santos" style={{ width: "100%", borderRadius: 8 }} />
-        ) : (
-          <div className="muted">Ajoute un fichier <code>client/public/los_santos.jpg</code> pour l'afficher ici.</div>
-        )}
-      </aside>
-    </section>
-  );
+function offlineEntryLabel({ kind, name }) {
+  return t("offline.entry", { kind: OFFLINE_KINDS.includes(kind) ? t("offline.kinds." + kind) : kind, name });
 }
 
-/* ---------- TacticsView (list + create) ---------- */
-function TacticsView({ tactics, createTactic, canCreate }) {
-  const [showCreate, setShowCreate] = useState(false);
+function OfflineIndicator({ state }) {
+  if (state.online && !state.pending.length) return null;
+  const parts = [];
+  if (!state.online) parts.push(state.savedAt ? t("offline.since", { date: formatDateTime(state.savedAt) }) : t("offline.label"));
+  if (state.pending.length) parts.push(t("offline.pending", { count: state.pending.length }));
+  const title = state.pending.map(p => offlineEntryLabel(p) + " — " + formatDateTime(p.queuedAt)).join("\n");
   return (
-    <section className="panel">
-      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-        <h2>Tactiques</h2>
-        {canCreate ? <button className="btn" onClick={() => setShowCreate(s => !s)}>+ Ajouter</button> : <div className="muted">Droits requis pour créer</div>}
-      </div>
+    <span title={title || t("offline.help")} style={{ fontSize: 12, marginRight: 8, padding: "2px 6px", borderRadius: 4, background: state.online ? "#ffc107" : "#dc3545", color: state.online ? "#000" : "#fff" }}>
+      {parts.join(" · ")}
+    </span>
+  );
+}
 
-      {showCreate && <TacticForm onCreate={createTactic} />}
+/* ---------- Notifications: toasts from notifications.js, newest at the bottom ---------- */
+const NOTIFICATION_COLORS = { success: "#198754", error: "#dc3545" };
 
-      <div style={{ marginTop: 12 }}>
-        {tactics.length === 0 && <div className="muted">Aucune tactique enregistrée</div>}
-        {tactics.map(t => {
-          // content may be JSON containing description+imageBase64
-          let parsed = null;
-          try { parsed = JSON.parse(t.content || "{}"); } catch { parsed = null; }
-          return (
-            <div key={t.id} className="card">
-              <h3>{t.title}</h3>
-              {parsed?.imageBase64 && <img src={parsed.imageBase64} alt="tactic" style={{ maxWidth: 320, borderRadius: 6 }} />}
-              <p>{parsed?.description || t.content}</p>
-            </div>
-          );
-        })}
+function Notifications() {
+  const notifications = useNotifications();
+  return (
+    <div aria-live="polite" style={{ position: "fixed", right: 16, bottom: 16, zIndex: 3000, display: "flex", flexDirection: "column", gap: 8, maxWidth: 360 }}>
+      {notifications.map(n => (
+        <div key={n.id} role={n.type === "error" ? "alert" : "status"} style={{ display: "flex", alignItems: "flex-start", gap: 8, padding: "8px 10px", background: "#111", border: "1px solid #333", borderLeft: "4px solid " + NOTIFICATION_COLORS[n.type], borderRadius: 6 }}>
+          <span style={{ flex: 1 }}>{n.message}</span>
+          <button onClick={() => dismiss(n.id)} title={t("common.close")} aria-label={t("common.close")} style={{ background: "none", border: "none", color: "inherit", cursor: "pointer", padding: 0 }}>×</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ---------- GlobalSearch: header box over GET /search, results grouped by type ---------- */
+const SEARCH_GROUPS = [
+  { type: "operation", tab: "operations" },
+  { type: "tactic", tab: "tactics" },
+  { type: "plan", tab: "plans" },
+  { type: "squad", tab: "squads" },
+  { type: "member", tab: "members" },
+];
+
+function GlobalSearch({ onOpen }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null);
+  const [open, setOpen] = useState(false);
+  const boxRef = useRef(null);
+
+  // debounced; stale answers are dropped when the query changed meanwhile
+  useEffect(() => {
+    if (!query.trim()) return setResults(null);
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get(API + "/search", { headers: getTokenHeader(), params: { q: query } });
+        if (!cancelled) setResults(res.data);
+      } catch (e) {
+        if (!cancelled) setResults(null);
+      }
+    }, 250);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [query]);
+
+  useEffect(() => {
+    const close = (e) => { if (!boxRef.current?.contains(e.target)) setOpen(false); };
+    document.addEventListener("pointerdown", close);
+    return () => document.removeEventListener("pointerdown", close);
+  }, []);
+
+  function pick(type, id) {
+    setOpen(false);
+    setQuery("");
+    onOpen(type, id);
+  }
+
+  const empty = results && SEARCH_GROUPS.every(g => !results[g.type]?.length);
+
+  return (
+    <div ref={boxRef} style={{ position: "relative", marginRight: 8 }}>
+      <input
+        className="mini-input"
+        type="search"
+        placeholder={t("search.placeholder")}
+        value={query}
+        onChange={e => { setQuery(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={e => { if (e.key === "Escape") setOpen(false); }}
+        style={{ width: 220 }}
+      />
+      {open && results && (
+        <div style={{ position: "absolute", right: 0, top: "100%", marginTop: 4, width: 360, maxHeight: 420, overflowY: "auto", background: "#111", border: "1px solid #333", borderRadius: 6, zIndex: 2000, padding: 6 }}>
+          {empty && <div className="muted" style={{ padding: 6 }}>{t("search.noResults")}</div>}
+          {SEARCH_GROUPS.filter(g => results[g.type]?.length).map(g => (
+            <div key={g.type} style={{ marginBottom: 6 }}>
+              <div className="muted" style={{ fontSize: 11, textTransform: "uppercase", padding: "2px 6px" }}>{t("search.groups." + g.type)}</div>
+              {results[g.type].map(r => (
+                <div key={r.id} onClick={() => pick(g.type, r.id)} style={{ padding: "4px 6px", cursor: "pointer", borderRadius: 4 }}
+                  onMouseEnter={e => (e.currentTarget.style.background = "#222")} onMouseLeave={e => (e.currentTarget.style.background = "")}>
+                  <div>{r.title}</div>
+                  {r.snippet && <div className="muted" style={{ fontSize: 12, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{r.snippet}</div>}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------- LoginScreen: shown instead of the tabs while logged out ---------- */
+function LoginScreen({ onLogin, expired }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    const message = await onLogin(username.trim(), password);
+    setBusy(false);
+    if (message) {
+      setError(message);
+      setPassword("");
+    }
+  }
+
+  return (
+    <section className="panel centered" style={{ maxWidth: 360, margin: "40px auto" }}>
+      <h2>{t("login.title")}</h2>
+      {expired && !error && <p className="muted">{t("login.expired")}</p>}
+      <form onSubmit={submit} style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        <input placeholder={t("login.username")} autoComplete="username" autoFocus value={username} onChange={(e) => setUsername(e.target.value)} />
+        <input placeholder={t("login.password")} type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} />
+        {error && <div style={{ color: "#dc3545", fontSize: 13 }}>{error}</div>}
+        <button className="btn" type="submit" disabled={busy || !username.trim() || !password}>{busy ? t("login.submitting") : t("login.submit")}</button>
+      </form>
+      <LanguageSelect />
+    </section>
+  );
+}
+
+/* ---------- ChangePasswordScreen: first login with a seeded password ---------- */
+function ChangePasswordScreen({ user, onSubmit }) {
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const form = useForm(["currentPassword", "newPassword"]);
+
+  function submit(e) {
+    e.preventDefault();
+    form.submit(() => ({
+      ...(!current && { currentPassword: t("password.currentRequired") }),
+      ...(next !== confirm && { confirm: t("password.mismatch") }),
+    }), () => onSubmit(current, next, form));
+  }
+
+  return (
+    <section className="panel centered" style={{ maxWidth: 360, margin: "40px auto" }}>
+      <h2>{t("password.title")}</h2>
+      <p className="muted">{t("password.intro", { username: user.username })}</p>
+      <form onSubmit={submit} style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+        <input placeholder={t("password.current")} type="password" autoComplete="current-password" value={current} onChange={(e) => setCurrent(e.target.value)} />
+        <FieldError form={form} name="currentPassword" />
+        <input placeholder={t("password.new")} type="password" autoComplete="new-password" value={next} onChange={(e) => setNext(e.target.value)} />
+        <FieldError form={form} name="newPassword" />
+        <input placeholder={t("password.confirm")} type="password" autoComplete="new-password" value={confirm} onChange={(e) => setConfirm(e.target.value)} />
+        <FieldError form={form} name="confirm" />
+        <SubmitButton form={form} type="submit">{t("common.save")}</SubmitButton>
+      </form>
+    </section>
+  );
+}
+
+/* ---------- MapView ---------- */
+const MARKER_CATEGORIES = ["info", "objective", "threat", "staging", "medical", "checkpoint"];
+
+function markerCategoryLabel(category) {
+  return MARKER_CATEGORIES.includes(category) ? t("map.categories." + category) : category;
+}
+
+// divIcon avoids the default PNG icons, whose paths break under Vite
+function markerIcon(color) {
+  return L.divIcon({
+    className: "mdt-marker",
+    html: `<span style="display:block;width:18px;height:18px;border-radius:50%;background:${color};border:2px solid #fff;box-shadow:0 0 6px rgba(0,0,0,0.7)"></span>`,
+    iconSize: [18, 18],
+    iconAnchor: [9, 9],
+    popupAnchor: [0, -10],
+  });
+}
+
+function MapClickHandler({ onClick }) {
+  useMapEvents({ click: (e) => onClick(e.latlng) });
+  return null;
+}
+
+/* ---------- Unit positions: per-squad color, heading arrow, fading when stale ---------- */
+const SQUAD_PALETTE = ["#0d6efd", "#fd7e14", "#20c997", "#d63384", "#6f42c1", "#ffc107", "#0dcaf0", "#198754"];
+const UNIT_NO_SQUAD_COLOR = "#adb5bd";
+const UNIT_FRESH_MS = 60 * 1000; // full opacity below this age
+const UNIT_FADE_MS = 10 * 60 * 1000; // then fades out over this duration
+const UNIT_HIDE_MS = 30 * 60 * 1000; // and disappears from the map
+
+function squadColor(squads, squadId) {
+  if (!squadId) return UNIT_NO_SQUAD_COLOR;
+  return squads.find(s => s.id === squadId)?.color || SQUAD_PALETTE[squadId % SQUAD_PALETTE.length];
+}
+
+function unitOpacity(age) {
+  if (age <= UNIT_FRESH_MS) return 1;
+  return Math.max(0.25, 1 - (age - UNIT_FRESH_MS) / UNIT_FADE_MS);
+}
+
+function formatAge(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return t("map.age.seconds", { n: s });
+  if (s < 3600) return t("map.age.minutes", { n: Math.floor(s / 60) });
+  return t("map.age.hours", { n: Math.floor(s / 3600) });
+}
+
+// arrow pointing along the heading (degrees clockwise from north), a dot when unknown
+function unitIcon(color, heading, opacity, label) {
+  const shape = heading == null
+    ? `<circle cx="12" cy="12" r="7" fill="${color}" stroke="#fff" stroke-width="2"/>`
+    : `<path d="M12 2 L20 21 L12 16 L4 21 Z" fill="${color}" stroke="#fff" stroke-width="1.5" transform="rotate(${heading} 12 12)"/>`;
+  return L.divIcon({
+    className: "mdt-unit",
+    html: `<div style="opacity:${opacity};text-align:center;width:80px;margin-left:-28px">
+      <svg width="24" height="24" viewBox="0 0 24 24" style="filter:drop-shadow(0 0 3px rgba(0,0,0,0.8))">${shape}</svg>
+      <div style="font:bold 11px sans-serif;color:#fff;text-shadow:0 0 3px #000;white-space:nowrap">${label.replace(/[<>&"]/g, "")}</div>
+    </div>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+    popupAnchor: [0, -12],
+  });
+}
+
+/* Shows the in-game X/Y under the cursor (image mode only) */
+function CursorReadout() {
+  const [pos, setPos] = useState(null);
+  useMapEvents({
+    mousemove: (e) => setPos(latLngToGame(e.latlng)),
+    mouseout: () => setPos(null),
+  });
+  if (!pos) return null;
+  return (
+    <div className="map-readout" style={{ position: "absolute", bottom: 8, left: 8, zIndex: 1000, background: "rgba(0,0,0,0.7)", color: "#fff", padding: "2px 8px", borderRadius: 4, fontFamily: "monospace", fontSize: 12 }}>
+      X {pos.x.toFixed(1)} · Y {pos.y.toFixed(1)}
+    </div>
+  );
+}
+
+// check if the Los Santos image exists by attempting to fetch it (client-side)
+function useLsImageAvailable() {
+  const [available, setAvailable] = useState(false);
+  useEffect(() => {
+    fetch(LS_MAP.imageUrl, { method: "HEAD" }).then(r => {
+      if (r.ok) setAvailable(true);
+    }).catch(() => {});
+  }, []);
+  return available;
+}
+
+/* Background of a Los Santos (CRS.Simple) map: the local tiles, else the image when it is there */
+function LsBackground({ imageAvailable }) {
+  const bounds = imageBounds();
+  if (LS_MAP.tilesUrl) return <TileLayer url={LS_MAP.tilesUrl} bounds={bounds} noWrap maxNativeZoom={LS_NATIVE_ZOOM} />;
+  return imageAvailable ? <ImageOverlay url={LS_MAP.imageUrl} bounds={bounds} /> : null;
+}
+
+/**
+ * Map modes:
+ *  - "ls"  : image / local tiles of Los Santos in L.CRS.Simple, positions in in-game X/Y (offline)
+ *  - "osm" : real-world OpenStreetMap tiles, positions in lat/lng (needs internet)
+ */
+function mapPosition(mode, item) {
+  if (mode === "ls") return item.x != null && item.y != null ? gameToLatLng(item) : null;
+  return item.lat != null && item.lng != null ? [item.lat, item.lng] : null;
+}
+
+function positionFields(mode, latlng) {
+  return mode === "ls" ? latLngToGame(latlng) : { lat: latlng.lat, lng: latlng.lng };
+}
+
+function MapView({ markers, positions, squads, zones, createMarker, updateMarker, deleteMarker, createZone, onOpen }) {
+  const can = useCan();
+  const canEdit = can("manage_map");
+  const canDrawZones = can("manage_operations");
+  const [mode, setMode] = useState(() => localStorage.getItem("mtd_map_mode") || "ls");
+  const [placing, setPlacing] = useState(false);
+  const [draft, setDraft] = useState(null); // latlng of a marker being created
+  const [editingId, setEditingId] = useState(null);
+  const [showUnits, setShowUnits] = useState(() => localStorage.getItem("mtd_map_units") !== "0");
+  // operations whose zones are switched off (new ones show)
+  const [hiddenZones, setHiddenZones] = useState(() => JSON.parse(localStorage.getItem("mtd_map_hidden_zones") || "[]"));
+  // zone drawing: operation it is for, shape and clicked points while drawing, finished geometry to label
+  const [zoneOperations, setZoneOperations] = useState([]);
+  const [zoneOperationId, setZoneOperationId] = useState("");
+  const [drawing, setDrawing] = useState(null); // { shape, points }
+  const [zoneDraft, setZoneDraft] = useState(null); // { shape, points } or { shape, center, radius }
+
+  // re-render regularly so ages and fading follow the clock between reports
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(timer);
+  }, []);
+
+  function toggleUnits(on) {
+    localStorage.setItem("mtd_map_units", on ? "1" : "0");
+    setShowUnits(on);
+  }
+
+  function toggleZones(operationId, on) {
+    const next = on ? hiddenZones.filter(id => id !== operationId) : [...hiddenZones, operationId];
+    localStorage.setItem("mtd_map_hidden_zones", JSON.stringify(next));
+    setHiddenZones(next);
+  }
+
+  const lsImageAvailable = useLsImageAvailable();
+
+  // zones can be drawn for the operations still under way
+  useEffect(() => {
+    if (!canDrawZones) return;
+    axios.get(API + "/map/zones/operations", { headers: getTokenHeader() })
+      .then(res => setZoneOperations(res.data))
+      .catch(() => {});
+  }, [canDrawZones]);
+
+  function switchMode(next) {
+    localStorage.setItem("mtd_map_mode", next);
+    setMode(next);
+    setDraft(null);
+    setPlacing(false);
+    setDrawing(null);
+    setZoneDraft(null);
+  }
+
+  function startDrawing(shape) {
+    setDrawing({ shape, points: [] });
+    setZoneDraft(null);
+    setPlacing(false);
+    setDraft(null);
+  }
+
+  // polygon: one vertex per click; circle: the center, then a point of the edge
+  function addZonePoint(latlng) {
+    const point = latLngToGame(latlng);
+    if (drawing.shape === "polygon" || drawing.points.length === 0) {
+      setDrawing({ ...drawing, points: [...drawing.points, point] });
+      return;
+    }
+    const [center] = drawing.points;
+    const radius = Math.round(Math.hypot(point.x - center.x, point.y - center.y) * 10) / 10;
+    if (radius > 0) finishDrawing({ shape: "circle", center, radius });
+  }
+
+  function finishDrawing(geometry) {
+    setZoneDraft(geometry);
+    setDrawing(null);
+  }
+
+  async function saveZone(values, form) {
+    const operationId = Number(zoneOperationId);
+    if (!(await createZone(operationId, { ...values, ...zoneDraft }, form))) return;
+    setZoneDraft(null);
+    toggleZones(operationId, true);
+  }
+
+  const lsBounds = imageBounds();
+  const hidden = (markers || []).filter(m => !mapPosition(mode, m)).length;
+  const units = (positions || [])
+    .map(p => ({ ...p, age: now - Date.parse(p.reported_at), color: squadColor(squads, p.squad_id) }))
+    .filter(p => p.age < UNIT_HIDE_MS);
+
+  // one layer of zones per operation
+  const zoneGroups = [];
+  for (const z of zones || []) {
+    const group = zoneGroups.find(g => g.id === z.operation_id);
+    if (group) group.count++;
+    else zoneGroups.push({ id: z.operation_id, name: z.operation_name, count: 1 });
+  }
+  const visibleZones = (zones || []).filter(z => !hiddenZones.includes(z.operation_id));
+
+  // overlays shared by both map modes
+  const layers = (
+    <>
+      {placing && <MapClickHandler onClick={(latlng) => { setDraft(latlng); setPlacing(false); }} />}
+      {drawing && <MapClickHandler onClick={addZonePoint} />}
+
+      {/* zones are in in-game X/Y: Los Santos mode only; no popups while drawing, clicks go to the map */}
+      {mode === "ls" && visibleZones.map(z => (
+        <ZoneShape key={"zone-" + z.id} zone={z}>
+          {!drawing && (
+            <Popup>
+              <strong>{z.label}</strong>
+              <div className="muted">{zoneKindLabel(z.kind)}</div>
+              <div>{t("zones.ofOperation", { name: z.operation_name })}</div>
+              <button className="btn" style={{ marginTop: 6 }} onClick={() => onOpen("operation", z.operation_id)}>{t("zones.openOperation")}</button>
+            </Popup>
+          )}
+        </ZoneShape>
+      ))}
+
+      {drawing?.shape === "polygon" && drawing.points.length > 1 && (
+        <Polyline positions={drawing.points.map(gameToLatLng)} pathOptions={{ color: ZONE_DRAFT_COLOR, dashArray: "6 4" }} />
+      )}
+      {drawing?.points.map((p, i) => (
+        <CircleMarker
+          key={"vertex-" + i}
+          center={gameToLatLng(p)}
+          radius={5}
+          pathOptions={{ color: ZONE_DRAFT_COLOR }}
+          eventHandlers={{
+            // clicking the first vertex again closes the polygon
+            click: (e) => {
+              if (i !== 0 || drawing.shape !== "polygon" || drawing.points.length < 3) return;
+              L.DomEvent.stopPropagation(e);
+              finishDrawing({ shape: "polygon", points: drawing.points });
+            },
+          }}
+        />
+      ))}
+      {zoneDraft && <ZoneShape zone={{ ...zoneDraft, label: t("zones.draft"), color: ZONE_DRAFT_COLOR }} />}
+
+      {markers && markers.map(m => {
+        const position = mapPosition(mode, m);
+        if (!position) return null;
+        return (
+          <Marker
+            key={m.id}
+            position={position}
+            icon={markerIcon(m.color || "#0d6efd")}
+            draggable={canEdit}
+            eventHandlers={{
+              dragend: (e) => updateMarker(m.id, positionFields(mode, e.target.getLatLng())),
+            }}
+          >
+            <Popup>
+              {editingId === m.id ? (
+                <MarkerForm
+                  initial={m}
+                  onSubmit={async (values, form) => { if (await updateMarker(m.id, values, form)) setEditingId(null); }}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : (
+                <>
+                  <strong>{m.title}</strong>
+                  <div className="muted">{markerCategoryLabel(m.category)}</div>
+                  {mode === "ls" && <div className="muted">X {m.x} · Y {m.y}</div>}
+                  <div>{m.description}</div>
+                  {canEdit && (
+                    <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                      <button className="btn" onClick={() => setEditingId(m.id)}>{t("common.edit")}</button>
+                      <button className="btn" onClick={() => { if (confirm(t("map.confirmDelete", { title: m.title }))) deleteMarker(m.id); }}>{t("common.delete")}</button>
+                    </div>
+                  )}
+                </>
+              )}
+            </Popup>
+          </Marker>
+        );
+      })}
+
+      {showUnits && units.map(u => {
+        const position = mapPosition(mode, u);
+        if (!position) return null;
+        return (
+          <Marker key={"unit-" + u.user_id} position={position} icon={unitIcon(u.color, u.heading, unitOpacity(u.age), u.display_name || u.username)} zIndexOffset={1000}>
+            <Popup>
+              <strong>{u.display_name || u.username}</strong>
+              <div className="muted">{u.squad_name || t("map.noSquad")}</div>
+              {u.x != null && <div className="muted">X {u.x} · Y {u.y}</div>}
+              {u.heading != null && <div>{t("map.heading", { heading: Math.round(u.heading) })}{u.speed != null && ` · ${Math.round(u.speed)} km/h`}</div>}
+              <div>{t("map.seen", { age: formatAge(u.age), date: formatDateTime(u.reported_at) })}</div>
+            </Popup>
+          </Marker>
+        );
+      })}
+
+      {draft && (
+        <Marker
+          position={draft}
+          icon={markerIcon("#ffc107")}
+          eventHandlers={{ add: (e) => e.target.openPopup(), popupclose: () => setDraft(null) }}
+        >
+          <Popup>
+            <MarkerForm
+              initial={{}}
+              onSubmit={async (values, form) => { if (await createMarker({ ...values, ...positionFields(mode, draft) }, form)) setDraft(null); }}
+              onCancel={() => setDraft(null)}
+            />
+          </Popup>
+        </Marker>
+      )}
+    </>
+  );
+
+  return (
+    <section className="panel map-panel">
+      <div className="map-left">
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2>{t("map.title")}</h2>
+          {canEdit && (
+            <button className={"btn" + (placing ? " active" : "")} onClick={() => { setPlacing(p => !p); setDraft(null); setDrawing(null); }}>
+              {placing ? t("map.placing") : t("map.place")}
+            </button>
+          )}
+        </div>
+        {!can("view_map") && <div className="muted">{t("map.viewRequired")}</div>}
+        <div className="map-container">
+          {mode === "ls" ? (
+            // key: CRS can't change on a live map, so remount when switching modes
+            <MapContainer key="ls" crs={L.CRS.Simple} bounds={lsBounds} maxBounds={lsBounds.pad(0.1)} minZoom={0} maxZoom={LS_NATIVE_ZOOM + 1} style={{ height: "100%", width: "100%", background: "#0b1a26" }}>
+              <LsBackground imageAvailable={lsImageAvailable} />
+              <CursorReadout />
+              {layers}
+            </MapContainer>
+          ) : (
+            <MapContainer key="osm" center={[34.0522, -118.2437]} zoom={12} style={{ height: "100%", width: "100%" }}>
+              <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+              {layers}
+            </MapContainer>
+          )}
+        </div>
+      </div>
+
+      <aside className="map-right">
+        <h3>{t("map.background")}</h3>
+        <select value={mode} onChange={e => switchMode(e.target.value)}>
+          <option value="ls">{t("map.modes.ls")}</option>
+          <option value="osm">{t("map.modes.osm")}</option>
+        </select>
+        {mode === "ls" && !LS_MAP.tilesUrl && !lsImageAvailable && (
+          <div className="muted" style={{ marginTop: 8 }}>{t("map.missingImage", { file: "client/public/los_santos.jpg", size: `${LS_MAP.width}×${LS_MAP.height}` })}</div>
+        )}
+        {hidden > 0 && (
+          <div className="muted" style={{ marginTop: 8 }}>
+            {t("map.hiddenMarkers", { count: hidden })}
+          </div>
+        )}
+        <h3 style={{ marginTop: 12 }}>{t("map.units")}</h3>
+        <label><input type="checkbox" checked={showUnits} onChange={e => toggleUnits(e.target.checked)} /> {t("map.showPositions")}</label>
+        {units.length === 0 && <div className="muted">{t("map.noPositions")}</div>}
+        {units.map(u => (
+          <div key={u.user_id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, opacity: unitOpacity(u.age) }}>
+            <span style={{ width: 10, height: 10, borderRadius: "50%", background: u.color, flex: "none" }} />
+            <span style={{ flex: 1 }}>{u.display_name || u.username}</span>
+            <span className="muted">{formatAge(u.age)}</span>
+          </div>
+        ))}
+
+        <h3 style={{ marginTop: 12 }}>{t("zones.title")}</h3>
+        {mode !== "ls" ? (
+          <div className="muted">{t("zones.lsOnly")}</div>
+        ) : (
+          <>
+            {zoneGroups.length === 0 && <div className="muted">{t("zones.none")}</div>}
+            {zoneGroups.map(g => (
+              <label key={g.id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+                <input type="checkbox" checked={!hiddenZones.includes(g.id)} onChange={e => toggleZones(g.id, e.target.checked)} />
+                <span style={{ flex: 1 }}>{g.name}</span>
+                <span className="muted">{t("zones.count", { count: g.count })}</span>
+              </label>
+            ))}
+            {canDrawZones && (
+              <div className="form" style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 8 }}>
+                <select value={zoneOperationId} onChange={e => setZoneOperationId(e.target.value)} disabled={!!drawing || !!zoneDraft}>
+                  <option value="">{t("zones.pickOperation")}</option>
+                  {zoneOperations.map(op => <option key={op.id} value={op.id}>{op.name}</option>)}
+                </select>
+                {!drawing && !zoneDraft && (
+                  <div style={{ display: "flex", gap: 6 }}>
+                    <button className="btn" disabled={!zoneOperationId} onClick={() => startDrawing("polygon")}>{t("zones.drawPolygon")}</button>
+                    <button className="btn" disabled={!zoneOperationId} onClick={() => startDrawing("circle")}>{t("zones.drawCircle")}</button>
+                  </div>
+                )}
+                {drawing && (
+                  <>
+                    <div className="muted">{drawing.shape === "polygon" ? t("zones.polygonHelp") : t("zones.circleHelp")}</div>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      {drawing.shape === "polygon" && (
+                        <>
+                          <button className="btn" disabled={drawing.points.length < 3} onClick={() => finishDrawing({ shape: "polygon", points: drawing.points })}>{t("zones.finish")}</button>
+                          <button className="btn" disabled={!drawing.points.length} onClick={() => setDrawing({ ...drawing, points: drawing.points.slice(0, -1) })}>{t("zones.undoPoint")}</button>
+                        </>
+                      )}
+                      <button className="btn" onClick={() => setDrawing(null)}>{t("common.cancel")}</button>
+                    </div>
+                  </>
+                )}
+                {zoneDraft && <ZoneForm initial={{}} onSubmit={saveZone} onCancel={() => setZoneDraft(null)} />}
+              </div>
+            )}
+          </>
+        )}
+
+        {mode === "osm" && lsImageAvailable && (
+          <>
+            <h3 style={{ marginTop: 12 }}>{t("map.reference")}</h3>
+            <img src={LS_MAP.imageUrl} alt="Los Santos" style={{ width: "100%", borderRadius: 8 }} />
+          </>
+        )}
+      </aside>
+    </section>
+  );
+}
+
+/* MarkerForm: title / description / category / color, used for create and edit */
+function MarkerForm({ initial, onSubmit, onCancel }) {
+  const [title, setTitle] = useState(initial.title || "");
+  const [description, setDescription] = useState(initial.description || "");
+  const [category, setCategory] = useState(initial.category || "info");
+  const [color, setColor] = useState(initial.color || "#0d6efd");
+  const form = useForm(["title", "category", "color", "position"]);
+
+  function submit() {
+    form.submit(
+      () => (!title.trim() ? { title: t("common.titleRequired") } : {}),
+      () => onSubmit({ title, description, category, color }, form),
+    );
+  }
+
+  return (
+    <div className="form" style={{ display: "flex", flexDirection: "column", gap: 6, minWidth: 200 }}>
+      <input placeholder={t("common.title")} value={title} onChange={e => setTitle(e.target.value)} />
+      <FieldError form={form} name="title" />
+      <textarea placeholder={t("common.description")} value={description} onChange={e => setDescription(e.target.value)} />
+      <select value={category} onChange={e => setCategory(e.target.value)}>
+        {MARKER_CATEGORIES.map(c => <option key={c} value={c}>{markerCategoryLabel(c)}</option>)}
+      </select>
+      <input type="color" value={color} onChange={e => setColor(e.target.value)} />
+      <FieldError form={form} name="color" />
+      <FieldError form={form} name="position" />
+      <div style={{ display: "flex", gap: 6 }}>
+        <SubmitButton form={form} onClick={submit}>{t("common.save")}</SubmitButton>
+        <button className="btn" onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Operation zones: perimeters, cordons, staging areas, sniper arcs ---------- */
+// stored in in-game X/Y (see server/src/zones.js), so they are drawn on the Los Santos map only
+const ZONE_KINDS = ["perimeter", "inner_cordon", "outer_cordon", "staging", "sniper_arc", "other"];
+const ZONE_COLORS = {
+  perimeter: "#dc3545",
+  inner_cordon: "#fd7e14",
+  outer_cordon: "#ffc107",
+  staging: "#198754",
+  sniper_arc: "#6f42c1",
+  other: "#0d6efd",
+};
+const ZONE_DRAFT_COLOR = "#ffffff";
+
+function zoneKindLabel(kind) {
+  return ZONE_KINDS.includes(kind) ? t("zones.kinds." + kind) : kind;
+}
+
+// completed and aborted operations leave the map, like in GET /map/zones
+function isUnderWay(status) {
+  return STATUS_TRANSITIONS[status]?.length > 0;
+}
+
+function isActiveZone(zone) {
+  return isUnderWay(zone.operation_status);
+}
+
+// map zones after a live operation event: renamed with it, dropped when it is deleted or over
+function followOperation(zones, { action, id, data }) {
+  if (!zones.some(z => z.operation_id === id)) return zones;
+  if (action === "deleted") return zones.filter(z => z.operation_id !== id);
+  if (!data) return zones;
+  return zones
+    .map(z => (z.operation_id === id ? { ...z, operation_name: data.name, operation_status: data.status } : z))
+    .filter(isActiveZone);
+}
+
+// Leaflet bounds around some zones (a little margin), null without zones
+function zonesBounds(zones) {
+  const corners = zones.flatMap(z => (z.shape === "circle"
+    ? [{ x: z.center.x - z.radius, y: z.center.y - z.radius }, { x: z.center.x + z.radius, y: z.center.y + z.radius }]
+    : z.points));
+  return corners.length ? L.latLngBounds(corners.map(gameToLatLng)).pad(0.2) : null;
+}
+
+/* A zone with its label always shown; children (a Popup) are bound to it */
+function ZoneShape({ zone, children }) {
+  const pathOptions = { color: zone.color, weight: 2, fillOpacity: 0.15 };
+  const label = <Tooltip permanent direction="center">{zone.label}</Tooltip>;
+  return zone.shape === "circle" ? (
+    <Circle center={gameToLatLng(zone.center)} radius={gameDistanceToMap(zone.radius)} pathOptions={pathOptions}>{label}{children}</Circle>
+  ) : (
+    <Polygon positions={zone.points.map(gameToLatLng)} pathOptions={pathOptions}>{label}{children}</Polygon>
+  );
+}
+
+/* ZoneForm: label / kind / color of a drawn zone (the geometry comes from the map) */
+function ZoneForm({ initial, onSubmit, onCancel }) {
+  const [label, setLabel] = useState(initial.label || "");
+  const [kind, setKind] = useState(initial.kind || "perimeter");
+  const [color, setColor] = useState(initial.color || ZONE_COLORS.perimeter);
+  const form = useForm(["label", "kind", "color"]);
+
+  // the color follows the kind until one is picked by hand
+  function changeKind(next) {
+    if (color === ZONE_COLORS[kind]) setColor(ZONE_COLORS[next]);
+    setKind(next);
+  }
+
+  function submit() {
+    form.submit(
+      () => (!label.trim() ? { label: t("zones.labelRequired") } : {}),
+      () => onSubmit({ label, kind, color }, form),
+    );
+  }
+
+  return (
+    <div className="form" style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+      <input placeholder={t("zones.label")} value={label} onChange={e => setLabel(e.target.value)} />
+      <FieldError form={form} name="label" />
+      <select value={kind} onChange={e => changeKind(e.target.value)}>
+        {ZONE_KINDS.map(k => <option key={k} value={k}>{zoneKindLabel(k)}</option>)}
+      </select>
+      <input type="color" value={color} onChange={e => setColor(e.target.value)} />
+      <FieldError form={form} name="color" />
+      <div style={{ display: "flex", gap: 6 }}>
+        <SubmitButton form={form} onClick={submit}>{t("common.save")}</SubmitButton>
+        <button className="btn" onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+}
+
+/* Small Los Santos map framed on some zones */
+function ZoneMap({ zones }) {
+  const imageAvailable = useLsImageAvailable();
+  const lsBounds = imageBounds();
+  return (
+    <div style={{ height: 280, marginTop: 8, borderRadius: 8, overflow: "hidden" }}>
+      <MapContainer crs={L.CRS.Simple} bounds={zonesBounds(zones) || lsBounds} maxBounds={lsBounds.pad(0.1)} minZoom={0} maxZoom={LS_NATIVE_ZOOM + 1} style={{ height: "100%", width: "100%", background: "#0b1a26" }}>
+        <LsBackground imageAvailable={imageAvailable} />
+        {zones.map(z => <ZoneShape key={z.id} zone={z} />)}
+      </MapContainer>
+    </div>
+  );
+}
+
+/* Zones of an operation: drawn from the map tab, relabelled or deleted here */
+function OperationZones({ operationId, zones, canEdit, updateZone, deleteZone, onChanged }) {
+  const [editingId, setEditingId] = useState(null);
+
+  async function save(zone, values, form) {
+    // the geometry is kept: PUT takes the whole zone
+    const { shape, points, center, radius } = zone;
+    if (!(await updateZone(operationId, zone.id, { ...values, shape, points, center, radius }, form))) return;
+    setEditingId(null);
+    onChanged();
+  }
+
+  async function remove(zone) {
+    if (!confirm(t("zones.confirmDelete", { label: zone.label }))) return;
+    if (await deleteZone(operationId, zone.id)) onChanged();
+  }
+
+  return (
+    <div className="card">
+      <strong>{t("zones.title")}</strong>
+      {zones.length === 0 ? (
+        <div className="muted">{t("zones.drawFromMap")}</div>
+      ) : (
+        <>
+          <ZoneMap zones={zones} />
+          {zones.map(z => (
+            <div key={z.id} style={{ marginTop: 6 }}>
+              {editingId === z.id ? (
+                <ZoneForm initial={z} onSubmit={(values, form) => save(z, values, form)} onCancel={() => setEditingId(null)} />
+              ) : (
+                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <span style={{ width: 10, height: 10, borderRadius: 2, background: z.color, flex: "none" }} />
+                  <span style={{ flex: 1 }}>
+                    {z.label} <span className="muted">· {zoneKindLabel(z.kind)} · {z.shape === "circle" ? t("zones.circle", { radius: z.radius }) : t("zones.polygon", { count: z.points.length })}</span>
+                  </span>
+                  {canEdit && <button className="btn" onClick={() => setEditingId(z.id)}>{t("common.edit")}</button>}
+                  {canEdit && <button className="btn" onClick={() => remove(z)}>{t("common.delete")}</button>}
+                </div>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+/* ---------- RevisionHistory: versions of a record, with restore ---------- */
+const REVISION_ACTIONS = ["create", "update", "delete", "restore"];
+
+// short values are shown inline; images and long texts are only named
+function revisionValue(v) {
+  if (v == null || v === "") return "—";
+  const text = typeof v === "string" ? v : JSON.stringify(v);
+  return text.length > 80 ? t("revisions.longValue", { count: text.length }) : text;
+}
+
+function RevisionHistory({ path, canRestore, onRestored }) {
+  const [revisions, setRevisions] = useState(null);
+
+  useEffect(() => { load(); }, [path]);
+
+  async function load() {
+    try {
+      const res = await axios.get(API + path + "/revisions", { headers: getTokenHeader() });
+      setRevisions(res.data);
+    } catch (e) {
+      reportError(e, "revisions.errors.load");
+    }
+  }
+
+  async function restore(rev) {
+    if (!confirm(t("revisions.confirmRestore", { version: rev.version }))) return;
+    try {
+      await axios.post(API + path + "/revisions/" + rev.id + "/restore", {}, { headers: getTokenHeader() });
+      await load();
+      onRestored?.();
+    } catch (e) {
+      reportError(e, "revisions.errors.restore");
+    }
+  }
+
+  if (!revisions) return <div className="muted">{t("revisions.loading")}</div>;
+  if (revisions.length === 0) return <div className="muted">{t("revisions.empty")}</div>;
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      {revisions.map((rev, i) => {
+        const previous = revisions[i + 1]?.snapshot; // list is newest first
+        const changed = previous
+          ? Object.keys(rev.snapshot).filter(k => JSON.stringify(rev.snapshot[k]) !== JSON.stringify(previous[k]))
+          : [];
+        return (
+          <div key={rev.id} className="card" style={{ padding: "6px 10px" }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <small>
+                <strong>v{rev.version}</strong> · {REVISION_ACTIONS.includes(rev.action) ? t("revisions.actions." + rev.action) : rev.action} · {rev.author_name || rev.author_username || "?"} · {formatDateTime(rev.created_at)}
+              </small>
+              {canRestore && i > 0 && rev.action !== "delete" && <button className="btn" onClick={() => restore(rev)}>{t("revisions.restore")}</button>}
+            </div>
+            {changed.map(k => (
+              <div key={k} className="muted" style={{ fontSize: 12 }}>
+                {k} : {revisionValue(previous[k])} → {revisionValue(rev.snapshot[k])}
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ---------- Attachments: images (with thumbnails) and PDFs ---------- */
+const ATTACHMENT_ACCEPT = "image/png,image/jpeg,image/gif,image/webp,application/pdf";
+
+function formatSize(bytes) {
+  if (bytes < 1024) return t("attachments.size.bytes", { n: bytes });
+  if (bytes < 1024 * 1024) return t("attachments.size.kilobytes", { n: Math.round(bytes / 1024) });
+  return t("attachments.size.megabytes", { n: (bytes / 1024 / 1024).toLocaleString(getLocale(), { maximumFractionDigits: 1 }) });
+}
+
+function AttachmentTile({ attachment: a, children }) {
+  return (
+    <div style={{ width: 120, textAlign: "center" }}>
+      <a href={fileUrl(a.url)} target="_blank" rel="noreferrer" title={a.name}>
+        {a.thumbnail_url
+          ? <img src={fileUrl(a.thumbnail_url)} alt={a.name} loading="lazy" style={{ width: 120, borderRadius: 6 }} />
+          : <div className="card" style={{ margin: 0, padding: "24px 4px" }}>PDF</div>}
+      </a>
+      <div className="muted" style={{ fontSize: 11, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+        {a.name} · {formatSize(a.size)}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function AttachmentList({ attachments }) {
+  if (!attachments?.length) return null;
+  return (
+    <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 6 }}>
+      {attachments.map(a => <AttachmentTile key={a.id} attachment={a} />)}
+    </div>
+  );
+}
+
+// local preview of a file that is not uploaded yet
+function PendingFile({ file, onRemove }) {
+  const [src, setSrc] = useState(null);
+  useEffect(() => {
+    if (!file.type.startsWith("image/")) return;
+    const url = URL.createObjectURL(file);
+    setSrc(url);
+    return () => URL.revokeObjectURL(url);
+  }, [file]);
+  return (
+    <div style={{ width: 120, textAlign: "center" }}>
+      {src ? <img src={src} alt={file.name} style={{ width: 120, borderRadius: 6 }} /> : <div className="card" style={{ margin: 0, padding: "24px 4px" }}>PDF</div>}
+      <div className="muted" style={{ fontSize: 11, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{file.name}</div>
+      <button className="btn" onClick={onRemove}>{t("common.remove")}</button>
+    </div>
+  );
+}
+
+/**
+ * Attachment picker for forms: existing attachments can be marked for removal, new files are
+ * kept as File objects. value = { files, removeIds }, sent through syncAttachments on save.
+ */
+function AttachmentsField({ existing = [], value, onChange }) {
+  function addFiles(e) {
+    onChange({ ...value, files: [...value.files, ...e.target.files] });
+    e.target.value = "";
+  }
+  function toggleRemoved(id) {
+    const removeIds = value.removeIds.includes(id) ? value.removeIds.filter(x => x !== id) : [...value.removeIds, id];
+    onChange({ ...value, removeIds });
+  }
+
+  return (
+    <div>
+      <label>{t("attachments.label")} <input type="file" accept={ATTACHMENT_ACCEPT} multiple onChange={addFiles} /></label>
+      {(existing.length > 0 || value.files.length > 0) && (
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 6 }}>
+          {existing.map(a => (
+            <div key={a.id} style={{ opacity: value.removeIds.includes(a.id) ? 0.4 : 1 }}>
+              <AttachmentTile attachment={a}>
+                <button className="btn" onClick={() => toggleRemoved(a.id)}>{value.removeIds.includes(a.id) ? t("attachments.keep") : t("common.remove")}</button>
+              </AttachmentTile>
+            </div>
+          ))}
+          {value.files.map((f, i) => (
+            <PendingFile key={i + f.name} file={f} onRemove={() => onChange({ ...value, files: value.files.filter((_, k) => k !== i) })} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const NO_ATTACHMENT_CHANGES = { files: [], removeIds: [] };
+
+/* ---------- Global search focus ----------
+ * Views receive the record picked in the header search and bring it forward: list views
+ * highlight and scroll to it, the others open it. onFocus runs first (e.g. to clear a filter
+ * hiding the record).
+ */
+const FOCUSED_CARD = { outline: "2px solid #0dcaf0" };
+
+function useFocusedRecord(focus, type, onFocus) {
+  const [focusedId, setFocusedId] = useState(null);
+  useEffect(() => {
+    if (focus?.type !== type) return;
+    onFocus?.(focus.id);
+    setFocusedId(focus.id);
+    // after the render that shows the record
+    const timer = setTimeout(() => document.getElementById(type + "-" + focus.id)?.scrollIntoView({ behavior: "smooth", block: "center" }), 50);
+    return () => clearTimeout(timer);
+  }, [focus]);
+  return focusedId;
+}
+
+/* ---------- Paged lists ----------
+ * List routes answer { items, nextBefore }, newest first (pass nextBefore as `before` for the
+ * next page). usePagedList keeps the pages loaded so far; changing `params` (the filters, sent
+ * as query string) reloads from the first page after a short pause, so typing in a filter
+ * sends one request rather than one per key.
+ */
+const PAGE_SIZE = 20;
+
+function usePagedList(path, params = {}) {
+  const [items, setItems] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const stateRef = useRef({ request: 0, nextBefore: null, loading: true, first: true });
+  const key = JSON.stringify(params);
+
+  useEffect(() => {
+    const timer = setTimeout(() => load(null), stateRef.current.first ? 0 : 250);
+    stateRef.current.first = false;
+    return () => clearTimeout(timer);
+  }, [path, key]);
+
+  // answers to an older request (previous filters) are dropped
+  async function load(before) {
+    const state = stateRef.current;
+    const request = ++state.request;
+    state.loading = true;
+    setLoading(true);
+    try {
+      const query = Object.fromEntries(Object.entries(params).filter(([, v]) => v !== "" && v != null));
+      const res = await axios.get(API + path, { headers: getTokenHeader(), params: { ...query, limit: PAGE_SIZE, before: before || undefined } });
+      if (request !== state.request) return;
+      // pages follow an id cursor (before), so new records do not shift them; the filter only keeps
+      // a record already in the list (added by a live event) from showing twice
+      setItems(list => before ? [...list, ...res.data.items.filter(x => !list.some(y => y.id === x.id))] : res.data.items);
+      state.nextBefore = res.data.nextBefore;
+      setNextBefore(res.data.nextBefore);
+    } catch (e) {
+      if (request === state.request) reportError(e, "common.errors.loadList");
+    } finally {
+      if (request === state.request) {
+        state.loading = false;
+        setLoading(false);
+      }
+    }
+  }
+
+  return {
+    items,
+    setItems,
+    loading,
+    hasMore: nextBefore != null,
+    loadMore() {
+      if (stateRef.current.nextBefore != null && !stateRef.current.loading) load(stateRef.current.nextBefore);
+    },
+    reload: () => load(null),
+  };
+}
+
+/**
+ * Applies a live change to a paged list. Records created by others are only inserted when no
+ * filter is active (the server decides what matches); `resync` reloads the first page.
+ */
+function useLiveList(list, entity, lastChange, filtered) {
+  useEffect(() => {
+    if (lastChange?.action === "resync") return void list.reload();
+    if (lastChange?.entity !== entity || lastChange.action === "journal") return;
+    if (lastChange.action === "created" && filtered) return;
+    list.setItems(items => applyChange(items, lastChange, true));
+  }, [lastChange]);
+}
+
+/** End of a paged list: loads the next page when it scrolls into view, with a button as fallback. */
+function LoadMore({ list }) {
+  const ref = useRef(null);
+  useEffect(() => {
+    if (!list.hasMore || !ref.current || !("IntersectionObserver" in window)) return;
+    const observer = new IntersectionObserver(entries => { if (entries[0].isIntersecting) list.loadMore(); }, { rootMargin: "200px" });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [list.hasMore, list.items.length]);
+
+  return (
+    <div ref={ref} style={{ textAlign: "center", margin: "8px 0" }}>
+      {list.loading
+        ? <span className="muted">{t("common.loading")}</span>
+        : list.hasMore && <button className="btn" onClick={list.loadMore}>{t("common.loadMore")}</button>}
+    </div>
+  );
+}
+
+function attachmentCountLabel(count) {
+  return t("attachments.count", { count });
+}
+
+/* ---------- Tactics library (list + create / edit / delete) ----------
+ * The list holds summaries (excerpt, tags, step and attachment counts): the full description,
+ * the steps with their images and the links are fetched when a tactic is opened or edited.
+ */
+// mirror TACTIC_CATEGORIES on the server
+const TACTIC_CATEGORIES = ["cqb", "hostage_rescue", "vehicle_assault", "barricaded_suspect", "high_risk_warrant", "sniper_overwatch", "crowd_control", "other"];
+
+const TACTIC_DIFFICULTIES = [1, 2, 3, 4, 5];
+// per tactic, as on the server
+const MAX_TAGS = 20;
+
+function tacticCategoryLabel(category) {
+  return TACTIC_CATEGORIES.includes(category) ? t("tactics.categories." + category) : category;
+}
+
+function difficultyLabel(difficulty) {
+  return TACTIC_DIFFICULTIES.includes(difficulty) ? t("tactics.difficulties." + difficulty) : "—";
+}
+
+function DifficultyMeter({ value }) {
+  if (!value) return null;
+  return <span title={t("tactics.difficultyTitle", { label: difficultyLabel(value) })} style={{ color: "#ffc107", letterSpacing: 1 }}>{"★".repeat(value) + "☆".repeat(5 - value)}</span>;
+}
+
+function TacticBadges({ tactic, onTag }) {
+  return (
+    <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", fontSize: 13 }}>
+      <span style={{ background: "#0d3b66", borderRadius: 4, padding: "1px 6px" }}>{tacticCategoryLabel(tactic.category)}</span>
+      <DifficultyMeter value={tactic.difficulty} />
+      {tactic.tags.map(tag => (
+        <span key={tag} className="muted" onClick={onTag && (() => onTag(tag))} style={{ cursor: onTag ? "pointer" : undefined }}>#{tag}</span>
+      ))}
+    </div>
+  );
+}
+
+/** "Plans : A, B" with each title opening its record. */
+function LinkedRecords({ label, records, onOpen }) {
+  if (!records?.length) return null;
+  return (
+    <div>
+      <strong>{label}:</strong>{" "}
+      {records.map((r, i) => (
+        <React.Fragment key={r.id}>
+          {i > 0 && ", "}
+          <a href="#" onClick={e => { e.preventDefault(); onOpen(r.id); }}>{r.title}</a>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+function TacticDetails({ tactic, onOpen }) {
+  return (
+    <div style={{ marginTop: 6 }}>
+      {tactic.content && <p style={{ whiteSpace: "pre-wrap" }}>{tactic.content}</p>}
+      {tactic.steps.length > 0 && (
+        <ol style={{ paddingLeft: 20 }}>
+          {tactic.steps.map((s, i) => (
+            <li key={i} style={{ marginBottom: 10 }}>
+              {s.title && <strong>{s.title}</strong>}
+              {s.text && <div style={{ whiteSpace: "pre-wrap" }}>{s.text}</div>}
+              {s.image && (
+                <a href={fileUrl(s.image.url)} target="_blank" rel="noreferrer">
+                  <img src={fileUrl(s.image.thumbnail_url)} alt={s.title || t("tactics.stepNumber", { n: i + 1 })} loading="lazy" style={{ display: "block", maxWidth: 240, borderRadius: 6, marginTop: 4 }} />
+                </a>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      <LinkedRecords label={t("tactics.linkedPlans")} records={tactic.plans} onOpen={id => onOpen("plan", id)} />
+      <LinkedRecords
+        label={t("tactics.linkedOperations")}
+        records={tactic.operations.map(o => ({ id: o.id, title: `${o.name} (${statusLabel(o.status)})` }))}
+        onOpen={id => onOpen("operation", id)}
+      />
+      <AttachmentList attachments={tactic.attachments} />
+    </div>
+  );
+}
+
+const NO_TACTIC_FILTERS = { text: "", category: "", difficulty: "", tag: "" };
+
+function TacticsView({ createTactic, updateTactic, deleteTactic, onOpen, focus }) {
+  const can = useCan();
+  const canCreate = can("manage_tactics");
+  const [showCreate, setShowCreate] = useState(false);
+  const [editing, setEditing] = useState(null); // full record
+  const [historyId, setHistoryId] = useState(null);
+  const [details, setDetails] = useState({}); // full records of the opened tactics, by id
+  const [filters, setFilters] = useState(NO_TACTIC_FILTERS);
+  const [tags, setTags] = useState([]); // [{ tag, count }], for the tag filter
+  const filtered = Object.values(filters).some(v => v.trim());
+  const list = usePagedList("/tactics", { q: filters.text.trim(), category: filters.category, difficulty: filters.difficulty, tag: filters.tag });
+  const focusedId = useFocusedRecord(focus, "tactic", (id) => { setFilters(NO_TACTIC_FILTERS); openDetails(id); });
+
+  useEffect(() => { loadTags(); }, []);
+
+  // a searched tactic may not be on the loaded pages: it is shown first
+  const pinned = focusedId && details[focusedId] && !list.items.some(x => x.id === focusedId) ? details[focusedId] : null;
+  const shown = pinned ? [pinned, ...list.items] : list.items;
+
+  async function loadTags() {
+    try {
+      const res = await axios.get(API + "/tactics/tags", { headers: getTokenHeader() });
+      setTags(res.data);
+    } catch (e) {}
+  }
+
+  function setFilter(key, value) {
+    setFilters(f => ({ ...f, [key]: value }));
+  }
+
+  async function fetchTactic(id) {
+    try {
+      const res = await axios.get(API + "/tactics/" + id, { headers: getTokenHeader() });
+      setDetails(d => ({ ...d, [id]: res.data }));
+      return res.data;
+    } catch (e) {
+      reportError(e, "tactics.errors.load");
+      return null;
+    }
+  }
+
+  function openDetails(id) {
+    if (!details[id]) fetchTactic(id);
+  }
+
+  function closeDetails(id) {
+    setDetails(({ [id]: _, ...rest }) => rest);
+  }
+
+  async function edit(id) {
+    const tactic = await fetchTactic(id);
+    if (tactic) setEditing(tactic);
+  }
+
+  async function create(values, attachments, form) {
+    const ok = await createTactic(values, attachments, form);
+    if (ok) {
+      list.reload();
+      loadTags();
+    }
+    return ok;
+  }
+
+  async function save(values, attachments, form) {
+    const ok = await updateTactic(editing.id, values, attachments, form);
+    if (!ok) return false;
+    if (details[editing.id]) fetchTactic(editing.id);
+    setEditing(null);
+    list.reload();
+    loadTags();
+    return true;
+  }
+
+  async function remove(tactic) {
+    if (!confirm(t("tactics.confirmDelete", { title: tactic.title }))) return;
+    if (!(await deleteTactic(tactic.id))) return;
+    list.setItems(items => items.filter(x => x.id !== tactic.id));
+    closeDetails(tactic.id);
+    loadTags();
+  }
+
+  return (
+    <section className="panel">
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h2>{t("tactics.title")}</h2>
+        {canCreate ? <button className="btn" onClick={() => setShowCreate(s => !s)}>{t("tactics.add")}</button> : <div className="muted">{t("common.createRightsRequired")}</div>}
+      </div>
+
+      {showCreate && <TacticForm onSubmit={create} />}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginTop: 12 }}>
+        <input placeholder={t("tactics.searchPlaceholder")} value={filters.text} onChange={e => setFilter("text", e.target.value)} style={{ flex: 1 }} />
+        <select value={filters.category} onChange={e => setFilter("category", e.target.value)}>
+          <option value="">{t("tactics.allCategories")}</option>
+          {TACTIC_CATEGORIES.map(c => <option key={c} value={c}>{tacticCategoryLabel(c)}</option>)}
+        </select>
+        <select value={filters.difficulty} onChange={e => setFilter("difficulty", e.target.value)}>
+          <option value="">{t("tactics.allDifficulties")}</option>
+          {TACTIC_DIFFICULTIES.map(d => <option key={d} value={d}>{d} — {difficultyLabel(d)}</option>)}
+        </select>
+        <select value={filters.tag} onChange={e => setFilter("tag", e.target.value)}>
+          <option value="">{t("tactics.allTags")}</option>
+          {tags.map(x => <option key={x.tag} value={x.tag}>#{x.tag} ({x.count})</option>)}
+        </select>
+        <button className="btn" onClick={() => setFilters(NO_TACTIC_FILTERS)}>{t("common.reset")}</button>
+      </div>
+
+      <div style={{ marginTop: 12 }}>
+        {!list.loading && shown.length === 0 && <div className="muted">{filtered ? t("tactics.noMatch") : t("tactics.empty")}</div>}
+        {shown.map(tactic => editing?.id === tactic.id ? (
+          <TacticForm
+            key={tactic.id}
+            initial={editing}
+            onSubmit={save}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <div key={tactic.id} id={"tactic-" + tactic.id} className="card" style={focusedId === tactic.id ? FOCUSED_CARD : undefined}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <h3>{tactic.title}</h3>
+              <div style={{ display: "flex", gap: 6 }}>
+                {details[tactic.id]
+                  ? <button className="btn" onClick={() => closeDetails(tactic.id)}>{t("common.collapse")}</button>
+                  : <button className="btn" onClick={() => openDetails(tactic.id)}>{t("common.details")}</button>}
+                {canCreate && <button className="btn" onClick={() => edit(tactic.id)}>{t("common.edit")}</button>}
+                {canCreate && <button className="btn" onClick={() => remove(tactic)}>{t("common.delete")}</button>}
+                <button className="btn" onClick={() => setHistoryId(id => id === tactic.id ? null : tactic.id)}>{t("common.history")}</button>
+              </div>
+            </div>
+            <TacticBadges tactic={tactic} onTag={tag => setFilter("tag", tag)} />
+            {details[tactic.id] ? (
+              <TacticDetails tactic={details[tactic.id]} onOpen={onOpen} />
+            ) : (
+              <>
+                {tactic.excerpt && <p>{tactic.excerpt}{tactic.truncated && "…"}</p>}
+                {(tactic.step_count > 0 || tactic.attachment_count > 0) && (
+                  <div className="muted">
+                    {[tactic.step_count > 0 && t("tactics.stepCount", { count: tactic.step_count }), tactic.attachment_count > 0 && attachmentCountLabel(tactic.attachment_count)].filter(Boolean).join(" · ")}
+                  </div>
+                )}
+              </>
+            )}
+            {historyId === tactic.id && (
+              <RevisionHistory
+                path={"/tactics/" + tactic.id}
+                canRestore={canCreate}
+                onRestored={() => { list.reload(); if (details[tactic.id]) fetchTactic(tactic.id); }}
+              />
+            )}
+          </div>
+        ))}
+        <LoadMore list={list} />
       </div>
     </section>
   );
 }
 
-/* ---------- Tactic form (image upload + desc) ---------- */
-function TacticForm({ onCreate }) {
-  const [title, setTitle] = useState("");
-  const [desc, setDesc] = useState("");
-  const [image, setImage] = useState(null);
+/* ---------- Tactic form, create or edit ----------
+ * Steps keep their existing image (imageId) or a newly picked file, uploaded on save
+ * (see tacticFormData).
+ */
+function newStep() {
+  return { key: uid("step"), title: "", text: "", image: null, imageId: null, file: null };
+}
 
-  function handleFile(e) {
-    const f = e.target.files?.[0];
-    if (!f) return;
-    const reader = new FileReader();
-    reader.onload = () => setImage(reader.result);
-    reader.readAsDataURL(f);
+function StepsEditor({ steps, onChange }) {
+  function update(i, changes) {
+    onChange(steps.map((s, k) => (k === i ? { ...s, ...changes } : s)));
+  }
+  function move(i, delta) {
+    const next = [...steps];
+    const [step] = next.splice(i, 1);
+    next.splice(i + delta, 0, step);
+    onChange(next);
+  }
+  function pickImage(i, e) {
+    if (e.target.files[0]) update(i, { file: e.target.files[0], image: null, imageId: null });
+    e.target.value = "";
+  }
+
+  return (
+    <div>
+      <strong>{t("tactics.procedure")}</strong>
+      {steps.map((s, i) => (
+        <div key={s.key} className="card" style={{ padding: 8 }}>
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <span>{i + 1}.</span>
+            <input placeholder={t("tactics.stepTitle")} value={s.title} onChange={e => update(i, { title: e.target.value })} style={{ flex: 1 }} />
+            <button className="btn" disabled={i === 0} onClick={() => move(i, -1)}>↑</button>
+            <button className="btn" disabled={i === steps.length - 1} onClick={() => move(i, 1)}>↓</button>
+            <button className="btn" onClick={() => onChange(steps.filter((_, k) => k !== i))}>{t("common.remove")}</button>
+          </div>
+          <textarea placeholder={t("tactics.stepText")} value={s.text} onChange={e => update(i, { text: e.target.value })} style={{ width: "100%" }} />
+          {s.file && <PendingFile file={s.file} onRemove={() => update(i, { file: null })} />}
+          {s.image && (
+            <AttachmentTile attachment={s.image}>
+              <button className="btn" onClick={() => update(i, { image: null, imageId: null })}>{t("common.remove")}</button>
+            </AttachmentTile>
+          )}
+          {!s.file && !s.image && <label>{t("tactics.stepImage")} <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={e => pickImage(i, e)} /></label>}
+        </div>
+      ))}
+      <button className="btn" onClick={() => onChange([...steps, newStep()])}>{t("tactics.addStep")}</button>
+    </div>
+  );
+}
+
+function TacticForm({ initial, onSubmit, onCancel }) {
+  const can = useCan();
+  const [title, setTitle] = useState(initial?.title || "");
+  const [desc, setDesc] = useState(initial?.content || "");
+  const [category, setCategory] = useState(initial?.category || "other");
+  const [difficulty, setDifficulty] = useState(initial?.difficulty ?? "");
+  const [tags, setTags] = useState((initial?.tags || []).join(", "));
+  const [steps, setSteps] = useState(() => (initial?.steps || []).map(s => ({ ...newStep(), title: s.title || "", text: s.text || "", image: s.image, imageId: s.image_id })));
+  const [plans, setPlans] = useState(initial?.plans || []);
+  const [operations, setOperations] = useState(() => (initial?.operations || []).map(o => ({ id: o.id, title: o.name })));
+  const [attachments, setAttachments] = useState(NO_ATTACHMENT_CHANGES);
+  const form = useForm(["title", "category", "difficulty", "tags", "steps", "planIds", "operationIds"]);
+
+  // mirrors readTacticBody on the server
+  function check(tagList) {
+    const errors = {};
+    if (!title.trim()) errors.title = t("common.titleRequired");
+    if (tagList.length > MAX_TAGS) errors.tags = t("tactics.tooManyTags", { count: MAX_TAGS });
+    else if (tagList.some(tag => tag.length > 30)) errors.tags = t("tactics.tagTooLong");
+    const empty = steps.findIndex(s => !s.title.trim() && !s.text.trim());
+    if (empty >= 0) errors.steps = t("tactics.stepRequired", { n: empty + 1 });
+    return errors;
+  }
+
+  async function submit() {
+    const tagList = tags.split(",").map(tag => tag.trim()).filter(Boolean);
+    const ok = await form.submit(() => check(tagList), () => onSubmit({
+      title,
+      description: desc,
+      category,
+      difficulty: difficulty || null,
+      tags: tagList,
+      steps,
+      planIds: plans.map(p => p.id),
+      // linking operations changes them: only sent with the right to manage them
+      operationIds: can("manage_operations") ? operations.map(o => o.id) : undefined,
+    }, attachments, form));
+    if (ok && !initial) {
+      setTitle(""); setDesc(""); setCategory("other"); setDifficulty(""); setTags("");
+      setSteps([]); setPlans([]); setOperations([]); setAttachments(NO_ATTACHMENT_CHANGES);
+    }
+  }
+
+  return (
+    <div className="card form">
+      <input placeholder={t("common.title")} value={title} onChange={e => setTitle(e.target.value)} />
+      <FieldError form={form} name="title" />
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+        <select value={category} onChange={e => setCategory(e.target.value)}>
+          {TACTIC_CATEGORIES.map(c => <option key={c} value={c}>{tacticCategoryLabel(c)}</option>)}
+        </select>
+        <select value={difficulty} onChange={e => setDifficulty(e.target.value)}>
+          <option value="">{t("tactics.difficulty")}</option>
+          {TACTIC_DIFFICULTIES.map(d => <option key={d} value={d}>{d} — {difficultyLabel(d)}</option>)}
+        </select>
+        <input placeholder={t("tactics.tagsPlaceholder")} value={tags} onChange={e => setTags(e.target.value)} style={{ flex: 1 }} />
+      </div>
+      <FieldError form={form} name="category" />
+      <FieldError form={form} name="difficulty" />
+      <FieldError form={form} name="tags" />
+      <textarea placeholder={t("common.description")} value={desc} onChange={e => setDesc(e.target.value)} />
+      <StepsEditor steps={steps} onChange={setSteps} />
+      <FieldError form={form} name="steps" />
+      <RecordPicker label={t("tactics.plansPicker")} path="/tactical-plans" value={plans} onChange={setPlans} />
+      <FieldError form={form} name="planIds" />
+      {can("manage_operations") && <RecordPicker label={t("tactics.operationsPicker")} path="/operations" value={operations} onChange={setOperations} />}
+      <FieldError form={form} name="operationIds" />
+      <AttachmentsField existing={initial?.attachments} value={attachments} onChange={setAttachments} />
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <SubmitButton form={form} onClick={submit}>{t("common.save")}</SubmitButton>
+        {onCancel && <button className="btn" onClick={onCancel}>{t("common.cancel")}</button>}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Members view ---------- */
+// mirror MEMBER_RANKS / MEMBER_STATUSES on the server
+const MEMBER_RANKS = ["officer", "senior_officer", "corporal", "sergeant", "lieutenant", "captain", "commander"];
+
+const MEMBER_STATUSES = [
+  { value: "active", color: "#198754" },
+  { value: "suspended", color: "#dc3545" },
+  { value: "retired", color: "#6c757d" },
+];
+
+const MEMBER_ROLES = ["user", "admin"];
+
+function rankLabel(rank) {
+  return MEMBER_RANKS.includes(rank) ? t("members.ranks." + rank) : "—";
+}
+
+function memberStatusLabel(status) {
+  return t("members.statuses." + status);
+}
+
+function memberRoleLabel(role) {
+  return MEMBER_ROLES.includes(role) ? t("members.roles." + role) : role;
+}
+
+// sortable columns: [key, value used to sort]; headers are members.columns.<key>
+const MEMBER_COLUMNS = [
+  ["callsign", m => m.callsign || ""],
+  ["badge_number", m => m.badge_number || ""],
+  ["name", m => m.display_name || m.username],
+  ["rank", m => MEMBER_RANKS.indexOf(m.rank)],
+  ["certifications", m => m.certifications.length],
+  ["status", m => MEMBER_STATUSES.findIndex(st => st.value === m.status)],
+  ["role", m => memberRoleLabel(m.role)],
+];
+
+function MembersView({ members, fetchMembers, createMember, updateMember, resetMemberPassword, focus }) {
+  const can = useCan();
+  const currentUser = useCurrentUser();
+  const canManage = can("manage_members");
+  const canManagePermissions = can("manage_permissions");
+  const [showCreate, setShowCreate] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [search, setSearch] = useState("");
+  const [statusFilter, setStatusFilter] = useState("");
+  const [sort, setSort] = useState({ key: "name", dir: 1 });
+  const focusedId = useFocusedRecord(focus, "member", () => { setSearch(""); setStatusFilter(""); });
+
+  useEffect(() => { fetchMembers(); }, []);
+
+  const query = search.trim().toLowerCase();
+  const sortValue = MEMBER_COLUMNS.find(c => c[0] === sort.key)[1];
+  const rows = members
+    .filter(m => !statusFilter || m.status === statusFilter)
+    .filter(m => !query || [m.username, m.display_name, m.callsign, m.badge_number, rankLabel(m.rank), ...(m.certifications || [])]
+      .some(v => v && String(v).toLowerCase().includes(query)))
+    .sort((a, b) => {
+      const va = sortValue(a), vb = sortValue(b);
+      return (typeof va === "number" ? va - vb : String(va).localeCompare(String(vb), getLocale())) * sort.dir;
+    });
+
+  function toggleSort(key) {
+    setSort(s => (s.key === key ? { key, dir: -s.dir } : { key, dir: 1 }));
+  }
+
+  // only admins may touch admin accounts (enforced by the server)
+  function canEdit(m) {
+    return canManage && (m.role !== "admin" || currentUser?.role === "admin");
+  }
+
+  function resetPassword(m) {
+    const password = prompt(t("members.promptPassword", { username: m.username }));
+    if (password) resetMemberPassword(m.id, password);
+  }
+
+  async function toggleActive(m) {
+    const status = m.status === "active" ? "suspended" : "active";
+    if (status === "suspended" && !confirm(t("members.confirmSuspend", { username: m.username }))) return;
+    await updateMember(m.id, { status });
+  }
+
+  return (
+    <section className="panel">
+      <div style={{ display: "flex", justifyContent: "space-between" }}>
+        <h2>{t("members.title")}</h2>
+        {canManage ? <button className="btn" onClick={() => setShowCreate(s => !s)}>{t("members.add")}</button> : <div className="muted">{t("common.rightsRequired")}</div>}
+      </div>
+
+      {showCreate && <MemberForm canChangeRole={currentUser?.role === "admin"} onSubmit={async (values, form) => { if (await createMember(values, form)) setShowCreate(false); }} onCancel={() => setShowCreate(false)} />}
+
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <input placeholder={t("members.searchPlaceholder")} value={search} onChange={e => setSearch(e.target.value)} style={{ flex: 1 }} />
+        <select value={statusFilter} onChange={e => setStatusFilter(e.target.value)}>
+          <option value="">{t("common.allStatuses")}</option>
+          {MEMBER_STATUSES.map(st => <option key={st.value} value={st.value}>{memberStatusLabel(st.value)}</option>)}
+        </select>
+      </div>
+
+      <div style={{ marginTop: 12 }}>
+        <table className="table">
+          <thead>
+            <tr>
+              {MEMBER_COLUMNS.map(([key]) => (
+                <th key={key} onClick={() => toggleSort(key)} style={{ cursor: "pointer", userSelect: "none" }}>
+                  {t("members.columns." + key)} {sort.key === key ? (sort.dir > 0 ? "▲" : "▼") : ""}
+                </th>
+              ))}
+              {canManage && <th></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(m => {
+              const status = MEMBER_STATUSES.find(st => st.value === m.status) || MEMBER_STATUSES[0];
+              return (
+                <React.Fragment key={m.id}>
+                  <tr id={"member-" + m.id} style={{ opacity: m.status === "active" ? 1 : 0.6, ...(focusedId === m.id && FOCUSED_CARD) }}>
+                    <td>{m.callsign || "—"}</td>
+                    <td>{m.badge_number || "—"}</td>
+                    <td>{m.display_name || m.username} <small className="muted">@{m.username}</small></td>
+                    <td>{rankLabel(m.rank)}</td>
+                    <td>{m.certifications.join(", ") || "—"}</td>
+                    <td><span style={{ color: status.color }}>●</span> {memberStatusLabel(status.value)}</td>
+                    <td>{memberRoleLabel(m.role)}</td>
+                    {canManage && (
+                      <td style={{ whiteSpace: "nowrap" }}>
+                        {canEdit(m) && <>
+                          <button className="btn" onClick={() => setEditingId(id => (id === m.id ? null : m.id))}>{t("common.edit")}</button>{" "}
+                          <button className="btn" onClick={() => resetPassword(m)}>{t("members.password")}</button>{" "}
+                          {m.id !== currentUser?.id && (
+                            <button className="btn" onClick={() => toggleActive(m)}>{m.status === "active" ? t("members.suspend") : t("members.reactivate")}</button>
+                          )}
+                        </>}
+                      </td>
+                    )}
+                  </tr>
+                  {editingId === m.id && (
+                    <tr>
+                      <td colSpan={MEMBER_COLUMNS.length + 1}>
+                        <MemberForm
+                          initial={m}
+                          canChangeRole={currentUser?.role === "admin" && m.id !== currentUser?.id}
+                          canChangeStatus={m.id !== currentUser?.id}
+                          onSubmit={async (values, form) => { if (await updateMember(m.id, values, form)) setEditingId(null); }}
+                          onCancel={() => setEditingId(null)}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+            {!rows.length && <tr><td colSpan={MEMBER_COLUMNS.length + 1} className="muted">{t("members.empty")}</td></tr>}
+          </tbody>
+        </table>
+      </div>
+
+      {canManagePermissions && <>
+        <hr style={{ margin: "12px 0", borderColor: "#222" }} />
+        <PermissionsPanel />
+      </>}
+    </section>
+  );
+}
+
+/* ---------- PermissionsPanel: permission list, users × permissions matrix, role templates ---------- */
+function PermissionsPanel() {
+  const [permissions, setPermissions] = useState([]);
+  const [matrix, setMatrix] = useState({ permissions: [], users: [] });
+  const [templates, setTemplates] = useState([]);
+  const [permName, setPermName] = useState("");
+  const [permDesc, setPermDesc] = useState("");
+  const permForm = useForm(["name"]);
+  const [editingTemplate, setEditingTemplate] = useState(null); // null, "new" or a template
+  const [applyTo, setApplyTo] = useState({}); // template id -> user id
+
+  useEffect(() => { load(); }, []);
+
+  async function load() {
+    try {
+      const [p, m, t] = await Promise.all([
+        axios.get(API + "/admin/permissions", { headers: getTokenHeader() }),
+        axios.get(API + "/admin/matrix", { headers: getTokenHeader() }),
+        axios.get(API + "/admin/role-templates", { headers: getTokenHeader() }),
+      ]);
+      setPermissions(p.data);
+      setMatrix(m.data);
+      setTemplates(t.data);
+    } catch (e) {
+      reportError(e, "permissions.errors.load");
+    }
+  }
+
+  // every action reloads the three lists: counts, matrix and templates depend on each other
+  async function run(request, errorKey, form) {
+    try {
+      await request();
+      await load();
+      return true;
+    } catch (e) {
+      reportError(e, errorKey, form);
+      return false;
+    }
+  }
+
+  async function createPermission() {
+    const ok = await permForm.submit(
+      // same pattern as the server
+      () => (!/^[a-z0-9_]+$/.test(permName) ? { name: t("permissions.nameInvalid") } : {}),
+      () => run(() => axios.post(API + "/admin/permissions", { name: permName, description: permDesc }, { headers: getTokenHeader() }), "permissions.errors.create", permForm),
+    );
+    if (ok) { setPermName(""); setPermDesc(""); }
+  }
+
+  function deletePermission(name) {
+    if (!confirm(t("permissions.confirmDelete", { name }))) return;
+    run(() => axios.delete(API + "/admin/permissions/" + name, { headers: getTokenHeader() }), "permissions.errors.delete");
+  }
+
+  function togglePermission(user, name) {
+    const path = API + "/admin/users/" + user.id + "/permissions/" + name;
+    const request = user.permissions.includes(name)
+      ? () => axios.delete(path, { headers: getTokenHeader() })
+      : () => axios.put(path, {}, { headers: getTokenHeader() });
+    run(request, "permissions.errors.update");
+  }
+
+  async function saveTemplate(values, form) {
+    const request = editingTemplate === "new"
+      ? () => axios.post(API + "/admin/role-templates", values, { headers: getTokenHeader() })
+      : () => axios.put(API + "/admin/role-templates/" + editingTemplate.id, values, { headers: getTokenHeader() });
+    if (await run(request, "permissions.errors.saveTemplate", form)) setEditingTemplate(null);
+  }
+
+  function deleteTemplate(template) {
+    if (!confirm(t("permissions.confirmDeleteTemplate", { name: template.name }))) return;
+    run(() => axios.delete(API + "/admin/role-templates/" + template.id, { headers: getTokenHeader() }), "permissions.errors.deleteTemplate");
+  }
+
+  function applyTemplate(template, replace) {
+    const userId = applyTo[template.id];
+    if (!userId) return notify(t("common.memberRequired"), "error");
+    if (replace && !confirm(t("permissions.confirmReplace"))) return;
+    run(() => axios.post(API + "/admin/role-templates/" + template.id + "/apply", { userId, replace }, { headers: getTokenHeader() }), "permissions.errors.applyTemplate");
+  }
+
+  return (
+    <div>
+      <h3>{t("permissions.title")}</h3>
+      <table className="table">
+        <thead><tr><th>{t("permissions.name")}</th><th>{t("common.description")}</th><th>{t("permissions.members")}</th><th></th></tr></thead>
+        <tbody>
+          {permissions.map(p => (
+            <tr key={p.id}>
+              <td><code>{p.name}</code></td>
+              <td>{p.description || "—"}</td>
+              <td>{p.user_count}</td>
+              <td>{p.builtin ? <span className="muted">{t("permissions.builtin")}</span> : <button className="btn" onClick={() => deletePermission(p.name)}>{t("common.delete")}</button>}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+        <input placeholder={t("permissions.namePlaceholder")} value={permName} onChange={e => setPermName(e.target.value)} />
+        <input placeholder={t("common.description")} value={permDesc} onChange={e => setPermDesc(e.target.value)} />
+        <SubmitButton form={permForm} onClick={createPermission}>{t("common.create")}</SubmitButton>
+      </div>
+      <FieldError form={permForm} name="name" />
+
+      <h3 style={{ marginTop: 16 }}>{t("permissions.matrix")}</h3>
+      <p className="muted">{t("permissions.matrixHelp")}</p>
+      <div style={{ overflowX: "auto" }}>
+        <table className="table">
+          <thead>
+            <tr>
+              <th>{t("common.member")}</th>
+              {matrix.permissions.map(name => <th key={name} style={{ fontSize: 11, whiteSpace: "nowrap" }}>{name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {matrix.users.map(u => (
+              <tr key={u.id} style={{ opacity: u.status === "active" ? 1 : 0.6 }}>
+                <td>{u.display_name || u.username} {u.role === "admin" && <small className="muted">{memberRoleLabel("admin")}</small>}</td>
+                {matrix.permissions.map(name => (
+                  <td key={name} style={{ textAlign: "center" }}>
+                    {u.role === "admin"
+                      ? <span className="muted" title={t("permissions.adminHasAll")}>✓</span>
+                      : <input type="checkbox" checked={u.permissions.includes(name)} onChange={() => togglePermission(u, name)} />}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 16 }}>
+        <h3>{t("permissions.templates")}</h3>
+        <button className="btn" onClick={() => setEditingTemplate(editingTemplate === "new" ? null : "new")}>{t("permissions.addTemplate")}</button>
+      </div>
+      {editingTemplate === "new" && (
+        <RoleTemplateForm permissions={permissions} onSubmit={saveTemplate} onCancel={() => setEditingTemplate(null)} />
+      )}
+      {templates.map(template => (
+        <div className="card" key={template.id}>
+          {editingTemplate?.id === template.id ? (
+            <RoleTemplateForm initial={template} permissions={permissions} onSubmit={saveTemplate} onCancel={() => setEditingTemplate(null)} />
+          ) : (
+            <>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <strong>{template.name}</strong>
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button className="btn" onClick={() => setEditingTemplate(template)}>{t("common.edit")}</button>
+                  <button className="btn" onClick={() => deleteTemplate(template)}>{t("common.delete")}</button>
+                </div>
+              </div>
+              {template.description && <p className="muted">{template.description}</p>}
+              <div>{template.permissions.length ? template.permissions.map(name => <code key={name} style={{ marginRight: 6 }}>{name}</code>) : <span className="muted">{t("permissions.none")}</span>}</div>
+              <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+                <select value={applyTo[template.id] || ""} onChange={e => setApplyTo(a => ({ ...a, [template.id]: e.target.value }))}>
+                  <option value="">{t("permissions.applyTo")}</option>
+                  {matrix.users.filter(u => u.role !== "admin").map(u => <option key={u.id} value={u.id}>{u.display_name || u.username}</option>)}
+                </select>
+                <button className="btn" onClick={() => applyTemplate(template, false)}>{t("permissions.applyAdd")}</button>
+                <button className="btn" onClick={() => applyTemplate(template, true)}>{t("permissions.applyReplace")}</button>
+              </div>
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function RoleTemplateForm({ initial, permissions, onSubmit, onCancel }) {
+  const [name, setName] = useState(initial?.name || "");
+  const [description, setDescription] = useState(initial?.description || "");
+  const [selected, setSelected] = useState(initial?.permissions || []);
+  const form = useForm(["name", "permissions"]);
+
+  function submit() {
+    form.submit(
+      () => (!name.trim() ? { name: t("common.nameRequired") } : {}),
+      () => onSubmit({ name, description, permissions: selected }, form),
+    );
+  }
+
+  function toggle(permName) {
+    setSelected(list => (list.includes(permName) ? list.filter(n => n !== permName) : [...list, permName]));
+  }
+
+  return (
+    <div className="card form">
+      <input placeholder={t("permissions.templateNamePlaceholder")} value={name} onChange={e => setName(e.target.value)} />
+      <FieldError form={form} name="name" />
+      <input placeholder={t("common.description")} value={description} onChange={e => setDescription(e.target.value)} />
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 12 }}>
+        {permissions.map(p => (
+          <label key={p.id} title={p.description || ""} style={{ fontSize: 13 }}>
+            <input type="checkbox" checked={selected.includes(p.name)} onChange={() => toggle(p.name)} /> {p.name}
+          </label>
+        ))}
+      </div>
+      <FieldError form={form} name="permissions" />
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <SubmitButton form={form} onClick={submit}>{t("common.save")}</SubmitButton>
+        <button className="btn" onClick={onCancel}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+}
+
+/** Create form (username, password) or profile editor when `initial` is given. */
+function MemberForm({ initial, canChangeRole = true, canChangeStatus = true, onSubmit, onCancel }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [displayName, setDisplayName] = useState(initial?.display_name || "");
+  const [callsign, setCallsign] = useState(initial?.callsign || "");
+  const [badgeNumber, setBadgeNumber] = useState(initial?.badge_number || "");
+  const [rank, setRank] = useState(initial?.rank || "");
+  const [certifications, setCertifications] = useState((initial?.certifications || []).join(", "));
+  const [status, setStatus] = useState(initial?.status || "active");
+  const [role, setRole] = useState(initial?.role || "user");
+  const form = useForm(["username", "password", "badgeNumber", "rank", "certifications", "role", "status"]);
+
+  // mirrors the checks of POST /members and readProfile on the server, but the password length:
+  // the server's minimum is the only one, its error comes back under the field
+  function check(values) {
+    const errors = {};
+    if (!initial && !username.trim()) errors.username = t("members.form.usernameRequired");
+    if (values.certifications.some(c => c.length > 60)) errors.certifications = t("members.form.certificationTooLong");
+    return errors;
+  }
+
+  function submit() {
+    const values = {
+      displayName, callsign, badgeNumber, rank,
+      certifications: certifications.split(",").map(c => c.trim()).filter(Boolean),
+    };
+    if (canChangeRole) values.role = role;
+    if (!initial) Object.assign(values, { username: username.trim(), password });
+    else if (canChangeStatus) values.status = status;
+    form.submit(() => check(values), () => onSubmit(values, form));
+  }
+
+  return (
+    <div className="card form">
+      {!initial && <>
+        <input placeholder={t("members.form.username")} value={username} onChange={e => setUsername(e.target.value)} />
+        <FieldError form={form} name="username" />
+        <input placeholder={t("members.form.initialPassword")} value={password} onChange={e => setPassword(e.target.value)} />
+        <FieldError form={form} name="password" />
+      </>}
+      <input placeholder={t("members.form.displayName")} value={displayName} onChange={e => setDisplayName(e.target.value)} />
+      <div style={{ display: "flex", gap: 8 }}>
+        <input placeholder={t("members.form.callsign")} value={callsign} onChange={e => setCallsign(e.target.value)} />
+        <input placeholder={t("members.columns.badge_number")} value={badgeNumber} onChange={e => setBadgeNumber(e.target.value)} />
+        <select value={rank} onChange={e => setRank(e.target.value)}>
+          <option value="">{t("members.form.rank")}</option>
+          {MEMBER_RANKS.map(r => <option key={r} value={r}>{rankLabel(r)}</option>)}
+        </select>
+      </div>
+      <FieldError form={form} name="badgeNumber" />
+      <FieldError form={form} name="rank" />
+      <input placeholder={t("members.form.certifications")} value={certifications} onChange={e => setCertifications(e.target.value)} />
+      <FieldError form={form} name="certifications" />
+      <div style={{ display: "flex", gap: 8 }}>
+        {canChangeRole && (
+          <select value={role} onChange={e => setRole(e.target.value)}>
+            {MEMBER_ROLES.map(r => <option key={r} value={r}>{memberRoleLabel(r)}</option>)}
+          </select>
+        )}
+        {initial && canChangeStatus && (
+          <select value={status} onChange={e => setStatus(e.target.value)}>
+            {MEMBER_STATUSES.map(st => <option key={st.value} value={st.value}>{memberStatusLabel(st.value)}</option>)}
+          </select>
+        )}
+      </div>
+      <FieldError form={form} name="role" />
+      <FieldError form={form} name="status" />
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <SubmitButton form={form} onClick={submit}>{initial ? t("common.save") : t("common.create")}</SubmitButton>
+        {onCancel && <button className="btn" onClick={onCancel}>{t("common.cancel")}</button>}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- OperationsView ---------- */
+const OPERATION_STATUSES = ["planned", "briefed", "ongoing", "completed", "aborted"];
+
+// mirrors STATUS_TRANSITIONS on the server (which enforces it)
+const STATUS_TRANSITIONS = {
+  planned: ["briefed", "aborted"],
+  briefed: ["ongoing", "aborted"],
+  ongoing: ["completed", "aborted"],
+  completed: [],
+  aborted: [],
+};
+
+function statusLabel(status) {
+  return OPERATION_STATUSES.includes(status) ? t("operations.statuses." + status) : status;
+}
+
+// for generated file names: "Opération Nord" -> "operation-nord"
+function fileSlug(text) {
+  return String(text).normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "document";
+}
+
+const NO_OPERATION_FILTERS = { status: "", from: "", to: "", text: "" };
+
+function OperationsView({ members, squads, createOperation, updateOperation, deleteOperation, updateZone, deleteZone, lastChange, onOpen, focus }) {
+  const can = useCan();
+  const canCreate = can("manage_operations");
+  const [showCreate, setShowCreate] = useState(false);
+  const [openId, setOpenId] = useState(null);
+  const [filters, setFilters] = useState(NO_OPERATION_FILTERS);
+  useFocusedRecord(focus, "operation", setOpenId);
+
+  // the server filters the date range on the planned start (creation date when there is none):
+  // the local days are sent as instants
+  const filtered = Object.values(filters).some(v => v.trim());
+  const list = usePagedList("/operations", {
+    status: filters.status,
+    from: filters.from && new Date(filters.from + "T00:00").toISOString(),
+    to: filters.to && new Date(filters.to + "T23:59:59.999").toISOString(),
+    q: filters.text.trim(),
+  });
+  useLiveList(list, "operation", lastChange, filtered);
+
+  function setFilter(key, value) {
+    setFilters(f => ({ ...f, [key]: value }));
+  }
+
+  async function create(operation, attachments, form) {
+    if (await createOperation(operation, attachments, form)) list.reload();
+  }
+
+  if (openId) {
+    return (
+      <OperationDetail
+        operationId={openId}
+        members={members}
+        squads={squads}
+        onBack={() => setOpenId(null)}
+        updateOperation={updateOperation}
+        deleteOperation={deleteOperation}
+        updateZone={updateZone}
+        deleteZone={deleteZone}
+        refreshOperations={list.reload}
+        lastChange={lastChange}
+        onOpen={onOpen}
+      />
+    );
+  }
+
+  return (
+    <section className="panel">
+      <div style={{ display: "flex", justifyContent: "space-between" }}>
+        <h2>{t("operations.title")}</h2>
+        {canCreate ? <button className="btn" onClick={() => setShowCreate(s => !s)}>{t("operations.add")}</button> : <div className="muted">{t("common.rightsRequired")}</div>}
+      </div>
+
+      {showCreate && <OperationForm onSubmit={create} members={members} squads={squads} />}
+
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center", marginTop: 12 }}>
+        <input placeholder={t("operations.filterPlaceholder")} value={filters.text} onChange={e => setFilter("text", e.target.value)} />
+        <select value={filters.status} onChange={e => setFilter("status", e.target.value)}>
+          <option value="">{t("common.allStatuses")}</option>
+          {OPERATION_STATUSES.map(st => <option key={st} value={st}>{statusLabel(st)}</option>)}
+        </select>
+        <label>{t("common.from")} <input type="date" value={filters.from} onChange={e => setFilter("from", e.target.value)} /></label>
+        <label>{t("common.to")} <input type="date" value={filters.to} onChange={e => setFilter("to", e.target.value)} /></label>
+        <button className="btn" onClick={() => setFilters(NO_OPERATION_FILTERS)}>{t("common.reset")}</button>
+      </div>
+
+      <div style={{ marginTop: 12 }}>
+        {!list.loading && list.items.length === 0 && <div className="muted">{filtered ? t("operations.noMatch") : t("operations.empty")}</div>}
+        {list.items.map(op => (
+          <div className="card" key={op.id}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <h3>{op.name} <small style={{ color: "#aaa" }}>{statusLabel(op.status)}</small></h3>
+              <button className="btn" onClick={() => setOpenId(op.id)}>{t("common.open")}</button>
+            </div>
+            {op.excerpt && <p>{op.excerpt}{op.truncated && "…"}</p>}
+            {(op.location_text || op.location_x != null) && (
+              <div>
+                <strong>{t("operations.fields.location")}</strong> {op.location_text}
+                {op.location_x != null && <span className="muted"> (X {op.location_x} · Y {op.location_y})</span>}
+              </div>
+            )}
+            {(op.start_at || op.end_at) && <div><strong>{t("operations.fields.schedule")}</strong> {formatDateTime(op.start_at)} → {formatDateTime(op.end_at)}</div>}
+            {op.commander_id && <div><strong>{t("operations.fields.commander")}</strong> {op.commander_name || op.commander_username}</div>}
+            {op.squad_ids?.length > 0 && (
+              <div><strong>{t("operations.fields.squads")}</strong> {op.squad_ids.map(id => squads.find(s => s.id === id)?.name || "#" + id).join(", ")}</div>
+            )}
+            {op.attachment_count > 0 && <div className="muted">{attachmentCountLabel(op.attachment_count)}</div>}
+          </div>
+        ))}
+        <LoadMore list={list} />
+      </div>
+    </section>
+  );
+}
+
+/* ---------- OperationDetail: status workflow + timeline ---------- */
+function OperationDetail({ operationId, members, squads, onBack, updateOperation, deleteOperation, updateZone, deleteZone, refreshOperations, lastChange, onOpen }) {
+  const can = useCan();
+  const user = useCurrentUser();
+  const [op, setOp] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [note, setNote] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [generating, setGenerating] = useState(false);
+
+  useEffect(() => { load(); }, [operationId]);
+
+  // changes made by other members, pushed live
+  useEffect(() => {
+    if (lastChange?.entity !== "operation" || lastChange.id !== operationId) return;
+    if (lastChange.action === "deleted") onBack();
+    else if (lastChange.action === "journal") setEvents(list => list.some(e => e.id === lastChange.data.id) ? list : [...list, lastChange.data]);
+    else load();
+  }, [lastChange]);
+
+  async function load() {
+    try {
+      const [opRes, evRes] = await Promise.all([
+        axios.get(API + "/operations/" + operationId, { headers: getTokenHeader() }),
+        axios.get(API + "/operations/" + operationId + "/events", { headers: getTokenHeader() }),
+      ]);
+      setOp(opRes.data);
+      setEvents(evRes.data);
+    } catch (e) {
+      reportError(e, "operations.errors.load");
+    }
+  }
+
+  async function changeStatus(status) {
+    if (!confirm(t("operations.confirmStatus", { status: statusLabel(status) }))) return;
+    try {
+      await axios.post(API + "/operations/" + operationId + "/status", { status }, { headers: getTokenHeader() });
+      await load();
+      refreshOperations();
+    } catch (e) {
+      reportError(e, "operations.errors.status");
+    }
+  }
+
+  async function addNote() {
+    if (!note.trim()) return;
+    try {
+      await axios.post(API + "/operations/" + operationId + "/events", { message: note }, { headers: getTokenHeader() });
+      setNote("");
+      await load();
+    } catch (e) {
+      reportError(e, "operations.errors.journal");
+    }
+  }
+
+  async function save(values, attachments, form) {
+    if (!(await updateOperation(operationId, values, attachments, form))) return;
+    setEditing(false);
+    await load();
+  }
+
+  async function remove() {
+    if (!confirm(t("operations.confirmDelete", { name: op.name }))) return;
+    if (await deleteOperation(operationId)) onBack();
+  }
+
+  // built in the browser from the current record (see briefing.js)
+  async function generateBriefing() {
+    setGenerating(true);
+    try {
+      const blob = await buildBriefing({
+        api: API,
+        headers: getTokenHeader,
+        operation: op,
+        squads,
+        author: memberName(user),
+        labels: { status: statusLabel, role: squadRoleLabel, category: tacticCategoryLabel, date: formatDateTime },
+      });
+      downloadBlob(blob, "briefing-" + fileSlug(op.name) + ".pdf");
+    } catch (e) {
+      reportError(e, "operations.errors.briefing");
+    } finally {
+      setGenerating(false);
+    }
+  }
+
+  if (!op) return <section className="panel"><button className="btn" onClick={onBack}>{t("common.back")}</button></section>;
+
+  return (
+    <section className="panel">
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <button className="btn" onClick={onBack}>{t("common.back")}</button>
+        <h2>{op.name} <small style={{ color: "#aaa" }}>{statusLabel(op.status)}</small></h2>
+        <div style={{ display: "flex", gap: 6 }}>
+          {can("manage_operations") && <button className="btn" onClick={() => setEditing(e => !e)}>{t("common.edit")}</button>}
+          {can("manage_operations") && <button className="btn" onClick={remove}>{t("common.delete")}</button>}
+          <button className="btn" onClick={generateBriefing} disabled={generating}>{generating ? t("operations.generating") : t("operations.generateBriefing")}</button>
+          <button className="btn" onClick={() => setShowHistory(h => !h)}>{t("common.history")}</button>
+        </div>
+      </div>
+
+      {editing && <OperationForm initial={op} onSubmit={save} onCancel={() => setEditing(false)} members={members} squads={squads} />}
+      {showHistory && (
+        <RevisionHistory
+          path={"/operations/" + operationId}
+          canRestore={can("manage_operations")}
+          onRestored={() => { load(); refreshOperations(); }}
+        />
+      )}
+
+      <div className="card">
+        {op.description && <p>{op.description}</p>}
+        {(op.location_text || op.location_x != null) && (
+          <div>
+            <strong>{t("operations.fields.location")}</strong> {op.location_text}
+            {op.location_x != null && <span className="muted"> (X {op.location_x} · Y {op.location_y})</span>}
+          </div>
+        )}
+        <div><strong>{t("operations.fields.schedule")}</strong> {formatDateTime(op.start_at)} → {formatDateTime(op.end_at)}</div>
+        {op.commander_id && <div><strong>{t("operations.fields.commander")}</strong> {op.commander_name || op.commander_username}</div>}
+        {op.squad_ids.length > 0 && (
+          <div><strong>{t("operations.fields.squads")}</strong> {op.squad_ids.map(id => squads.find(s => s.id === id)?.name || "#" + id).join(", ")}</div>
+        )}
+        <LinkedRecords label={t("operations.plans")} records={op.plans} onOpen={id => onOpen("plan", id)} />
+        <AttachmentList attachments={op.attachments} />
+      </div>
+
+      <OperationZones
+        operationId={operationId}
+        zones={op.zones}
+        canEdit={can("manage_operations")}
+        updateZone={updateZone}
+        deleteZone={deleteZone}
+        onChanged={load}
+      />
+
+      {op.tactics.length > 0 && (
+        <div className="card">
+          <strong>{t("operations.doctrine")}</strong>
+          {op.tactics.map(tactic => (
+            <div key={tactic.id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 6 }}>
+              <div>
+                {tactic.title} <span className="muted">· {tacticCategoryLabel(tactic.category)}</span> <DifficultyMeter value={tactic.difficulty} />
+              </div>
+              <button className="btn" onClick={() => onOpen("tactic", tactic.id)}>{t("common.open")}</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {can("manage_operations") && STATUS_TRANSITIONS[op.status]?.length > 0 && (
+        <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+          {STATUS_TRANSITIONS[op.status].map(next => (
+            <button key={next} className="btn" onClick={() => changeStatus(next)}>→ {statusLabel(next)}</button>
+          ))}
+        </div>
+      )}
+
+      <h3 style={{ marginTop: 12 }}>{t("operations.journal")}</h3>
+      <div style={{ display: "flex", gap: 8 }}>
+        <input style={{ flex: 1 }} placeholder={t("operations.journalPlaceholder")} value={note} onChange={e => setNote(e.target.value)} onKeyDown={e => { if (e.key === "Enter") addNote(); }} />
+        <button className="btn" onClick={addNote}>{t("common.add")}</button>
+      </div>
+      <div style={{ marginTop: 8 }}>
+        {events.length === 0 && <div className="muted">{t("common.noEntries")}</div>}
+        {events.map(ev => (
+          <div key={ev.id} className="card" style={{ padding: "6px 10px" }}>
+            <small className="muted">{formatDateTime(ev.created_at)} · {ev.author_name || ev.author_username || "?"}</small>
+            {ev.type === "status" ? (
+              <div>
+                <strong>{t("operations.statusEvent")}</strong> {ev.from_status ? statusLabel(ev.from_status) + " → " : ""}{statusLabel(ev.to_status)}
+                {ev.message && <span> — {ev.message}</span>}
+              </div>
+            ) : (
+              <div>{ev.message}</div>
+            )}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+}
+
+// ISO (UTC) -> value for a datetime-local input, in local time
+function toDateTimeInput(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/* Create form, or edit form when `initial` (a full operation record) is given */
+function OperationForm({ initial, onSubmit, onCancel, members, squads }) {
+  const [name, setName] = useState(initial?.name || "");
+  const [desc, setDesc] = useState(initial?.description || "");
+  const [locationText, setLocationText] = useState(initial?.location_text || "");
+  const [locationX, setLocationX] = useState(initial?.location_x ?? "");
+  const [locationY, setLocationY] = useState(initial?.location_y ?? "");
+  const [startAt, setStartAt] = useState(toDateTimeInput(initial?.start_at));
+  const [endAt, setEndAt] = useState(toDateTimeInput(initial?.end_at));
+  const [commanderId, setCommanderId] = useState(initial?.commander_id ?? "");
+  const [squadIds, setSquadIds] = useState(initial?.squad_ids || []);
+  const [plans, setPlans] = useState(initial?.plans || []);
+  const [tactics, setTactics] = useState(initial?.tactics || []);
+  const [attachments, setAttachments] = useState(NO_ATTACHMENT_CHANGES);
+  const form = useForm(["name", "locationX", "locationY", "startAt", "endAt", "commanderId", "squadIds", "planIds", "tacticIds"]);
+
+  function toggleSquad(id) {
+    setSquadIds(ids => ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+  }
+
+  // mirrors readOperation on the server
+  function check() {
+    const errors = {};
+    if (!name.trim()) errors.name = t("common.nameRequired");
+    if ((locationX === "") !== (locationY === "")) errors[locationX === "" ? "locationX" : "locationY"] = t("operations.form.coordinatesIncomplete");
+    if (startAt && endAt && new Date(endAt) < new Date(startAt)) errors.endAt = t("operations.form.endBeforeStart");
+    return errors;
   }
 
-  async function submit() {
-    if (!title) return alert("Titre requis");
-    await onCreate({ title, imageBase64: image, description: desc });
-    setTitle(""); setDesc(""); setImage(null);
+  function submit() {
+    form.submit(check, () => onSubmit({
+      name,
+      description: desc,
+      locationText,
+      locationX,
+      locationY,
+      // datetime-local values are local time: send them as ISO (UTC)
+      startAt: startAt ? new Date(startAt).toISOString() : null,
+      endAt: endAt ? new Date(endAt).toISOString() : null,
+      commanderId: commanderId || null,
+      squadIds,
+      planIds: plans.map(p => p.id),
+      tacticIds: tactics.map(tactic => tactic.id),
+    }, attachments, form));
   }
 
   return (
     <div className="card form">
-      <input placeholder="Titre" value={title} onChange={e => setTitle(e.target.value)} />
-      <textarea placeholder="Description" value={desc} onChange={e => setDesc(e.target.value)} />
-      <input type="file" accept="image/*" onChange={handleFile} />
-      {image && <img src={image} alt="preview" style={{ width: 160, marginTop: 8, borderRadius: 6 }} />}
-      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
-        <button className="btn" onClick={submit}>Enregistrer</button>
+      <input placeholder={t("operations.form.name")} value={name} onChange={e => setName(e.target.value)} />
+      <FieldError form={form} name="name" />
+      <textarea placeholder={t("common.description")} value={desc} onChange={e => setDesc(e.target.value)} />
+      <input placeholder={t("operations.form.location")} value={locationText} onChange={e => setLocationText(e.target.value)} />
+      <div style={{ display: "flex", gap: 8 }}>
+        <input type="number" placeholder={t("operations.form.x")} value={locationX} onChange={e => setLocationX(e.target.value)} />
+        <input type="number" placeholder={t("operations.form.y")} value={locationY} onChange={e => setLocationY(e.target.value)} />
+      </div>
+      <FieldError form={form} name="locationX" />
+      <FieldError form={form} name="locationY" />
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <label>{t("operations.form.start")} <input type="datetime-local" value={startAt} onChange={e => setStartAt(e.target.value)} /></label>
+        <label>{t("operations.form.end")} <input type="datetime-local" value={endAt} onChange={e => setEndAt(e.target.value)} /></label>
+      </div>
+      <FieldError form={form} name="startAt" />
+      <FieldError form={form} name="endAt" />
+      <select value={commanderId} onChange={e => setCommanderId(e.target.value)}>
+        <option value="">{t("operations.form.commander")}</option>
+        {members.map(m => <option key={m.id} value={m.id}>{m.display_name || m.username}</option>)}
+      </select>
+      <FieldError form={form} name="commanderId" />
+      {squads.length > 0 && (
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap" }}>
+          {squads.map(s => (
+            <label key={s.id}><input type="checkbox" checked={squadIds.includes(s.id)} onChange={() => toggleSquad(s.id)} /> {s.name}</label>
+          ))}
+        </div>
+      )}
+      <FieldError form={form} name="squadIds" />
+      <RecordPicker label={t("operations.form.plans")} path="/tactical-plans" value={plans} onChange={setPlans} />
+      <FieldError form={form} name="planIds" />
+      <RecordPicker label={t("operations.form.tactics")} path="/tactics" value={tactics} onChange={setTactics} />
+      <FieldError form={form} name="tacticIds" />
+      <AttachmentsField existing={initial?.attachments} value={attachments} onChange={setAttachments} />
+      <div style={{ display: "flex", gap: 8 }}>
+        <SubmitButton form={form} onClick={submit}>{initial ? t("common.save") : t("common.create")}</SubmitButton>
+        {onCancel && <button className="btn" onClick={onCancel}>{t("common.cancel")}</button>}
       </div>
     </div>
   );
 }
 
-/* ---------- Members view ---------- */
-function MembersView({ members, fetchMembers, createMember, createPermission, assignPermission, canManage, canManagePermissions }) {
-  const [showCreate, setShowCreate] = useState(false);
-  const [permName, setPermName] = useState("");
-  const [permDesc, setPermDesc] = useState("");
-  const [assignUserId, setAssignUserId] = useState("");
-  const [assignPerm, setAssignPerm] = useState("");
+/**
+ * Linked records ({ id, title }) picked by searching a list route (?q=): used for the plans and
+ * tactics of an operation, the plans and operations of a tactic (operations are named, not titled).
+ */
+function RecordPicker({ label, path, value, onChange }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
 
-  useEffect(() => { fetchMembers(); }, []);
+  useEffect(() => {
+    if (!query.trim()) return setResults([]);
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await axios.get(API + path, { headers: getTokenHeader(), params: { q: query, limit: 8 } });
+        if (!cancelled) setResults(res.data.items);
+      } catch (e) {
+        if (!cancelled) setResults([]);
+      }
+    }, 250);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [query]);
+
+  function add(record) {
+    onChange([...value, { id: record.id, title: record.title ?? record.name }]);
+    setQuery("");
+  }
 
   return (
-    <section className="panel">
-      <div style={{ display: "flex", justifyContent: "space-between" }}>
-        <h2>Membres</h2>
-        {canManage ? <button className="btn" onClick={() => setShowCreate(s => !s)}>+ Créer un compte</button> : <div className="muted">Droits requis</div>}
+    <div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+        <span>{t("common.fieldLabel", { label })}</span>
+        {value.length === 0 && <span className="muted">{t("common.none")}</span>}
+        {value.map(r => (
+          <span key={r.id} className="card" style={{ margin: 0, padding: "2px 8px" }}>
+            {r.title} <button className="btn" onClick={() => onChange(value.filter(x => x.id !== r.id))}>×</button>
+          </span>
+        ))}
       </div>
+      <input placeholder={t("common.searchToAdd")} value={query} onChange={e => setQuery(e.target.value)} />
+      {results.filter(r => !value.some(v => v.id === r.id)).map(r => (
+        <div key={r.id} onClick={() => add(r)} style={{ cursor: "pointer", padding: "2px 6px" }}>+ {r.title ?? r.name}</div>
+      ))}
+    </div>
+  );
+}
 
-      {showCreate && <MemberForm onCreate={createMember} />}
+/* ---------- SquadsView ---------- */
+const SQUAD_ROLES = ["operator", "pointman", "breacher", "sniper", "medic", "negotiator", "shield"];
 
-      <div style={{ marginTop: 12 }}>
-        <table className="table">
-          <thead><tr><th>ID</th><th>Username</th><th>Display</th><th>Role</th></tr></thead>
-          <tbody>
-            {members.map(m => <tr key={m.id}><td>{m.id}</td><td>{m.username}</td><td>{m.display_name}</td><td>{m.role}</td></tr>)}
-          </tbody>
-        </table>
-      </div>
+function memberName(m) {
+  return m ? m.display_name || m.username : "—";
+}
 
-      <hr style={{ margin: "12px 0", borderColor: "#222" }} />
+function squadRoleLabel(role) {
+  return SQUAD_ROLES.includes(role) ? t("squads.roles." + role) : role;
+}
 
-      <div>
-        <h3>Gérer les permissions</h3>
-        <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
-          <input placeholder="Nom permission (ex: manage_tactics)" value={permName} onChange={e => setPermName(e.target.value)} />
-          <input placeholder="Description" value={permDesc} onChange={e => setPermDesc(e.target.value)} />
-          <button className="btn" onClick={() => { if (!canManagePermissions) return alert("Permission requise"); createPermission(permName, permDesc); }}>Créer</button>
-        </div>
+function SquadsView({ squads, members, createSquad, updateSquad, deleteSquad, refreshSquads, setSquadMember, removeSquadMember, focus }) {
+  const can = useCan();
+  const [name, setName] = useState("");
+  const [desc, setDesc] = useState("");
+  const [leadId, setLeadId] = useState("");
+  const [color, setColor] = useState(SQUAD_PALETTE[0]);
+  const [openId, setOpenId] = useState(null);
+  const form = useForm(["name", "leaderId", "color"]);
+  useFocusedRecord(focus, "squad", setOpenId);
+
+  async function create() {
+    const ok = await form.submit(
+      () => (!name.trim() ? { name: t("common.nameRequired") } : {}),
+      () => createSquad({ name, description: desc, leaderId: leadId || null, color }, form),
+    );
+    if (ok) { setName(""); setDesc(""); }
+  }
+
+  const open = squads.find(s => s.id === openId);
+  if (open) {
+    return (
+      <SquadDetail
+        squad={open}
+        members={members}
+        onBack={() => setOpenId(null)}
+        updateSquad={updateSquad}
+        deleteSquad={async (id) => { await deleteSquad(id); setOpenId(null); }}
+        refreshSquads={refreshSquads}
+        setSquadMember={setSquadMember}
+        removeSquadMember={removeSquadMember}
+      />
+    );
+  }
 
-        <div style={{ marginTop: 8, display: "flex", gap: 8 }}>
-          <select value={assignUserId} onChange={e => setAssignUserId(e.target.value)}>
-            <option value="">Sélectionner un utilisateur</option>
+  return (
+    <section className="panel">
+      <h2>{t("squads.title")}</h2>
+
+      {can("manage_squads") ? (
+        <div className="card form">
+          <input placeholder={t("squads.name")} value={name} onChange={e => setName(e.target.value)} />
+          <FieldError form={form} name="name" />
+          <textarea placeholder={t("common.description")} value={desc} onChange={e => setDesc(e.target.value)} />
+          <select value={leadId} onChange={e => setLeadId(e.target.value)}>
+            <option value="">{t("squads.chooseLeader")}</option>
             {members.map(m => <option key={m.id} value={m.id}>{m.username}</option>)}
           </select>
-          <input placeholder="nom permission" value={assignPerm} onChange={e => setAssignPerm(e.target.value)} />
-          <button className="btn" onClick={() => { if (!canManagePermissions) return alert("Permission requise"); assignPermission(assignUserId, assignPerm); }}>Assigner</button>
+          <FieldError form={form} name="leaderId" />
+          <label className="muted">{t("squads.mapColor")} <input type="color" value={color} onChange={e => setColor(e.target.value)} /></label>
+          <FieldError form={form} name="color" />
+          <SubmitButton form={form} onClick={create}>{t("squads.create")}</SubmitButton>
         </div>
+      ) : <div className="muted">{t("common.createRightsRequired")}</div>}
+
+      <div style={{ marginTop: 12 }}>
+        {squads.length === 0 && <div className="muted">{t("squads.empty")}</div>}
+        {squads.map(s => (
+          <div className="card" key={s.id}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <h3>
+                <span style={{ display: "inline-block", width: 12, height: 12, borderRadius: "50%", background: squadColor(squads, s.id), marginRight: 6 }} />
+                {s.name}
+              </h3>
+              <button className="btn" onClick={() => setOpenId(s.id)}>{t("common.open")}</button>
+            </div>
+            {s.description && <p>{s.description}</p>}
+            <div><strong>{t("squads.leaderField")}</strong> {s.leader_id ? s.leader_name || s.leader_username : "—"}</div>
+            <div className="muted">{t("squads.memberCount", { count: s.members.length })}</div>
+          </div>
+        ))}
       </div>
     </section>
   );
 }
 
-function MemberForm({ onCreate }) {
-  const [username, setUsername] = useState("");
-  const [displayName, setDisplayName] = useState("");
-  const [password, setPassword] = useState("");
-  const [role, setRole] = useState("user");
+/* ---------- SquadDetail: leader + roster ---------- */
+function SquadDetail({ squad, members, onBack, updateSquad, deleteSquad, refreshSquads, setSquadMember, removeSquadMember }) {
+  const can = useCan();
+  const canManage = can("manage_squads");
+  const [addUserId, setAddUserId] = useState("");
+  const [addRole, setAddRole] = useState("operator");
+  const [editing, setEditing] = useState(null); // { name, description } while editing
+  const [showHistory, setShowHistory] = useState(false);
+  const form = useForm(["name"]);
+
+  async function save() {
+    const ok = await form.submit(
+      () => (!editing.name.trim() ? { name: t("common.nameRequired") } : {}),
+      () => updateSquad(squad.id, editing, form),
+    );
+    if (ok) setEditing(null);
+  }
+
+  const available = members.filter(m => !squad.members.some(sm => sm.user_id === m.id));
+
   return (
-    <div className="card form">
-      <input placeholder="Pseudo (username)" value={username} onChange={e => setUsername(e.target.value)} />
-      <input placeholder="Nom affiché" value={displayName} onChange={e => setDisplayName(e.target.value)} />
-      <input placeholder="Mot de passe" value={password} onChange={e => setPassword(e.target.value)} />
-      <select value={role} onChange={e => setRole(e.target.value)}>
-        <option value="user">user</option>
-        <option value="admin">admin</option>
-      </select>
-      <button className="btn" onClick={() => onCreate({ username, password, displayName, role })}>Créer</button>
-    </div>
+    <section className="panel">
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <button className="btn" onClick={onBack}>{t("common.back")}</button>
+        <h2>{squad.name}</h2>
+        <div style={{ display: "flex", gap: 6 }}>
+          {canManage && <button className="btn" onClick={() => setEditing(e => e ? null : { name: squad.name, description: squad.description || "" })}>{t("common.edit")}</button>}
+          {canManage && <button className="btn" onClick={() => { if (confirm(t("squads.confirmDelete", { name: squad.name }))) deleteSquad(squad.id); }}>{t("common.delete")}</button>}
+          <button className="btn" onClick={() => setShowHistory(h => !h)}>{t("common.history")}</button>
+        </div>
+      </div>
+      {editing ? (
+        <div className="card form">
+          <input placeholder={t("squads.name")} value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} />
+          <FieldError form={form} name="name" />
+          <textarea placeholder={t("common.description")} value={editing.description} onChange={e => setEditing({ ...editing, description: e.target.value })} />
+          <div style={{ display: "flex", gap: 8 }}>
+            <SubmitButton form={form} onClick={save}>{t("common.save")}</SubmitButton>
+            <button className="btn" onClick={() => setEditing(null)}>{t("common.cancel")}</button>
+          </div>
+        </div>
+      ) : squad.description && <p>{squad.description}</p>}
+      {showHistory && <RevisionHistory path={"/squads/" + squad.id} canRestore={canManage} onRestored={refreshSquads} />}
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+        <strong>{t("squads.mapColorField")}</strong>
+        {/* saved on blur: the picker fires a change on every drag step */}
+        <input
+          key={squad.color}
+          type="color"
+          defaultValue={squadColor([squad], squad.id)}
+          disabled={!canManage}
+          onBlur={e => { if (e.target.value !== squadColor([squad], squad.id)) updateSquad(squad.id, { color: e.target.value }); }}
+        />
+      </div>
+
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 8 }}>
+        <strong>{t("squads.leaderDetailField")}</strong>
+        {canManage ? (
+          <select value={squad.leader_id || ""} onChange={e => updateSquad(squad.id, { leaderId: e.target.value || null })}>
+            <option value="">{t("squads.noLeader")}</option>
+            {members.map(m => <option key={m.id} value={m.id}>{memberName(m)}</option>)}
+          </select>
+        ) : (
+          <span>{squad.leader_id ? squad.leader_name || squad.leader_username : "—"}</span>
+        )}
+      </div>
+
+      <table className="table" style={{ marginTop: 12 }}>
+        <thead><tr><th>{t("common.member")}</th><th>{t("squads.role")}</th>{canManage && <th></th>}</tr></thead>
+        <tbody>
+          {squad.members.length === 0 && <tr><td colSpan={3} className="muted">{t("members.empty")}</td></tr>}
+          {squad.members.map(sm => (
+            <tr key={sm.user_id}>
+              <td>{memberName(sm)}{sm.user_id === squad.leader_id && <span className="muted"> {t("squads.leaderTag")}</span>}</td>
+              <td>
+                {canManage ? (
+                  <select value={sm.role} onChange={e => setSquadMember(squad.id, sm.user_id, e.target.value)}>
+                    {SQUAD_ROLES.map(r => <option key={r} value={r}>{squadRoleLabel(r)}</option>)}
+                  </select>
+                ) : squadRoleLabel(sm.role)}
+              </td>
+              {canManage && (
+                <td>
+                  <button className="btn" onClick={() => { if (confirm(t("squads.confirmRemove", { name: memberName(sm) }))) removeSquadMember(squad.id, sm.user_id); }}>{t("common.remove")}</button>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {canManage && (
+        <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+          <select value={addUserId} onChange={e => setAddUserId(e.target.value)}>
+            <option value="">{t("squads.addMember")}</option>
+            {available.map(m => <option key={m.id} value={m.id}>{memberName(m)}</option>)}
+          </select>
+          <select value={addRole} onChange={e => setAddRole(e.target.value)}>
+            {SQUAD_ROLES.map(r => <option key={r} value={r}>{squadRoleLabel(r)}</option>)}
+          </select>
+          <button className="btn" onClick={async () => {
+            if (!addUserId) return notify(t("common.memberRequired"), "error");
+            await setSquadMember(squad.id, addUserId, addRole);
+            setAddUserId("");
+          }}>{t("common.add")}</button>
+        </div>
+      )}
+    </section>
   );
 }
 
-/* ---------- OperationsView ---------- */
-function OperationsView({ operations, createOperation, canCreate }) {
-  const [showCreate, setShowCreate] = useState(false);
+/* ---------- PlansView: list + vector editor ---------- */
+/* The list shows summaries with a thumbnail; the editor loads the full plan (annotations, images) */
+function PlansView({ createTacticalPlan, updateTacticalPlan, deleteTacticalPlan, lastChange, focus }) {
+  const can = useCan();
+  const canCreate = can("manage_plans");
+  const [editing, setEditing] = useState(null); // "new" or a full plan record
+  const [historyId, setHistoryId] = useState(null);
+  const [filter, setFilter] = useState("");
+  const list = usePagedList("/tactical-plans", { q: filter.trim() });
+  useLiveList(list, "plan", lastChange, !!filter.trim());
+  useFocusedRecord(focus, "plan", openPlan);
+
+  async function openPlan(id) {
+    try {
+      const res = await axios.get(API + "/tactical-plans/" + id, { headers: getTokenHeader() });
+      setEditing(res.data);
+    } catch (e) {
+      reportError(e, "plans.errors.load");
+    }
+  }
+
+  async function save(values, attachments, form) {
+    const ok = editing === "new" ? await createTacticalPlan(values, attachments, form) : await updateTacticalPlan(editing.id, values, attachments, form);
+    if (!ok) return;
+    setEditing(null);
+    list.reload();
+  }
+
+  async function remove(p) {
+    if (!confirm(t("plans.confirmDelete", { title: p.title }))) return;
+    if (await deleteTacticalPlan(p.id)) list.setItems(items => items.filter(x => x.id !== p.id));
+  }
+
+  if (editing) {
+    return (
+      <section className="panel">
+        <TacticalPlanForm
+          key={editing === "new" ? "new" : editing.id}
+          plan={editing === "new" ? null : editing}
+          onSave={save}
+          onCancel={() => setEditing(null)}
+          canCreate={canCreate}
+        />
+      </section>
+    );
+  }
+
   return (
     <section className="panel">
       <div style={{ display: "flex", justifyContent: "space-between" }}>
-        <h2>Opérations</h2>
-        {canCreate ? <button className="btn" onClick={() => setShowCreate(s => !s)}>+ Nouvelle opération</button> : <div className="muted">Droits requis</div>}
+        <h2>{t("plans.title")}</h2>
+        {canCreate ? <button className="btn" onClick={() => setEditing("new")}>{t("plans.add")}</button> : <div className="muted">{t("common.rightsRequired")}</div>}
       </div>
 
-      {showCreate && <OperationForm onCreate={createOperation} />}
+      <input placeholder={t("plans.filterPlaceholder")} value={filter} onChange={e => setFilter(e.target.value)} style={{ marginTop: 12, width: "100%" }} />
 
       <div style={{ marginTop: 12 }}>
-        {operations.map(op => {
-          let parsed = null;
-          try { parsed = JSON.parse(op.description || "{}"); } catch { parsed = null; }
-          return (
-            <div className="card" key={op.id}>
-              <h3>{op.name} <small style={{ color: "#aaa" }}>{op.status}</small></h3>
-              <p>{parsed?.description || op.description}</p>
-              {parsed?.location && <div><strong>Lieu:</strong> {parsed.location}</div>}
+        {!list.loading && list.items.length === 0 && <div className="muted">{filter.trim() ? t("plans.noMatch") : t("plans.empty")}</div>}
+        {list.items.map(p => (
+          <div className="card" key={p.id}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+              <h3>{p.title}</h3>
+              <div style={{ display: "flex", gap: 6 }}>
+                <button className="btn" onClick={() => openPlan(p.id)}>{canCreate ? t("common.edit") : t("common.open")}</button>
+                {canCreate && <button className="btn" onClick={() => remove(p)}>{t("common.delete")}</button>}
+                <button className="btn" onClick={() => setHistoryId(id => id === p.id ? null : p.id)}>{t("common.history")}</button>
+              </div>
             </div>
-          );
-        })}
+            {p.thumbnail_url && <img src={fileUrl(p.thumbnail_url)} alt="plan" loading="lazy" style={{ width: 320, borderRadius: 6 }} />}
+            {historyId === p.id && <RevisionHistory path={"/tactical-plans/" + p.id} canRestore={canCreate} onRestored={list.reload} />}
+          </div>
+        ))}
+        <LoadMore list={list} />
       </div>
     </section>
   );
 }
 
-function OperationForm({ onCreate }) {
-  const [name, setName] = useState("");
-  const [desc, setDesc] = useState("");
-  const [status, setStatus] = useState("planned");
-  const [location, setLocation] = useState("");
-  const [evidence, setEvidence] = useState(null);
+/* TacticalPlanForm: vector annotation editor over a base image (see planShapes.js for the model) */
+const PLAN_TOOLS = ["select", "pan", "freehand", "line", "arrow", "rect", "circle", "text", "unit"];
+
+const BLANK_PLAN_SIZE = { width: 1600, height: 1000 };
+const PLAN_MAX_ZOOM = 8;
+
+function TacticalPlanForm({ plan, onSave, onCancel, canCreate }) {
+  const [title, setTitle] = useState(plan?.title || "");
+  const [baseImage, setBaseImage] = useState(fileUrl(plan?.base_image?.url)); // URL (signed link or object URL)
+  const [baseFile, setBaseFile] = useState(null); // newly picked base image, uploaded on save
+  const [baseImg, setBaseImg] = useState(null); // loaded HTMLImageElement
+  const [attachments, setAttachments] = useState(NO_ATTACHMENT_CHANGES);
+  const form = useForm(["title", "annotations"]);
+  const [doc, setDoc] = useState(() => parseAnnotations(plan?.annotations));
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [activeLayerId, setActiveLayerId] = useState(() => doc.layers[doc.layers.length - 1].id);
+  const [tool, setTool] = useState("freehand");
+  const [color, setColor] = useState("#ffffff");
+  const [width, setWidth] = useState(6);
+  const [unit, setUnit] = useState("operator");
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null); // shape being drawn
+  const canvasRef = useRef(null);
+  const viewportRef = useRef(null);
+  const gestureRef = useRef(null);
+  const pointersRef = useRef(new Map()); // active pointers by pointerId, in client coords
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+
+  // load the base image to size the canvas on it
+  useEffect(() => {
+    if (!baseImage) { setBaseImg(null); return; }
+    const img = new Image();
+    img.crossOrigin = "anonymous"; // served by the API: keeps the canvas exportable for the preview
+    img.onload = () => setBaseImg(img);
+    img.src = baseImage;
+  }, [baseImage]);
+
+  useEffect(() => () => { if (baseFile) URL.revokeObjectURL(baseImage); }, [baseFile]);
+
+  const size = baseImg ? { width: baseImg.naturalWidth, height: baseImg.naturalHeight } : BLANK_PLAN_SIZE;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    canvas.width = size.width;
+    canvas.height = size.height;
+    setView({ zoom: 1, x: 0, y: 0 });
+  }, [size.width, size.height]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    renderPlan(canvas.getContext("2d"), { baseImg, annotations: doc, draft, selectedId });
+  }, [doc, draft, selectedId, baseImg, size.width, size.height]);
+
+  /* ----- history ----- */
+  function commit(next, prev = doc) {
+    setHistory(h => ({ past: [...h.past.slice(-99), prev], future: [] }));
+    setDoc(next);
+  }
+  function undo() {
+    if (!history.past.length) return;
+    setHistory({ past: history.past.slice(0, -1), future: [doc, ...history.future] });
+    setDoc(history.past[history.past.length - 1]);
+    setSelectedId(null);
+  }
+  function redo() {
+    if (!history.future.length) return;
+    setHistory({ past: [...history.past, doc], future: history.future.slice(1) });
+    setDoc(history.future[0]);
+    setSelectedId(null);
+  }
+
+  /* ----- shapes ----- */
+  const selected = doc.shapes.find(s => s.id === selectedId);
+  const layerOf = (id) => doc.layers.find(l => l.id === id);
+  const activeLayer = layerOf(activeLayerId) || doc.layers[doc.layers.length - 1];
+
+  function addShape(shape) {
+    commit({ ...doc, shapes: [...doc.shapes, { id: uid("s"), layerId: activeLayer.id, color, width, ...shape }] });
+  }
+
+  function updateSelected(changes) {
+    if (!selected) return;
+    commit({ ...doc, shapes: doc.shapes.map(s => s.id === selected.id ? { ...s, ...changes } : s) });
+  }
+
+  function deleteSelected() {
+    if (!selected) return;
+    commit({ ...doc, shapes: doc.shapes.filter(s => s.id !== selected.id) });
+    setSelectedId(null);
+  }
+
+  // topmost shape under p on a visible, unlocked layer
+  function shapeAt(p) {
+    const ctx = canvasRef.current.getContext("2d");
+    const tolerance = 6 * (canvasRef.current.width / canvasRef.current.getBoundingClientRect().width);
+    for (const layer of [...doc.layers].reverse()) {
+      if (!layer.visible || layer.locked) continue;
+      const shapes = doc.shapes.filter(s => s.layerId === layer.id).reverse();
+      const hit = shapes.find(s => hitTest(ctx, s, p, tolerance));
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  /* ----- view: zoom / pan ----- */
+  // the canvas is CSS-transformed inside the viewport; getBoundingClientRect() includes that
+  // transform, so toCanvasPoint() stays exact at any zoom
+  function clampView(v) {
+    const zoom = Math.min(PLAN_MAX_ZOOM, Math.max(1, v.zoom));
+    const vp = viewportRef.current;
+    if (!vp) return { ...v, zoom };
+    const w = vp.clientWidth, h = vp.clientHeight;
+    return { zoom, x: Math.min(0, Math.max(w - w * zoom, v.x)), y: Math.min(0, Math.max(h - h * zoom, v.y)) };
+  }
+
+  // zoom by `factor` keeping the viewport point (vx, vy) under the same content
+  function zoomAt(factor, vx, vy, from = view) {
+    const zoom = Math.min(PLAN_MAX_ZOOM, Math.max(1, from.zoom * factor));
+    const k = zoom / from.zoom;
+    setView(clampView({ zoom, x: vx - (vx - from.x) * k, y: vy - (vy - from.y) * k }));
+  }
+
+  function zoomCenter(factor) {
+    const vp = viewportRef.current;
+    zoomAt(factor, vp.clientWidth / 2, vp.clientHeight / 2);
+  }
+
+  // ctrl + wheel (and trackpad pinch, which browsers report as ctrl + wheel); needs a non-passive listener
+  useEffect(() => {
+    const vp = viewportRef.current;
+    if (!vp) return;
+    function onWheel(e) {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      const rect = vp.getBoundingClientRect();
+      zoomAt(e.deltaY < 0 ? 1.15 : 1 / 1.15, e.clientX - rect.left, e.clientY - rect.top);
+    }
+    vp.addEventListener("wheel", onWheel, { passive: false });
+    return () => vp.removeEventListener("wheel", onWheel);
+  });
+
+  /* ----- pointer (mouse, pen, touch) ----- */
+  function toCanvasPoint(e) {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (canvas.height / rect.height),
+    };
+  }
+
+  function toViewportPoint(x, y) {
+    const rect = viewportRef.current.getBoundingClientRect();
+    return { x: x - rect.left, y: y - rect.top };
+  }
+
+  function pinchState() {
+    const [a, b] = [...pointersRef.current.values()];
+    return { dist: Math.hypot(b.x - a.x, b.y - a.y) || 1, mid: toViewportPoint((a.x + b.x) / 2, (a.y + b.y) / 2) };
+  }
+
+  // a second finger turns the current stroke / move into a pinch: undo what the first finger did
+  function cancelGesture() {
+    const gesture = gestureRef.current;
+    gestureRef.current = null;
+    if (gesture?.kind === "move" && gesture.moved) setDoc(gesture.origin);
+    setDraft(null);
+  }
+
+  function onPointerDown(e) {
+    const pointers = pointersRef.current;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    // keep receiving moves when the finger / pen leaves the canvas
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    if (pointers.size === 2) {
+      cancelGesture();
+      gestureRef.current = { kind: "pinch", start: pinchState(), view };
+      return;
+    }
+    if (pointers.size > 2) return;
+
+    if (tool === "pan" || e.button === 1) {
+      gestureRef.current = { kind: "pan", start: { x: e.clientX, y: e.clientY }, view };
+      return;
+    }
+
+    const p = toCanvasPoint(e);
+
+    if (tool === "select") {
+      const hit = shapeAt(p);
+      setSelectedId(hit ? hit.id : null);
+      if (hit) gestureRef.current = { kind: "move", start: p, origin: doc, shapeId: hit.id, moved: false };
+      return;
+    }
+
+    // one-shot tools: no gesture follows, and prompt() would swallow the pointerup
+    pointers.delete(e.pointerId);
+    if (!activeLayer.visible || activeLayer.locked) return notify(t("plans.layerUnavailable"), "error");
+    setSelectedId(null);
+
+    if (tool === "text") {
+      const text = prompt(t("plans.tools.text"));
+      if (text) addShape({ type: "text", x: p.x, y: p.y, text });
+      return;
+    }
+    if (tool === "unit") {
+      addShape({ type: "unit", x: p.x, y: p.y, unit });
+      return;
+    }
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const base = { id: uid("s"), layerId: activeLayer.id, color, width };
+    if (tool === "freehand") setDraft({ ...base, type: "freehand", points: [strokePoint(e, p)] });
+    else if (tool === "rect") setDraft({ ...base, type: "rect", x: p.x, y: p.y, w: 0, h: 0 });
+    else if (tool === "circle") setDraft({ ...base, type: "circle", cx: p.x, cy: p.y, r: 0 });
+    else setDraft({ ...base, type: tool, x1: p.x, y1: p.y, x2: p.x, y2: p.y });
+    gestureRef.current = { kind: "draw", start: p };
+  }
+
+  // freehand points carry the pen pressure as a 3rd value (mouse and touch report no real pressure)
+  function strokePoint(e, p) {
+    return e.pointerType === "pen" ? [p.x, p.y, e.pressure] : [p.x, p.y];
+  }
+
+  function onPointerMove(e) {
+    if (pointersRef.current.has(e.pointerId)) pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+
+    if (gesture.kind === "pinch") {
+      if (pointersRef.current.size < 2) return;
+      const { dist, mid } = pinchState();
+      const from = gesture.view;
+      const zoom = Math.min(PLAN_MAX_ZOOM, Math.max(1, from.zoom * dist / gesture.start.dist));
+      // content point that was under the fingers' midpoint stays under it (pinch + two-finger pan)
+      const cx = (gesture.start.mid.x - from.x) / from.zoom;
+      const cy = (gesture.start.mid.y - from.y) / from.zoom;
+      setView(clampView({ zoom, x: mid.x - cx * zoom, y: mid.y - cy * zoom }));
+      return;
+    }
+
+    if (gesture.kind === "pan") {
+      const v = gesture.view;
+      setView(clampView({ ...v, x: v.x + e.clientX - gesture.start.x, y: v.y + e.clientY - gesture.start.y }));
+      return;
+    }
+
+    const p = toCanvasPoint(e);
+
+    if (gesture.kind === "move") {
+      const dx = p.x - gesture.start.x, dy = p.y - gesture.start.y;
+      gesture.moved = true;
+      setDoc({
+        ...gesture.origin,
+        shapes: gesture.origin.shapes.map(s => s.id === gesture.shapeId ? translateShape(s, dx, dy) : s),
+      });
+      return;
+    }
+
+    // pens and fast mice deliver several samples per frame
+    const samples = e.nativeEvent.getCoalescedEvents?.() || [];
+    const points = (samples.length ? samples : [e]).map(ev => strokePoint(ev, toCanvasPoint(ev)));
+    setDraft(d => {
+      if (!d) return d;
+      if (d.type === "freehand") return { ...d, points: [...d.points, ...points] };
+      if (d.type === "rect") return { ...d, w: p.x - d.x, h: p.y - d.y };
+      if (d.type === "circle") return { ...d, r: Math.hypot(p.x - d.cx, p.y - d.cy) };
+      return { ...d, x2: p.x, y2: p.y };
+    });
+  }
 
+  function onPointerUp(e) {
+    pointersRef.current.delete(e.pointerId);
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+    // lifting one finger of a pinch ends it; the other finger does nothing until lifted
+    gestureRef.current = null;
+
+    if (gesture.kind === "pinch" || gesture.kind === "pan") return;
+    if (gesture.kind === "move") {
+      // the live moves bypassed history: record the state from before the drag
+      if (gesture.moved) setHistory(h => ({ past: [...h.past.slice(-99), gesture.origin], future: [] }));
+      return;
+    }
+    if (draft && !isEmptyShape(draft)) commit({ ...doc, shapes: [...doc.shapes, draft] });
+    setDraft(null);
+  }
+
+  /* ----- keyboard: delete, undo, redo ----- */
+  useEffect(() => {
+    function onKey(e) {
+      if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+      const mod = e.ctrlKey || e.metaKey;
+      if (mod && e.key.toLowerCase() === "z") { e.preventDefault(); e.shiftKey ? redo() : undo(); }
+      else if (mod && e.key.toLowerCase() === "y") { e.preventDefault(); redo(); }
+      else if ((e.key === "Delete" || e.key === "Backspace") && selected) { e.preventDefault(); deleteSelected(); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  /* ----- layers ----- */
+  function addLayer() {
+    const layer = { id: uid("layer-"), name: t("plans.layerName", { n: doc.layers.length + 1 }), visible: true, locked: false };
+    commit({ ...doc, layers: [...doc.layers, layer] });
+    setActiveLayerId(layer.id);
+  }
+  function updateLayer(id, changes) {
+    commit({ ...doc, layers: doc.layers.map(l => l.id === id ? { ...l, ...changes } : l) });
+  }
+  function moveLayer(id, delta) {
+    const i = doc.layers.findIndex(l => l.id === id);
+    const j = i + delta;
+    if (j < 0 || j >= doc.layers.length) return;
+    const layers = [...doc.layers];
+    [layers[i], layers[j]] = [layers[j], layers[i]];
+    commit({ ...doc, layers });
+  }
+  function deleteLayer(id) {
+    if (doc.layers.length === 1) return notify(t("plans.lastLayer"), "error");
+    const count = doc.shapes.filter(s => s.layerId === id).length;
+    if (count && !confirm(t("plans.confirmDeleteLayer", { count }))) return;
+    const layers = doc.layers.filter(l => l.id !== id);
+    commit({ ...doc, layers, shapes: doc.shapes.filter(s => s.layerId !== id) });
+    if (activeLayerId === id) setActiveLayerId(layers[layers.length - 1].id);
+    if (selected?.layerId === id) setSelectedId(null);
+  }
+
+  /* ----- files / save ----- */
   function handleFile(e) {
-    const f = e.target.files?.[0];
+    const f = e.target.files && e.target.files[0];
     if (!f) return;
-    const reader = new FileReader();
-    reader.onload = () => setEvidence(reader.result);
-    reader.readAsDataURL(f);
+    setBaseFile(f);
+    setBaseImage(URL.createObjectURL(f));
+  }
+
+  function save() {
+    if (!canCreate) return notify(t("common.permissionRequired"), "error");
+    form.submit(null, async () => {
+      // flattened preview for the list (no selection outline)
+      const off = document.createElement("canvas");
+      off.width = size.width;
+      off.height = size.height;
+      renderPlan(off.getContext("2d"), { baseImg, annotations: doc });
+      const preview = await new Promise(resolve => off.toBlob(resolve, "image/jpeg", 0.85));
+      await onSave({ title: title || t("plans.untitled"), baseImageFile: baseFile, annotations: doc, preview }, attachments, form);
+    });
   }
 
+  const toolButton = (value) => (
+    <button key={value} className={"btn" + (tool === value ? " active" : "")} onClick={() => { setTool(value); if (value !== "select") setSelectedId(null); }}>
+      {t("plans.tools." + value)}
+    </button>
+  );
+
   return (
     <div className="card form">
-      <input placeholder="Nom opération" value={name} onChange={e => setName(e.target.value)} />
-      <textarea placeholder="Description" value={desc} onChange={e => setDesc(e.target.value)} />
-      <input placeholder="Lieu (adresse ou coords)" value={location} onChange={e => setLocation(e.target.value)} />
-      <select value={status} onChange={e => setStatus(e.target.value)}>
-        <option value="planned">Planned</option>
-        <option value="ongoing">Ongoing</option>
-        <option value="completed">Completed</option>
-      </select>
-      <input type="file" accept="image/*" onChange={handleFile} />
-      {evidence && <img src={evidence} alt="evidence" style={{ width: 120, borderRadius: 6 }} />}
-      <div style={{ display: "flex", gap: 8 }}>
-        <button className="btn" onClick={() => onCreate({ name, description: desc, status, location, evidenceBase64: evidence })}>Créer</button>
+      <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <input style={{ flex: 1 }} placeholder={t("plans.titlePlaceholder")} value={title} onChange={e => setTitle(e.target.value)} />
+        <label className="muted">{t("plans.baseImage")} <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={handleFile} /></label>
+      </div>
+
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8, alignItems: "center" }}>
+        {PLAN_TOOLS.map(toolButton)}
+        {tool === "unit" && (
+          <select value={unit} onChange={e => setUnit(e.target.value)}>
+            {UNIT_ICONS.map(u => <option key={u.value} value={u.value}>{t("plans.units." + u.value)}</option>)}
+          </select>
+        )}
+        <input
+          type="color"
+          value={selected?.color || color}
+          onChange={e => { setColor(e.target.value); updateSelected({ color: e.target.value }); }}
+          title={t("plans.color")}
+        />
+        <label className="muted">
+          {t("plans.width", { width: selected?.width || width })}
+          <input
+            type="range"
+            min={1}
+            max={40}
+            value={selected?.width || width}
+            onChange={e => { setWidth(Number(e.target.value)); updateSelected({ width: Number(e.target.value) }); }}
+          />
+        </label>
+        <button className="btn" onClick={undo} disabled={!history.past.length} title="Ctrl+Z">{t("plans.undo")}</button>
+        <button className="btn" onClick={redo} disabled={!history.future.length} title="Ctrl+Y">{t("plans.redo")}</button>
+        {selected && <button className="btn" onClick={deleteSelected} title={t("plans.deleteKey")}>{t("plans.deleteSelection")}</button>}
+        <span style={{ marginLeft: "auto", display: "flex", gap: 4, alignItems: "center" }}>
+          <button className="btn" onClick={() => zoomCenter(1 / 1.5)} title={t("plans.zoomOut")}>−</button>
+          <button className="btn" onClick={() => setView({ zoom: 1, x: 0, y: 0 })} title={t("plans.zoomReset")}>{Math.round(view.zoom * 100)}%</button>
+          <button className="btn" onClick={() => zoomCenter(1.5)} title={t("plans.zoomIn")}>+</button>
+        </span>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <div ref={viewportRef} style={{ flex: 1, border: "1px solid #222", borderRadius: 6, overflow: "hidden", touchAction: "none" }}>
+          <canvas
+            ref={canvasRef}
+            onPointerDown={onPointerDown}
+            onPointerMove={onPointerMove}
+            onPointerUp={onPointerUp}
+            onPointerCancel={onPointerUp}
+            style={{
+              width: "100%",
+              display: "block",
+              touchAction: "none",
+              transformOrigin: "0 0",
+              transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+              cursor: tool === "pan" ? "grab" : tool === "select" ? "default" : "crosshair",
+            }}
+          />
+        </div>
+
+        <div style={{ width: 220 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <strong>{t("plans.layers")}</strong>
+            <button className="btn" onClick={addLayer}>+</button>
+          </div>
+          {[...doc.layers].reverse().map(l => (
+            <div
+              key={l.id}
+              onClick={() => setActiveLayerId(l.id)}
+              style={{ display: "flex", gap: 4, alignItems: "center", padding: 4, marginTop: 4, borderRadius: 4, cursor: "pointer", background: l.id === activeLayer.id ? "rgba(13,110,253,0.3)" : "transparent" }}
+            >
+              <span style={{ flex: 1, opacity: l.visible ? 1 : 0.5 }} onDoubleClick={() => { const name = prompt(t("plans.layerNamePrompt"), l.name); if (name) updateLayer(l.id, { name }); }}>
+                {l.name}
+              </span>
+              <button className="btn" title={l.visible ? t("plans.hide") : t("plans.show")} onClick={(e) => { e.stopPropagation(); updateLayer(l.id, { visible: !l.visible }); }}>{l.visible ? "👁" : "—"}</button>
+              <button className="btn" title={l.locked ? t("plans.unlock") : t("plans.lock")} onClick={(e) => { e.stopPropagation(); updateLayer(l.id, { locked: !l.locked }); }}>{l.locked ? "🔒" : "🔓"}</button>
+              <button className="btn" title={t("plans.moveUp")} onClick={(e) => { e.stopPropagation(); moveLayer(l.id, 1); }}>↑</button>
+              <button className="btn" title={t("plans.moveDown")} onClick={(e) => { e.stopPropagation(); moveLayer(l.id, -1); }}>↓</button>
+              <button className="btn" title={t("common.delete")} onClick={(e) => { e.stopPropagation(); deleteLayer(l.id); }}>✕</button>
+            </div>
+          ))}
+          <div className="muted" style={{ marginTop: 8, fontSize: 12 }}>{t("plans.layersHelp")}</div>
+        </div>
+      </div>
+
+      {canCreate ? (
+        <div style={{ marginTop: 8 }}>
+          <AttachmentsField existing={plan?.attachments} value={attachments} onChange={setAttachments} />
+        </div>
+      ) : <AttachmentList attachments={plan?.attachments} />}
+
+      <FieldError form={form} name="title" />
+      <FieldError form={form} name="annotations" />
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        {canCreate && <SubmitButton form={form} onClick={save}>{t("plans.save")}</SubmitButton>}
+        <button className="btn" onClick={onCancel}>{t("common.close")}</button>
       </div>
     </div>
   );
 }
 
-/* ---------- SquadsView ---------- */
-function SquadsView({ squads, members, createSquad }) {
-  const [name, setName] = useState("");
-  const [desc, setDesc] = useState("");
-  const [leadId, setLeadId] = useState("");
+/* ---------- SettingsView ---------- */
+/* Interface language picker: this browser only on the login screen, saved on the account in Paramètres */
+function LanguageSelect({ onChange = setLanguage }) {
+  return (
+    <select value={getLanguage()} onChange={e => onChange(e.target.value)} aria-label={t("settings.language")}>
+      {LANGUAGES.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+    </select>
+  );
+}
 
+function SettingsView({ members, changeLanguage }) {
+  const can = useCan();
   return (
     <section className="panel">
-      <h2>Escouades</h2>
-
-      <div className="card form">
-        <input placeholder="Nom escouade" value={name} onChange={e => setName(e.target.value)} />
-        <textarea placeholder="Description" value={desc} onChange={e => setDesc(e.target.value)} />
-        <select value={leadId} onChange={e => setLeadId(e.target.value)}>
-          <option value="">Choisir un lead</option>
-          {members.map(m => <option key={m.id} value={m.id}>{m.username}</option>)}
-        </select>
-        <button className="btn" onClick={() => {
-          if (!name) return alert("Nom requis");
-          const extra = desc + (leadId ? ` (lead:${leadId})` : "");
-          createSquad({ name, description: extra });
-        }}>Créer Escouade</button>
-      </div>
-
-      <div style={{ marginTop: 12 }}>
-        {squads.length === 0 && <div className="muted">Aucune escouade</div>}
-        {squads.map(s => <div className="card" key={s.id}><h3>{s.name}</h3><p>{s.description}</p></div>)}
+      <h2>{t("settings.title")}</h2>
+      <div className="card" style={{ display: "flex", gap: 8, alignItems: "center" }}>
+        <strong>{t("settings.language")}</strong>
+        <LanguageSelect onChange={changeLanguage} />
+        <span className="muted">{t("settings.languageHelp")}</span>
       </div>
+      <p className="muted">{t("settings.adminHint")}</p>
+      <p>{t("settings.membersHint")}</p>
+      {can("view_audit") && <>
+        <hr style={{ margin: "12px 0", borderColor: "#222" }} />
+        <AuditLogViewer members={members} />
+      </>}
     </section>
   );
 }
 
-/* ---------- PlansView: upload image + draw ---------- */
-function PlansView({ plans, createTacticalPlan, canCreate }) {
-  return (
-    <section className="panel">
-      <div style={{ display: "flex", justifyContent: "space-between" }}>
-        <h2>Plans Tactiques</h2>
-        {canCreate ? <div className="muted">Utilisez le formulaire ci-dessous pour importer et annoter une image</div> : <div className="muted">Droits requis</div>}
-      </div>
+/* ---------- AuditLogViewer: who did what, with filters and CSV export ---------- */
+// audit.subjects.* / audit.verbs.* in the catalogs; unknown ones are shown raw
+const AUDIT_SUBJECTS = ["auth", "member", "permission", "role_template", "operation", "tactic", "plan", "squad"];
 
-      <TacticalPlanForm onSave={createTacticalPlan} canCreate={canCreate} />
+const AUDIT_VERBS = [
+  "login", "login_failed", "password_change", "create", "update", "delete", "restore", "status", "reset_password",
+  "assign", "revoke", "apply", "member_set", "member_remove", "attachment_add", "attachment_delete",
+  "zone_add", "zone_update", "zone_delete",
+];
 
-      <div style={{ marginTop: 12 }}>
-        {plans.map(p => {
-          let parsed = null;
-          try { parsed = JSON.parse(p.body || "{}"); } catch {}
-          return (
-            <div className="card" key={p.id}>
-              <h3>{p.title}</h3>
-              {parsed?.mergedImage && <img src={parsed.mergedImage} alt="plan" style={{ width: 460, borderRadius: 6 }} />}
-            </div>
-          );
-        })}
-      </div>
-    </section>
-  );
+function auditSubjectLabel(subject) {
+  return AUDIT_SUBJECTS.includes(subject) ? t("audit.subjects." + subject) : subject;
 }
 
-/* TacticalPlanForm: shows image upload and canvas for drawing */
-function TacticalPlanForm({ onSave, canCreate }) {
-  const [title, setTitle] = useState("");
-  const [baseImage, setBaseImage] = useState(null);
-  const canvasRef = useRef(null);
-  const imgRef = useRef(null);
-  const [drawing, setDrawing] = useState(false);
-  const [ctx, setCtx] = useState(null);
+function auditActionLabel(action) {
+  const [subject, verb] = action.split(".");
+  return t("audit.action", { subject: auditSubjectLabel(subject), verb: AUDIT_VERBS.includes(verb) ? t("audit.verbs." + verb) : verb });
+}
+
+function formatAuditDetails(details) {
+  if (!details) return "";
+  return Object.entries(details).map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(", ") : v}`).join(" · ");
+}
+
+const NO_AUDIT_FILTERS = { action: "", actorId: "", from: "", to: "", q: "" };
+
+function AuditLogViewer({ members }) {
+  const [filters, setFilters] = useState(NO_AUDIT_FILTERS);
+  const [actions, setActions] = useState([]);
+  const [entries, setEntries] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(false);
 
   useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    canvas.width = 1000;
-    canvas.height = 600;
-    const c = canvas.getContext("2d");
-    c.lineCap = "round";
-    c.lineWidth = 6;
-    c.strokeStyle = "#fff";
-    setCtx(c);
-    // clear
-    c.clearRect(0, 0, canvas.width, canvas.height);
+    axios.get(API + "/audit/actions", { headers: getTokenHeader() }).then(res => setActions(res.data)).catch(() => {});
   }, []);
 
-  function handleFile(e) {
-    const f = e.target.files && e.target.files[0];
-    if (!f) return;
-    const r = new FileReader();
-    r.onload = () => {
-      setBaseImage(r.result);
-      // draw image into hidden image ref then scale canvas
-      const img = new Image();
-      img.onload = () => {
-        // adjust canvas size dynamically
-        const canvas = canvasRef.current;
-        canvas.width = img.width;
-        canvas.height = img.height;
-        const c = canvas.getContext("2d");
-        c.clearRect(0, 0, canvas.width, canvas.height);
-      };
-      img.src = r.result;
-      imgRef.current = img;
-    };
-    r.readAsDataURL(f);
+  // like usePagedList: filters reload the first page after a short pause (one request per pause
+  // in typing, not per key), and answers to an older request are dropped
+  const requestRef = useRef({ id: 0, first: true });
+  useEffect(() => {
+    const timer = setTimeout(() => load(null), requestRef.current.first ? 0 : 250);
+    requestRef.current.first = false;
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  function params(extra) {
+    const p = { ...extra };
+    for (const [k, v] of Object.entries(filters)) if (v) p[k] = v;
+    // date inputs give local days: include the whole "to" day
+    if (filters.from) p.from = new Date(filters.from + "T00:00").toISOString();
+    if (filters.to) p.to = new Date(filters.to + "T23:59:59.999").toISOString();
+    return p;
   }
 
-  function onPointerDown(e) {
-    if (!ctx) return;
-    setDrawing(true);
-    ctx.beginPath();
-    const rect = canvasRef.current.getBoundingClientRect();
-    ctx.moveTo(e.nativeEvent.offsetX, e.nativeEvent.offsetY);
+  async function load(before) {
+    const request = ++requestRef.current.id;
+    setLoading(true);
+    try {
+      const res = await axios.get(API + "/audit", { headers: getTokenHeader(), params: params(before ? { before } : {}) });
+      if (request !== requestRef.current.id) return;
+      setEntries(list => (before ? [...list, ...res.data.entries] : res.data.entries));
+      setNextBefore(res.data.nextBefore);
+    } catch (e) {
+      if (request === requestRef.current.id) reportError(e, "audit.errors.load");
+    } finally {
+      if (request === requestRef.current.id) setLoading(false);
+    }
   }
-  function onPointerMove(e) {
-    if (!drawing || !ctx) return;
-    ctx.lineTo(e.nativeEvent.offsetX, e.nativeEvent.offsetY);
-    ctx.stroke();
-  }
-  function onPointerUp() {
-    if (!ctx) return;
-    setDrawing(false);
-  }
-
-  async function saveMerged() {
-    if (!canCreate) return alert("Permission requise");
-    if (!baseImage) return alert("Image requise");
-    // draw base image on an offscreen canvas then draw current canvas overlay on top
-    const baseImg = new Image();
-    baseImg.src = baseImage;
-    await new Promise((res) => (baseImg.onload = res));
-    const off = document.createElement("canvas");
-    off.width = baseImg.width;
-    off.height = baseImg.height;
-    const c = off.getContext("2d");
-    c.drawImage(baseImg, 0, 0);
-    // draw overlay
-    c.drawImage(canvasRef.current, 0, 0);
-    const merged = off.toDataURL("image/png");
-    await onSave({ title: title || "Plan sans titre", imageBase64WithDrawing: merged });
-    // reset
-    setTitle("");
-    setBaseImage(null);
-    const ctx2 = canvasRef.current.getContext("2d");
-    ctx2.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-  }
-
-  function clearDrawing() {
-    if (!canvasRef.current) return;
-    const c = canvasRef.current.getContext("2d");
-    c.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+
+  async function exportCsv() {
+    try {
+      const res = await axios.get(API + "/audit", { headers: getTokenHeader(), params: params({ format: "csv" }), responseType: "blob" });
+      downloadBlob(res.data, `audit-${new Date().toISOString().slice(0, 10)}.csv`);
+    } catch (e) {
+      notify(t("audit.errors.export", { error: e.message }), "error");
+    }
+  }
+
+  function setFilter(key, value) {
+    setFilters(f => ({ ...f, [key]: value }));
   }
 
+  // subjects first ("Opération : tout"), then the exact actions seen so far
+  const subjects = [...new Set(actions.map(a => a.split(".")[0]))];
+
   return (
-    <div className="card form">
-      <input placeholder="Titre du plan" value={title} onChange={e => setTitle(e.target.value)} />
-      <input type="file" accept="image/*" onChange={handleFile} />
-      <div style={{ marginTop: 8, border: "1px solid #222", borderRadius: 6, overflow: "hidden" }}>
-        {baseImage ? (
-          <div style={{ position: "relative" }}>
-            <img src={baseImage} alt="base" style={{ width: "100%", display: "block" }} />
-            {/* Canvas overlay positioned absolutely on top */}
-            <div style={{ position: "absolute", top: 0, left: 0, right: 0, bottom: 0 }}>
-              <canvas
-                ref={canvasRef}
-                onPointerDown={onPointerDown}
-                onPointerMove={onPointerMove}
-                onPointerUp={onPointerUp}
-                style={{ width: "100%", height: "100%", cursor: "crosshair" }}
-              />
-            </div>
-          </div>
-        ) : (
-          <div className="muted">Aucune image sélectionnée</div>
-        )}
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h3>{t("audit.title")}</h3>
+        <button className="btn" onClick={exportCsv}>{t("audit.export")}</button>
       </div>
-
-      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
-        <button className="btn" onClick={saveMerged}>Sauvegarder le plan</button>
-        <button className="btn" onClick={clearDrawing}>Effacer dessin</button>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+        <select value={filters.action} onChange={e => setFilter("action", e.target.value)}>
+          <option value="">{t("audit.allActions")}</option>
+          {subjects.map(sub => <option key={sub} value={sub}>{t("audit.allOfSubject", { subject: auditSubjectLabel(sub) })}</option>)}
+          {actions.map(a => <option key={a} value={a}>{auditActionLabel(a)}</option>)}
+        </select>
+        <select value={filters.actorId} onChange={e => setFilter("actorId", e.target.value)}>
+          <option value="">{t("audit.allMembers")}</option>
+          {members.map(m => <option key={m.id} value={m.id}>{m.display_name || m.username}</option>)}
+        </select>
+        <label>{t("common.from")} <input type="date" value={filters.from} onChange={e => setFilter("from", e.target.value)} /></label>
+        <label>{t("common.to")} <input type="date" value={filters.to} onChange={e => setFilter("to", e.target.value)} /></label>
+        <input placeholder={t("audit.searchPlaceholder")} value={filters.q} onChange={e => setFilter("q", e.target.value)} />
+        <button className="btn" onClick={() => setFilters(NO_AUDIT_FILTERS)}>{t("common.reset")}</button>
       </div>
+
+      <table className="table" style={{ marginTop: 12 }}>
+        <thead><tr><th>{t("audit.columns.date")}</th><th>{t("common.member")}</th><th>{t("audit.columns.action")}</th><th>{t("audit.columns.target")}</th><th>{t("audit.columns.details")}</th><th>{t("audit.columns.ip")}</th></tr></thead>
+        <tbody>
+          {entries.map(e => (
+            <tr key={e.id} style={e.action === "auth.login_failed" ? { color: "#dc3545" } : undefined}>
+              <td style={{ whiteSpace: "nowrap" }}>{formatDateTime(e.created_at)}</td>
+              <td>{e.actor_username || "—"}</td>
+              <td>{auditActionLabel(e.action)}</td>
+              <td>{e.entity_type ? `${auditSubjectLabel(e.entity_type)} #${e.entity_id}` : "—"}</td>
+              <td style={{ fontSize: 12 }}>{formatAuditDetails(e.details)}</td>
+              <td style={{ fontSize: 12 }}>{e.ip}</td>
+            </tr>
+          ))}
+          {!entries.length && !loading && <tr><td colSpan={6} className="muted">{t("common.noEntries")}</td></tr>}
+        </tbody>
+      </table>
+      {nextBefore && <button className="btn" disabled={loading} onClick={() => load(nextBefore)}>{loading ? t("common.loading") : t("audit.older")}</button>}
     </div>
   );
 }
@@ -0,0 +1,262 @@
+import axios from "axios";
+import { createPdf, wrapText, textWidth, PAGE_WIDTH, PAGE_HEIGHT } from "./pdf.js";
+import { LS_MAP, LS_NATIVE_ZOOM, gameToPixel } from "./lsMap.js";
+import { t } from "./i18n.js";
+
+/**
+ * Briefing PDF of an operation, built in the browser (pdf.js) from the API records and the
+ * local Los Santos map: fields, squads and their members, a map snapshot around the location,
+ * then the linked tactical plans and tactics (procedure steps included) with their images.
+ */
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_Y = PAGE_HEIGHT - 28;
+const BOTTOM = FOOTER_Y - 12;
+const IMAGE_MAX_PX = 1600; // images are downscaled to this before being embedded
+const IMAGE_MAX_HEIGHT = 420; // points
+const MAP_SPAN_PX = 1024; // map pixels around the location in the snapshot
+const ACCENT = "#0d3b66";
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous"; // keeps the canvas exportable
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Image indisponible"));
+    img.src = src;
+  });
+}
+
+async function canvasToJpeg(canvas) {
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", 0.85));
+  return { data: new Uint8Array(await blob.arrayBuffer()), width: canvas.width, height: canvas.height };
+}
+
+async function imageToJpeg(src) {
+  const img = await loadImage(src);
+  const scale = Math.min(1, IMAGE_MAX_PX / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff"; // JPEG has no transparency
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvasToJpeg(canvas);
+}
+
+/**
+ * Square crop of the map centred on in-game { x, y }, with a marker. Uses the tile pyramid one
+ * level below native resolution when there is one (a few tiles instead of the whole image).
+ */
+async function mapSnapshot(position) {
+  const { px, py } = gameToPixel(position);
+  const left = px - MAP_SPAN_PX / 2;
+  const top = py - MAP_SPAN_PX / 2;
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+
+  if (LS_MAP.tilesUrl) {
+    const zoom = Math.max(0, LS_NATIVE_ZOOM - 1);
+    const scale = (256 * 2 ** zoom) / LS_MAP.width; // canvas pixels per map pixel
+    canvas.width = canvas.height = Math.round(MAP_SPAN_PX * scale);
+    ctx.fillStyle = "#1b1b1b";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const tilePx = 256 / scale;
+    const tiles = [];
+    for (let tx = Math.floor(left / tilePx); tx * tilePx < left + MAP_SPAN_PX; tx++) {
+      for (let ty = Math.floor(top / tilePx); ty * tilePx < top + MAP_SPAN_PX; ty++) {
+        if (tx < 0 || ty < 0 || tx >= 2 ** zoom || ty >= 2 ** zoom) continue;
+        const src = LS_MAP.tilesUrl.replace("{z}", zoom).replace("{x}", tx).replace("{y}", ty);
+        tiles.push(loadImage(src).then(img => ctx.drawImage(img, (tx * tilePx - left) * scale, (ty * tilePx - top) * scale, 256, 256), () => {}));
+      }
+    }
+    await Promise.all(tiles);
+  } else {
+    const img = await loadImage(LS_MAP.imageUrl);
+    // the image may not be the calibrated size: scale the crop to it
+    const kx = img.naturalWidth / LS_MAP.width;
+    const ky = img.naturalHeight / LS_MAP.height;
+    canvas.width = canvas.height = 768;
+    ctx.fillStyle = "#1b1b1b";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, left * kx, top * ky, MAP_SPAN_PX * kx, MAP_SPAN_PX * ky, 0, 0, canvas.width, canvas.height);
+  }
+
+  const c = canvas.width / 2;
+  ctx.strokeStyle = "#dc3545";
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.arc(c, c, canvas.width / 20, 0, Math.PI * 2);
+  ctx.moveTo(c - canvas.width / 12, c);
+  ctx.lineTo(c + canvas.width / 12, c);
+  ctx.moveTo(c, c - canvas.width / 12);
+  ctx.lineTo(c, c + canvas.width / 12);
+  ctx.stroke();
+  return canvasToJpeg(canvas);
+}
+
+/**
+ * @param {{ api: string, headers: () => object, operation: object, squads: object[], author: string,
+ *           labels: { status: (s) => string, role: (r) => string, category: (c) => string,
+ *                     date: (iso) => string } }} options
+ *        operation is the full record (GET /operations/:id), squads the squads list
+ * @returns {Promise<Blob>}
+ */
+export async function buildBriefing({ api, headers, operation: op, squads, author, labels }) {
+  const get = (path) => axios.get(api + path, { headers: headers() }).then(res => res.data);
+  const [plans, tactics] = await Promise.all([
+    Promise.all((op.plans || []).map(p => get("/tactical-plans/" + p.id))),
+    Promise.all((op.tactics || []).map(tactic => get("/tactics/" + tactic.id))),
+  ]);
+
+  const pdf = createPdf();
+  let y = 0;
+
+  function newPage() {
+    pdf.addPage();
+    y = MARGIN;
+  }
+
+  function ensure(height) {
+    if (y + height > BOTTOM) newPage();
+  }
+
+  function heading(text) {
+    ensure(40);
+    y += 10;
+    pdf.text(text.toUpperCase(), MARGIN, y, { size: 13, bold: true, color: ACCENT });
+    y += 17;
+    pdf.line(MARGIN, y, MARGIN + CONTENT_WIDTH, y, { color: ACCENT, width: 0.8 });
+    y += 8;
+  }
+
+  function paragraph(text, { size = 10.5, bold = false, indent = 0, color } = {}) {
+    for (const line of wrapText(text, size, CONTENT_WIDTH - indent, bold)) {
+      ensure(size * 1.4);
+      pdf.text(line, MARGIN + indent, y, { size, bold, color });
+      y += size * 1.4;
+    }
+  }
+
+  function field(label, value) {
+    if (!value) return;
+    const size = 10.5;
+    const labelWidth = 90;
+    const lines = wrapText(value, size, CONTENT_WIDTH - labelWidth);
+    ensure(size * 1.4 * Math.min(lines.length, 3));
+    pdf.text(label, MARGIN, y, { size, bold: true });
+    for (const line of lines) {
+      ensure(size * 1.4);
+      pdf.text(line, MARGIN + labelWidth, y, { size });
+      y += size * 1.4;
+    }
+  }
+
+  async function image(load, caption) {
+    let jpeg;
+    try {
+      jpeg = await load();
+    } catch (e) {
+      paragraph(t("briefing.imageUnavailable", { caption }), { size: 9.5, color: "#777777" });
+      return;
+    }
+    const ratio = jpeg.height / jpeg.width;
+    let width = Math.min(CONTENT_WIDTH, jpeg.width * 0.75);
+    let height = width * ratio;
+    if (height > IMAGE_MAX_HEIGHT) {
+      height = IMAGE_MAX_HEIGHT;
+      width = height / ratio;
+    }
+    ensure(height + 18);
+    pdf.image(pdf.addJpeg(jpeg), MARGIN + (CONTENT_WIDTH - width) / 2, y, width, height);
+    y += height + 4;
+    const captionWidth = textWidth(caption, 9);
+    pdf.text(caption, MARGIN + Math.max(0, (CONTENT_WIDTH - captionWidth) / 2), y, { size: 9, color: "#555555" });
+    y += 16;
+  }
+
+  /* ----- title ----- */
+  newPage();
+  pdf.rect(0, 0, PAGE_WIDTH, 78, { fill: ACCENT });
+  pdf.text(t("briefing.header"), MARGIN, 18, { size: 10, bold: true, color: "#ffffff" });
+  pdf.text(wrapText(op.name, 20, CONTENT_WIDTH, true)[0], MARGIN, 36, { size: 20, bold: true, color: "#ffffff" });
+  y = 96;
+
+  /* ----- fields ----- */
+  heading(t("briefing.information"));
+  field(t("briefing.status"), labels.status(op.status));
+  field(t("briefing.start"), op.start_at && labels.date(op.start_at));
+  field(t("briefing.end"), op.end_at && labels.date(op.end_at));
+  const coordinates = op.location_x != null ? `X ${op.location_x} · Y ${op.location_y}` : null;
+  field(t("briefing.location"), [op.location_text, coordinates && (op.location_text ? `(${coordinates})` : coordinates)].filter(Boolean).join(" "));
+  field(t("briefing.commander"), op.commander_id && (op.commander_name || op.commander_username));
+  if (op.description) {
+    heading(t("briefing.description"));
+    paragraph(op.description);
+  }
+
+  /* ----- squads ----- */
+  const assigned = op.squad_ids.map(id => squads.find(s => s.id === id)).filter(Boolean);
+  if (assigned.length) {
+    heading(t("briefing.squads"));
+    for (const squad of assigned) {
+      ensure(40);
+      pdf.rect(MARGIN, y + 2, 8, 8, { fill: /^#[0-9a-f]{6}$/i.test(squad.color || "") ? squad.color : "#888888" });
+      const leader = squad.leader_id ? " — " + t("briefing.leader", { name: squad.leader_name || squad.leader_username }) : "";
+      paragraph(squad.name + leader, { bold: true, indent: 14 });
+      if (!squad.members?.length) paragraph(t("briefing.noMembers"), { indent: 14, color: "#777777" });
+      for (const m of squad.members || []) paragraph(`• ${m.display_name || m.username} — ${labels.role(m.role)}`, { indent: 14 });
+      y += 4;
+    }
+  }
+
+  /* ----- map ----- */
+  if (op.location_x != null) {
+    heading(t("briefing.area"));
+    await image(() => mapSnapshot({ x: op.location_x, y: op.location_y }), t("briefing.mapCaption", { place: op.location_text || coordinates }));
+  }
+
+  /* ----- plans ----- */
+  if (plans.length) {
+    heading(t("briefing.plans"));
+    for (const plan of plans) {
+      const picture = plan.preview || plan.base_image;
+      paragraph(plan.title, { bold: true, size: 11.5 });
+      if (picture) await image(() => imageToJpeg(api + picture.url), plan.title);
+      else y += 6;
+    }
+  }
+
+  /* ----- tactics ----- */
+  if (tactics.length) {
+    heading(t("briefing.tactics"));
+    for (const tactic of tactics) {
+      paragraph(tactic.title, { bold: true, size: 11.5 });
+      const difficulty = tactic.difficulty ? " — " + t("briefing.difficulty", { n: tactic.difficulty }) : "";
+      paragraph(labels.category(tactic.category) + difficulty, { size: 9.5, color: "#555555" });
+      if (tactic.content) paragraph(tactic.content);
+      y += 4;
+      for (const [i, step] of tactic.steps.entries()) {
+        paragraph(`${i + 1}. ${step.title || ""}`, { bold: true, indent: 8 });
+        if (step.text) paragraph(step.text, { indent: 20 });
+        if (step.image) await image(() => imageToJpeg(api + step.image.url), t("tactics.stepNumber", { n: i + 1 }) + (step.title ? " — " + step.title : ""));
+      }
+      for (const a of tactic.attachments.filter(a => a.mime_type.startsWith("image/"))) {
+        await image(() => imageToJpeg(api + a.url), a.name);
+      }
+    }
+  }
+
+  /* ----- footers, now that the page count is known ----- */
+  const date = labels.date(new Date().toISOString());
+  const generated = author ? t("briefing.generatedBy", { date, author }) : t("briefing.generated", { date });
+  for (let i = 0; i < pdf.pageCount; i++) {
+    pdf.setPage(i);
+    pdf.line(MARGIN, FOOTER_Y - 4, MARGIN + CONTENT_WIDTH, FOOTER_Y - 4, { color: "#bbbbbb", width: 0.5 });
+    pdf.text(generated, MARGIN, FOOTER_Y, { size: 8, color: "#555555" });
+    const pageLabel = t("briefing.page", { n: i + 1, total: pdf.pageCount });
+    pdf.text(pageLabel, MARGIN + CONTENT_WIDTH - textWidth(pageLabel, 8), FOOTER_Y, { size: 8, color: "#555555" });
+  }
+  return pdf.toBlob();
+}
@@ -0,0 +1,86 @@
+import { useSyncExternalStore } from "react";
+import fr from "./locales/fr.js";
+import en from "./locales/en.js";
+
+/**
+ * Interface language.
+ *
+ * Messages live in the catalogs of ./locales, nested by view and looked up by dotted key:
+ * t("tactics.title"). `{name}` placeholders are filled from params; a message given as
+ * { one, other } is picked by params.count with the language's plural rules. A key missing from
+ * a catalog falls back to French, the reference catalog.
+ *
+ * The language is module state rather than a React context so that plain helpers (label
+ * functions, briefing.js) can translate too: App reads it through useLanguage() and re-renders
+ * the whole tree when it changes. It is remembered on this browser (the login screen uses it)
+ * and, once logged in, the user's saved preference wins (GET /auth/me -> user.language).
+ */
+const LANGUAGE_KEY = "mtd_language";
+
+export const LANGUAGES = [
+  { value: "fr", label: "Français", locale: "fr-FR" },
+  { value: "en", label: "English", locale: "en-US" },
+];
+
+const CATALOGS = { fr, en };
+
+let language = initialLanguage();
+const listeners = new Set();
+applyToDocument();
+
+function initialLanguage() {
+  const stored = localStorage.getItem(LANGUAGE_KEY);
+  if (CATALOGS[stored]) return stored;
+  // French unless the browser asks for English
+  return navigator.language?.toLowerCase().startsWith("en") ? "en" : "fr";
+}
+
+function applyToDocument() {
+  document.documentElement.lang = language;
+  document.title = t("app.documentTitle");
+}
+
+export function getLanguage() {
+  return language;
+}
+
+/** BCP 47 locale of the current language, for Intl and localeCompare. */
+export function getLocale() {
+  return LANGUAGES.find(l => l.value === language).locale;
+}
+
+export function setLanguage(next) {
+  if (!CATALOGS[next] || next === language) return;
+  language = next;
+  localStorage.setItem(LANGUAGE_KEY, next);
+  applyToDocument();
+  for (const listener of listeners) listener();
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Current language; re-renders the component when it changes. */
+export function useLanguage() {
+  return useSyncExternalStore(subscribe, getLanguage);
+}
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => node?.[part], catalog);
+}
+
+export function t(key, params = {}) {
+  let message = lookup(CATALOGS[language], key) ?? lookup(fr, key);
+  if (message && typeof message === "object") {
+    message = message[new Intl.PluralRules(getLocale()).select(params.count ?? 0)] ?? message.other;
+  }
+  if (typeof message !== "string") return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+/** Date and time in the current locale ("—" when missing). */
+export function formatDateTime(iso) {
+  return iso ? new Date(iso).toLocaleString(getLocale(), { dateStyle: "short", timeStyle: "short" }) : "—";
+}
@@ -0,0 +1,639 @@
+/**
+ * English catalog. Same keys as fr.js; a missing key shows the French message.
+ */
+export default {
+  app: {
+    documentTitle: "MDT SWAT - Los Santos",
+  },
+
+  common: {
+    add: "Add",
+    allStatuses: "All statuses",
+    back: "← Back",
+    cancel: "Cancel",
+    close: "Close",
+    collapse: "Collapse",
+    create: "Create",
+    createRightsRequired: "Permission required to create",
+    delete: "Delete",
+    description: "Description",
+    details: "Details",
+    edit: "Edit",
+    fieldLabel: "{label}:",
+    from: "From",
+    history: "History",
+    loadMore: "Load more",
+    loading: "Loading…",
+    member: "Member",
+    memberRequired: "Member required",
+    nameRequired: "Name required",
+    noEntries: "No entries",
+    none: "none",
+    open: "Open",
+    permissionRequired: "Permission required",
+    remove: "Remove",
+    reset: "Reset",
+    rightsRequired: "Permission required",
+    save: "Save",
+    saving: "Saving…",
+    searchToAdd: "Search to add…",
+    title: "Title",
+    titleRequired: "Title required",
+    to: "to",
+    errors: {
+      loadList: "Error loading list: {error}",
+    },
+  },
+
+  nav: {
+    map: "Map",
+    tactics: "Tactics",
+    members: "Members",
+    operations: "Operations",
+    squads: "Squads",
+    plans: "Tactical Plan",
+    settings: "Settings",
+    logout: "Log out",
+  },
+
+  home: {
+    title: "WELCOME TO THE SWAT MDT SYSTEM",
+    subtitle: "SPECIAL WEAPONS AND TACTICS DIVISION",
+  },
+
+  live: {
+    online: { label: "Live", title: "Changes made by other members appear live" },
+    connecting: { label: "Connecting…", title: "Connecting to the live feed" },
+    offline: { label: "Offline", title: "Live feed interrupted: retrying in a few seconds" },
+  },
+
+  offline: {
+    label: "Offline",
+    since: "Offline · data from {date}",
+    help: "API unreachable: the last loaded data can still be read",
+    pending: { one: "{count} create pending", other: "{count} creates pending" },
+    entry: "{kind} “{name}”",
+    queued: "Offline: {entry} will be created when the connection returns",
+    replayed: { one: "{count} create made offline sent", other: "{count} creates made offline sent" },
+    conflict: "Conflict, offline create refused: {entry} — {error}",
+    unreachable: "API unreachable: action not available offline",
+    kinds: {
+      marker: "Marker",
+      squad: "Squad",
+      tactic: "Tactic",
+      operation: "Operation",
+      plan: "Plan",
+      zone: "Zone",
+    },
+    errors: {
+      queue: "Could not keep the create offline: {error}",
+    },
+  },
+
+  search: {
+    placeholder: "Search…",
+    noResults: "No results",
+    groups: {
+      operation: "Operations",
+      tactic: "Tactics",
+      plan: "Plans",
+      squad: "Squads",
+      member: "Members",
+    },
+  },
+
+  login: {
+    title: "Sign in",
+    expired: "Session expired, please sign in again.",
+    username: "Username",
+    password: "Password",
+    submit: "Sign in",
+    submitting: "Signing in…",
+    unreachable: "Server unreachable",
+  },
+
+  password: {
+    title: "New password",
+    intro: "The account {username} still uses its initial password: choose a new one to continue.",
+    current: "Current password",
+    new: "New password",
+    confirm: "Confirm",
+    mismatch: "The two passwords do not match",
+    currentRequired: "Current password required",
+    errors: {
+      change: "Error changing password: {error}",
+    },
+  },
+
+  map: {
+    title: "Los Santos map",
+    place: "+ Place a marker",
+    placing: "Click on the map…",
+    viewRequired: "Permission required to see markers (view_map)",
+    background: "Base map",
+    modes: {
+      ls: "Los Santos (offline, game coordinates)",
+      osm: "OpenStreetMap (online)",
+    },
+    missingImage: "Add a {file} file ({size}) to show the base map.",
+    hiddenMarkers: {
+      one: "{count} marker placed in the other coordinate system is not shown.",
+      other: "{count} markers placed in the other coordinate system are not shown.",
+    },
+    units: "Units",
+    showPositions: "Show positions",
+    noPositions: "No position received recently",
+    reference: "Reference",
+    noSquad: "No squad",
+    heading: "Heading {heading}°",
+    seen: "Seen {age} ({date})",
+    age: {
+      seconds: "{n} s ago",
+      minutes: "{n} min ago",
+      hours: "{n} h ago",
+    },
+    confirmDelete: "Delete “{title}”?",
+    categories: {
+      info: "Information",
+      objective: "Objective",
+      threat: "Threat",
+      staging: "Staging area",
+      medical: "Medical post",
+      checkpoint: "Checkpoint",
+    },
+    errors: {
+      create: "Error creating marker: {error}",
+      update: "Error updating marker: {error}",
+      delete: "Error deleting marker: {error}",
+    },
+  },
+
+  zones: {
+    title: "Zones",
+    lsOnly: "Zones are drawn on the Los Santos map (in-game coordinates).",
+    none: "No zones on ongoing operations",
+    count: {
+      one: "{count} zone",
+      other: "{count} zones",
+    },
+    pickOperation: "Operation…",
+    drawPolygon: "Polygon",
+    drawCircle: "Circle",
+    polygonHelp: "Click the vertices, then “Finish” or the first vertex.",
+    circleHelp: "Click the center, then a point on the edge.",
+    finish: "Finish",
+    undoPoint: "Remove last point",
+    draft: "New zone",
+    label: "Label",
+    labelRequired: "Label required",
+    ofOperation: "Operation: {name}",
+    openOperation: "Open operation",
+    drawFromMap: "No zones: draw them from the Map tab.",
+    circle: "circle of {radius} m",
+    polygon: {
+      one: "polygon with {count} vertex",
+      other: "polygon with {count} vertices",
+    },
+    confirmDelete: "Delete zone “{label}”?",
+    kinds: {
+      perimeter: "Perimeter",
+      inner_cordon: "Inner cordon",
+      outer_cordon: "Outer cordon",
+      staging: "Staging area",
+      sniper_arc: "Sniper arc",
+      other: "Other",
+    },
+    errors: {
+      create: "Error creating zone: {error}",
+      update: "Error updating zone: {error}",
+      delete: "Error deleting zone: {error}",
+    },
+  },
+
+  revisions: {
+    loading: "Loading history…",
+    empty: "No history",
+    restore: "Restore",
+    confirmRestore: "Restore version {version}? The current state stays in the history.",
+    longValue: {
+      one: "({count} character)",
+      other: "({count} characters)",
+    },
+    actions: {
+      create: "Created",
+      update: "Updated",
+      delete: "Deleted",
+      restore: "Restored",
+    },
+    errors: {
+      load: "Error loading history: {error}",
+      restore: "Error restoring: {error}",
+    },
+  },
+
+  attachments: {
+    label: "Attachments (images, PDF)",
+    keep: "Keep",
+    count: {
+      one: "{count} attachment",
+      other: "{count} attachments",
+    },
+    size: {
+      bytes: "{n} B",
+      kilobytes: "{n} KB",
+      megabytes: "{n} MB",
+    },
+  },
+
+  tactics: {
+    title: "Tactics library",
+    add: "+ Add",
+    searchPlaceholder: "Search (title, description, steps, tags)",
+    allCategories: "All categories",
+    allDifficulties: "All difficulties",
+    allTags: "All tags",
+    noMatch: "No tactic matches the filters",
+    empty: "No tactics yet",
+    confirmDelete: "Delete the tactic “{title}”?",
+    created: "Tactic created",
+    updated: "Tactic updated",
+    difficulty: "Difficulty",
+    difficultyTitle: "Difficulty: {label}",
+    stepCount: {
+      one: "{count} step",
+      other: "{count} steps",
+    },
+    stepNumber: "Step {n}",
+    procedure: "Procedure",
+    stepTitle: "Step title",
+    stepText: "Instructions",
+    stepImage: "Image",
+    addStep: "+ Step",
+    tagsPlaceholder: "Tags, comma-separated",
+    tagTooLong: "Tag too long (30 characters max.)",
+    tooManyTags: "{count} tags at most",
+    stepRequired: "Step {n}: title or text required",
+    plansPicker: "Tactical plans",
+    operationsPicker: "Operations",
+    linkedPlans: "Plans",
+    linkedOperations: "Operations",
+    categories: {
+      cqb: "CQB",
+      hostage_rescue: "Hostage rescue",
+      vehicle_assault: "Vehicle assault",
+      barricaded_suspect: "Barricaded suspect",
+      high_risk_warrant: "High-risk warrant",
+      sniper_overwatch: "Sniper overwatch",
+      crowd_control: "Crowd control",
+      other: "Other",
+    },
+    difficulties: {
+      1: "Basic",
+      2: "Easy",
+      3: "Intermediate",
+      4: "Advanced",
+      5: "Expert",
+    },
+    errors: {
+      create: "Error creating tactic: {error}",
+      update: "Error updating tactic: {error}",
+      delete: "Error deleting tactic: {error}",
+      load: "Error loading tactic: {error}",
+    },
+  },
+
+  members: {
+    title: "Members",
+    add: "+ Create an account",
+    searchPlaceholder: "Search (name, callsign, badge number, rank, certification)",
+    empty: "No members",
+    password: "Password",
+    suspend: "Suspend",
+    reactivate: "Reactivate",
+    promptPassword: "Temporary password for {username}:",
+    confirmSuspend: "Suspend {username}? Their sessions will be closed and they will no longer be able to sign in.",
+    created: "Member created",
+    passwordReset: "Password reset: the member will have to change it at their next sign-in",
+    columns: {
+      callsign: "Callsign",
+      badge_number: "Badge number",
+      name: "Name",
+      rank: "Rank",
+      certifications: "Certifications",
+      status: "Status",
+      role: "Role",
+    },
+    ranks: {
+      officer: "Officer",
+      senior_officer: "Senior officer",
+      corporal: "Corporal",
+      sergeant: "Sergeant",
+      lieutenant: "Lieutenant",
+      captain: "Captain",
+      commander: "Commander",
+    },
+    statuses: {
+      active: "Active",
+      suspended: "Suspended",
+      retired: "Retired",
+    },
+    roles: {
+      user: "Member",
+      admin: "Administrator",
+    },
+    form: {
+      username: "Username",
+      initialPassword: "Initial password",
+      displayName: "Display name",
+      callsign: "Callsign (e.g. Alpha-1)",
+      rank: "— Rank —",
+      certifications: "Certifications, comma-separated",
+      usernameRequired: "Username required",
+      certificationTooLong: "Certification too long (60 characters max.)",
+    },
+    errors: {
+      create: "Error creating member: {error}",
+      update: "Error updating member: {error}",
+      resetPassword: "Error resetting password: {error}",
+    },
+  },
+
+  permissions: {
+    title: "Permissions",
+    name: "Name",
+    members: "Members",
+    builtin: "built-in",
+    namePlaceholder: "Permission name (e.g. manage_tactics)",
+    nameInvalid: "Invalid permission name (a-z, 0-9, _)",
+    confirmDelete: "Delete the permission {name}? It will be removed from every member and template.",
+    matrix: "Permission matrix",
+    matrixHelp: "Check to grant, uncheck to revoke. Admins have every permission.",
+    adminHasAll: "Admin: every permission",
+    templates: "Role templates",
+    addTemplate: "+ New template",
+    templateNamePlaceholder: "Name (e.g. Team leader)",
+    none: "No permissions",
+    applyTo: "Apply to…",
+    applyAdd: "Add the permissions",
+    applyReplace: "Replace",
+    confirmDeleteTemplate: "Delete the template “{name}”? Permissions already granted stay in place.",
+    confirmReplace: "Replace all of the member's permissions with the template's?",
+    errors: {
+      load: "Error loading permissions: {error}",
+      create: "Error creating permission: {error}",
+      update: "Error updating permission: {error}",
+      delete: "Error deleting permission: {error}",
+      saveTemplate: "Error saving template: {error}",
+      deleteTemplate: "Error deleting template: {error}",
+      applyTemplate: "Error applying template: {error}",
+    },
+  },
+
+  operations: {
+    title: "Operations",
+    add: "+ New operation",
+    filterPlaceholder: "Filter (name, description, location)",
+    noMatch: "No operation matches the filters",
+    empty: "No operations yet",
+    created: "Operation created",
+    updated: "Operation updated",
+    confirmDelete: "Delete the operation “{name}”? It will stay visible in the history.",
+    confirmStatus: "Move the operation to “{status}”?",
+    generateBriefing: "Generate briefing",
+    generating: "Generating…",
+    plans: "Plans",
+    doctrine: "Applicable doctrine",
+    journal: "Log",
+    journalPlaceholder: "Add an entry (contact, entry, suspect neutralized…)",
+    statusEvent: "Status:",
+    fields: {
+      location: "Location:",
+      schedule: "Schedule:",
+      commander: "Commander:",
+      squads: "Squads:",
+    },
+    form: {
+      name: "Operation name",
+      location: "Location (address, landmark…)",
+      x: "X (game)",
+      y: "Y (game)",
+      start: "Start",
+      end: "End",
+      commander: "Commander",
+      plans: "Tactical plans",
+      tactics: "Tactics",
+      coordinatesIncomplete: "Incomplete coordinates (X and Y)",
+      endBeforeStart: "The end must be after the start",
+    },
+    statuses: {
+      planned: "Planned",
+      briefed: "Briefed",
+      ongoing: "Ongoing",
+      completed: "Completed",
+      aborted: "Aborted",
+    },
+    errors: {
+      create: "Error creating operation: {error}",
+      update: "Error updating operation: {error}",
+      delete: "Error deleting operation: {error}",
+      load: "Error loading operation: {error}",
+      status: "Error changing status: {error}",
+      journal: "Error adding to the log: {error}",
+      briefing: "Error generating the briefing: {error}",
+    },
+  },
+
+  squads: {
+    title: "Squads",
+    name: "Squad name",
+    chooseLeader: "Choose a leader",
+    mapColor: "Map color",
+    mapColorField: "Map color:",
+    create: "Create squad",
+    empty: "No squads",
+    leaderField: "Leader:",
+    leaderDetailField: "Squad leader:",
+    leaderTag: "(leader)",
+    noLeader: "None",
+    memberCount: {
+      one: "{count} member",
+      other: "{count} members",
+    },
+    role: "Role",
+    addMember: "Add a member",
+    confirmDelete: "Delete the squad “{name}”?",
+    confirmRemove: "Remove {name} from the squad?",
+    created: "Squad created",
+    roles: {
+      operator: "Operator",
+      pointman: "Pointman",
+      breacher: "Breacher",
+      sniper: "Sniper",
+      medic: "Medic",
+      negotiator: "Negotiator",
+      shield: "Shield",
+    },
+    errors: {
+      create: "Error creating squad: {error}",
+      update: "Error updating squad: {error}",
+      delete: "Error deleting squad: {error}",
+      setMember: "Error assigning member: {error}",
+      removeMember: "Error removing member: {error}",
+    },
+  },
+
+  plans: {
+    title: "Tactical Plans",
+    add: "+ New plan",
+    filterPlaceholder: "Filter by title",
+    noMatch: "No plan matches the filter",
+    empty: "No plans yet",
+    created: "Tactical plan saved",
+    updated: "Tactical plan updated",
+    confirmDelete: "Delete the plan “{title}”?",
+    untitled: "Untitled plan",
+    titlePlaceholder: "Plan title",
+    baseImage: "Background image",
+    color: "Color",
+    width: "Width {width}",
+    undo: "Undo",
+    redo: "Redo",
+    deleteKey: "Del",
+    deleteSelection: "Delete selection",
+    zoomIn: "Zoom in (Ctrl + wheel, pinch on a tablet)",
+    zoomOut: "Zoom out",
+    zoomReset: "Whole view",
+    layers: "Layers",
+    layerName: "Layer {n}",
+    layerNamePrompt: "Layer name",
+    layerUnavailable: "The active layer is hidden or locked",
+    lastLayer: "A plan must keep at least one layer",
+    confirmDeleteLayer: {
+      one: "Delete this layer and its element?",
+      other: "Delete this layer and its {count} elements?",
+    },
+    layersHelp: "Double-click to rename. New elements go on the active layer.",
+    hide: "Hide",
+    show: "Show",
+    lock: "Lock",
+    unlock: "Unlock",
+    moveUp: "Move up",
+    moveDown: "Move down",
+    save: "Save plan",
+    tools: {
+      select: "Select",
+      pan: "Pan",
+      freehand: "Freehand",
+      line: "Line",
+      arrow: "Arrow",
+      rect: "Rectangle",
+      circle: "Circle",
+      text: "Text",
+      unit: "Unit",
+    },
+    units: {
+      operator: "Operator",
+      pointman: "Pointman",
+      breacher: "Breacher",
+      sniper: "Sniper",
+      shield: "Shield",
+      medic: "Medic",
+      vehicle: "Vehicle",
+      suspect: "Suspect",
+      hostage: "Hostage",
+    },
+    errors: {
+      create: "Error creating tactical plan: {error}",
+      update: "Error updating tactical plan: {error}",
+      delete: "Error deleting tactical plan: {error}",
+      load: "Error loading plan: {error}",
+    },
+  },
+
+  settings: {
+    title: "Settings & Administration",
+    language: "Language",
+    languageHelp: "Saved on your account",
+    adminHint: "Create accounts, manage permissions (admin required)",
+    membersHint: "Use the Members tab to create accounts and assign permissions.",
+    errors: {
+      language: "Error saving the language: {error}",
+    },
+  },
+
+  audit: {
+    title: "Audit log",
+    export: "Export as CSV",
+    allActions: "All actions",
+    allOfSubject: "{subject}: all",
+    allMembers: "All members",
+    searchPlaceholder: "Search (username, details, IP)",
+    older: "Older",
+    action: "{subject}: {verb}",
+    columns: {
+      date: "Date",
+      action: "Action",
+      target: "Target",
+      details: "Details",
+      ip: "IP",
+    },
+    subjects: {
+      auth: "Sign-in",
+      member: "Member",
+      permission: "Permission",
+      role_template: "Role template",
+      operation: "Operation",
+      tactic: "Tactic",
+      plan: "Plan",
+      squad: "Squad",
+    },
+    verbs: {
+      login: "successful sign-in",
+      login_failed: "failed sign-in",
+      password_change: "password change",
+      create: "creation",
+      update: "update",
+      delete: "deletion",
+      restore: "restore",
+      status: "status change",
+      reset_password: "password reset",
+      assign: "grant",
+      revoke: "revoke",
+      apply: "template applied",
+      member_set: "member assigned",
+      member_remove: "member removed",
+      attachment_add: "attachment added",
+      attachment_delete: "attachment deleted",
+      zone_add: "zone added",
+      zone_update: "zone updated",
+      zone_delete: "zone deleted",
+    },
+    errors: {
+      load: "Error loading the audit log: {error}",
+      export: "Error exporting CSV: {error}",
+    },
+  },
+
+  briefing: {
+    header: "OPERATIONAL BRIEFING — SWAT",
+    information: "Information",
+    status: "Status",
+    start: "Start",
+    end: "End",
+    location: "Location",
+    commander: "Commander",
+    description: "Description",
+    squads: "Assigned squads",
+    leader: "leader: {name}",
+    noMembers: "No members",
+    area: "Area of operation",
+    mapCaption: "Map — {place}",
+    plans: "Tactical plans",
+    tactics: "Tactics",
+    difficulty: "difficulty {n}/5",
+    imageUnavailable: "({caption}: image unavailable)",
+    generated: "Generated on {date} — restricted distribution",
+    generatedBy: "Generated on {date} by {author} — restricted distribution",
+    page: "Page {n} / {total}",
+  },
+};
@@ -0,0 +1,640 @@
+/**
+ * Catalogue français (référence : une clé absente des autres catalogues retombe ici).
+ * `{name}` est remplacé par le paramètre du même nom ; { one, other } est choisi selon `count`.
+ */
+export default {
+  app: {
+    documentTitle: "MDT SWAT - Los Santos",
+  },
+
+  common: {
+    add: "Ajouter",
+    allStatuses: "Tous les statuts",
+    back: "← Retour",
+    cancel: "Annuler",
+    close: "Fermer",
+    collapse: "Réduire",
+    create: "Créer",
+    createRightsRequired: "Droits requis pour créer",
+    delete: "Supprimer",
+    description: "Description",
+    details: "Détails",
+    edit: "Modifier",
+    fieldLabel: "{label} :",
+    from: "Du",
+    history: "Historique",
+    loadMore: "Charger plus",
+    loading: "Chargement…",
+    member: "Membre",
+    memberRequired: "Membre requis",
+    nameRequired: "Nom requis",
+    noEntries: "Aucune entrée",
+    none: "aucun",
+    open: "Ouvrir",
+    permissionRequired: "Permission requise",
+    remove: "Retirer",
+    reset: "Réinitialiser",
+    rightsRequired: "Droits requis",
+    save: "Enregistrer",
+    saving: "Enregistrement…",
+    searchToAdd: "Rechercher pour ajouter…",
+    title: "Titre",
+    titleRequired: "Titre requis",
+    to: "au",
+    errors: {
+      loadList: "Erreur chargement liste : {error}",
+    },
+  },
+
+  nav: {
+    map: "Carte",
+    tactics: "Tactiques",
+    members: "Membres",
+    operations: "Opérations",
+    squads: "Escouades",
+    plans: "Plan Tactique",
+    settings: "Paramètres",
+    logout: "Déconnexion",
+  },
+
+  home: {
+    title: "BIENVENUE SUR LE SYSTÈME MDT SWAT",
+    subtitle: "DIVISION DU SPECIAL WEAPONS AND TACTICS",
+  },
+
+  live: {
+    online: { label: "En direct", title: "Les modifications des autres membres s'affichent en direct" },
+    connecting: { label: "Connexion…", title: "Connexion au flux en direct" },
+    offline: { label: "Hors ligne", title: "Flux en direct interrompu : nouvelle tentative dans quelques secondes" },
+  },
+
+  offline: {
+    label: "Hors ligne",
+    since: "Hors ligne · données du {date}",
+    help: "API injoignable : les dernières données chargées restent consultables",
+    pending: { one: "{count} création en attente", other: "{count} créations en attente" },
+    entry: "{kind} « {name} »",
+    queued: "Hors ligne : création en attente ({entry}), envoyée au retour de la connexion",
+    replayed: { one: "{count} création faite hors ligne envoyée", other: "{count} créations faites hors ligne envoyées" },
+    conflict: "Conflit, création hors ligne refusée : {entry} — {error}",
+    unreachable: "API injoignable : action impossible hors ligne",
+    kinds: {
+      marker: "Marqueur",
+      squad: "Escouade",
+      tactic: "Tactique",
+      operation: "Opération",
+      plan: "Plan",
+      zone: "Zone",
+    },
+    errors: {
+      queue: "Impossible de garder la création hors ligne : {error}",
+    },
+  },
+
+  search: {
+    placeholder: "Rechercher…",
+    noResults: "Aucun résultat",
+    groups: {
+      operation: "Opérations",
+      tactic: "Tactiques",
+      plan: "Plans",
+      squad: "Escouades",
+      member: "Membres",
+    },
+  },
+
+  login: {
+    title: "Connexion",
+    expired: "Session expirée, reconnectez-vous.",
+    username: "Identifiant",
+    password: "Mot de passe",
+    submit: "Connexion",
+    submitting: "Connexion…",
+    unreachable: "Serveur injoignable",
+  },
+
+  password: {
+    title: "Nouveau mot de passe",
+    intro: "Le compte {username} utilise encore son mot de passe initial : choisissez-en un nouveau pour continuer.",
+    current: "Mot de passe actuel",
+    new: "Nouveau mot de passe",
+    confirm: "Confirmer",
+    mismatch: "Les deux mots de passe ne correspondent pas",
+    currentRequired: "Mot de passe actuel requis",
+    errors: {
+      change: "Erreur changement de mot de passe : {error}",
+    },
+  },
+
+  map: {
+    title: "Carte de Los Santos",
+    place: "+ Placer un marqueur",
+    placing: "Cliquez sur la carte…",
+    viewRequired: "Droits requis pour voir les marqueurs (view_map)",
+    background: "Fond de carte",
+    modes: {
+      ls: "Los Santos (hors ligne, coordonnées du jeu)",
+      osm: "OpenStreetMap (en ligne)",
+    },
+    missingImage: "Ajoute un fichier {file} ({size}) pour afficher le fond.",
+    hiddenMarkers: {
+      one: "{count} marqueur placé dans l'autre système de coordonnées n'est pas affiché.",
+      other: "{count} marqueurs placés dans l'autre système de coordonnées ne sont pas affichés.",
+    },
+    units: "Unités",
+    showPositions: "Afficher les positions",
+    noPositions: "Aucune position reçue récemment",
+    reference: "Référence",
+    noSquad: "Sans escouade",
+    heading: "Cap {heading}°",
+    seen: "Vu {age} ({date})",
+    age: {
+      seconds: "il y a {n} s",
+      minutes: "il y a {n} min",
+      hours: "il y a {n} h",
+    },
+    confirmDelete: "Supprimer « {title} » ?",
+    categories: {
+      info: "Information",
+      objective: "Objectif",
+      threat: "Menace",
+      staging: "Point de rassemblement",
+      medical: "Poste médical",
+      checkpoint: "Checkpoint",
+    },
+    errors: {
+      create: "Erreur création marqueur : {error}",
+      update: "Erreur modification marqueur : {error}",
+      delete: "Erreur suppression marqueur : {error}",
+    },
+  },
+
+  zones: {
+    title: "Zones",
+    lsOnly: "Les zones sont dessinées sur la carte de Los Santos (coordonnées du jeu).",
+    none: "Aucune zone sur les opérations en cours",
+    count: {
+      one: "{count} zone",
+      other: "{count} zones",
+    },
+    pickOperation: "Opération…",
+    drawPolygon: "Polygone",
+    drawCircle: "Cercle",
+    polygonHelp: "Cliquez les sommets, puis « Terminer » ou le premier sommet.",
+    circleHelp: "Cliquez le centre, puis un point du bord.",
+    finish: "Terminer",
+    undoPoint: "Retirer le dernier point",
+    draft: "Nouvelle zone",
+    label: "Libellé",
+    labelRequired: "Libellé requis",
+    ofOperation: "Opération : {name}",
+    openOperation: "Ouvrir l'opération",
+    drawFromMap: "Aucune zone : dessinez-les depuis l'onglet Carte.",
+    circle: "cercle de {radius} m",
+    polygon: {
+      one: "polygone de {count} sommet",
+      other: "polygone de {count} sommets",
+    },
+    confirmDelete: "Supprimer la zone « {label} » ?",
+    kinds: {
+      perimeter: "Périmètre",
+      inner_cordon: "Cordon intérieur",
+      outer_cordon: "Cordon extérieur",
+      staging: "Zone de regroupement",
+      sniper_arc: "Secteur de tir",
+      other: "Autre",
+    },
+    errors: {
+      create: "Erreur création zone : {error}",
+      update: "Erreur modification zone : {error}",
+      delete: "Erreur suppression zone : {error}",
+    },
+  },
+
+  revisions: {
+    loading: "Chargement de l'historique…",
+    empty: "Aucun historique",
+    restore: "Restaurer",
+    confirmRestore: "Restaurer la version {version} ? L'état actuel reste dans l'historique.",
+    longValue: {
+      one: "({count} caractère)",
+      other: "({count} caractères)",
+    },
+    actions: {
+      create: "Création",
+      update: "Modification",
+      delete: "Suppression",
+      restore: "Restauration",
+    },
+    errors: {
+      load: "Erreur chargement historique : {error}",
+      restore: "Erreur restauration : {error}",
+    },
+  },
+
+  attachments: {
+    label: "Pièces jointes (images, PDF)",
+    keep: "Garder",
+    count: {
+      one: "{count} pièce jointe",
+      other: "{count} pièces jointes",
+    },
+    size: {
+      bytes: "{n} o",
+      kilobytes: "{n} Ko",
+      megabytes: "{n} Mo",
+    },
+  },
+
+  tactics: {
+    title: "Bibliothèque tactique",
+    add: "+ Ajouter",
+    searchPlaceholder: "Rechercher (titre, description, étapes, tags)",
+    allCategories: "Toutes les catégories",
+    allDifficulties: "Toutes difficultés",
+    allTags: "Tous les tags",
+    noMatch: "Aucune tactique ne correspond aux filtres",
+    empty: "Aucune tactique enregistrée",
+    confirmDelete: "Supprimer la tactique « {title} » ?",
+    created: "Tactique créée",
+    updated: "Tactique mise à jour",
+    difficulty: "Difficulté",
+    difficultyTitle: "Difficulté : {label}",
+    stepCount: {
+      one: "{count} étape",
+      other: "{count} étapes",
+    },
+    stepNumber: "Étape {n}",
+    procedure: "Procédure",
+    stepTitle: "Titre de l'étape",
+    stepText: "Consignes",
+    stepImage: "Image",
+    addStep: "+ Étape",
+    tagsPlaceholder: "Tags, séparés par des virgules",
+    tagTooLong: "Tag trop long (30 caractères max.)",
+    tooManyTags: "{count} tags au plus",
+    stepRequired: "Étape {n} : titre ou texte requis",
+    plansPicker: "Plans tactiques",
+    operationsPicker: "Opérations",
+    linkedPlans: "Plans",
+    linkedOperations: "Opérations",
+    categories: {
+      cqb: "CQB",
+      hostage_rescue: "Libération d'otages",
+      vehicle_assault: "Assaut de véhicule",
+      barricaded_suspect: "Forcené retranché",
+      high_risk_warrant: "Interpellation à haut risque",
+      sniper_overwatch: "Appui tireur d'élite",
+      crowd_control: "Maintien de l'ordre",
+      other: "Autre",
+    },
+    difficulties: {
+      1: "Élémentaire",
+      2: "Facile",
+      3: "Intermédiaire",
+      4: "Avancée",
+      5: "Experte",
+    },
+    errors: {
+      create: "Erreur création tactique : {error}",
+      update: "Erreur modification tactique : {error}",
+      delete: "Erreur suppression tactique : {error}",
+      load: "Erreur chargement tactique : {error}",
+    },
+  },
+
+  members: {
+    title: "Membres",
+    add: "+ Créer un compte",
+    searchPlaceholder: "Rechercher (nom, indicatif, matricule, grade, certification)",
+    empty: "Aucun membre",
+    password: "Mot de passe",
+    suspend: "Suspendre",
+    reactivate: "Réactiver",
+    promptPassword: "Mot de passe temporaire pour {username} :",
+    confirmSuspend: "Suspendre {username} ? Ses sessions seront fermées et il ne pourra plus se connecter.",
+    created: "Membre créé",
+    passwordReset: "Mot de passe réinitialisé : le membre devra le changer à sa prochaine connexion",
+    columns: {
+      callsign: "Indicatif",
+      badge_number: "Matricule",
+      name: "Nom",
+      rank: "Grade",
+      certifications: "Certifications",
+      status: "Statut",
+      role: "Rôle",
+    },
+    ranks: {
+      officer: "Officier",
+      senior_officer: "Officier principal",
+      corporal: "Caporal",
+      sergeant: "Sergent",
+      lieutenant: "Lieutenant",
+      captain: "Capitaine",
+      commander: "Commandant",
+    },
+    statuses: {
+      active: "Actif",
+      suspended: "Suspendu",
+      retired: "Retraité",
+    },
+    roles: {
+      user: "Membre",
+      admin: "Administrateur",
+    },
+    form: {
+      username: "Pseudo (username)",
+      initialPassword: "Mot de passe initial",
+      displayName: "Nom affiché",
+      callsign: "Indicatif (ex: Alpha-1)",
+      rank: "— Grade —",
+      certifications: "Certifications, séparées par des virgules",
+      usernameRequired: "Pseudo requis",
+      certificationTooLong: "Certification trop longue (60 caractères max.)",
+    },
+    errors: {
+      create: "Erreur création membre : {error}",
+      update: "Erreur modification membre : {error}",
+      resetPassword: "Erreur réinitialisation : {error}",
+    },
+  },
+
+  permissions: {
+    title: "Permissions",
+    name: "Nom",
+    members: "Membres",
+    builtin: "intégrée",
+    namePlaceholder: "Nom permission (ex: manage_tactics)",
+    nameInvalid: "Nom de permission invalide (a-z, 0-9, _)",
+    confirmDelete: "Supprimer la permission {name} ? Elle sera retirée à tous les membres et modèles.",
+    matrix: "Matrice des permissions",
+    matrixHelp: "Cochez pour accorder, décochez pour retirer. Les admins ont toutes les permissions.",
+    adminHasAll: "Admin : toutes les permissions",
+    templates: "Modèles de rôle",
+    addTemplate: "+ Nouveau modèle",
+    templateNamePlaceholder: "Nom (ex: Chef d'équipe)",
+    none: "Aucune permission",
+    applyTo: "Appliquer à…",
+    applyAdd: "Ajouter les permissions",
+    applyReplace: "Remplacer",
+    confirmDeleteTemplate: "Supprimer le modèle « {name} » ? Les permissions déjà accordées restent en place.",
+    confirmReplace: "Remplacer toutes les permissions du membre par celles du modèle ?",
+    errors: {
+      load: "Erreur chargement permissions : {error}",
+      create: "Erreur création permission : {error}",
+      update: "Erreur modification permission : {error}",
+      delete: "Erreur suppression permission : {error}",
+      saveTemplate: "Erreur enregistrement modèle : {error}",
+      deleteTemplate: "Erreur suppression modèle : {error}",
+      applyTemplate: "Erreur application modèle : {error}",
+    },
+  },
+
+  operations: {
+    title: "Opérations",
+    add: "+ Nouvelle opération",
+    filterPlaceholder: "Filtrer (nom, description, lieu)",
+    noMatch: "Aucune opération ne correspond aux filtres",
+    empty: "Aucune opération enregistrée",
+    created: "Opération créée",
+    updated: "Opération mise à jour",
+    confirmDelete: "Supprimer l'opération « {name} » ? Elle restera visible dans l'historique.",
+    confirmStatus: "Passer l'opération au statut « {status} » ?",
+    generateBriefing: "Générer le briefing",
+    generating: "Génération…",
+    plans: "Plans",
+    doctrine: "Doctrine applicable",
+    journal: "Journal",
+    journalPlaceholder: "Ajouter une entrée (contact, entrée, suspect neutralisé…)",
+    statusEvent: "Statut :",
+    fields: {
+      location: "Lieu :",
+      schedule: "Horaires :",
+      commander: "Commandant :",
+      squads: "Escouades :",
+    },
+    form: {
+      name: "Nom opération",
+      location: "Lieu (adresse, repère…)",
+      x: "X (jeu)",
+      y: "Y (jeu)",
+      start: "Début",
+      end: "Fin",
+      commander: "Commandant",
+      plans: "Plans tactiques",
+      tactics: "Tactiques",
+      coordinatesIncomplete: "Coordonnées incomplètes (X et Y)",
+      endBeforeStart: "La fin doit être après le début",
+    },
+    statuses: {
+      planned: "Planifiée",
+      briefed: "Briefée",
+      ongoing: "En cours",
+      completed: "Terminée",
+      aborted: "Annulée",
+    },
+    errors: {
+      create: "Erreur création opération : {error}",
+      update: "Erreur modification opération : {error}",
+      delete: "Erreur suppression opération : {error}",
+      load: "Erreur chargement opération : {error}",
+      status: "Erreur changement de statut : {error}",
+      journal: "Erreur ajout au journal : {error}",
+      briefing: "Erreur génération du briefing : {error}",
+    },
+  },
+
+  squads: {
+    title: "Escouades",
+    name: "Nom escouade",
+    chooseLeader: "Choisir un lead",
+    mapColor: "Couleur sur la carte",
+    mapColorField: "Couleur sur la carte :",
+    create: "Créer Escouade",
+    empty: "Aucune escouade",
+    leaderField: "Chef :",
+    leaderDetailField: "Chef d'escouade :",
+    leaderTag: "(chef)",
+    noLeader: "Aucun",
+    memberCount: {
+      one: "{count} membre",
+      other: "{count} membres",
+    },
+    role: "Rôle",
+    addMember: "Ajouter un membre",
+    confirmDelete: "Supprimer l'escouade « {name} » ?",
+    confirmRemove: "Retirer {name} de l'escouade ?",
+    created: "Escouade créée",
+    roles: {
+      operator: "Opérateur",
+      pointman: "Pointman",
+      breacher: "Breacher",
+      sniper: "Sniper",
+      medic: "Médecin",
+      negotiator: "Négociateur",
+      shield: "Bouclier",
+    },
+    errors: {
+      create: "Erreur création escouade : {error}",
+      update: "Erreur modification escouade : {error}",
+      delete: "Erreur suppression escouade : {error}",
+      setMember: "Erreur affectation membre : {error}",
+      removeMember: "Erreur retrait membre : {error}",
+    },
+  },
+
+  plans: {
+    title: "Plans Tactiques",
+    add: "+ Nouveau plan",
+    filterPlaceholder: "Filtrer par titre",
+    noMatch: "Aucun plan ne correspond au filtre",
+    empty: "Aucun plan enregistré",
+    created: "Plan tactique sauvegardé",
+    updated: "Plan tactique mis à jour",
+    confirmDelete: "Supprimer le plan « {title} » ?",
+    untitled: "Plan sans titre",
+    titlePlaceholder: "Titre du plan",
+    baseImage: "Image de fond",
+    color: "Couleur",
+    width: "Épaisseur {width}",
+    undo: "Annuler",
+    redo: "Rétablir",
+    deleteKey: "Suppr",
+    deleteSelection: "Supprimer la sélection",
+    zoomIn: "Zoomer (Ctrl + molette, pincer sur tablette)",
+    zoomOut: "Dézoomer",
+    zoomReset: "Vue entière",
+    layers: "Calques",
+    layerName: "Calque {n}",
+    layerNamePrompt: "Nom du calque",
+    layerUnavailable: "Le calque actif est masqué ou verrouillé",
+    lastLayer: "Un plan doit garder au moins un calque",
+    confirmDeleteLayer: {
+      one: "Supprimer ce calque et son élément ?",
+      other: "Supprimer ce calque et ses {count} éléments ?",
+    },
+    layersHelp: "Double-clic pour renommer. Les nouveaux éléments vont sur le calque actif.",
+    hide: "Masquer",
+    show: "Afficher",
+    lock: "Verrouiller",
+    unlock: "Déverrouiller",
+    moveUp: "Monter",
+    moveDown: "Descendre",
+    save: "Sauvegarder le plan",
+    tools: {
+      select: "Sélection",
+      pan: "Déplacer la vue",
+      freehand: "Main levée",
+      line: "Ligne",
+      arrow: "Flèche",
+      rect: "Rectangle",
+      circle: "Cercle",
+      text: "Texte",
+      unit: "Unité",
+    },
+    units: {
+      operator: "Opérateur",
+      pointman: "Pointman",
+      breacher: "Breacher",
+      sniper: "Sniper",
+      shield: "Bouclier",
+      medic: "Médecin",
+      vehicle: "Véhicule",
+      suspect: "Suspect",
+      hostage: "Otage",
+    },
+    errors: {
+      create: "Erreur création plan tactique : {error}",
+      update: "Erreur modification plan tactique : {error}",
+      delete: "Erreur suppression plan tactique : {error}",
+      load: "Erreur chargement plan : {error}",
+    },
+  },
+
+  settings: {
+    title: "Paramètres & Administration",
+    language: "Langue",
+    languageHelp: "Enregistrée sur votre compte",
+    adminHint: "Créer des comptes, gérer les permissions (Admin requis)",
+    membersHint: "Utilise l'onglet Membres pour créer des comptes et assigner des permissions.",
+    errors: {
+      language: "Erreur enregistrement de la langue : {error}",
+    },
+  },
+
+  audit: {
+    title: "Journal d'audit",
+    export: "Exporter en CSV",
+    allActions: "Toutes les actions",
+    allOfSubject: "{subject} : tout",
+    allMembers: "Tous les membres",
+    searchPlaceholder: "Rechercher (pseudo, détails, IP)",
+    older: "Plus ancien",
+    action: "{subject} : {verb}",
+    columns: {
+      date: "Date",
+      action: "Action",
+      target: "Cible",
+      details: "Détails",
+      ip: "IP",
+    },
+    subjects: {
+      auth: "Connexion",
+      member: "Membre",
+      permission: "Permission",
+      role_template: "Modèle de rôle",
+      operation: "Opération",
+      tactic: "Tactique",
+      plan: "Plan",
+      squad: "Escouade",
+    },
+    verbs: {
+      login: "connexion réussie",
+      login_failed: "échec de connexion",
+      password_change: "changement de mot de passe",
+      create: "création",
+      update: "modification",
+      delete: "suppression",
+      restore: "restauration",
+      status: "changement de statut",
+      reset_password: "réinitialisation du mot de passe",
+      assign: "attribution",
+      revoke: "retrait",
+      apply: "application",
+      member_set: "affectation d'un membre",
+      member_remove: "retrait d'un membre",
+      attachment_add: "ajout de pièce jointe",
+      attachment_delete: "suppression de pièce jointe",
+      zone_add: "ajout de zone",
+      zone_update: "modification de zone",
+      zone_delete: "suppression de zone",
+    },
+    errors: {
+      load: "Erreur chargement journal d'audit : {error}",
+      export: "Erreur export CSV : {error}",
+    },
+  },
+
+  briefing: {
+    header: "BRIEFING OPÉRATIONNEL — SWAT",
+    information: "Informations",
+    status: "Statut",
+    start: "Début",
+    end: "Fin",
+    location: "Lieu",
+    commander: "Commandant",
+    description: "Description",
+    squads: "Escouades engagées",
+    leader: "chef : {name}",
+    noMembers: "Aucun membre",
+    area: "Zone d'intervention",
+    mapCaption: "Carte — {place}",
+    plans: "Plans tactiques",
+    tactics: "Tactiques",
+    difficulty: "difficulté {n}/5",
+    imageUnavailable: "({caption} : image indisponible)",
+    generated: "Généré le {date} — diffusion restreinte",
+    generatedBy: "Généré le {date} par {author} — diffusion restreinte",
+    page: "Page {n} / {total}",
+  },
+};
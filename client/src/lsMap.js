@@ -0,0 +1,78 @@
+import L from "leaflet";
+
+/**
+ * Los Santos map as an image (L.CRS.Simple), fully offline.
+ *
+ * Coordinate systems:
+ *  - game   : in-game X/Y (X to the east, Y to the north), what the scripts report
+ *  - pixel  : pixel of the source image (origin at the top left, y downwards)
+ *  - latlng : Leaflet units; the image is 256 units wide, so a 256px tile pyramid (z/x/y)
+ *             fits it exactly and zoom 0 = the whole image on one tile.
+ *
+ * The calibration (pixel of the game origin + pixels per unit) matches the most common
+ * 8192x8192 atlas; for another image, override it in .env (see client/README.md).
+ */
+const env = import.meta.env;
+
+export const LS_MAP = {
+  imageUrl: env.VITE_LS_MAP_IMAGE || "/los_santos.jpg",
+  // optional local tile pyramid, e.g. "/tiles/{z}/{x}/{y}.png" (takes precedence over imageUrl)
+  tilesUrl: env.VITE_LS_MAP_TILES || null,
+  width: Number(env.VITE_LS_MAP_WIDTH) || 8192,
+  height: Number(env.VITE_LS_MAP_HEIGHT) || 8192,
+  originX: Number(env.VITE_LS_MAP_ORIGIN_X) || 3755.2,
+  originY: Number(env.VITE_LS_MAP_ORIGIN_Y) || 5525.2,
+  scaleX: Number(env.VITE_LS_MAP_SCALE_X) || 0.6634,
+  scaleY: Number(env.VITE_LS_MAP_SCALE_Y) || 0.6563,
+};
+
+// image pixels -> Leaflet units
+const k = 256 / LS_MAP.width;
+
+export function gameToPixel({ x, y }) {
+  return { px: LS_MAP.originX + x * LS_MAP.scaleX, py: LS_MAP.originY - y * LS_MAP.scaleY };
+}
+
+export function pixelToGame({ px, py }) {
+  return { x: (px - LS_MAP.originX) / LS_MAP.scaleX, y: (LS_MAP.originY - py) / LS_MAP.scaleY };
+}
+
+/** In-game X/Y -> Leaflet [lat, lng] in the CRS.Simple map. */
+export function gameToLatLng(pos) {
+  const { px, py } = gameToPixel(pos);
+  return [-py * k, px * k];
+}
+
+/** Leaflet latlng (object or [lat, lng]) -> in-game { x, y }, rounded to 0.1. */
+export function latLngToGame(latlng) {
+  const [lat, lng] = Array.isArray(latlng) ? latlng : [latlng.lat, latlng.lng];
+  const { x, y } = pixelToGame({ px: lng / k, py: -lat / k });
+  return { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 };
+}
+
+/**
+ * In-game distance -> Leaflet units (e.g. the radius of an L.Circle, which CRS.Simple takes in map units).
+ * Uses the horizontal scale: with an image calibrated like the default one, both scales are within 1 %.
+ */
+export function gameDistanceToMap(distance) {
+  return distance * LS_MAP.scaleX * k;
+}
+
+export function imageBounds() {
+  return L.latLngBounds([-LS_MAP.height * k, 0], [0, LS_MAP.width * k]);
+}
+
+/**
+ * Computes origin/scale from two reference points whose in-game and pixel positions are known
+ * (e.g. two road intersections read in-game and in an image editor). Handy for calibrating a new image.
+ * @param {{x:number,y:number,px:number,py:number}} a
+ * @param {{x:number,y:number,px:number,py:number}} b
+ */
+export function calibrateFromPoints(a, b) {
+  const scaleX = (b.px - a.px) / (b.x - a.x);
+  const scaleY = (a.py - b.py) / (b.y - a.y);
+  return { scaleX, scaleY, originX: a.px - a.x * scaleX, originY: a.py + a.y * scaleY };
+}
+
+/** Max zoom at which one image pixel = one screen pixel (256 * 2^z = width). */
+export const LS_NATIVE_ZOOM = Math.round(Math.log2(LS_MAP.width / 256));
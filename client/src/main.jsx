@@ -4,3 +4,10 @@ import App from './App.jsx';
 import './styles.css';
 
 createRoot(document.getElementById('root')).render(<App />);
+
+// offline app shell (public/sw.js); not in dev, where it would serve stale modules
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(import.meta.env.BASE_URL + 'sw.js').catch(() => {});
+  });
+}
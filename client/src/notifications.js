@@ -0,0 +1,41 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * Non-blocking notifications (toasts), shown by <Notifications> in App.
+ *
+ * Module state like the language (i18n.js), so that any helper can report without a context.
+ * Successes go away on their own; errors stay until dismissed, so that they can be read.
+ */
+const SUCCESS_MS = 4000;
+const MAX_SHOWN = 5;
+
+let notifications = [];
+let nextId = 1;
+const listeners = new Set();
+
+function emit(next) {
+  notifications = next;
+  for (const listener of listeners) listener();
+}
+
+/** Shows a message; type is "success" or "error". Returns its id. */
+export function notify(message, type = "success") {
+  const id = nextId++;
+  emit([...notifications, { id, message, type }].slice(-MAX_SHOWN));
+  if (type === "success") setTimeout(() => dismiss(id), SUCCESS_MS);
+  return id;
+}
+
+export function dismiss(id) {
+  if (notifications.some(n => n.id === id)) emit(notifications.filter(n => n.id !== id));
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/** Notifications currently shown, oldest first. */
+export function useNotifications() {
+  return useSyncExternalStore(subscribe, () => notifications);
+}
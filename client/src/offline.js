@@ -0,0 +1,173 @@
+import axios from "axios";
+import { useSyncExternalStore } from "react";
+
+/**
+ * Offline mode: last-known data and queued creates, kept in IndexedDB.
+ *
+ * installOfflineCache() adds an axios interceptor. Answers to the GET routes of CACHED_PATHS are
+ * stored; when the API cannot be reached, the stored answer is returned instead, so the views keep
+ * showing what they last loaded (useOfflineState() tells the header that it is not live).
+ *
+ * Creates made meanwhile are queued with queueCreate() and sent again by replayQueue() once the
+ * API answers. A create the server then refuses (name taken in the meantime, linked record deleted,
+ * permission removed...) is a conflict: it leaves the queue and is returned for the caller to report.
+ *
+ * The cache is cleared at logout; queued creates stay with the account that made them.
+ * The app shell itself (HTML, scripts, map image) is cached by the service worker (public/sw.js).
+ */
+const DB_NAME = "mtd_offline";
+const RESPONSES = "responses";
+const QUEUE = "queue";
+
+// GET routes kept for offline reading, under the API (list, records and their sub-routes)
+const CACHED_PATHS = ["/auth/me", "/members", "/squads", "/map/markers", "/map/zones", "/tactics", "/operations", "/tactical-plans"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(RESPONSES);
+        request.result.createObjectStore(QUEUE, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+// runs fn(store) in a transaction; resolves with the result of the request fn returns, once committed
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const request = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/* ---------- State (header indicator) ---------- */
+// online: the API answered the last request; savedAt: date of the oldest stored answer shown since
+// the connection dropped; pending: creates waiting in the queue ({ id, kind, name, queuedAt })
+let state = { online: true, savedAt: null, pending: [] };
+const listeners = new Set();
+
+function setState(changes) {
+  if (Object.entries(changes).every(([key, value]) => state[key] === value)) return;
+  state = { ...state, ...changes };
+  for (const listener of listeners) listener();
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useOfflineState() {
+  return useSyncExternalStore(subscribe, () => state);
+}
+
+/** True when a request failed without any answer from the API (network down, host unreachable). */
+export function isNetworkError(e) {
+  return !!e?.config && !e.response && !axios.isCancel(e);
+}
+
+/* ---------- Response cache ---------- */
+function cacheKey(api, config) {
+  if ((config.method || "get") !== "get" || !config.url?.startsWith(api)) return null;
+  const path = config.url.slice(api.length);
+  if (!CACHED_PATHS.some(p => path === p || path.startsWith(p + "/"))) return null;
+  const params = Object.entries(config.params || {}).filter(([, v]) => v !== undefined && v !== null).sort();
+  return params.length ? path + "?" + new URLSearchParams(params) : path;
+}
+
+/**
+ * @param {{ api: string }} options
+ * @returns {() => void} removes the interceptor
+ */
+export function installOfflineCache({ api }) {
+  const id = axios.interceptors.response.use((response) => {
+    setState({ online: true, savedAt: null });
+    const key = cacheKey(api, response.config);
+    if (key) {
+      withStore(RESPONSES, "readwrite", store => store.put({ data: response.data, savedAt: new Date().toISOString() }, key)).catch(() => {});
+    }
+    return response;
+  }, async (error) => {
+    if (!isNetworkError(error)) {
+      if (error.response) setState({ online: true, savedAt: null });
+      throw error;
+    }
+    setState({ online: false });
+    const key = cacheKey(api, error.config);
+    const entry = key && await withStore(RESPONSES, "readonly", store => store.get(key)).catch(() => null);
+    if (!entry) throw error;
+    if (!state.savedAt || entry.savedAt < state.savedAt) setState({ savedAt: entry.savedAt });
+    return { data: entry.data, status: 200, statusText: "OK", headers: {}, config: error.config, fromCache: true };
+  });
+  return () => axios.interceptors.response.eject(id);
+}
+
+/** Forgets the stored answers (logout: they belong to the account). */
+export function clearOfflineCache() {
+  return withStore(RESPONSES, "readwrite", store => store.clear()).catch(() => {});
+}
+
+/* ---------- Queued creates ---------- */
+async function userEntries(userId) {
+  const entries = await withStore(QUEUE, "readonly", store => store.getAll());
+  return entries.filter(e => e.userId === userId);
+}
+
+/** Reloads the pending list of the header for this user. */
+export async function loadPending(userId) {
+  const entries = userId ? await userEntries(userId).catch(() => []) : [];
+  setState({ pending: entries.map(({ id, kind, name, queuedAt }) => ({ id, kind, name, queuedAt })) });
+}
+
+/**
+ * Queues a create to send when the API answers again.
+ * @param {{ userId: number, kind: string, name: string, args: any[] }} entry
+ *        kind and args say what to send (see replayQueue), name labels it in the reports.
+ *        args are stored as they are: plain values, Files and Blobs only.
+ */
+export async function queueCreate(entry) {
+  await withStore(QUEUE, "readwrite", store => store.add({ ...entry, queuedAt: new Date().toISOString() }));
+  await loadPending(entry.userId);
+}
+
+let replaying = null;
+
+/**
+ * Sends the queued creates of a user in the order they were made, through send(entry).
+ * Stops at the first one that cannot be sent now: it and the following ones stay queued.
+ * An error marked `created` means the record exists and a later step failed: never sent again.
+ * One replay at a time: a call during a replay gets its result.
+ * @returns {Promise<{ sent: object[], conflicts: { entry: object, error: string }[] }>}
+ */
+export function replayQueue(userId, send) {
+  if (!replaying) replaying = replay(userId, send).finally(() => { replaying = null; });
+  return replaying;
+}
+
+async function replay(userId, send) {
+  const result = { sent: [], conflicts: [] };
+  for (const entry of await userEntries(userId)) {
+    try {
+      await send(entry);
+      result.sent.push(entry);
+    } catch (e) {
+      // no answer, a server failure or an expired session: retried at the next replay
+      if (!e.created && (isNetworkError(e) || e.response?.status === 401 || e.response?.status >= 500)) break;
+      result.conflicts.push({ entry, error: e.response?.data?.error || e.message });
+    }
+    await withStore(QUEUE, "readwrite", store => store.delete(entry.id));
+  }
+  await loadPending(userId);
+  return result;
+}
@@ -0,0 +1,196 @@
+/**
+ * Minimal PDF writer, enough for printable documents built in the browser: text in the standard
+ * Helvetica fonts (WinAnsi encoding, so French accents print), lines, filled rectangles and
+ * JPEG images. Nothing is sent anywhere: the result is a Blob.
+ *
+ * Coordinates are in points (1/72 inch) from the top-left corner of an A4 page; y grows
+ * downwards like in a canvas and is flipped when the content streams are written.
+ */
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// advance widths (1/1000 em) of the characters 32..126, from the Adobe font metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// WinAnsi (cp1252) codes of the characters outside Latin-1
+const WIN_ANSI_EXTRA = {
+  "€": 0x80, "‚": 0x82, "„": 0x84, "…": 0x85, "‹": 0x8b, "Œ": 0x8c, "‘": 0x91, "’": 0x92,
+  "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97, "›": 0x9b, "œ": 0x9c, "Ÿ": 0x9f,
+};
+
+function winAnsiCode(ch) {
+  const code = ch.codePointAt(0);
+  if ((code >= 32 && code < 127) || (code >= 0xa0 && code <= 0xff)) return code;
+  return WIN_ANSI_EXTRA[ch] ?? 63; // "?"
+}
+
+function charWidth(ch, bold) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  // accented letters are as wide as their base letter
+  const base = ch.normalize("NFD")[0];
+  const code = base.codePointAt(0);
+  return code >= 32 && code < 127 ? widths[code - 32] : 556;
+}
+
+/** Width of `text` in points. */
+export function textWidth(text, size, bold = false) {
+  let total = 0;
+  for (const ch of String(text)) total += charWidth(ch, bold);
+  return (total * size) / 1000;
+}
+
+/** Splits text into lines no wider than maxWidth (words longer than a line are cut). */
+export function wrapText(text, size, maxWidth, bold = false) {
+  const lines = [];
+  for (const paragraph of String(text ?? "").split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? line + " " + word : word;
+      if (textWidth(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (textWidth(line, size, bold) > maxWidth) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// PDF literal string, kept ASCII: bytes outside 32..126 are written as octal escapes
+function pdfString(text) {
+  let out = "(";
+  for (const ch of String(text)) {
+    const code = winAnsiCode(ch);
+    if (code === 40 || code === 41 || code === 92) out += "\\" + ch;
+    else if (code < 32 || code > 126) out += "\\" + code.toString(8).padStart(3, "0");
+    else out += ch;
+  }
+  return out + ")";
+}
+
+// "#rrggbb" -> "r g b" in 0..1
+function pdfColor(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(c => (c / 255).toFixed(3)).join(" ");
+}
+
+const num = (n) => Number(n.toFixed(2));
+
+/**
+ * Creates an empty document. Drawing calls apply to the current page (the last added one,
+ * or the one picked with setPage).
+ */
+export function createPdf() {
+  const pages = []; // content stream operators, one array per page
+  const images = []; // { data: Uint8Array (JPEG), width, height }
+  let current = null;
+
+  return {
+    get pageCount() {
+      return pages.length;
+    },
+
+    addPage() {
+      current = [];
+      pages.push(current);
+    },
+
+    setPage(index) {
+      current = pages[index];
+    },
+
+    text(text, x, y, { size = 11, bold = false, color = "#000000" } = {}) {
+      // y is the top of the line: the baseline sits about 0.8 em lower
+      current.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${pdfColor(color)} rg ${num(x)} ${num(PAGE_HEIGHT - y - size * 0.8)} Td ${pdfString(text)} Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { color = "#000000", width = 1 } = {}) {
+      current.push(`${pdfColor(color)} RG ${width} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+    },
+
+    rect(x, y, width, height, { fill = "#000000" } = {}) {
+      current.push(`${pdfColor(fill)} rg ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`);
+    },
+
+    /** Registers a JPEG ({ data, width, height } in pixels) once; returns its id for image(). */
+    addJpeg(jpeg) {
+      images.push(jpeg);
+      return images.length - 1;
+    },
+
+    image(id, x, y, width, height) {
+      current.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(PAGE_HEIGHT - y - height)} cm /Im${id} Do Q`);
+    },
+
+    toBlob() {
+      const encoder = new TextEncoder();
+      const chunks = [];
+      const offsets = [];
+      let length = 0;
+      const write = (part) => {
+        const bytes = typeof part === "string" ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+      };
+      const object = (id, body) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+        for (const part of [].concat(body)) write(part);
+        write("\nendobj\n");
+      };
+
+      // 1 catalog, 2 page tree, 3-4 fonts, then the images, then a page and its content per page
+      const firstImage = 5;
+      const firstPage = firstImage + images.length;
+      const pageIds = pages.map((_, i) => firstPage + i * 2);
+
+      write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+      object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+      object(2, `<< /Type /Pages /Kids [${pageIds.map(id => id + " 0 R").join(" ")}] /Count ${pages.length} >>`);
+      object(3, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      object(4, "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      images.forEach((img, i) => object(firstImage + i, [
+        `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>\nstream\n`,
+        img.data,
+        "\nendstream",
+      ]));
+      const xObjects = images.map((_, i) => `/Im${i} ${firstImage + i} 0 R`).join(" ");
+      pages.forEach((ops, i) => {
+        const content = encoder.encode(ops.join("\n"));
+        object(pageIds[i], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+          + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> /Contents ${pageIds[i] + 1} 0 R >>`);
+        object(pageIds[i] + 1, [`<< /Length ${content.length} >>\nstream\n`, content, "\nendstream"]);
+      });
+
+      const xref = length;
+      const count = firstPage + pages.length * 2;
+      write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+      for (let id = 1; id < count; id++) write(String(offsets[id]).padStart(10, "0") + " 00000 n \n");
+      write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+      return new Blob(chunks, { type: "application/pdf" });
+    },
+  };
+}
@@ -0,0 +1,25 @@
+import React, { createContext, useContext } from "react";
+
+/**
+ * Effective permissions of the logged-in user, as returned by GET /auth/me.
+ * Views read them through useCan() instead of receiving canXxx props.
+ */
+const PermissionsContext = createContext({ user: null, permissions: [] });
+
+export function PermissionsProvider({ user, permissions, children }) {
+  return (
+    <PermissionsContext.Provider value={{ user, permissions: permissions || [] }}>
+      {children}
+    </PermissionsContext.Provider>
+  );
+}
+
+/** Returns can(name) -> boolean. Admins hold every permission. */
+export function useCan() {
+  const { user, permissions } = useContext(PermissionsContext);
+  return (name) => !!user && (user.role === "admin" || permissions.includes(name));
+}
+
+export function useCurrentUser() {
+  return useContext(PermissionsContext).user;
+}
@@ -0,0 +1,271 @@
+import { t } from "./i18n.js";
+
+/**
+ * Modèle vectoriel des plans tactiques.
+ *
+ * Un plan = image de base + annotations { version, layers, shapes } :
+ *  - layers : [{ id, name, visible, locked }], index 0 = calque du dessous
+ *  - shapes : [{ id, layerId, type, color, width, ... }] en pixels de l'image de base
+ *      line / arrow : x1, y1, x2, y2
+ *      rect         : x, y, w, h
+ *      circle       : cx, cy, r
+ *      freehand     : points [[x, y], ...] ou [[x, y, pression], ...] pour un stylet
+ *      text         : x, y, text, size
+ *      unit         : x, y, unit (voir UNIT_ICONS ; libellés plans.units.* des catalogues)
+ */
+
+export const UNIT_ICONS = [
+  { value: "operator", glyph: "OP", color: "#0d6efd" },
+  { value: "pointman", glyph: "PT", color: "#0d6efd" },
+  { value: "breacher", glyph: "BR", color: "#fd7e14" },
+  { value: "sniper", glyph: "SN", color: "#198754" },
+  { value: "shield", glyph: "SH", color: "#6c757d" },
+  { value: "medic", glyph: "+", color: "#f8f9fa" },
+  { value: "vehicle", glyph: "VH", color: "#6f42c1" },
+  { value: "suspect", glyph: "X", color: "#dc3545" },
+  { value: "hostage", glyph: "H", color: "#ffc107" },
+];
+
+let seq = 0;
+export function uid(prefix) {
+  return prefix + Date.now().toString(36) + (seq++).toString(36);
+}
+
+export function emptyAnnotations() {
+  return { version: 1, layers: [{ id: "layer-1", name: t("plans.layerName", { n: 1 }), visible: true, locked: false }], shapes: [] };
+}
+
+/** Parses stored annotations, tolerating null / legacy values. */
+export function parseAnnotations(value) {
+  let doc = value;
+  if (typeof value === "string") {
+    try { doc = JSON.parse(value); } catch { doc = null; }
+  }
+  if (!doc || !Array.isArray(doc.layers) || !doc.layers.length || !Array.isArray(doc.shapes)) return emptyAnnotations();
+  return doc;
+}
+
+/* ---------- Drawing ---------- */
+function unitRadius(s) {
+  return 10 + s.width * 2;
+}
+
+function textSize(s) {
+  return s.size || 12 + s.width * 3;
+}
+
+// pressure 0..1 (0.5 = "normal") -> width multiplier 0.25..1.75
+function pressureFactor(p) {
+  return 0.25 + 1.5 * (Number.isFinite(p) ? p : 0.5);
+}
+
+function arrowHead(ctx, x1, y1, x2, y2, size) {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  ctx.lineTo(x2 - size * Math.cos(angle - Math.PI / 7), y2 - size * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(x2 - size * Math.cos(angle + Math.PI / 7), y2 - size * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+}
+
+export function drawShape(ctx, s) {
+  ctx.save();
+  ctx.strokeStyle = s.color;
+  ctx.fillStyle = s.color;
+  ctx.lineWidth = s.width;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+
+  switch (s.type) {
+    case "line":
+    case "arrow": {
+      const head = s.type === "arrow" ? Math.max(12, s.width * 3) : 0;
+      // stop the shaft short of the tip so thick lines don't poke through the head
+      const len = Math.hypot(s.x2 - s.x1, s.y2 - s.y1) || 1;
+      const k = Math.max(0, (len - head * 0.8) / len);
+      ctx.beginPath();
+      ctx.moveTo(s.x1, s.y1);
+      ctx.lineTo(s.x1 + (s.x2 - s.x1) * k, s.y1 + (s.y2 - s.y1) * k);
+      ctx.stroke();
+      if (head) arrowHead(ctx, s.x1, s.y1, s.x2, s.y2, head);
+      break;
+    }
+    case "rect":
+      ctx.strokeRect(s.x, s.y, s.w, s.h);
+      break;
+    case "circle":
+      ctx.beginPath();
+      ctx.arc(s.cx, s.cy, s.r, 0, Math.PI * 2);
+      ctx.stroke();
+      break;
+    case "freehand":
+      if (s.points.length > 1 && s.points[0].length > 2) {
+        // pen strokes: width follows the pressure of each segment
+        for (let i = 1; i < s.points.length; i++) {
+          const [x0, y0, p0] = s.points[i - 1];
+          const [x1, y1, p1] = s.points[i];
+          ctx.lineWidth = s.width * pressureFactor((p0 + p1) / 2);
+          ctx.beginPath();
+          ctx.moveTo(x0, y0);
+          ctx.lineTo(x1, y1);
+          ctx.stroke();
+        }
+        break;
+      }
+      ctx.beginPath();
+      s.points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      if (s.points.length === 1) ctx.lineTo(s.points[0][0] + 0.1, s.points[0][1]);
+      ctx.stroke();
+      break;
+    case "text":
+      ctx.font = `bold ${textSize(s)}px 'Segoe UI', Roboto, sans-serif`;
+      ctx.textBaseline = "top";
+      ctx.lineWidth = Math.max(2, textSize(s) / 8);
+      ctx.strokeStyle = "rgba(0,0,0,0.8)";
+      ctx.strokeText(s.text, s.x, s.y);
+      ctx.fillText(s.text, s.x, s.y);
+      break;
+    case "unit": {
+      const icon = UNIT_ICONS.find(u => u.value === s.unit) || UNIT_ICONS[0];
+      const r = unitRadius(s);
+      ctx.beginPath();
+      ctx.arc(s.x, s.y, r, 0, Math.PI * 2);
+      ctx.fillStyle = icon.color;
+      ctx.fill();
+      ctx.lineWidth = Math.max(2, r / 6);
+      ctx.strokeStyle = "#000";
+      ctx.stroke();
+      ctx.fillStyle = icon.color === "#f8f9fa" || icon.color === "#ffc107" ? "#000" : "#fff";
+      ctx.font = `bold ${Math.round(r * 0.9)}px 'Segoe UI', Roboto, sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(icon.glyph, s.x, s.y + 1);
+      break;
+    }
+    default:
+      break;
+  }
+  ctx.restore();
+}
+
+/** Axis-aligned bounding box { x, y, w, h } (ctx is needed to measure text). */
+export function shapeBounds(ctx, s) {
+  switch (s.type) {
+    case "line":
+    case "arrow":
+      return { x: Math.min(s.x1, s.x2), y: Math.min(s.y1, s.y2), w: Math.abs(s.x2 - s.x1), h: Math.abs(s.y2 - s.y1) };
+    case "rect":
+      return { x: Math.min(s.x, s.x + s.w), y: Math.min(s.y, s.y + s.h), w: Math.abs(s.w), h: Math.abs(s.h) };
+    case "circle":
+      return { x: s.cx - s.r, y: s.cy - s.r, w: s.r * 2, h: s.r * 2 };
+    case "freehand": {
+      const xs = s.points.map(p => p[0]);
+      const ys = s.points.map(p => p[1]);
+      const x = Math.min(...xs), y = Math.min(...ys);
+      return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+    }
+    case "text": {
+      ctx.save();
+      ctx.font = `bold ${textSize(s)}px 'Segoe UI', Roboto, sans-serif`;
+      const w = ctx.measureText(s.text).width;
+      ctx.restore();
+      return { x: s.x, y: s.y, w, h: textSize(s) };
+    }
+    case "unit": {
+      const r = unitRadius(s);
+      return { x: s.x - r, y: s.y - r, w: r * 2, h: r * 2 };
+    }
+    default:
+      return { x: 0, y: 0, w: 0, h: 0 };
+  }
+}
+
+function distToSegment(px, py, x1, y1, x2, y2) {
+  const dx = x2 - x1, dy = y2 - y1;
+  const len2 = dx * dx + dy * dy;
+  const t = len2 ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / len2)) : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+/** True when point p is on the shape, with a tolerance in image pixels. */
+export function hitTest(ctx, s, p, tolerance) {
+  const tol = tolerance + s.width / 2;
+  switch (s.type) {
+    case "line":
+    case "arrow":
+      return distToSegment(p.x, p.y, s.x1, s.y1, s.x2, s.y2) <= tol;
+    case "freehand":
+      return s.points.some((pt, i) => {
+        const prev = s.points[i - 1] || pt;
+        return distToSegment(p.x, p.y, prev[0], prev[1], pt[0], pt[1]) <= tol;
+      });
+    case "circle":
+      return Math.hypot(p.x - s.cx, p.y - s.cy) <= s.r + tol;
+    default: {
+      const b = shapeBounds(ctx, s);
+      return p.x >= b.x - tol && p.x <= b.x + b.w + tol && p.y >= b.y - tol && p.y <= b.y + b.h + tol;
+    }
+  }
+}
+
+export function translateShape(s, dx, dy) {
+  switch (s.type) {
+    case "line":
+    case "arrow":
+      return { ...s, x1: s.x1 + dx, y1: s.y1 + dy, x2: s.x2 + dx, y2: s.y2 + dy };
+    case "circle":
+      return { ...s, cx: s.cx + dx, cy: s.cy + dy };
+    case "freehand":
+      return { ...s, points: s.points.map(([x, y, ...rest]) => [x + dx, y + dy, ...rest]) };
+    default:
+      return { ...s, x: s.x + dx, y: s.y + dy };
+  }
+}
+
+/** Shapes too small to matter (a click without drag) are dropped. */
+export function isEmptyShape(s) {
+  switch (s.type) {
+    case "line":
+    case "arrow":
+      return Math.hypot(s.x2 - s.x1, s.y2 - s.y1) < 3;
+    case "rect":
+      return Math.abs(s.w) < 3 && Math.abs(s.h) < 3;
+    case "circle":
+      return s.r < 3;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Draws the whole plan: base image (or a dark board), visible layers bottom to top,
+ * then the shape being drawn and the selection outline.
+ */
+export function renderPlan(ctx, { baseImg, annotations, draft, selectedId }) {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  if (baseImg) ctx.drawImage(baseImg, 0, 0, width, height);
+  else {
+    ctx.fillStyle = "#1a1a1a";
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  for (const layer of annotations.layers) {
+    if (!layer.visible) continue;
+    for (const s of annotations.shapes) if (s.layerId === layer.id) drawShape(ctx, s);
+  }
+  if (draft) drawShape(ctx, draft);
+
+  const selected = selectedId && annotations.shapes.find(s => s.id === selectedId);
+  if (selected) {
+    const b = shapeBounds(ctx, selected);
+    const pad = 6 + selected.width / 2;
+    ctx.save();
+    ctx.setLineDash([8, 6]);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = "#0dcaf0";
+    ctx.strokeRect(b.x - pad, b.y - pad, b.w + pad * 2, b.h + pad * 2);
+    ctx.restore();
+  }
+}
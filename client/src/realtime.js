@@ -0,0 +1,57 @@
+import axios from "axios";
+
+const RETRY_MS = 5000;
+
+/**
+ * Live updates pushed by the API (Server-Sent Events, see server/src/routes/events.js).
+ *
+ * Each connection needs a fresh one-minute ticket, so on errors the EventSource is closed and
+ * reopened here instead of letting the browser retry with the expired one. onResync runs after
+ * a reconnection, to reload what was missed while offline.
+ *
+ * @returns {() => void} closes the connection
+ */
+export function connectRealtime({ api, headers, onChange, onStatus, onResync }) {
+  let source = null;
+  let timer = null;
+  let closed = false;
+  let connectedBefore = false;
+
+  async function open() {
+    onStatus("connecting");
+    let ticket;
+    try {
+      ticket = (await axios.post(api + "/events/ticket", {}, { headers: headers() })).data.ticket;
+    } catch {
+      return retry();
+    }
+    if (closed) return;
+
+    source = new EventSource(api + "/events?ticket=" + encodeURIComponent(ticket));
+    source.onopen = () => {
+      onStatus("online");
+      if (connectedBefore) onResync();
+      connectedBefore = true;
+    };
+    source.addEventListener("change", (e) => {
+      try { onChange(JSON.parse(e.data)); } catch { /* malformed event */ }
+    });
+    source.onerror = () => {
+      source.close();
+      retry();
+    };
+  }
+
+  function retry() {
+    if (closed) return;
+    onStatus("offline");
+    timer = setTimeout(open, RETRY_MS);
+  }
+
+  open();
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    source?.close();
+  };
+}
@@ -0,0 +1,104 @@
+import axios from "axios";
+
+const TOKEN_KEY = "mtd_token";
+const REFRESH_KEY = "mtd_refresh";
+const USER_KEY = "mtd_user";
+
+/**
+ * Session storage and silent renewal.
+ *
+ * The API hands out short-lived access tokens plus a single-use refresh token
+ * (see server/src/routes/auth.js). The axios interceptor installed here renews the access
+ * token when a request comes back 401 and replays the request once; when renewal fails the
+ * session is dropped and onExpired sends the user back to the login screen.
+ */
+export function getAccessToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function getStoredUser() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/** Stores a login / refresh / password change response. */
+export function saveSession({ token, refreshToken, user }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+  localStorage.removeItem(USER_KEY);
+}
+
+/** Ends the session on the server too (revokes the refresh token), then locally. */
+export async function endSession(api) {
+  const refreshToken = localStorage.getItem(REFRESH_KEY);
+  clearSession();
+  if (refreshToken) await axios.post(api + "/auth/logout", { refreshToken }).catch(() => {});
+}
+
+// every request failing at the same time waits for the same renewal
+let pendingRefresh = null;
+
+// how long a tab that lost a renewal race waits for the winner to store the new session
+const ROTATED_WAIT_MS = 1000;
+
+function refreshSession(api) {
+  if (!pendingRefresh) {
+    const refreshToken = localStorage.getItem(REFRESH_KEY);
+    pendingRefresh = (refreshToken
+      ? axios.post(api + "/auth/refresh", { refreshToken }, { skipSessionRefresh: true }).then(res => {
+        saveSession(res.data);
+        return res.data;
+      }).catch(async (e) => {
+        // another tab renewed with the same token just before: use the session it stored
+        if (e.response?.data?.code !== "token_rotated") throw e;
+        await new Promise(resolve => setTimeout(resolve, ROTATED_WAIT_MS));
+        if (localStorage.getItem(REFRESH_KEY) === refreshToken) throw e;
+        return { token: getAccessToken(), user: getStoredUser() };
+      })
+      : Promise.reject(new Error("no refresh token"))
+    ).finally(() => { pendingRefresh = null; });
+  }
+  return pendingRefresh;
+}
+
+/**
+ * @param {{ api: string, onRefreshed: (user) => void, onExpired: () => void, onPasswordChangeRequired: () => void }} handlers
+ * @returns {() => void} removes the interceptor
+ */
+export function installSessionInterceptor({ api, onRefreshed, onExpired, onPasswordChangeRequired }) {
+  const id = axios.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    if (!config || !response || config.skipSessionRefresh || config.url === api + "/auth/login") throw error;
+
+    if (response.status === 403 && response.data?.code === "password_change_required") {
+      onPasswordChangeRequired();
+      throw error;
+    }
+    if (response.status !== 401 || config.sessionRetried) throw error;
+
+    let session;
+    try {
+      session = await refreshSession(api);
+    } catch (e) {
+      // server unreachable: keep the session, the next request will try again
+      if (e.request && !e.response) throw error;
+      clearSession();
+      onExpired();
+      throw error;
+    }
+    onRefreshed(session.user);
+    config.sessionRetried = true;
+    config.headers.Authorization = "Bearer " + session.token;
+    return axios(config);
+  });
+  return () => axios.interceptors.response.eject(id);
+}
@@ -0,0 +1,187 @@
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import db from "./db.js";
+import { JWT_SECRET, UPLOAD_MAX_BYTES, FILE_URL_EXPIRES_IN } from "./config.js";
+import { requirePermission } from "./auth.js";
+import { audit } from "./audit.js";
+import { detectType, isImage, storeBuffer, removeFiles, checkImage, createThumbnail } from "./storage.js";
+
+/**
+ * Attachments of tactics, operations and plans: multipart uploads, stored on disk (see storage.js),
+ * several per record. `kind` is "file" for ordinary attachments; plans also keep their base image
+ * and flattened preview as kinds "base" and "preview", tactics the images of their steps as "step".
+ */
+
+export const MAX_FILES_PER_UPLOAD = 10;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_BYTES, files: MAX_FILES_PER_UPLOAD } });
+
+/** multer.fields() with JSON errors. Files end up in req.files[fieldName]. */
+export function receiveFiles(fields) {
+  const handler = upload.fields(fields);
+  return (req, res, next) => handler(req, res, err => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({ error: `Fichier trop volumineux (max ${Math.round(UPLOAD_MAX_BYTES / 1048576)} Mo)` });
+    }
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: "Envoi invalide : " + err.message });
+    next(err);
+  });
+}
+
+/**
+ * Validates uploaded files from their content. Sets `file.type` ({ mime, ext }) on each one.
+ * Returns an error message, or null when every file is accepted.
+ */
+export async function checkFiles(files, { imagesOnly = false } = {}) {
+  for (const file of files) {
+    const type = detectType(file.buffer);
+    if (!type || (imagesOnly && !isImage(type.mime))) {
+      return `Type de fichier refusé : ${file.originalname} (${imagesOnly ? "image" : "image ou PDF"} attendu)`;
+    }
+    if (isImage(type.mime)) {
+      try { await checkImage(file.buffer); } catch { return "Image illisible : " + file.originalname; }
+    }
+    file.type = type;
+  }
+  return null;
+}
+
+const insertAttachment = db.prepare(`
+  INSERT INTO attachments (entity_type, entity_id, kind, name, mime_type, size, storage_key, thumbnail_key, uploaded_by)
+  VALUES (@entityType, @entityId, @kind, @name, @mime, @size, @key, @thumb, @userId)
+`);
+const selectOf = db.prepare("SELECT * FROM attachments WHERE entity_type = ? AND entity_id = ? AND kind = ? ORDER BY id");
+const deleteRow = db.prepare("DELETE FROM attachments WHERE id = ?");
+
+/** Writes checked files to disk (with a thumbnail for images) and records them. Returns the new ids, in order. */
+export async function saveFiles(entityType, entityId, files, userId, kind = "file") {
+  const stored = [];
+  try {
+    for (const file of files) {
+      const key = storeBuffer(file.buffer, file.type.ext);
+      stored.push({ file, key, thumb: null });
+      if (isImage(file.type.mime)) stored[stored.length - 1].thumb = await createThumbnail(key);
+    }
+    return db.transaction(() => stored.map(({ file, key, thumb }) => insertAttachment.run({
+      entityType, entityId: Number(entityId), kind, name: file.originalname || "fichier",
+      mime: file.type.mime, size: file.size, key, thumb, userId,
+    }).lastInsertRowid))();
+  } catch (e) {
+    removeFiles(...stored.flatMap(s => [s.key, s.thumb]));
+    throw e;
+  }
+}
+
+/** Deletes attachment rows and their files (files go once the rows are gone). */
+export function removeAttachments(rows) {
+  db.transaction(() => { for (const row of rows) deleteRow.run(row.id); })();
+  for (const row of rows) removeFiles(row.storage_key, row.thumbnail_key);
+}
+
+export function attachmentRows(entityType, entityId, kind = "file") {
+  return selectOf.all(entityType, Number(entityId), kind);
+}
+
+/** Every attachment of a record, all kinds: for when the record is deleted. */
+export function removeEntityAttachments(entityType, entityId) {
+  removeAttachments(db.prepare("SELECT * FROM attachments WHERE entity_type = ? AND entity_id = ?").all(entityType, Number(entityId)));
+}
+
+/* ---------- Payloads ----------
+ * <img> and <a> cannot send the Authorization header, so payloads carry short-lived signed
+ * links (`sig`), relative to /api. GET /attachments/:id accepts either.
+ * A link only works for the member it was sent to, while their access lasts: payloads are built
+ * with unbound links, bound to the recipient on the way out (bindResponseLinks for responses,
+ * publish() in realtime.js for live events).
+ */
+export function signAttachment(id, userId = null) {
+  return jwt.sign({ att: id, ...(userId && { user: userId }) }, JWT_SECRET, { expiresIn: FILE_URL_EXPIRES_IN });
+}
+
+/** Re-signs every link of a serialized payload for one member. */
+export function bindLinks(text, userId) {
+  return text.replace(/([?&]sig=)([\w.-]+)/g, (match, prefix, sig) => {
+    const att = jwt.decode(sig)?.att;
+    return att ? prefix + signAttachment(att, userId) : match;
+  });
+}
+
+/** Middleware: binds the links of the JSON responses to the authenticated member. */
+export function bindResponseLinks(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const text = req.user && body != null ? JSON.stringify(body) : "";
+    return json(text.includes("sig=") ? JSON.parse(bindLinks(text, req.user.id)) : body);
+  };
+  next();
+}
+
+export function attachmentSummary(row) {
+  const sig = signAttachment(row.id);
+  return {
+    id: row.id,
+    name: row.name,
+    mime_type: row.mime_type,
+    size: row.size,
+    created_at: row.created_at,
+    url: `/attachments/${row.id}?sig=${sig}`,
+    thumbnail_url: isImage(row.mime_type) ? `/attachments/${row.id}/thumbnail?sig=${sig}` : null,
+  };
+}
+
+export function listAttachments(entityType, entityId, kind = "file") {
+  return attachmentRows(entityType, entityId, kind).map(attachmentSummary);
+}
+
+/** SQL expression counting the files of each record, for list summaries (e.g. "t.id"). */
+export function attachmentCountSql(entityType, idColumn) {
+  return `(SELECT COUNT(*) FROM attachments a WHERE a.entity_type = '${entityType}' AND a.entity_id = ${idColumn} AND a.kind = 'file')`;
+}
+
+/**
+ * Mounts attachment routes on an entity router (same idea as mountRevisionRoutes):
+ *   GET    /:id/attachments
+ *   POST   /:id/attachments                 multipart, field "files" (several)
+ *   DELETE /:id/attachments/:attachmentId
+ * @param {{ type: string, label: string, permission: string, exists: (id) => boolean,
+ *           changed?: (id, userId) => void }} entity   changed() runs after an upload or a removal
+ */
+export function mountAttachmentRoutes(router, entity) {
+  function notFound(req, res) {
+    if (entity.exists(req.params.id)) return false;
+    res.status(404).json({ error: entity.label + " introuvable" });
+    return true;
+  }
+
+  router.get("/:id/attachments", (req, res) => {
+    if (notFound(req, res)) return;
+    res.json(listAttachments(entity.type, req.params.id));
+  });
+
+  router.post("/:id/attachments", requirePermission(entity.permission), receiveFiles([{ name: "files", maxCount: MAX_FILES_PER_UPLOAD }]), async (req, res, next) => {
+    try {
+      if (notFound(req, res)) return;
+      const files = req.files?.files || [];
+      if (!files.length) return res.status(400).json({ error: "Aucun fichier reçu (champ files)" });
+      const error = await checkFiles(files);
+      if (error) return res.status(400).json({ error });
+      await saveFiles(entity.type, req.params.id, files, req.user.id);
+      audit(req, entity.type + ".attachment_add", { entityType: entity.type, entityId: req.params.id, details: { files: files.map(f => f.originalname) } });
+      entity.changed?.(req.params.id, req.user.id);
+      res.status(201).json(listAttachments(entity.type, req.params.id));
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.delete("/:id/attachments/:attachmentId", requirePermission(entity.permission), (req, res) => {
+    const row = db.prepare("SELECT * FROM attachments WHERE id = ? AND entity_type = ? AND entity_id = ? AND kind = 'file'")
+      .get(req.params.attachmentId, entity.type, Number(req.params.id));
+    if (!row) return res.status(404).json({ error: "Pièce jointe introuvable" });
+    removeAttachments([row]);
+    audit(req, entity.type + ".attachment_delete", { entityType: entity.type, entityId: req.params.id, details: { file: row.name } });
+    entity.changed?.(req.params.id, req.user.id);
+    res.status(204).end();
+  });
+}
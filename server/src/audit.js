@@ -0,0 +1,32 @@
+import db from "./db.js";
+
+/**
+ * Append-only audit trail of privileged actions, reviewed from the Paramètres tab.
+ *
+ * Actions are named "<subject>.<verb>" (auth.login, member.create, operation.delete...). The
+ * actor's username is copied into the row so entries stay readable for failed logins on unknown
+ * accounts. Triggers in the auditLog migration reject any UPDATE or DELETE on the table.
+ */
+
+const insertEntry = db.prepare(`
+  INSERT INTO audit_log (actor_id, actor_username, action, entity_type, entity_id, details, ip)
+  VALUES (@actorId, @actorUsername, @action, @entityType, @entityId, @details, @ip)
+`);
+
+/**
+ * @param {import("express").Request} req  request of the action (actor and address)
+ * @param {string} action
+ * @param {{ user?: { id?, username }, entityType?: string, entityId?: number|string, details?: object }} [entry]
+ *   user defaults to req.user (set it for logins, where the request is not authenticated yet)
+ */
+export function audit(req, action, { user = req.user, entityType = null, entityId = null, details = null } = {}) {
+  insertEntry.run({
+    actorId: user?.id ?? null,
+    actorUsername: user?.username ?? null,
+    action,
+    entityType,
+    entityId: entityId == null ? null : Number(entityId),
+    details: details ? JSON.stringify(details) : null,
+    ip: req.ip ?? null,
+  });
+}
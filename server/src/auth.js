@@ -0,0 +1,123 @@
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import db from "./db.js";
+import { JWT_SECRET, JWT_EXPIRES_IN, REFRESH_TOKEN_DAYS } from "./config.js";
+
+export const PASSWORD_MIN_LENGTH = 8;
+
+/* ---------- Tokens ---------- */
+export function signToken(user) {
+  return jwt.sign({ sub: user.id, username: user.username, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/** New refresh token for a user: random, only its hash is stored. Returns the clear value. */
+export function issueRefreshToken(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400_000).toISOString();
+  db.prepare("DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at <= ?").run(userId, new Date().toISOString());
+  db.prepare("INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)").run(userId, hashToken(token), expiresAt);
+  return token;
+}
+
+export function findRefreshToken(token) {
+  return db.prepare("SELECT * FROM refresh_tokens WHERE token_hash = ?").get(hashToken(String(token)));
+}
+
+/** Ends every session of a user (password change, stolen token). */
+export function revokeRefreshTokens(userId) {
+  db.prepare("DELETE FROM refresh_tokens WHERE user_id = ?").run(userId);
+}
+
+/** Login / refresh / password change response: a new access token and refresh token. */
+export function sessionPayload(user) {
+  return { token: signToken(user), refreshToken: issueRefreshToken(user.id), user: publicUser(user) };
+}
+
+/** Public shape of a user row (never leak password_hash). */
+export function publicUser(u) {
+  return {
+    id: u.id, username: u.username, display_name: u.display_name, role: u.role,
+    must_change_password: !!u.must_change_password, language: u.language ?? null,
+  };
+}
+
+export function getUserPermissions(userId) {
+  return db.prepare(`
+    SELECT p.name FROM permissions p
+    JOIN user_permissions up ON up.permission_id = p.id
+    WHERE up.user_id = ?
+  `).all(userId).map(r => r.name);
+}
+
+export function hasPermission(user, name) {
+  if (!user) return false;
+  if (user.role === "admin") return true;
+  return getUserPermissions(user.id).includes(name);
+}
+
+/* ---------- Middlewares ----------
+ * 401 responses carry a `code` so the client knows whether refreshing can help:
+ * token_expired (refresh), token_invalid (log in again).
+ */
+function authenticate(req, res, next, allowPasswordChange) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+  if (!token) return res.status(401).json({ error: "Authentification requise", code: "token_invalid" });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    if (e.name === "TokenExpiredError") return res.status(401).json({ error: "Session expirée", code: "token_expired" });
+    return res.status(401).json({ error: "Jeton invalide", code: "token_invalid" });
+  }
+  // signed download links are JWTs too: they name their member in `user`, not `sub`
+  if (!payload.sub) return res.status(401).json({ error: "Jeton invalide", code: "token_invalid" });
+  const user = tokenUser(res, payload.sub, payload.iat, allowPasswordChange);
+  if (!user) return;
+  req.user = user;
+  next();
+}
+
+/**
+ * The user a verified token was issued to, reloaded from db so that deleted users, deactivations
+ * and role changes take effect immediately. Sends the error and returns null when their access was
+ * cut since: also checks the users of signed attachment links (routes/attachments.js).
+ */
+export function tokenUser(res, userId, issuedAt, allowPasswordChange = false) {
+  const fail = (status, error, code) => {
+    res.status(status).json({ error, code });
+    return null;
+  };
+  const user = db.prepare("SELECT id, username, display_name, role, status, must_change_password, password_changed_at, language FROM users WHERE id = ?").get(userId);
+  if (!user) return fail(401, "Utilisateur introuvable", "token_invalid");
+  if (user.status !== "active") return fail(401, "Compte désactivé", "token_invalid");
+  // tokens issued before a password change are void
+  if (user.password_changed_at && issuedAt < Math.floor(Date.parse(user.password_changed_at) / 1000)) {
+    return fail(401, "Session expirée", "token_invalid");
+  }
+  if (user.must_change_password && !allowPasswordChange) {
+    return fail(403, "Changement de mot de passe requis", "password_change_required");
+  }
+  return user;
+}
+
+export function requireAuth(req, res, next) {
+  authenticate(req, res, next, false);
+}
+
+/** Like requireAuth, but also lets through accounts that still have to change their password. */
+export function requireSession(req, res, next) {
+  authenticate(req, res, next, true);
+}
+
+export function requirePermission(name) {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, name)) return res.status(403).json({ error: "Permission requise : " + name });
+    next();
+  };
+}
@@ -0,0 +1,37 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * Configuration
+ * Toutes les valeurs peuvent être surchargées par variables d'environnement.
+ */
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export const PORT = Number(process.env.PORT) || 4000;
+export const DB_FILE = process.env.DB_FILE || path.join(root, "data", "mdt.sqlite");
+// signs access tokens and attachment links: the fallback is public, so production refuses to start without it
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === "production") throw new Error("JWT_SECRET must be set when NODE_ENV=production");
+  console.warn("WARNING: JWT_SECRET is not set, tokens are signed with a public development secret");
+}
+export const JWT_SECRET = process.env.JWT_SECRET || "change-me-in-production";
+// access tokens are short-lived; sessions go on through rotating refresh tokens
+export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "15m";
+export const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 14;
+
+// login protection: an account locks after LOGIN_MAX_FAILURES failures in a row,
+// and an address may fail LOGIN_RATE_LIMIT times per LOGIN_LOCK_MINUTES
+export const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+export const LOGIN_LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+export const LOGIN_RATE_LIMIT = Number(process.env.LOGIN_RATE_LIMIT) || 20;
+export const CORS_ORIGIN = process.env.CORS_ORIGIN || "*";
+
+// attachments: files are stored on disk, the database only keeps their metadata
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(root, "data", "uploads");
+export const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024;
+// lifetime of the signed download links returned in payloads (usable in <img src> / <a href>)
+export const FILE_URL_EXPIRES_IN = process.env.FILE_URL_EXPIRES_IN || "1h";
+
+// seeded on first run only (when the users table is empty)
+export const SEED_ADMIN_USERNAME = process.env.SEED_ADMIN_USERNAME || "admin";
+export const SEED_ADMIN_PASSWORD = process.env.SEED_ADMIN_PASSWORD || "admin123";
@@ -0,0 +1,577 @@
+import fs from "node:fs";
+import path from "node:path";
+import Database from "better-sqlite3";
+import bcrypt from "bcryptjs";
+import { DB_FILE, SEED_ADMIN_USERNAME, SEED_ADMIN_PASSWORD } from "./config.js";
+import { detectType, storeBuffer } from "./storage.js";
+
+/* ---------- Connection ---------- */
+if (DB_FILE !== ":memory:") fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+
+const db = new Database(DB_FILE);
+db.pragma("journal_mode = WAL");
+db.pragma("foreign_keys = ON");
+
+/**
+ * Permissions known by the client. Seeded so they can be assigned right away;
+ * more can be created through /admin/permissions.
+ */
+export const DEFAULT_PERMISSIONS = [
+  ["manage_members", "Créer et gérer les comptes"],
+  ["manage_permissions", "Créer et assigner des permissions"],
+  ["manage_tactics", "Créer des tactiques"],
+  ["manage_operations", "Créer des opérations"],
+  ["manage_squads", "Créer des escouades"],
+  ["manage_plans", "Créer des plans tactiques"],
+  ["manage_map", "Gérer les marqueurs de la carte"],
+  ["view_map", "Voir la carte"],
+  ["report_positions", "Envoyer la position des autres unités (script en jeu)"],
+  ["view_audit", "Consulter le journal d'audit"],
+];
+
+/* ---------- Migrations ----------
+ * Each entry runs once, in order, tracked through PRAGMA user_version.
+ * Never edit a migration that has shipped: append a new one instead.
+ */
+const migrations = [
+  function initialSchema() {
+    db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        display_name TEXT,
+        role TEXT NOT NULL DEFAULT 'user',
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE permissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT
+      );
+
+      CREATE TABLE user_permissions (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+        PRIMARY KEY (user_id, permission_id)
+      );
+
+      CREATE TABLE tactics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        content TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE operations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        status TEXT NOT NULL DEFAULT 'planned',
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE squads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE tactical_plans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        body TEXT,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+
+      CREATE TABLE map_markers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        lat REAL NOT NULL,
+        lng REAL NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+    `);
+  },
+
+  function markerCategoryAndColor() {
+    db.exec(`
+      ALTER TABLE map_markers ADD COLUMN category TEXT NOT NULL DEFAULT 'info';
+      ALTER TABLE map_markers ADD COLUMN color TEXT NOT NULL DEFAULT '#0d6efd';
+      ALTER TABLE map_markers ADD COLUMN updated_at TEXT;
+    `);
+  },
+
+  // markers can now be placed either in WGS84 (lat/lng) or in GTA in-game coordinates (x/y)
+  function markerGameCoordinates() {
+    db.exec(`
+      CREATE TABLE map_markers_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        category TEXT NOT NULL DEFAULT 'info',
+        color TEXT NOT NULL DEFAULT '#0d6efd',
+        lat REAL,
+        lng REAL,
+        x REAL,
+        y REAL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT
+      );
+      INSERT INTO map_markers_new (id, title, description, category, color, lat, lng, created_by, created_at, updated_at)
+        SELECT id, title, description, category, color, lat, lng, created_by, created_at, updated_at FROM map_markers;
+      DROP TABLE map_markers;
+      ALTER TABLE map_markers_new RENAME TO map_markers;
+    `);
+  },
+
+  // operations get first-class fields instead of a JSON blob in description
+  function structuredOperations() {
+    db.exec(`
+      ALTER TABLE operations ADD COLUMN location_text TEXT;
+      ALTER TABLE operations ADD COLUMN location_x REAL;
+      ALTER TABLE operations ADD COLUMN location_y REAL;
+      ALTER TABLE operations ADD COLUMN start_at TEXT;
+      ALTER TABLE operations ADD COLUMN end_at TEXT;
+      ALTER TABLE operations ADD COLUMN commander_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+      CREATE TABLE operation_squads (
+        operation_id INTEGER NOT NULL REFERENCES operations(id) ON DELETE CASCADE,
+        squad_id INTEGER NOT NULL REFERENCES squads(id) ON DELETE CASCADE,
+        PRIMARY KEY (operation_id, squad_id)
+      );
+
+      CREATE TABLE operation_attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        operation_id INTEGER NOT NULL REFERENCES operations(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        mime_type TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+    `);
+
+    // old client packed { description, location, evidenceBase64 } into description
+    const update = db.prepare("UPDATE operations SET description = ?, location_text = ?, location_x = ?, location_y = ? WHERE id = ?");
+    const attach = db.prepare("INSERT INTO operation_attachments (operation_id, name, mime_type, data) VALUES (?, ?, ?, ?)");
+    for (const op of db.prepare("SELECT id, description FROM operations").all()) {
+      let packed;
+      try { packed = JSON.parse(op.description); } catch { continue; }
+      if (!packed || typeof packed !== "object" || Array.isArray(packed)) continue;
+
+      const location = packed.location ? String(packed.location) : null;
+      // "x, y" typed in the old free-text field becomes coordinates
+      const coords = location && location.match(/^\s*(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)\s*$/);
+      update.run(packed.description || null, location, coords ? Number(coords[1]) : null, coords ? Number(coords[2]) : null, op.id);
+
+      if (typeof packed.evidenceBase64 === "string" && packed.evidenceBase64.startsWith("data:")) {
+        const mime = packed.evidenceBase64.slice(5, packed.evidenceBase64.indexOf(";"));
+        attach.run(op.id, "preuve", mime || null, packed.evidenceBase64);
+      }
+    }
+  },
+
+  function operationEvents() {
+    db.exec(`
+      CREATE TABLE operation_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        operation_id INTEGER NOT NULL REFERENCES operations(id) ON DELETE CASCADE,
+        author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        type TEXT NOT NULL DEFAULT 'note',
+        message TEXT,
+        from_status TEXT,
+        to_status TEXT,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+      CREATE INDEX idx_operation_events_operation ON operation_events(operation_id, id);
+    `);
+  },
+
+  function squadRoster() {
+    db.exec(`
+      ALTER TABLE squads ADD COLUMN leader_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+      CREATE TABLE squad_members (
+        squad_id INTEGER NOT NULL REFERENCES squads(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL DEFAULT 'operator',
+        added_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (squad_id, user_id)
+      );
+    `);
+
+    // old client appended " (lead:ID)" to the description
+    const update = db.prepare("UPDATE squads SET description = ?, leader_id = ? WHERE id = ?");
+    const userExists = db.prepare("SELECT 1 FROM users WHERE id = ?");
+    for (const squad of db.prepare("SELECT id, description FROM squads WHERE description LIKE '%(lead:%'").all()) {
+      const m = squad.description.match(/\s*\(lead:(\d+)\)\s*$/);
+      if (!m) continue;
+      const leaderId = userExists.get(Number(m[1])) ? Number(m[1]) : null;
+      update.run(squad.description.slice(0, m.index) || null, leaderId, squad.id);
+    }
+  },
+
+  // plans become base image + editable vector annotations (+ a flattened preview for lists)
+  function vectorPlans() {
+    db.exec(`
+      ALTER TABLE tactical_plans ADD COLUMN base_image TEXT;
+      ALTER TABLE tactical_plans ADD COLUMN annotations TEXT;
+      ALTER TABLE tactical_plans ADD COLUMN preview TEXT;
+      ALTER TABLE tactical_plans ADD COLUMN updated_at TEXT;
+    `);
+
+    // old plans only have the merged PNG: it becomes the base image, with no annotations
+    const update = db.prepare("UPDATE tactical_plans SET base_image = ?, preview = ? WHERE id = ?");
+    for (const plan of db.prepare("SELECT id, body FROM tactical_plans").all()) {
+      let merged = null;
+      try { merged = JSON.parse(plan.body)?.mergedImage || null; } catch { /* not JSON */ }
+      if (merged) update.run(merged, merged, plan.id);
+    }
+    db.exec("ALTER TABLE tactical_plans DROP COLUMN body");
+  },
+
+  function revisions() {
+    db.exec(`
+      CREATE TABLE revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type TEXT NOT NULL,
+        entity_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
+        author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        UNIQUE (entity_type, entity_id, version)
+      );
+      ALTER TABLE tactics ADD COLUMN updated_at TEXT;
+      ALTER TABLE operations ADD COLUMN updated_at TEXT;
+      ALTER TABLE squads ADD COLUMN updated_at TEXT;
+    `);
+  },
+
+  // base64 data URLs in JSON columns move to files on disk (thumbnails are built on first request)
+  function fileAttachments() {
+    db.exec(`
+      CREATE TABLE attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entity_type TEXT NOT NULL,
+        entity_id INTEGER NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'file',
+        name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        storage_key TEXT NOT NULL,
+        thumbnail_key TEXT,
+        uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+      );
+      CREATE INDEX attachments_entity ON attachments (entity_type, entity_id, kind);
+    `);
+
+    const insert = db.prepare(`
+      INSERT INTO attachments (entity_type, entity_id, kind, name, mime_type, size, storage_key, uploaded_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+    `);
+    function moveDataUrl(dataUrl, entityType, entityId, kind, name, userId, createdAt) {
+      const comma = typeof dataUrl === "string" && dataUrl.startsWith("data:") ? dataUrl.indexOf(",") : -1;
+      if (comma < 0) return;
+      const buffer = Buffer.from(dataUrl.slice(comma + 1), "base64");
+      const type = detectType(buffer);
+      if (!type) return; // unsupported content is dropped, as uploads would refuse it
+      const key = storeBuffer(buffer, type.ext);
+      insert.run(entityType, entityId, kind, name || "fichier" + type.ext, type.mime, buffer.length, key, userId ?? null, createdAt ?? null);
+    }
+
+    for (const a of db.prepare("SELECT a.*, o.created_by FROM operation_attachments a JOIN operations o ON o.id = a.operation_id").all()) {
+      moveDataUrl(a.data, "operation", a.operation_id, "file", a.name, a.created_by, a.created_at);
+    }
+    db.exec("DROP TABLE operation_attachments");
+
+    // tactic content was JSON { description, imageBase64 }: it becomes the plain description
+    const parseTactic = (content) => {
+      try {
+        const parsed = JSON.parse(content);
+        if (parsed && typeof parsed === "object") return parsed;
+      } catch { /* already plain text */ }
+      return { description: content };
+    };
+    const updateTactic = db.prepare("UPDATE tactics SET content = ? WHERE id = ?");
+    for (const t of db.prepare("SELECT * FROM tactics").all()) {
+      const { description, imageBase64 } = parseTactic(t.content);
+      moveDataUrl(imageBase64, "tactic", t.id, "file", null, t.created_by, t.created_at);
+      updateTactic.run(description || null, t.id);
+    }
+
+    for (const p of db.prepare("SELECT * FROM tactical_plans").all()) {
+      moveDataUrl(p.base_image, "plan", p.id, "base", null, p.created_by, p.created_at);
+      moveDataUrl(p.preview, "plan", p.id, "preview", null, p.created_by, p.created_at);
+    }
+    db.exec(`
+      ALTER TABLE tactical_plans DROP COLUMN base_image;
+      ALTER TABLE tactical_plans DROP COLUMN preview;
+    `);
+
+    // revision snapshots no longer carry images (attachments are not versioned)
+    const updateSnapshot = db.prepare("UPDATE revisions SET snapshot = ? WHERE id = ?");
+    for (const r of db.prepare("SELECT id, entity_type, snapshot FROM revisions WHERE entity_type IN ('tactic', 'plan')").all()) {
+      const snap = JSON.parse(r.snapshot);
+      if (r.entity_type === "tactic") snap.content = parseTactic(snap.content).description ?? null;
+      else { delete snap.base_image; delete snap.preview; }
+      updateSnapshot.run(JSON.stringify(snap), r.id);
+    }
+  },
+
+  // last known position of each unit (one row per member), and a map color per squad
+  function unitPositions() {
+    db.exec(`
+      ALTER TABLE squads ADD COLUMN color TEXT;
+      CREATE TABLE unit_positions (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        lat REAL,
+        lng REAL,
+        x REAL,
+        y REAL,
+        heading REAL,
+        speed REAL,
+        reported_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        reported_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      );
+    `);
+  },
+
+  // refresh tokens (stored hashed), login lockout, forced password change
+  function sessions() {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN password_changed_at TEXT;
+      ALTER TABLE users ADD COLUMN failed_logins INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE users ADD COLUMN locked_until TEXT;
+      CREATE TABLE refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        rotated_at TEXT
+      );
+      CREATE INDEX refresh_tokens_user ON refresh_tokens (user_id);
+    `);
+
+    // the seeded admin still using the default password has to pick a new one
+    const admin = db.prepare("SELECT id, password_hash FROM users WHERE username = ?").get(SEED_ADMIN_USERNAME);
+    if (admin && bcrypt.compareSync(SEED_ADMIN_PASSWORD, admin.password_hash)) {
+      db.prepare("UPDATE users SET must_change_password = 1 WHERE id = ?").run(admin.id);
+    }
+  },
+
+  // officer profiles and account lifecycle; certifications is a JSON array of labels
+  function memberProfiles() {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN callsign TEXT;
+      ALTER TABLE users ADD COLUMN badge_number TEXT;
+      ALTER TABLE users ADD COLUMN rank TEXT;
+      ALTER TABLE users ADD COLUMN certifications TEXT NOT NULL DEFAULT '[]';
+      ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'suspended', 'retired'));
+      ALTER TABLE users ADD COLUMN updated_at TEXT;
+      CREATE UNIQUE INDEX users_badge_number ON users (badge_number) WHERE badge_number IS NOT NULL;
+    `);
+  },
+
+  // reusable bundles of permissions, applied to members in one go
+  function roleTemplates() {
+    db.exec(`
+      CREATE TABLE role_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+      );
+      CREATE TABLE role_template_permissions (
+        template_id INTEGER NOT NULL REFERENCES role_templates(id) ON DELETE CASCADE,
+        permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+        PRIMARY KEY (template_id, permission_id)
+      );
+    `);
+
+    // starter templates; the default permissions are seeded after migrations, so make sure they exist
+    const insertPerm = db.prepare("INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)");
+    for (const [name, description] of DEFAULT_PERMISSIONS) insertPerm.run(name, description);
+    const templates = [
+      ["Chef d'équipe", "Prépare les opérations et gère son escouade",
+        ["view_map", "manage_map", "manage_operations", "manage_squads", "manage_plans", "manage_tactics"]],
+      ["Opérateur", "Consulte la carte et les opérations", ["view_map"]],
+    ];
+    for (const [name, description, permissions] of templates) {
+      const id = db.prepare("INSERT INTO role_templates (name, description) VALUES (?, ?)").run(name, description).lastInsertRowid;
+      const grant = db.prepare("INSERT INTO role_template_permissions (template_id, permission_id) SELECT ?, id FROM permissions WHERE name = ?");
+      for (const permission of permissions) grant.run(id, permission);
+    }
+  },
+
+  // append-only audit trail (see audit.js); actor_id has no foreign key so no cascade ever rewrites a row
+  function auditLog() {
+    db.exec(`
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        actor_id INTEGER,
+        actor_username TEXT,
+        action TEXT NOT NULL,
+        entity_type TEXT,
+        entity_id INTEGER,
+        details TEXT,
+        ip TEXT
+      );
+      CREATE INDEX audit_log_created ON audit_log (created_at);
+      CREATE INDEX audit_log_actor ON audit_log (actor_id);
+      CREATE INDEX audit_log_action ON audit_log (action);
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `);
+  },
+
+  // full-text index over every searchable record, kept in sync by triggers (see routes/search.js)
+  function searchIndex() {
+    db.exec(`
+      CREATE VIRTUAL TABLE search_index USING fts5(
+        entity_type UNINDEXED, entity_id UNINDEXED, title, body,
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+    `);
+    // table, entity type, title and body expressions (over NEW), columns whose update reindexes the row
+    const sources = [
+      ["tactics", "tactic", "NEW.title", "NEW.content", "title, content"],
+      ["operations", "operation", "NEW.name", "concat_ws(' ', NEW.description, NEW.location_text)", "name, description, location_text"],
+      ["tactical_plans", "plan", "NEW.title", "NULL", "title"],
+      ["squads", "squad", "NEW.name", "NEW.description", "name, description"],
+      ["users", "member", "COALESCE(NEW.display_name, NEW.username)",
+        "concat_ws(' ', NEW.username, NEW.callsign, NEW.badge_number, NEW.rank, (SELECT group_concat(value, ' ') FROM json_each(NEW.certifications)))",
+        "username, display_name, callsign, badge_number, rank, certifications"],
+    ];
+    for (const [table, type, title, body, columns] of sources) {
+      const insert = `INSERT INTO search_index (entity_type, entity_id, title, body) VALUES ('${type}', NEW.id, ${title}, ${body});`;
+      const remove = (row) => `DELETE FROM search_index WHERE entity_type = '${type}' AND entity_id = ${row}.id;`;
+      db.exec(`
+        CREATE TRIGGER ${table}_search_insert AFTER INSERT ON ${table} BEGIN ${insert} END;
+        CREATE TRIGGER ${table}_search_update AFTER UPDATE OF ${columns} ON ${table} BEGIN ${remove("OLD")} ${insert} END;
+        CREATE TRIGGER ${table}_search_delete AFTER DELETE ON ${table} BEGIN ${remove("OLD")} END;
+        INSERT INTO search_index (entity_type, entity_id, title, body)
+          SELECT '${type}', NEW.id, ${title}, ${body} FROM ${table} AS NEW;
+      `);
+    }
+  },
+
+  // tactical plans and tactics an operation relies on (printed in its briefing)
+  function operationLinks() {
+    db.exec(`
+      CREATE TABLE operation_plans (
+        operation_id INTEGER NOT NULL REFERENCES operations(id) ON DELETE CASCADE,
+        plan_id INTEGER NOT NULL REFERENCES tactical_plans(id) ON DELETE CASCADE,
+        PRIMARY KEY (operation_id, plan_id)
+      );
+      CREATE TABLE operation_tactics (
+        operation_id INTEGER NOT NULL REFERENCES operations(id) ON DELETE CASCADE,
+        tactic_id INTEGER NOT NULL REFERENCES tactics(id) ON DELETE CASCADE,
+        PRIMARY KEY (operation_id, tactic_id)
+      );
+    `);
+  },
+
+  // structured tactics: category, difficulty (1-5), tags (JSON array of labels) and steps
+  // (JSON array of { title, text, image_id }, images being attachments of kind "step")
+  function tacticsLibrary() {
+    db.exec(`
+      ALTER TABLE tactics ADD COLUMN category TEXT NOT NULL DEFAULT 'other'
+        CHECK (category IN ('cqb', 'hostage_rescue', 'vehicle_assault', 'barricaded_suspect', 'high_risk_warrant', 'sniper_overwatch', 'crowd_control', 'other'));
+      ALTER TABLE tactics ADD COLUMN difficulty INTEGER CHECK (difficulty BETWEEN 1 AND 5);
+      ALTER TABLE tactics ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+      ALTER TABLE tactics ADD COLUMN steps TEXT NOT NULL DEFAULT '[]';
+      CREATE INDEX tactics_category ON tactics (category);
+      CREATE TABLE tactic_plans (
+        tactic_id INTEGER NOT NULL REFERENCES tactics(id) ON DELETE CASCADE,
+        plan_id INTEGER NOT NULL REFERENCES tactical_plans(id) ON DELETE CASCADE,
+        PRIMARY KEY (tactic_id, plan_id)
+      );
+
+      -- tags and steps are searchable too
+      DROP TRIGGER tactics_search_insert;
+      DROP TRIGGER tactics_search_update;
+    `);
+    const body = `concat_ws(' ', NEW.content,
+      (SELECT group_concat(value, ' ') FROM json_each(NEW.tags)),
+      (SELECT group_concat(concat_ws(' ', json_extract(value, '$.title'), json_extract(value, '$.text')), ' ') FROM json_each(NEW.steps)))`;
+    const insert = `INSERT INTO search_index (entity_type, entity_id, title, body) VALUES ('tactic', NEW.id, NEW.title, ${body});`;
+    db.exec(`
+      CREATE TRIGGER tactics_search_insert AFTER INSERT ON tactics BEGIN ${insert} END;
+      CREATE TRIGGER tactics_search_update AFTER UPDATE OF title, content, tags, steps ON tactics BEGIN
+        DELETE FROM search_index WHERE entity_type = 'tactic' AND entity_id = OLD.id; ${insert}
+      END;
+    `);
+  },
+
+  // interface language picked by the user (NULL: not chosen yet, the browser decides)
+  function userLanguage() {
+    db.exec(`ALTER TABLE users ADD COLUMN language TEXT CHECK (language IN ('fr', 'en'))`);
+  },
+
+  // zones drawn on the map for an operation (perimeters, cordons, staging areas, sniper arcs), in in-game X/Y:
+  // geometry is { points: [{ x, y }, ...] } for a polygon, { center: { x, y }, radius } for a circle
+  function operationZones() {
+    db.exec(`
+      CREATE TABLE operation_zones (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        operation_id INTEGER NOT NULL REFERENCES operations(id) ON DELETE CASCADE,
+        label TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'other'
+          CHECK (kind IN ('perimeter', 'inner_cordon', 'outer_cordon', 'staging', 'sniper_arc', 'other')),
+        color TEXT NOT NULL,
+        shape TEXT NOT NULL CHECK (shape IN ('polygon', 'circle')),
+        geometry TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        updated_at TEXT
+      );
+      CREATE INDEX idx_operation_zones_operation ON operation_zones(operation_id);
+    `);
+  },
+];
+
+function migrate() {
+  const current = db.pragma("user_version", { simple: true });
+  for (let v = current; v < migrations.length; v++) {
+    db.transaction(() => {
+      migrations[v]();
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+/* ---------- Seed (first run) ---------- */
+function seed() {
+  const insertPerm = db.prepare("INSERT OR IGNORE INTO permissions (name, description) VALUES (?, ?)");
+  for (const [name, description] of DEFAULT_PERMISSIONS) insertPerm.run(name, description);
+
+  const { n } = db.prepare("SELECT COUNT(*) AS n FROM users").get();
+  if (n === 0) {
+    // the seed password is known to everyone: it must be changed at first login
+    db.prepare("INSERT INTO users (username, password_hash, display_name, role, must_change_password) VALUES (?, ?, ?, 'admin', 1)")
+      .run(SEED_ADMIN_USERNAME, bcrypt.hashSync(SEED_ADMIN_PASSWORD, 10), "Administrateur");
+    console.log(`[seed] compte admin créé : ${SEED_ADMIN_USERNAME}`);
+  }
+}
+
+migrate();
+seed();
+
+export default db;
@@ -0,0 +1,65 @@
+import express from "express";
+import cors from "cors";
+import { PORT, CORS_ORIGIN } from "./config.js";
+import { LANGUAGES, translateError } from "./messages.js";
+import { bindResponseLinks } from "./attachments.js";
+import "./db.js";
+import authRoutes from "./routes/auth.js";
+import membersRoutes from "./routes/members.js";
+import tacticsRoutes from "./routes/tactics.js";
+import operationsRoutes from "./routes/operations.js";
+import squadsRoutes from "./routes/squads.js";
+import plansRoutes from "./routes/plans.js";
+import mapRoutes from "./routes/map.js";
+import adminRoutes from "./routes/admin.js";
+import attachmentsRoutes from "./routes/attachments.js";
+import eventsRoutes from "./routes/events.js";
+import auditRoutes from "./routes/audit.js";
+import searchRoutes from "./routes/search.js";
+
+const app = express();
+app.use(cors({ origin: CORS_ORIGIN }));
+
+// error messages in the user's language: their saved choice, else the one the client asks for
+// (the client sends its interface language as Accept-Language, also before login)
+function errorLanguage(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (typeof body?.error !== "string") return json(body);
+    const language = req.user?.language || req.acceptsLanguages(...LANGUAGES) || "fr";
+    return json({ ...body, error: translateError(body.error, language) });
+  };
+  next();
+}
+app.use(errorLanguage);
+app.use(bindResponseLinks);
+// files go through multipart uploads (attachments.js); JSON bodies only carry text and annotations
+app.use(express.json({ limit: "5mb" }));
+
+/* ---------- Routes ---------- */
+const api = express.Router();
+api.get("/health", (req, res) => res.json({ ok: true }));
+api.use("/auth", authRoutes);
+api.use("/members", membersRoutes);
+api.use("/tactics", tacticsRoutes);
+api.use("/operations", operationsRoutes);
+api.use("/squads", squadsRoutes);
+api.use("/tactical-plans", plansRoutes);
+api.use("/map", mapRoutes);
+api.use("/admin", adminRoutes);
+api.use("/attachments", attachmentsRoutes);
+api.use("/events", eventsRoutes);
+api.use("/audit", auditRoutes);
+api.use("/search", searchRoutes);
+app.use("/api", api);
+
+/* ---------- Errors ---------- */
+app.use("/api", (req, res) => res.status(404).json({ error: "Route inconnue" }));
+app.use((err, req, res, next) => {
+  if (err.type === "entity.too.large") return res.status(413).json({ error: "Requête trop volumineuse" });
+  if (err.type === "entity.parse.failed") return res.status(400).json({ error: "JSON invalide" });
+  console.error(err);
+  res.status(500).json({ error: "Erreur serveur" });
+});
+
+app.listen(PORT, () => console.log(`MDT SWAT API sur http://localhost:${PORT}/api`));
@@ -0,0 +1,138 @@
+/**
+ * English versions of the API's error messages.
+ *
+ * Routes write their errors in French, the reference language (like the client's fr.js). The
+ * error body of a response to an English-speaking user goes through translateError (see
+ * errorLanguage in index.js). Fixed messages are looked up as they are; messages built around a
+ * value (an id, a limit, a file name) are matched by pattern. A message missing here stays French.
+ */
+const MESSAGES = {
+  "Annotations invalides": "Invalid annotations",
+  "Annotations invalides (layers, shapes)": "Invalid annotations (layers, shapes)",
+  "Aucun fichier reçu (champ files)": "No file received (files field)",
+  "Aucune position pour ce membre": "No position for this member",
+  "Authentification requise": "Authentication required",
+  "Catégorie invalide": "Invalid category",
+  "Ce matricule est déjà attribué": "This badge number is already assigned",
+  "Ce membre ne fait pas partie de l'escouade": "This member is not in the squad",
+  "Ce modèle existe déjà": "This template already exists",
+  "Ce pseudo existe déjà": "This username already exists",
+  "Centre invalide (x/y)": "Invalid center (x/y)",
+  "Certification trop longue (60 caractères max.)": "Certification too long (60 characters max.)",
+  "Certifications invalides (liste attendue)": "Invalid certifications (list expected)",
+  "Cette permission existe déjà": "This permission already exists",
+  "Changement de mot de passe requis": "Password change required",
+  "Chef d'escouade introuvable": "Squad leader not found",
+  "Commandant introuvable": "Commander not found",
+  "Compte désactivé": "Account disabled",
+  "Compte désactivé : contactez un administrateur": "Account disabled: contact an administrator",
+  "Coordonnées incomplètes (X et Y)": "Incomplete coordinates (X and Y)",
+  "Coordonnées invalides": "Invalid coordinates",
+  "Couleur invalide (#rrggbb)": "Invalid color (#rrggbb)",
+  "Date invalide": "Invalid date",
+  "Difficulté invalide (1 à 5)": "Invalid difficulty (1 to 5)",
+  "Erreur serveur": "Server error",
+  "Escouade introuvable": "Squad not found",
+  "Étapes invalides (liste attendue)": "Invalid steps (list expected)",
+  "Fichier introuvable": "File not found",
+  "Forme invalide (polygon ou circle)": "Invalid shape (polygon or circle)",
+  "Grade invalide": "Invalid rank",
+  "Identifiant et mot de passe requis": "Username and password required",
+  "Identifiants invalides": "Invalid credentials",
+  "Il doit rester au moins un admin actif": "At least one active admin must remain",
+  "Impossible de restaurer une suppression": "A deletion cannot be restored",
+  "JSON invalide": "Invalid JSON",
+  "Jeton de rafraîchissement requis": "Refresh token required",
+  "Jeton invalide": "Invalid token",
+  "La fin doit être après le début": "The end must be after the start",
+  "Langue invalide": "Invalid language",
+  "Le nouveau mot de passe doit être différent de l'actuel": "The new password must differ from the current one",
+  "Libellé requis": "Label required",
+  "Marqueur introuvable": "Marker not found",
+  "Membre introuvable": "Member not found",
+  "Message requis": "Message required",
+  "Miniature introuvable": "Thumbnail not found",
+  "Modèle introuvable": "Template not found",
+  "Mot de passe actuel incorrect": "Current password is incorrect",
+  "Nom de permission invalide (a-z, 0-9, _)": "Invalid permission name (a-z, 0-9, _)",
+  "Nom requis": "Name required",
+  "Opération introuvable": "Operation not found",
+  "Opérations invalides (liste attendue)": "Invalid operations (list expected)",
+  "Permission intégrée : suppression impossible": "Built-in permission: it cannot be deleted",
+  "Permission introuvable": "Permission not found",
+  "Permissions invalides (liste attendue)": "Invalid permissions (list expected)",
+  "Pièce jointe introuvable": "Attachment not found",
+  "Plan introuvable": "Plan not found",
+  "Plans invalides (liste attendue)": "Invalid plans (list expected)",
+  "Position requise (lat/lng ou x/y)": "Position required (lat/lng or x/y)",
+  "Pseudo et mot de passe requis": "Username and password required",
+  "Requête trop volumineuse": "Request too large",
+  "Route inconnue": "Unknown route",
+  "Rôle invalide": "Invalid role",
+  "Session déjà renouvelée": "Session already renewed",
+  "Session expirée": "Session expired",
+  "Seul un admin peut changer un rôle": "Only an admin can change a role",
+  "Seul un admin peut créer un admin": "Only an admin can create an admin",
+  "Seul un admin peut modifier un admin": "Only an admin can edit an admin",
+  "Statut invalide": "Invalid status",
+  "Tactique introuvable": "Tactic not found",
+  "Tag trop long (30 caractères max.)": "Tag too long (30 characters max.)",
+  "Tags invalides (liste attendue)": "Invalid tags (list expected)",
+  "Texte de recherche requis": "Search text required",
+  "Ticket invalide ou expiré": "Invalid or expired ticket",
+  "Titre requis": "Title required",
+  "Type de zone invalide": "Invalid zone type",
+  "Une opération est créée au statut planned": "An operation is created with the planned status",
+  "Utilisateur introuvable": "User not found",
+  "Version introuvable": "Version not found",
+  "Vous ne pouvez pas désactiver ni rétrograder votre propre compte": "You cannot disable or demote your own account",
+  "Zone introuvable": "Zone not found",
+};
+
+// entity labels used in built messages ("Escouade introuvable : 4", "Plan : liste attendue")
+const LABELS = { Escouade: "Squad", Opération: "Operation", Plan: "Plan", Tactique: "Tactic" };
+const label = (s) => LABELS[s] ?? s;
+
+const PATTERNS = [
+  [/^(\d+) étapes au plus$/, (n) => `At most ${n} steps`],
+  [/^(\d+) tags au plus$/, (n) => `At most ${n} tags`],
+  [/^Coordonnées incomplètes \((.+)\)$/, (pair) => `Incomplete coordinates (${pair})`],
+  [/^Date invalide : (.+)$/, (key) => `Invalid date: ${key}`],
+  [/^Envoi invalide : (.+)$/, (reason) => `Invalid upload: ${reason}`],
+  [/^Étape (\d+) : image envoyée introuvable$/, (n) => `Step ${n}: uploaded image not found`],
+  [/^Étape (\d+) : image introuvable$/, (n) => `Step ${n}: image not found`],
+  [/^Étape (\d+) : titre ou texte requis$/, (n) => `Step ${n}: title or text required`],
+  [/^Fichier trop volumineux \(max (\d+) Mo\)$/, (n) => `File too large (max ${n} MB)`],
+  [/^Image illisible : (.+)$/, (name) => `Unreadable image: ${name}`],
+  [/^Le mot de passe doit faire au moins (\d+) caractères$/, (n) => `The password must be at least ${n} characters long`],
+  [/^Le nouveau mot de passe doit faire au moins (\d+) caractères$/, (n) => `The new password must be at least ${n} characters long`],
+  [/^Membre introuvable : (.+)$/, (id) => `Member not found: ${id}`],
+  [/^Opération introuvable : (.+)$/, (id) => `Operation not found: ${id}`],
+  [/^Permission introuvable : (.+)$/, (name) => `Permission not found: ${name}`],
+  [/^Permission manquante : (.+)$/, (name) => `Missing permission: ${name}`],
+  [/^Permission requise : (.+)$/, (name) => `Permission required: ${name}`],
+  [/^Plan introuvable : (.+)$/, (id) => `Plan not found: ${id}`],
+  [/^Polygone invalide \(3 à (\d+) points x\/y\)$/, (n) => `Invalid polygon (3 to ${n} x/y points)`],
+  [/^Rayon invalide \(0 à (\d+)\)$/, (n) => `Invalid radius (0 to ${n})`],
+  [/^Transition impossible : (.+)$/, (change) => `Transition not allowed: ${change}`],
+  [/^Trop de tentatives, réessayez dans (\d+) min$/, (n) => `Too many attempts, try again in ${n} min`],
+  [/^Type de fichier refusé : (.+) \(image attendu\)$/, (name) => `File type refused: ${name} (image expected)`],
+  [/^Type de fichier refusé : (.+) \(image ou PDF attendu\)$/, (name) => `File type refused: ${name} (image or PDF expected)`],
+  [/^(\S+) : liste attendue$/, (s) => `${label(s)}: list expected`],
+  [/^(\S+) introuvable : (.+)$/, (s, id) => `${label(s)} not found: ${id}`],
+  [/^(\S+) introuvable$/, (s) => `${label(s)} not found`],
+];
+
+/** Interface languages a user can pick (users.language). */
+export const LANGUAGES = ["fr", "en"];
+
+/** The error message in `language` ("fr" or "en"). */
+export function translateError(message, language) {
+  if (language !== "en") return message;
+  if (MESSAGES[message]) return MESSAGES[message];
+  for (const [pattern, english] of PATTERNS) {
+    const match = pattern.exec(message);
+    if (match) return english(...match.slice(1));
+  }
+  return message;
+}
@@ -0,0 +1,25 @@
+import db from "./db.js";
+
+/* List routes are paged newest first, like GET /audit: pass the last id received as `before`
+ * to get the next page. Ids never change, so pages stay stable while records are added.
+ */
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Runs `${select} WHERE ... ORDER BY ${idColumn} DESC` for one page.
+ * @param {{ select: string, idColumn?: string, where?: string[], params?: object }} query
+ *        where: SQL conditions joined with AND, using the named parameters of params
+ * @param {object} reqQuery   the request query string (limit, before)
+ * @param {(row) => object} toItem
+ * @returns {{ items: object[], nextBefore: number|null }}
+ */
+export function paginate({ select, idColumn = "id", where = [], params = {} }, reqQuery, toItem) {
+  const limit = Math.min(Math.max(Number(reqQuery.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const before = Number(reqQuery.before) || null;
+  const conditions = before ? [...where, `${idColumn} < @before`] : where;
+  const sql = `${select} ${conditions.length ? "WHERE " + conditions.join(" AND ") : ""} ORDER BY ${idColumn} DESC LIMIT ${limit + 1}`;
+  const rows = db.prepare(sql).all({ ...params, ...(before && { before }) });
+  const items = rows.slice(0, limit).map(toItem);
+  return { items, nextBefore: rows.length > limit ? rows[limit - 1].id : null };
+}
@@ -0,0 +1,47 @@
+import { hasPermission } from "./auth.js";
+import { bindLinks } from "./attachments.js";
+
+/**
+ * Live change feed (Server-Sent Events, see routes/events.js).
+ *
+ * publish() sends { entity, action, id, data, by } to every connected client:
+ *   entity  "marker" | "position" | "operation" | "squad" | "plan" | "zone"
+ *   action  "created" | "updated" | "deleted" | "journal" (operation log entry)
+ *   data    the record as the list route returns it (the log entry for "journal"), null on delete
+ */
+
+/** Entities only some members may read: the event is skipped for the others. */
+const READ_PERMISSION = { marker: "view_map", position: "view_map", zone: "view_map" };
+
+const HEARTBEAT_MS = 25_000;
+
+const clients = new Set(); // { res, user }
+
+export function addClient(res, user) {
+  const client = { res, user };
+  clients.add(client);
+  return () => clients.delete(client);
+}
+
+/** Ends the streams of a member whose access was cut (account deactivated, password changed or reset). */
+export function disconnectUser(userId) {
+  for (const client of clients) {
+    if (client.user.id !== userId) continue;
+    clients.delete(client);
+    client.res.end();
+  }
+}
+
+export function publish(entity, action, id, data = null, by = null) {
+  const payload = JSON.stringify({ entity, action, id: Number(id), data, by });
+  for (const { res, user } of clients) {
+    if (READ_PERMISSION[entity] && !hasPermission(user, READ_PERMISSION[entity])) continue;
+    // attachment links are signed for each member (see attachments.js)
+    res.write(`event: change\ndata: ${bindLinks(payload, user.id)}\n\n`);
+  }
+}
+
+// comments keep idle connections open through proxies
+setInterval(() => {
+  for (const { res } of clients) res.write(": ping\n\n");
+}, HEARTBEAT_MS).unref();
@@ -0,0 +1,58 @@
+import db from "./db.js";
+import { requirePermission } from "./auth.js";
+import { audit } from "./audit.js";
+
+/**
+ * Revision history shared by tactics, plans, operations and squads.
+ *
+ * Every create / update / delete / restore stores a full JSON snapshot of the record, so
+ * any version can be shown, compared with the previous one and restored.
+ */
+
+const insertRevision = db.prepare(`
+  INSERT INTO revisions (entity_type, entity_id, version, action, snapshot, author_id)
+  VALUES (@type, @id, (SELECT COALESCE(MAX(version), 0) + 1 FROM revisions WHERE entity_type = @type AND entity_id = @id), @action, @snapshot, @authorId)
+`);
+
+export function recordRevision(type, id, action, snapshot, authorId) {
+  insertRevision.run({ type, id: Number(id), action, snapshot: JSON.stringify(snapshot), authorId: authorId ?? null });
+}
+
+export function listRevisions(type, id) {
+  return db.prepare(`
+    SELECT r.id, r.version, r.action, r.snapshot, r.created_at, r.author_id, u.username AS author_username, u.display_name AS author_name
+    FROM revisions r LEFT JOIN users u ON u.id = r.author_id
+    WHERE r.entity_type = ? AND r.entity_id = ? ORDER BY r.version DESC
+  `).all(type, Number(id)).map(r => ({ ...r, snapshot: JSON.parse(r.snapshot) }));
+}
+
+/**
+ * Mounts GET /:id/revisions and POST /:id/revisions/:revisionId/restore on an entity router.
+ * @param {import("express").Router} router
+ * @param {{ type: string, permission: string, label: string,
+ *           snapshot: (id) => object|null, restore: (id, snapshot) => void, respond: (id) => object,
+ *           changed?: (id, userId) => void }} entity
+ *   snapshot() returns null when the record does not exist; restore() writes a snapshot back;
+ *   changed() runs after a restore (live updates).
+ */
+export function mountRevisionRoutes(router, entity) {
+  router.get("/:id/revisions", (req, res) => {
+    res.json(listRevisions(entity.type, req.params.id));
+  });
+
+  router.post("/:id/revisions/:revisionId/restore", requirePermission(entity.permission), (req, res) => {
+    if (!entity.snapshot(req.params.id)) return res.status(404).json({ error: entity.label + " introuvable" });
+    const rev = db.prepare("SELECT * FROM revisions WHERE id = ? AND entity_type = ? AND entity_id = ?")
+      .get(req.params.revisionId, entity.type, Number(req.params.id));
+    if (!rev) return res.status(404).json({ error: "Version introuvable" });
+    if (rev.action === "delete") return res.status(400).json({ error: "Impossible de restaurer une suppression" });
+
+    db.transaction(() => {
+      entity.restore(req.params.id, JSON.parse(rev.snapshot));
+      recordRevision(entity.type, req.params.id, "restore", entity.snapshot(req.params.id), req.user.id);
+    })();
+    audit(req, entity.type + ".restore", { entityType: entity.type, entityId: req.params.id, details: { version: rev.version } });
+    entity.changed?.(req.params.id, req.user.id);
+    res.json(entity.respond(req.params.id));
+  });
+}
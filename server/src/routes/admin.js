@@ -0,0 +1,198 @@
+import { Router } from "express";
+import db, { DEFAULT_PERMISSIONS } from "../db.js";
+import { requireAuth, requirePermission } from "../auth.js";
+import { audit } from "../audit.js";
+
+const router = Router();
+router.use(requireAuth, requirePermission("manage_permissions"));
+
+/* ---------- Helpers ---------- */
+const BUILTIN_PERMISSIONS = new Set(DEFAULT_PERMISSIONS.map(([name]) => name));
+
+function findUser(id, res) {
+  const user = db.prepare("SELECT id, username FROM users WHERE id = ?").get(Number(id));
+  if (!user) res.status(404).json({ error: "Utilisateur introuvable" });
+  return user;
+}
+
+function findPermission(name, res) {
+  const perm = db.prepare("SELECT id, name FROM permissions WHERE name = ?").get(String(name || ""));
+  if (!perm) res.status(404).json({ error: "Permission introuvable" });
+  return perm;
+}
+
+const grant = db.prepare("INSERT OR IGNORE INTO user_permissions (user_id, permission_id) VALUES (?, ?)");
+
+function grantPermission(req, user, perm) {
+  grant.run(user.id, perm.id);
+  audit(req, "permission.assign", { entityType: "member", entityId: user.id, details: { username: user.username, permission: perm.name } });
+}
+
+/* ---------- Permissions ---------- */
+router.get("/permissions", (req, res) => {
+  const rows = db.prepare(`
+    SELECT p.*, (SELECT COUNT(*) FROM user_permissions up WHERE up.permission_id = p.id) AS user_count
+    FROM permissions p ORDER BY p.name
+  `).all();
+  res.json(rows.map(p => ({ ...p, builtin: BUILTIN_PERMISSIONS.has(p.name) })));
+});
+
+router.post("/permissions", (req, res) => {
+  const { name, description } = req.body || {};
+  if (!name || !/^[a-z0-9_]+$/.test(name)) return res.status(400).json({ error: "Nom de permission invalide (a-z, 0-9, _)", field: "name" });
+  const exists = db.prepare("SELECT 1 FROM permissions WHERE name = ?").get(name);
+  if (exists) return res.status(409).json({ error: "Cette permission existe déjà", field: "name" });
+  const info = db.prepare("INSERT INTO permissions (name, description) VALUES (?, ?)").run(name, description || null);
+  audit(req, "permission.create", { details: { permission: name } });
+  res.status(201).json(db.prepare("SELECT * FROM permissions WHERE id = ?").get(info.lastInsertRowid));
+});
+
+// built-in permissions are checked by the routes and re-created at every start: they stay
+router.delete("/permissions/:name", (req, res) => {
+  const perm = findPermission(req.params.name, res);
+  if (!perm) return;
+  if (BUILTIN_PERMISSIONS.has(perm.name)) return res.status(400).json({ error: "Permission intégrée : suppression impossible" });
+  db.prepare("DELETE FROM permissions WHERE id = ?").run(perm.id);
+  audit(req, "permission.delete", { details: { permission: perm.name } });
+  res.status(204).end();
+});
+
+/* GET /admin/matrix -> { permissions: [name], users: [{ id, username, display_name, role, status, permissions: [name] }] }
+ * Admins hold every permission implicitly; their explicit grants are listed all the same.
+ */
+router.get("/matrix", (req, res) => {
+  const grants = db.prepare(`
+    SELECT up.user_id, p.name FROM user_permissions up JOIN permissions p ON p.id = up.permission_id
+  `).all();
+  const users = db.prepare("SELECT id, username, display_name, role, status FROM users ORDER BY username").all();
+  res.json({
+    permissions: db.prepare("SELECT name FROM permissions ORDER BY name").all().map(r => r.name),
+    users: users.map(u => ({ ...u, permissions: grants.filter(g => g.user_id === u.id).map(g => g.name) })),
+  });
+});
+
+/* POST /admin/assign-permission { userId, permissionName } */
+router.post("/assign-permission", (req, res) => {
+  const { userId, permissionName } = req.body || {};
+  const user = findUser(userId, res);
+  if (!user) return;
+  const perm = findPermission(permissionName, res);
+  if (!perm) return;
+  grantPermission(req, user, perm);
+  res.json({ ok: true });
+});
+
+/* PUT / DELETE /admin/users/:userId/permissions/:name : grants or revokes one permission */
+router.put("/users/:userId/permissions/:name", (req, res) => {
+  const user = findUser(req.params.userId, res);
+  if (!user) return;
+  const perm = findPermission(req.params.name, res);
+  if (!perm) return;
+  grantPermission(req, user, perm);
+  res.json({ ok: true });
+});
+
+router.delete("/users/:userId/permissions/:name", (req, res) => {
+  const user = findUser(req.params.userId, res);
+  if (!user) return;
+  const perm = findPermission(req.params.name, res);
+  if (!perm) return;
+  db.prepare("DELETE FROM user_permissions WHERE user_id = ? AND permission_id = ?").run(user.id, perm.id);
+  audit(req, "permission.revoke", { entityType: "member", entityId: user.id, details: { username: user.username, permission: perm.name } });
+  res.status(204).end();
+});
+
+/* ---------- Role templates ---------- */
+function getTemplate(id) {
+  const t = db.prepare("SELECT * FROM role_templates WHERE id = ?").get(id);
+  if (!t) return null;
+  const permissions = db.prepare(`
+    SELECT p.name FROM role_template_permissions rtp JOIN permissions p ON p.id = rtp.permission_id
+    WHERE rtp.template_id = ? ORDER BY p.name
+  `).all(id).map(r => r.name);
+  return { ...t, permissions };
+}
+
+/** Reads { name, description, permissions }. Returns [error, fields]. */
+function readTemplate(body, templateId = null) {
+  const { name, description, permissions = [] } = body || {};
+  if (!name || !String(name).trim()) return [{ error: "Nom requis", field: "name" }];
+  const taken = db.prepare("SELECT 1 FROM role_templates WHERE name = ? AND id IS NOT ?").get(String(name).trim(), templateId);
+  if (taken) return [{ error: "Ce modèle existe déjà", field: "name" }];
+  if (!Array.isArray(permissions)) return [{ error: "Permissions invalides (liste attendue)", field: "permissions" }];
+  const ids = [];
+  for (const p of new Set(permissions)) {
+    const perm = db.prepare("SELECT id FROM permissions WHERE name = ?").get(String(p));
+    if (!perm) return [{ error: "Permission introuvable : " + p, field: "permissions" }];
+    ids.push(perm.id);
+  }
+  return [null, { name: String(name).trim(), description: description ? String(description) : null, permissionIds: ids }];
+}
+
+function writeTemplatePermissions(id, permissionIds) {
+  db.prepare("DELETE FROM role_template_permissions WHERE template_id = ?").run(id);
+  const add = db.prepare("INSERT INTO role_template_permissions (template_id, permission_id) VALUES (?, ?)");
+  for (const permissionId of permissionIds) add.run(id, permissionId);
+}
+
+router.get("/role-templates", (req, res) => {
+  const ids = db.prepare("SELECT id FROM role_templates ORDER BY name").all();
+  res.json(ids.map(r => getTemplate(r.id)));
+});
+
+router.post("/role-templates", (req, res) => {
+  const [error, t] = readTemplate(req.body);
+  if (error) return res.status(400).json(error);
+  const id = db.transaction(() => {
+    const info = db.prepare("INSERT INTO role_templates (name, description) VALUES (?, ?)").run(t.name, t.description);
+    writeTemplatePermissions(info.lastInsertRowid, t.permissionIds);
+    return info.lastInsertRowid;
+  })();
+  audit(req, "role_template.create", { entityType: "role_template", entityId: id, details: { name: t.name } });
+  res.status(201).json(getTemplate(id));
+});
+
+router.put("/role-templates/:id", (req, res) => {
+  if (!getTemplate(req.params.id)) return res.status(404).json({ error: "Modèle introuvable" });
+  const [error, t] = readTemplate(req.body, Number(req.params.id));
+  if (error) return res.status(400).json(error);
+  db.transaction(() => {
+    db.prepare("UPDATE role_templates SET name = ?, description = ? WHERE id = ?").run(t.name, t.description, req.params.id);
+    writeTemplatePermissions(req.params.id, t.permissionIds);
+  })();
+  audit(req, "role_template.update", { entityType: "role_template", entityId: req.params.id, details: { name: t.name } });
+  res.json(getTemplate(req.params.id));
+});
+
+router.delete("/role-templates/:id", (req, res) => {
+  const template = getTemplate(req.params.id);
+  if (!template) return res.status(404).json({ error: "Modèle introuvable" });
+  db.prepare("DELETE FROM role_templates WHERE id = ?").run(template.id);
+  audit(req, "role_template.delete", { entityType: "role_template", entityId: template.id, details: { name: template.name } });
+  res.status(204).end();
+});
+
+/* POST /admin/role-templates/:id/apply { userId, replace? }
+ * Grants the template's permissions; with replace, the member's other permissions are revoked first.
+ */
+router.post("/role-templates/:id/apply", (req, res) => {
+  const template = getTemplate(req.params.id);
+  if (!template) return res.status(404).json({ error: "Modèle introuvable" });
+  const user = findUser(req.body?.userId, res);
+  if (!user) return;
+  db.transaction(() => {
+    if (req.body.replace) db.prepare("DELETE FROM user_permissions WHERE user_id = ?").run(user.id);
+    db.prepare(`
+      INSERT OR IGNORE INTO user_permissions (user_id, permission_id)
+      SELECT ?, permission_id FROM role_template_permissions WHERE template_id = ?
+    `).run(user.id, template.id);
+  })();
+  audit(req, "role_template.apply", {
+    entityType: "member",
+    entityId: user.id,
+    details: { username: user.username, template: template.name, permissions: template.permissions, replace: !!req.body.replace },
+  });
+  res.json({ ok: true });
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import { Router } from "express";
+import jwt from "jsonwebtoken";
+import db from "../db.js";
+import { JWT_SECRET } from "../config.js";
+import { requireAuth, tokenUser } from "../auth.js";
+import { filePath, isImage, createThumbnail } from "../storage.js";
+
+const router = Router();
+
+/** A valid `sig` for this attachment stands in for the Bearer token (see attachmentSummary),
+ * as long as the member it was sent to still has access. */
+function requireFileAccess(req, res, next) {
+  if (req.query.sig) {
+    let payload = null;
+    try {
+      payload = jwt.verify(String(req.query.sig), JWT_SECRET);
+    } catch { /* expired or forged: fall back to the header */ }
+    if (payload?.att === Number(req.params.id) && payload.user) {
+      if (tokenUser(res, payload.user, payload.iat)) next();
+      return;
+    }
+  }
+  requireAuth(req, res, next);
+}
+
+function sendStored(res, key, mime, name, download) {
+  res.setHeader("Content-Type", mime);
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Cache-Control", "private, max-age=3600");
+  res.setHeader("Content-Disposition", `${download ? "attachment" : "inline"}; filename*=UTF-8''${encodeURIComponent(name)}`);
+  res.sendFile(filePath(key), err => {
+    if (err && !res.headersSent) res.status(404).json({ error: "Fichier introuvable" });
+  });
+}
+
+/* GET /attachments/:id[?download=1] */
+router.get("/:id", requireFileAccess, (req, res) => {
+  const row = db.prepare("SELECT * FROM attachments WHERE id = ?").get(req.params.id);
+  if (!row) return res.status(404).json({ error: "Pièce jointe introuvable" });
+  sendStored(res, row.storage_key, row.mime_type, row.name, req.query.download === "1");
+});
+
+/* GET /attachments/:id/thumbnail : images only; built on first request for files that predate thumbnails */
+router.get("/:id/thumbnail", requireFileAccess, async (req, res, next) => {
+  try {
+    const row = db.prepare("SELECT * FROM attachments WHERE id = ?").get(req.params.id);
+    if (!row || !isImage(row.mime_type)) return res.status(404).json({ error: "Miniature introuvable" });
+    let thumb = row.thumbnail_key;
+    if (!thumb) {
+      thumb = await createThumbnail(row.storage_key);
+      db.prepare("UPDATE attachments SET thumbnail_key = ? WHERE id = ?").run(thumb, row.id);
+    }
+    sendStored(res, thumb, "image/webp", row.name.replace(/\.[^.]+$/, "") + ".webp", false);
+  } catch (e) {
+    next(e);
+  }
+});
+
+export default router;
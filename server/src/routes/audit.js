@@ -0,0 +1,78 @@
+import { Router } from "express";
+import db from "../db.js";
+import { requireAuth, requirePermission } from "../auth.js";
+
+const router = Router();
+router.use(requireAuth, requirePermission("view_audit"));
+
+const PAGE_SIZE = 100;
+const CSV_MAX_ROWS = 10000;
+const CSV_COLUMNS = ["id", "created_at", "actor_id", "actor_username", "action", "entity_type", "entity_id", "details", "ip"];
+
+/** Builds the WHERE clause from the query string filters. */
+function readFilters(query) {
+  const where = [];
+  const params = {};
+  if (query.actorId) { where.push("actor_id = @actorId"); params.actorId = Number(query.actorId); }
+  // "operation" matches every operation.* action, "auth.login" only that one
+  if (query.action) {
+    where.push("(action = @action OR action LIKE @actionPrefix)");
+    params.action = String(query.action);
+    params.actionPrefix = String(query.action) + ".%";
+  }
+  if (query.entityType) { where.push("entity_type = @entityType"); params.entityType = String(query.entityType); }
+  if (query.entityId) { where.push("entity_id = @entityId"); params.entityId = Number(query.entityId); }
+  for (const [key, op] of [["from", ">="], ["to", "<="]]) {
+    if (!query[key]) continue;
+    const t = Date.parse(query[key]);
+    if (Number.isNaN(t)) return ["Date invalide : " + key];
+    where.push(`created_at ${op} @${key}`);
+    params[key] = new Date(t).toISOString();
+  }
+  if (query.q) {
+    where.push("(actor_username LIKE @q OR details LIKE @q OR ip LIKE @q)");
+    params.q = "%" + String(query.q) + "%";
+  }
+  return [null, { sql: where.length ? "WHERE " + where.join(" AND ") : "", params }];
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  let s = String(value);
+  // a leading = + - @ (or tab / CR) would make spreadsheet software evaluate the cell as a formula
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\n\r;]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+/* GET /audit?actorId&action&entityType&entityId&from&to&q&before[&format=csv]
+ * Newest first, PAGE_SIZE per page: pass the last id as `before` for the next page.
+ * format=csv exports every matching entry (up to CSV_MAX_ROWS) instead.
+ */
+router.get("/", (req, res) => {
+  const [error, filters] = readFilters(req.query);
+  if (error) return res.status(400).json({ error });
+
+  if (req.query.format === "csv") {
+    const rows = db.prepare(`SELECT * FROM audit_log ${filters.sql} ORDER BY id DESC LIMIT ${CSV_MAX_ROWS}`).all(filters.params);
+    const lines = [CSV_COLUMNS.join(","), ...rows.map(r => CSV_COLUMNS.map(c => csvCell(r[c])).join(","))];
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    // BOM so spreadsheet software reads the accents as UTF-8
+    return res.send("\uFEFF" + lines.join("\r\n") + "\r\n");
+  }
+
+  const before = Number(req.query.before) || null;
+  const sql = before
+    ? `SELECT * FROM audit_log ${filters.sql ? filters.sql + " AND" : "WHERE"} id < @before ORDER BY id DESC LIMIT ${PAGE_SIZE + 1}`
+    : `SELECT * FROM audit_log ${filters.sql} ORDER BY id DESC LIMIT ${PAGE_SIZE + 1}`;
+  const rows = db.prepare(sql).all({ ...filters.params, ...(before && { before }) });
+  const entries = rows.slice(0, PAGE_SIZE).map(r => ({ ...r, details: r.details ? JSON.parse(r.details) : null }));
+  res.json({ entries, nextBefore: rows.length > PAGE_SIZE ? entries[entries.length - 1].id : null });
+});
+
+/* GET /audit/actions -> distinct action names, for the viewer's filter */
+router.get("/actions", (req, res) => {
+  res.json(db.prepare("SELECT DISTINCT action FROM audit_log ORDER BY action").all().map(r => r.action));
+});
+
+export default router;
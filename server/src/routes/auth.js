@@ -0,0 +1,175 @@
+import { Router } from "express";
+import bcrypt from "bcryptjs";
+import db from "../db.js";
+import {
+  publicUser, requireAuth, requireSession, getUserPermissions, sessionPayload, findRefreshToken, revokeRefreshTokens, PASSWORD_MIN_LENGTH,
+} from "../auth.js";
+import { LOGIN_MAX_FAILURES, LOGIN_LOCK_MINUTES, LOGIN_RATE_LIMIT } from "../config.js";
+import { audit } from "../audit.js";
+import { disconnectUser } from "../realtime.js";
+import { LANGUAGES } from "../messages.js";
+
+const router = Router();
+
+/* ---------- Login throttling ----------
+ * Per account: LOGIN_MAX_FAILURES failures in a row lock it for LOGIN_LOCK_MINUTES (stored in db).
+ * Per address: at most LOGIN_RATE_LIMIT failures per window (in memory, against username spraying).
+ */
+const LOCK_MS = LOGIN_LOCK_MINUTES * 60_000;
+const failuresByIp = new Map();
+
+function ipBlockedFor(ip) {
+  const entry = failuresByIp.get(ip);
+  if (!entry || entry.resetAt <= Date.now()) {
+    failuresByIp.delete(ip);
+    return 0;
+  }
+  return entry.count >= LOGIN_RATE_LIMIT ? entry.resetAt - Date.now() : 0;
+}
+
+function countIpFailure(ip) {
+  const entry = failuresByIp.get(ip);
+  if (entry && entry.resetAt > Date.now()) entry.count++;
+  else failuresByIp.set(ip, { count: 1, resetAt: Date.now() + LOCK_MS });
+}
+
+// addresses seen once are not checked again: drop expired windows so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, entry] of failuresByIp) if (entry.resetAt <= now) failuresByIp.delete(ip);
+}, LOCK_MS).unref();
+
+function tooManyAttempts(res, ms) {
+  const minutes = Math.ceil(ms / 60_000);
+  res.set("Retry-After", String(Math.ceil(ms / 1000)));
+  return res.status(429).json({ error: `Trop de tentatives, réessayez dans ${minutes} min`, code: "rate_limited" });
+}
+
+/* POST /auth/login { username, password } -> { token, refreshToken, user } */
+router.post("/login", (req, res) => {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: "Identifiant et mot de passe requis" });
+
+  const user = db.prepare("SELECT * FROM users WHERE username = ?").get(String(username));
+  const failed = (reason) => audit(req, "auth.login_failed", { user: user || { username: String(username) }, details: { reason } });
+
+  const blockedFor = ipBlockedFor(req.ip);
+  if (blockedFor) {
+    failed("rate_limited");
+    return tooManyAttempts(res, blockedFor);
+  }
+  if (user?.locked_until && Date.parse(user.locked_until) > Date.now()) {
+    failed("locked");
+    return tooManyAttempts(res, Date.parse(user.locked_until) - Date.now());
+  }
+  if (!user || !bcrypt.compareSync(String(password), user.password_hash)) {
+    countIpFailure(req.ip);
+    failed(user ? "bad_password" : "unknown_user");
+    if (user) {
+      const failures = user.failed_logins + 1;
+      const lockedUntil = failures >= LOGIN_MAX_FAILURES ? new Date(Date.now() + LOCK_MS).toISOString() : null;
+      db.prepare("UPDATE users SET failed_logins = ?, locked_until = ? WHERE id = ?")
+        .run(lockedUntil ? 0 : failures, lockedUntil, user.id);
+      if (lockedUntil) return tooManyAttempts(res, LOCK_MS);
+    }
+    return res.status(401).json({ error: "Identifiants invalides" });
+  }
+
+  db.prepare("UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?").run(user.id);
+  // checked after the password so the answer does not reveal the state of unknown accounts
+  if (user.status !== "active") {
+    failed("disabled");
+    return res.status(403).json({ error: "Compte désactivé : contactez un administrateur", code: "account_disabled" });
+  }
+  audit(req, "auth.login", { user });
+  res.json(sessionPayload(user));
+});
+
+/* POST /auth/refresh { refreshToken } -> { token, refreshToken, user }
+ * Refresh tokens are single use. Presenting one that was already rotated means it leaked
+ * (or two tabs raced): past a few seconds, every session of the user is revoked. Within them the
+ * token is refused with 409 token_rotated, without a new session: the tab that lost the race
+ * picks up the one the other tab stored (client/src/session.js).
+ */
+const REUSE_GRACE_MS = 5_000;
+
+router.post("/refresh", (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ error: "Jeton de rafraîchissement requis" });
+
+  const row = findRefreshToken(refreshToken);
+  if (!row || Date.parse(row.expires_at) <= Date.now()) {
+    return res.status(401).json({ error: "Session expirée", code: "token_invalid" });
+  }
+  if (row.rotated_at) {
+    if (Date.now() - Date.parse(row.rotated_at) <= REUSE_GRACE_MS) {
+      return res.status(409).json({ error: "Session déjà renouvelée", code: "token_rotated" });
+    }
+    revokeRefreshTokens(row.user_id);
+    return res.status(401).json({ error: "Session expirée", code: "token_invalid" });
+  }
+
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(row.user_id);
+  if (user.status !== "active") return res.status(401).json({ error: "Compte désactivé", code: "token_invalid" });
+  const payload = db.transaction(() => {
+    db.prepare("UPDATE refresh_tokens SET rotated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = ? AND rotated_at IS NULL").run(row.id);
+    return sessionPayload(user);
+  })();
+  res.json(payload);
+});
+
+/* POST /auth/logout { refreshToken } : ends this session only */
+router.post("/logout", (req, res) => {
+  const row = req.body?.refreshToken && findRefreshToken(req.body.refreshToken);
+  if (row) db.prepare("DELETE FROM refresh_tokens WHERE id = ?").run(row.id);
+  res.status(204).end();
+});
+
+/* GET /auth/me -> { user, permissions } : effective permission names (admins get all of them) */
+router.get("/me", requireSession, (req, res) => {
+  const permissions = req.user.role === "admin"
+    ? db.prepare("SELECT name FROM permissions ORDER BY name").all().map(r => r.name)
+    : getUserPermissions(req.user.id);
+  res.json({ user: publicUser(req.user), permissions });
+});
+
+/* PUT /auth/me/preferences { language } -> { user } : per-user interface settings */
+
+router.put("/me/preferences", requireAuth, (req, res) => {
+  const { language } = req.body || {};
+  if (!LANGUAGES.includes(language)) return res.status(400).json({ error: "Langue invalide", field: "language" });
+  db.prepare("UPDATE users SET language = ? WHERE id = ?").run(language, req.user.id);
+  res.json({ user: publicUser({ ...req.user, language }) });
+});
+
+/* POST /auth/change-password { currentPassword, newPassword } -> { token, refreshToken, user }
+ * Other sessions are closed: their refresh tokens are revoked and older access tokens rejected.
+ */
+router.post("/change-password", requireSession, (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const user = db.prepare("SELECT * FROM users WHERE id = ?").get(req.user.id);
+  if (!currentPassword || !bcrypt.compareSync(String(currentPassword), user.password_hash)) {
+    return res.status(400).json({ error: "Mot de passe actuel incorrect", field: "currentPassword" });
+  }
+  if (!newPassword || String(newPassword).length < PASSWORD_MIN_LENGTH) {
+    return res.status(400).json({ error: `Le nouveau mot de passe doit faire au moins ${PASSWORD_MIN_LENGTH} caractères`, field: "newPassword" });
+  }
+  if (bcrypt.compareSync(String(newPassword), user.password_hash)) {
+    return res.status(400).json({ error: "Le nouveau mot de passe doit être différent de l'actuel", field: "newPassword" });
+  }
+
+  // whole seconds: JWT iat has no sub-second precision
+  const changedAt = new Date(Math.floor(Date.now() / 1000) * 1000).toISOString();
+  const payload = db.transaction(() => {
+    db.prepare("UPDATE users SET password_hash = ?, must_change_password = 0, password_changed_at = ? WHERE id = ?")
+      .run(bcrypt.hashSync(String(newPassword), 10), changedAt, user.id);
+    revokeRefreshTokens(user.id);
+    return sessionPayload({ ...user, must_change_password: 0 });
+  })();
+  // this tab reconnects with its new token, the other sessions cannot
+  disconnectUser(user.id);
+  audit(req, "auth.password_change", { entityType: "member", entityId: user.id });
+  res.json(payload);
+});
+
+export default router;
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import jwt from "jsonwebtoken";
+import db from "../db.js";
+import { JWT_SECRET } from "../config.js";
+import { requireAuth } from "../auth.js";
+import { addClient } from "../realtime.js";
+
+const router = Router();
+
+/*
+ * EventSource cannot send the Authorization header: the client first asks for a one-minute
+ * ticket (Bearer auth), then opens GET /events?ticket=... with it.
+ */
+router.post("/ticket", requireAuth, (req, res) => {
+  res.json({ ticket: jwt.sign({ stream: req.user.id }, JWT_SECRET, { expiresIn: "1m" }) });
+});
+
+router.get("/", (req, res) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(req.query.ticket || ""), JWT_SECRET);
+  } catch {
+    return res.status(401).json({ error: "Ticket invalide ou expiré" });
+  }
+  const user = payload.stream && db.prepare("SELECT id, username, display_name, role, status, password_changed_at FROM users WHERE id = ?").get(payload.stream);
+  if (!user || user.status !== "active") return res.status(401).json({ error: "Ticket invalide ou expiré" });
+  // same rule as access tokens (see requireAuth): tickets from before a password change are void
+  if (user.password_changed_at && payload.iat < Math.floor(Date.parse(user.password_changed_at) / 1000)) {
+    return res.status(401).json({ error: "Ticket invalide ou expiré" });
+  }
+
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+  const remove = addClient(res, user);
+  req.on("close", remove);
+});
+
+export default router;
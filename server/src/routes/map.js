@@ -0,0 +1,176 @@
+import { Router } from "express";
+import db from "../db.js";
+import { requireAuth, requirePermission, hasPermission } from "../auth.js";
+import { publish } from "../realtime.js";
+import { activeZones, activeOperations } from "../zones.js";
+
+export const MARKER_CATEGORIES = ["info", "objective", "threat", "staging", "medical", "checkpoint"];
+
+const router = Router();
+router.use(requireAuth);
+
+/** Validates a marker body. `partial` allows missing fields (PUT). Returns [error, fields]. */
+function readMarker(body, partial) {
+  const out = {};
+  const { title, description, category, color } = body || {};
+  if (title !== undefined || !partial) {
+    if (!title || !String(title).trim()) return [{ error: "Titre requis", field: "title" }];
+    out.title = String(title).trim();
+  }
+  if (description !== undefined) out.description = description ? String(description) : null;
+  if (category !== undefined) {
+    if (!MARKER_CATEGORIES.includes(category)) return [{ error: "Catégorie invalide", field: "category" }];
+    out.category = category;
+  }
+  if (color !== undefined) {
+    if (!/^#[0-9a-f]{6}$/i.test(color)) return [{ error: "Couleur invalide (#rrggbb)", field: "color" }];
+    out.color = color;
+  }
+  const error = readCoordinates(body, out);
+  if (error) return [{ error, field: "position" }];
+  if (!partial && out.lat === undefined && out.x === undefined) return [{ error: "Position requise (lat/lng ou x/y)", field: "position" }];
+  return [null, out];
+}
+
+/**
+ * A position is either lat/lng (real-world tiles) or x/y (in-game coordinates), given as a pair.
+ * Copies the given pairs into `out`; returns an error message or null.
+ */
+function readCoordinates(body, out) {
+  for (const pair of [["lat", "lng"], ["x", "y"]]) {
+    const given = pair.filter(k => body?.[k] !== undefined && body[k] !== null);
+    if (given.length === 0) continue;
+    if (given.length === 1) return "Coordonnées incomplètes (" + pair.join("/") + ")";
+    for (const k of pair) {
+      if (body[k] === "" || !Number.isFinite(Number(body[k]))) return "Coordonnées invalides";
+      out[k] = Number(body[k]);
+    }
+  }
+  return null;
+}
+
+const getMarker = db.prepare("SELECT * FROM map_markers WHERE id = ?");
+
+router.get("/markers", requirePermission("view_map"), (req, res) => {
+  res.json(db.prepare("SELECT * FROM map_markers ORDER BY id").all());
+});
+
+router.post("/markers", requirePermission("manage_map"), (req, res) => {
+  const [error, m] = readMarker(req.body, false);
+  if (error) return res.status(400).json(error);
+  const info = db.prepare(`
+    INSERT INTO map_markers (title, description, category, color, lat, lng, x, y, created_by)
+    VALUES (@title, @description, @category, @color, @lat, @lng, @x, @y, @created_by)
+  `).run({ description: null, category: "info", color: "#0d6efd", lat: null, lng: null, x: null, y: null, ...m, created_by: req.user.id });
+  const marker = getMarker.get(info.lastInsertRowid);
+  publish("marker", "created", marker.id, marker, req.user.id);
+  res.status(201).json(marker);
+});
+
+router.put("/markers/:id", requirePermission("manage_map"), (req, res) => {
+  const marker = getMarker.get(req.params.id);
+  if (!marker) return res.status(404).json({ error: "Marqueur introuvable" });
+  const [error, m] = readMarker(req.body, true);
+  if (error) return res.status(400).json(error);
+  const next = { ...marker, ...m };
+  db.prepare(`
+    UPDATE map_markers SET title = @title, description = @description, category = @category,
+      color = @color, lat = @lat, lng = @lng, x = @x, y = @y, updated_at = datetime('now')
+    WHERE id = @id
+  `).run(next);
+  const updated = getMarker.get(marker.id);
+  publish("marker", "updated", marker.id, updated, req.user.id);
+  res.json(updated);
+});
+
+router.delete("/markers/:id", requirePermission("manage_map"), (req, res) => {
+  const info = db.prepare("DELETE FROM map_markers WHERE id = ?").run(req.params.id);
+  if (!info.changes) return res.status(404).json({ error: "Marqueur introuvable" });
+  publish("marker", "deleted", req.params.id, null, req.user.id);
+  res.status(204).end();
+});
+
+/* ---------- Unit positions ----------
+ * Last known position of each member, reported by the officer's own client or by an in-game
+ * script (an account with report_positions, posting for any member). A unit's color comes from
+ * its squad (the first one it belongs to).
+ */
+const selectPosition = `
+  SELECT p.user_id AS id, p.*, u.username, u.display_name, s.id AS squad_id, s.name AS squad_name, s.color AS squad_color
+  FROM unit_positions p
+  JOIN users u ON u.id = p.user_id
+  LEFT JOIN squads s ON s.id = (SELECT MIN(squad_id) FROM squad_members WHERE user_id = p.user_id)
+`;
+const getPosition = db.prepare(selectPosition + " WHERE p.user_id = ?");
+
+/** Validates one report { userId?, x, y | lat, lng, heading?, speed? }. Returns [error, fields]. */
+function readPosition(body, user) {
+  const userId = body?.userId != null ? Number(body.userId) : user.id;
+  if (userId !== user.id && !hasPermission(user, "report_positions")) return ["Permission requise : report_positions"];
+  if (!db.prepare("SELECT 1 FROM users WHERE id = ?").get(userId)) return ["Membre introuvable : " + body.userId];
+
+  const out = { user_id: userId, lat: null, lng: null, x: null, y: null, heading: null, speed: null };
+  const error = readCoordinates(body, out);
+  if (error) return [error];
+  if (out.lat === null && out.x === null) return ["Position requise (lat/lng ou x/y)"];
+  for (const k of ["heading", "speed"]) {
+    if (body[k] === undefined || body[k] === null) continue;
+    if (!Number.isFinite(Number(body[k]))) return [k + " invalide"];
+    out[k] = Number(body[k]);
+  }
+  if (out.heading !== null) out.heading = ((out.heading % 360) + 360) % 360;
+  return [null, out];
+}
+
+router.get("/positions", requirePermission("view_map"), (req, res) => {
+  res.json(db.prepare(selectPosition + " ORDER BY p.user_id").all());
+});
+
+/*
+ * POST /map/positions { x, y, heading?, speed?, userId? }   or   { positions: [ ...same ] }
+ * heading: degrees clockwise from north. Without userId, the position is the caller's own.
+ */
+router.post("/positions", (req, res) => {
+  const reports = Array.isArray(req.body?.positions) ? req.body.positions : [req.body];
+  const rows = [];
+  for (const report of reports) {
+    const [error, row] = readPosition(report, req.user);
+    if (error) return res.status(400).json({ error });
+    rows.push(row);
+  }
+
+  const upsert = db.prepare(`
+    INSERT INTO unit_positions (user_id, lat, lng, x, y, heading, speed, reported_at, reported_by)
+    VALUES (@user_id, @lat, @lng, @x, @y, @heading, @speed, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), @reported_by)
+    ON CONFLICT (user_id) DO UPDATE SET lat = excluded.lat, lng = excluded.lng, x = excluded.x, y = excluded.y,
+      heading = excluded.heading, speed = excluded.speed, reported_at = excluded.reported_at, reported_by = excluded.reported_by
+  `);
+  db.transaction(() => { for (const row of rows) upsert.run({ ...row, reported_by: req.user.id }); })();
+
+  const saved = rows.map(row => getPosition.get(row.user_id));
+  for (const p of saved) publish("position", "updated", p.user_id, p, req.user.id);
+  res.json(saved);
+});
+
+/* DELETE /map/positions/:userId : takes a unit off the map (end of shift) */
+router.delete("/positions/:userId", (req, res) => {
+  if (Number(req.params.userId) !== req.user.id && !hasPermission(req.user, "manage_map")) {
+    return res.status(403).json({ error: "Permission requise : manage_map" });
+  }
+  const info = db.prepare("DELETE FROM unit_positions WHERE user_id = ?").run(req.params.userId);
+  if (!info.changes) return res.status(404).json({ error: "Aucune position pour ce membre" });
+  publish("position", "deleted", req.params.userId, null, req.user.id);
+  res.status(204).end();
+});
+
+/* GET /map/zones : zones of the operations under way, for the map layers (drawn from /operations/:id/zones) */
+router.get("/zones", requirePermission("view_map"), (req, res) => {
+  res.json(activeZones());
+});
+
+/* GET /map/zones/operations : every operation under way, for picking the one a new zone belongs to */
+router.get("/zones/operations", requirePermission("view_map"), (req, res) => {
+  res.json(activeOperations());
+});
+
+export default router;
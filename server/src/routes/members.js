@@ -0,0 +1,193 @@
+import { Router } from "express";
+import bcrypt from "bcryptjs";
+import db from "../db.js";
+import { requireAuth, requirePermission, revokeRefreshTokens, PASSWORD_MIN_LENGTH } from "../auth.js";
+import { audit } from "../audit.js";
+import { disconnectUser } from "../realtime.js";
+
+export const MEMBER_RANKS = ["officer", "senior_officer", "corporal", "sergeant", "lieutenant", "captain", "commander"];
+export const MEMBER_STATUSES = ["active", "suspended", "retired"];
+
+const router = Router();
+router.use(requireAuth);
+
+/* ---------- Reads ---------- */
+const selectMember = `
+  SELECT id, username, display_name, role, callsign, badge_number, rank, certifications, status, created_at, updated_at
+  FROM users
+`;
+
+function toMember(row) {
+  return { ...row, certifications: JSON.parse(row.certifications || "[]") };
+}
+
+export function getMember(id) {
+  const row = db.prepare(selectMember + " WHERE id = ?").get(id);
+  return row ? toMember(row) : null;
+}
+
+/* ---------- Validation ---------- */
+function optionalText(v) {
+  return v === undefined ? undefined : String(v ?? "").trim() || null;
+}
+
+/** Reads the profile fields present in a body. Returns [error, fields] (absent fields are undefined). */
+function readProfile(body, memberId = null) {
+  const b = body || {};
+  const fields = {
+    display_name: optionalText(b.displayName),
+    callsign: optionalText(b.callsign),
+    badge_number: optionalText(b.badgeNumber),
+    rank: optionalText(b.rank),
+    certifications: undefined,
+    status: b.status,
+  };
+  if (fields.rank && !MEMBER_RANKS.includes(fields.rank)) return [{ error: "Grade invalide", field: "rank" }];
+  if (fields.status !== undefined && !MEMBER_STATUSES.includes(fields.status)) return [{ error: "Statut invalide", field: "status" }];
+  if (fields.badge_number) {
+    const taken = db.prepare("SELECT id FROM users WHERE badge_number = ? AND id IS NOT ?").get(fields.badge_number, memberId);
+    if (taken) return [{ error: "Ce matricule est déjà attribué", field: "badgeNumber" }];
+  }
+  if (b.certifications !== undefined) {
+    if (!Array.isArray(b.certifications)) return [{ error: "Certifications invalides (liste attendue)", field: "certifications" }];
+    const labels = [...new Set(b.certifications.map(c => String(c).trim()).filter(Boolean))];
+    if (labels.some(c => c.length > 60)) return [{ error: "Certification trop longue (60 caractères max.)", field: "certifications" }];
+    fields.certifications = JSON.stringify(labels);
+  }
+  return [null, fields];
+}
+
+function readPassword(value) {
+  if (!value || String(value).length < PASSWORD_MIN_LENGTH) {
+    return [{ error: `Le mot de passe doit faire au moins ${PASSWORD_MIN_LENGTH} caractères`, field: "password" }];
+  }
+  return [null, bcrypt.hashSync(String(value), 10)];
+}
+
+// the last active admin can be neither demoted nor deactivated (nobody could manage the others)
+function isLastActiveAdmin(member) {
+  if (member.role !== "admin" || member.status !== "active") return false;
+  return db.prepare("SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND status = 'active'").get().n === 1;
+}
+
+/** Only admins may touch admin accounts (profile, password, status). */
+function loadTarget(req, res) {
+  const member = db.prepare("SELECT * FROM users WHERE id = ?").get(req.params.id);
+  if (!member) {
+    res.status(404).json({ error: "Membre introuvable" });
+    return null;
+  }
+  if (member.role === "admin" && req.user.role !== "admin") {
+    res.status(403).json({ error: "Seul un admin peut modifier un admin" });
+    return null;
+  }
+  return member;
+}
+
+/* ---------- Routes ---------- */
+router.get("/", (req, res) => {
+  res.json(db.prepare(selectMember + " ORDER BY id").all().map(toMember));
+});
+
+router.get("/:id", (req, res) => {
+  const member = getMember(req.params.id);
+  if (!member) return res.status(404).json({ error: "Membre introuvable" });
+  res.json(member);
+});
+
+/* POST /members { username, password, displayName?, role?, callsign?, badgeNumber?, rank?, certifications? }
+ * The password is only a first one: it must be changed at first login.
+ */
+router.post("/", requirePermission("manage_members"), (req, res) => {
+  const { username, password, role = "user" } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: "Pseudo et mot de passe requis", field: username ? "password" : "username" });
+  if (!["user", "admin"].includes(role)) return res.status(400).json({ error: "Rôle invalide", field: "role" });
+  // only admins may create other admins
+  if (role === "admin" && req.user.role !== "admin") return res.status(403).json({ error: "Seul un admin peut créer un admin" });
+
+  const exists = db.prepare("SELECT 1 FROM users WHERE username = ?").get(String(username));
+  if (exists) return res.status(409).json({ error: "Ce pseudo existe déjà", field: "username" });
+  const [passwordError, hash] = readPassword(password);
+  if (passwordError) return res.status(400).json(passwordError);
+  const [error, profile] = readProfile({ ...req.body, status: undefined });
+  if (error) return res.status(400).json(error);
+
+  const info = db.prepare(`
+    INSERT INTO users (username, password_hash, display_name, role, callsign, badge_number, rank, certifications, must_change_password)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+  `).run(
+    String(username), hash, profile.display_name ?? null, role,
+    profile.callsign ?? null, profile.badge_number ?? null, profile.rank ?? null, profile.certifications ?? "[]",
+  );
+  audit(req, "member.create", { entityType: "member", entityId: info.lastInsertRowid, details: { username: String(username), role } });
+  res.status(201).json(getMember(info.lastInsertRowid));
+});
+
+/* PUT /members/:id { displayName?, callsign?, badgeNumber?, rank?, certifications?, status?, role? }
+ * A status other than active closes the member's sessions and blocks their login.
+ */
+router.put("/:id", requirePermission("manage_members"), (req, res) => {
+  const member = loadTarget(req, res);
+  if (!member) return;
+  const [error, fields] = readProfile(req.body, member.id);
+  if (error) return res.status(400).json(error);
+
+  const role = req.body?.role ?? member.role;
+  if (!["user", "admin"].includes(role)) return res.status(400).json({ error: "Rôle invalide", field: "role" });
+  if (role !== member.role && req.user.role !== "admin") return res.status(403).json({ error: "Seul un admin peut changer un rôle" });
+  const status = fields.status ?? member.status;
+  if (member.id === req.user.id && (status !== "active" || role !== member.role)) {
+    return res.status(400).json({ error: "Vous ne pouvez pas désactiver ni rétrograder votre propre compte" });
+  }
+  if ((status !== "active" || role !== "admin") && isLastActiveAdmin(member)) {
+    return res.status(400).json({ error: "Il doit rester au moins un admin actif" });
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users SET display_name = ?, callsign = ?, badge_number = ?, rank = ?, certifications = ?, status = ?, role = ?,
+        updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      WHERE id = ?
+    `).run(
+      fields.display_name !== undefined ? fields.display_name : member.display_name,
+      fields.callsign !== undefined ? fields.callsign : member.callsign,
+      fields.badge_number !== undefined ? fields.badge_number : member.badge_number,
+      fields.rank !== undefined ? fields.rank : member.rank,
+      fields.certifications ?? member.certifications,
+      status,
+      role,
+      member.id,
+    );
+    if (status !== "active") revokeRefreshTokens(member.id);
+  })();
+  if (status !== "active") disconnectUser(member.id);
+  audit(req, "member.update", {
+    entityType: "member",
+    entityId: member.id,
+    details: { username: member.username, ...(status !== member.status && { status }), ...(role !== member.role && { role }) },
+  });
+  res.json(getMember(member.id));
+});
+
+/* POST /members/:id/reset-password { password } : temporary password, to change at next login */
+router.post("/:id/reset-password", requirePermission("manage_members"), (req, res) => {
+  const member = loadTarget(req, res);
+  if (!member) return;
+  const [error, hash] = readPassword(req.body?.password);
+  if (error) return res.status(400).json(error);
+
+  // whole seconds: JWT iat has no sub-second precision
+  const changedAt = new Date(Math.floor(Date.now() / 1000) * 1000).toISOString();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users SET password_hash = ?, must_change_password = 1, password_changed_at = ?, failed_logins = 0, locked_until = NULL
+      WHERE id = ?
+    `).run(hash, changedAt, member.id);
+    revokeRefreshTokens(member.id);
+  })();
+  disconnectUser(member.id);
+  audit(req, "member.reset_password", { entityType: "member", entityId: member.id, details: { username: member.username } });
+  res.json({ ok: true });
+});
+
+export default router;
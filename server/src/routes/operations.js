@@ -0,0 +1,367 @@
+import { Router } from "express";
+import db from "../db.js";
+import { requireAuth, requirePermission } from "../auth.js";
+import { recordRevision, mountRevisionRoutes } from "../revisions.js";
+import { audit } from "../audit.js";
+import { listAttachments, removeEntityAttachments, attachmentCountSql, mountAttachmentRoutes } from "../attachments.js";
+import { publish } from "../realtime.js";
+import { listZones, mountZoneRoutes } from "../zones.js";
+import { paginate } from "../pagination.js";
+import { matchCondition } from "./search.js";
+
+export const OPERATION_STATUSES = ["planned", "briefed", "ongoing", "completed", "aborted"];
+
+/** Allowed status changes; completed and aborted are final. */
+export const STATUS_TRANSITIONS = {
+  planned: ["briefed", "aborted"],
+  briefed: ["ongoing", "aborted"],
+  ongoing: ["completed", "aborted"],
+  completed: [],
+  aborted: [],
+};
+
+const router = Router();
+router.use(requireAuth);
+
+/* ---------- Reads ---------- */
+const selectOperation = `
+  SELECT o.*, u.username AS commander_username, u.display_name AS commander_name
+  FROM operations o LEFT JOIN users u ON u.id = o.commander_id
+`;
+const squadIdsOf = db.prepare("SELECT squad_id FROM operation_squads WHERE operation_id = ? ORDER BY squad_id");
+
+/* Linked records: [body field, snapshot key, link table, link column, linked table, label] */
+const LINKS = [
+  ["squadIds", "squad_ids", "operation_squads", "squad_id", "squads", "Escouade"],
+  ["planIds", "plan_ids", "operation_plans", "plan_id", "tactical_plans", "Plan"],
+  ["tacticIds", "tactic_ids", "operation_tactics", "tactic_id", "tactics", "Tactique"],
+];
+
+function linkedIds(id) {
+  return Object.fromEntries(LINKS.map(([, key, table, column]) => [
+    key,
+    db.prepare(`SELECT ${column} AS id FROM ${table} WHERE operation_id = ? ORDER BY ${column}`).all(id).map(r => r.id),
+  ]));
+}
+
+const linkedPlans = db.prepare(`
+  SELECT p.id, p.title FROM operation_plans op JOIN tactical_plans p ON p.id = op.plan_id WHERE op.operation_id = ? ORDER BY p.id
+`);
+const linkedTactics = db.prepare(`
+  SELECT t.id, t.title, t.category, t.difficulty FROM operation_tactics ot JOIN tactics t ON t.id = ot.tactic_id WHERE ot.operation_id = ? ORDER BY t.id
+`);
+
+/**
+ * Adds squad ids, linked plans ({ id, title }) and tactics ({ id, title, category, difficulty }), attachment summaries
+ * (files are fetched from their URLs) and the zones drawn on the map (see zones.js).
+ */
+function hydrate(op) {
+  return {
+    ...op,
+    squad_ids: squadIdsOf.all(op.id).map(r => r.squad_id),
+    plans: linkedPlans.all(op.id),
+    tactics: linkedTactics.all(op.id),
+    attachments: listAttachments("operation", op.id),
+    zones: listZones(op.id),
+  };
+}
+
+export function getOperation(id) {
+  const op = db.prepare(selectOperation + " WHERE o.id = ?").get(id);
+  return op ? hydrate(op) : null;
+}
+
+/* List summaries: the description is cut to an excerpt and attachments are only counted */
+const EXCERPT_LENGTH = 200;
+const selectSummary = `
+  SELECT o.id, o.name, substr(o.description, 1, ${EXCERPT_LENGTH}) AS excerpt, length(o.description) > ${EXCERPT_LENGTH} AS truncated,
+    o.status, o.location_text, o.location_x, o.location_y, o.start_at, o.end_at, o.commander_id, o.created_by, o.created_at, o.updated_at,
+    u.username AS commander_username, u.display_name AS commander_name, ${attachmentCountSql("operation", "o.id")} AS attachment_count
+  FROM operations o LEFT JOIN users u ON u.id = o.commander_id
+`;
+
+function toSummary(op) {
+  return { ...op, truncated: !!op.truncated, squad_ids: squadIdsOf.all(op.id).map(r => r.squad_id) };
+}
+
+function getSummary(id) {
+  const op = db.prepare(selectSummary + " WHERE o.id = ?").get(id);
+  return op ? toSummary(op) : null;
+}
+
+/** Reads the list filters (status, from, to, q). Returns [error, { where, params }]. */
+function readListFilters(query) {
+  const where = [];
+  const params = {};
+  if (query.status) {
+    if (!OPERATION_STATUSES.includes(query.status)) return ["Statut invalide"];
+    where.push("o.status = @status");
+    params.status = query.status;
+  }
+  // dates bound the planned start, or the creation date when there is none
+  for (const [key, op] of [["from", ">="], ["to", "<="]]) {
+    if (!query[key]) continue;
+    const t = Date.parse(query[key]);
+    if (Number.isNaN(t)) return ["Date invalide : " + key];
+    where.push(`COALESCE(o.start_at, strftime('%Y-%m-%dT%H:%M:%fZ', o.created_at)) ${op} @${key}`);
+    params[key] = new Date(t).toISOString();
+  }
+  const search = matchCondition("operation", "o.id", query.q, params);
+  if (search) where.push(search);
+  return [null, { where, params }];
+}
+
+/* ---------- Validation ---------- */
+function optionalNumber(v) {
+  if (v === undefined || v === null || v === "") return null;
+  return Number.isFinite(Number(v)) ? Number(v) : NaN;
+}
+
+function optionalDate(v) {
+  if (!v) return null;
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? undefined : new Date(t).toISOString();
+}
+
+/** Reads a create body. Returns [error, fields]. */
+function readOperation(body) {
+  const b = body || {};
+  if (!b.name || !String(b.name).trim()) return [{ error: "Nom requis", field: "name" }];
+  // every operation enters the workflow as planned, then moves through POST /:id/status
+  if (b.status && b.status !== "planned") return [{ error: "Une opération est créée au statut planned", field: "status" }];
+
+  const locationX = optionalNumber(b.locationX);
+  const locationY = optionalNumber(b.locationY);
+  if (Number.isNaN(locationX) || Number.isNaN(locationY)) return [{ error: "Coordonnées invalides", field: Number.isNaN(locationX) ? "locationX" : "locationY" }];
+  if ((locationX === null) !== (locationY === null)) return [{ error: "Coordonnées incomplètes (X et Y)", field: locationX === null ? "locationX" : "locationY" }];
+
+  const startAt = optionalDate(b.startAt);
+  const endAt = optionalDate(b.endAt);
+  if (startAt === undefined || endAt === undefined) return [{ error: "Date invalide", field: startAt === undefined ? "startAt" : "endAt" }];
+  if (startAt && endAt && endAt < startAt) return [{ error: "La fin doit être après le début", field: "endAt" }];
+
+  const commanderId = b.commanderId ? Number(b.commanderId) : null;
+  if (commanderId && !db.prepare("SELECT 1 FROM users WHERE id = ?").get(commanderId)) return [{ error: "Commandant introuvable", field: "commanderId" }];
+
+  const links = {};
+  // a list left out is left unchanged (like operationIds for tactics)
+  for (const [field, , , , table, label] of LINKS) {
+    if (b[field] === undefined) continue;
+    if (!Array.isArray(b[field])) return [{ error: label + " : liste attendue", field }];
+    links[field] = [...new Set(b[field].map(Number))];
+    for (const id of links[field]) {
+      if (!db.prepare(`SELECT 1 FROM ${table} WHERE id = ?`).get(id)) return [{ error: label + " introuvable : " + id, field }];
+    }
+  }
+
+  return [null, {
+    name: String(b.name).trim(),
+    description: b.description ? String(b.description) : null,
+    status: "planned",
+    location_text: b.locationText ? String(b.locationText) : null,
+    location_x: locationX,
+    location_y: locationY,
+    start_at: startAt,
+    end_at: endAt,
+    commander_id: commanderId,
+    links,
+  }];
+}
+
+/* ---------- Revisions ----------
+ * Snapshots hold the editable fields and the linked squads, plans and tactics. The status is shown but never restored
+ * (it only moves through the workflow); attachments and zones are not versioned.
+ */
+const EDITABLE_FIELDS = ["name", "description", "location_text", "location_x", "location_y", "start_at", "end_at", "commander_id"];
+
+function snapshot(id) {
+  const op = db.prepare("SELECT * FROM operations WHERE id = ?").get(id);
+  if (!op) return null;
+  const snap = { status: op.status, ...linkedIds(id) };
+  for (const f of EDITABLE_FIELDS) snap[f] = op[f];
+  return snap;
+}
+
+function writeFields(id, fields) {
+  db.prepare(`
+    UPDATE operations SET name = @name, description = @description, location_text = @location_text,
+      location_x = @location_x, location_y = @location_y, start_at = @start_at, end_at = @end_at,
+      commander_id = @commander_id, updated_at = datetime('now')
+    WHERE id = @id
+  `).run({ ...Object.fromEntries(EDITABLE_FIELDS.map(f => [f, fields[f] ?? null])), id });
+}
+
+/** Replaces the links given ({ squadIds?, planIds?, tacticIds? }); records deleted since are skipped. */
+function writeLinks(id, links) {
+  for (const [field, , table, column, linked] of LINKS) {
+    if (!links[field]) continue;
+    db.prepare(`DELETE FROM ${table} WHERE operation_id = ?`).run(id);
+    const link = db.prepare(`INSERT INTO ${table} (operation_id, ${column}) SELECT ?, id FROM ${linked} WHERE id = ?`);
+    for (const linkedId of links[field]) link.run(id, linkedId);
+  }
+}
+
+function restore(id, snap) {
+  const commander = snap.commander_id && db.prepare("SELECT 1 FROM users WHERE id = ?").get(snap.commander_id);
+  writeFields(id, { ...snap, commander_id: commander ? snap.commander_id : null });
+  // snapshots taken before plans and tactics could be linked have no plan_ids / tactic_ids: none then
+  writeLinks(id, Object.fromEntries(LINKS.map(([field, key]) => [field, snap[key] || []])));
+}
+
+/* ---------- Events (timeline) ---------- */
+const selectEvents = db.prepare(`
+  SELECT e.*, u.username AS author_username, u.display_name AS author_name
+  FROM operation_events e LEFT JOIN users u ON u.id = e.author_id
+  WHERE e.operation_id = ? ORDER BY e.id
+`);
+
+export function addEvent(operationId, authorId, { type = "note", message = null, fromStatus = null, toStatus = null }) {
+  return db.prepare(`
+    INSERT INTO operation_events (operation_id, author_id, type, message, from_status, to_status)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(operationId, authorId, type, message, fromStatus, toStatus).lastInsertRowid;
+}
+
+/** Pushes the current summary to live clients. */
+function changed(id, userId, action = "updated") {
+  publish("operation", action, id, getSummary(id), userId);
+}
+
+/* Tactics can rewrite their links to operations (tactics.js): each operation linked or unlinked that way
+ * gets a revision, in the tactic's transaction, then an audit entry and a live event once committed. */
+export function recordLinkRevision(id, userId) {
+  recordRevision("operation", id, "update", snapshot(id), userId);
+}
+
+export function linksChanged(req, id, details) {
+  const op = db.prepare("SELECT name FROM operations WHERE id = ?").get(id);
+  if (!op) return;
+  audit(req, "operation.update", { entityType: "operation", entityId: id, details: { name: op.name, ...details } });
+  changed(id, req.user.id);
+}
+
+/* ---------- Routes ---------- */
+/* GET /operations?status&from&to&q&before&limit -> { items, nextBefore } (summaries, full record from GET /:id) */
+router.get("/", (req, res) => {
+  const [error, filters] = readListFilters(req.query);
+  if (error) return res.status(400).json({ error });
+  res.json(paginate({ select: selectSummary, idColumn: "o.id", ...filters }, req.query, toSummary));
+});
+
+router.get("/:id", (req, res) => {
+  const op = getOperation(req.params.id);
+  if (!op) return res.status(404).json({ error: "Opération introuvable" });
+  res.json(op);
+});
+
+router.post("/", requirePermission("manage_operations"), (req, res) => {
+  const [error, op] = readOperation(req.body);
+  if (error) return res.status(400).json(error);
+
+  const id = db.transaction(() => {
+    const info = db.prepare(`
+      INSERT INTO operations (name, description, status, location_text, location_x, location_y, start_at, end_at, commander_id, created_by)
+      VALUES (@name, @description, @status, @location_text, @location_x, @location_y, @start_at, @end_at, @commander_id, @created_by)
+    `).run({ ...op, created_by: req.user.id });
+    const opId = info.lastInsertRowid;
+    writeLinks(opId, op.links);
+    addEvent(opId, req.user.id, { type: "status", toStatus: "planned", message: "Opération créée" });
+    recordRevision("operation", opId, "create", snapshot(opId), req.user.id);
+    return opId;
+  })();
+
+  audit(req, "operation.create", { entityType: "operation", entityId: id, details: { name: op.name } });
+  changed(id, req.user.id, "created");
+  res.status(201).json(getOperation(id));
+});
+
+/* PUT /operations/:id : same body as POST (status excluded) */
+router.put("/:id", requirePermission("manage_operations"), (req, res) => {
+  const existing = db.prepare("SELECT id FROM operations WHERE id = ?").get(req.params.id);
+  if (!existing) return res.status(404).json({ error: "Opération introuvable" });
+  const [error, op] = readOperation({ ...req.body, status: undefined });
+  if (error) return res.status(400).json(error);
+
+  db.transaction(() => {
+    writeFields(existing.id, op);
+    writeLinks(existing.id, op.links);
+    recordRevision("operation", existing.id, "update", snapshot(existing.id), req.user.id);
+  })();
+  audit(req, "operation.update", { entityType: "operation", entityId: existing.id, details: { name: op.name } });
+  changed(existing.id, req.user.id);
+  res.json(getOperation(existing.id));
+});
+
+router.delete("/:id", requirePermission("manage_operations"), (req, res) => {
+  const snap = snapshot(req.params.id);
+  if (!snap) return res.status(404).json({ error: "Opération introuvable" });
+  db.transaction(() => {
+    db.prepare("DELETE FROM operations WHERE id = ?").run(req.params.id);
+    recordRevision("operation", req.params.id, "delete", snap, req.user.id);
+  })();
+  removeEntityAttachments("operation", req.params.id);
+  audit(req, "operation.delete", { entityType: "operation", entityId: req.params.id, details: { name: snap.name } });
+  publish("operation", "deleted", req.params.id, null, req.user.id);
+  res.status(204).end();
+});
+
+mountRevisionRoutes(router, {
+  type: "operation",
+  label: "Opération",
+  permission: "manage_operations",
+  snapshot,
+  restore,
+  respond: (id) => getOperation(id),
+  changed,
+});
+
+mountAttachmentRoutes(router, {
+  type: "operation",
+  label: "Opération",
+  permission: "manage_operations",
+  exists: (id) => !!db.prepare("SELECT 1 FROM operations WHERE id = ?").get(id),
+  changed,
+});
+
+mountZoneRoutes(router, { changed });
+
+/* POST /operations/:id/status { status, message? } : one step of the workflow */
+router.post("/:id/status", requirePermission("manage_operations"), (req, res) => {
+  const op = db.prepare("SELECT id, status FROM operations WHERE id = ?").get(req.params.id);
+  if (!op) return res.status(404).json({ error: "Opération introuvable" });
+  const { status, message } = req.body || {};
+  if (!OPERATION_STATUSES.includes(status)) return res.status(400).json({ error: "Statut invalide" });
+  if (!(STATUS_TRANSITIONS[op.status] || []).includes(status)) {
+    return res.status(409).json({ error: `Transition impossible : ${op.status} → ${status}` });
+  }
+
+  db.transaction(() => {
+    db.prepare("UPDATE operations SET status = ? WHERE id = ?").run(status, op.id);
+    addEvent(op.id, req.user.id, { type: "status", fromStatus: op.status, toStatus: status, message: message ? String(message) : null });
+  })();
+  audit(req, "operation.status", { entityType: "operation", entityId: op.id, details: { from: op.status, to: status } });
+  changed(op.id, req.user.id);
+  res.json(getOperation(op.id));
+});
+
+router.get("/:id/events", (req, res) => {
+  if (!db.prepare("SELECT 1 FROM operations WHERE id = ?").get(req.params.id)) {
+    return res.status(404).json({ error: "Opération introuvable" });
+  }
+  res.json(selectEvents.all(req.params.id));
+});
+
+/* POST /operations/:id/events { message } : any officer can log what happens during the op */
+router.post("/:id/events", (req, res) => {
+  if (!db.prepare("SELECT 1 FROM operations WHERE id = ?").get(req.params.id)) {
+    return res.status(404).json({ error: "Opération introuvable" });
+  }
+  const message = String(req.body?.message || "").trim();
+  if (!message) return res.status(400).json({ error: "Message requis" });
+  const id = addEvent(Number(req.params.id), req.user.id, { message });
+  const event = selectEvents.all(req.params.id).find(e => e.id === id);
+  publish("operation", "journal", req.params.id, event, req.user.id);
+  res.status(201).json(event);
+});
+
+export default router;
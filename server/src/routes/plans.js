@@ -0,0 +1,194 @@
+import { Router } from "express";
+import db from "../db.js";
+import { requireAuth, requirePermission } from "../auth.js";
+import { recordRevision, mountRevisionRoutes } from "../revisions.js";
+import { audit } from "../audit.js";
+import {
+  receiveFiles, checkFiles, saveFiles, removeAttachments, removeEntityAttachments,
+  attachmentRows, attachmentSummary, listAttachments, mountAttachmentRoutes,
+} from "../attachments.js";
+import { publish } from "../realtime.js";
+import { paginate } from "../pagination.js";
+import { matchCondition } from "./search.js";
+
+const router = Router();
+router.use(requireAuth);
+
+const getPlan = db.prepare("SELECT * FROM tactical_plans WHERE id = ?");
+
+/* The base image and the flattened preview are attachments of kind "base" / "preview" */
+function imageOf(id, kind) {
+  const rows = attachmentRows("plan", id, kind);
+  return rows.length ? attachmentSummary(rows[rows.length - 1]) : null;
+}
+
+// tactics are linked from their own form (see routes/tactics.js)
+const linkedTactics = db.prepare(`
+  SELECT t.id, t.title FROM tactic_plans tp JOIN tactics t ON t.id = tp.tactic_id WHERE tp.plan_id = ? ORDER BY t.id
+`);
+
+function readFullPlan(id) {
+  const p = getPlan.get(id);
+  return p && {
+    ...p,
+    base_image: imageOf(p.id, "base"),
+    preview: imageOf(p.id, "preview"),
+    tactics: linkedTactics.all(p.id),
+    attachments: listAttachments("plan", p.id),
+  };
+}
+
+/* List summaries leave out the annotations and attachments: only the thumbnail of the preview
+ * (or of the base image) is linked, the editor loads the full plan from GET /:id.
+ */
+const selectSummary = "SELECT id, title, created_by, created_at, updated_at FROM tactical_plans";
+
+function toSummary(p) {
+  const image = imageOf(p.id, "preview") || imageOf(p.id, "base");
+  return { ...p, thumbnail_url: image?.thumbnail_url || null };
+}
+
+function getSummary(id) {
+  const p = db.prepare(selectSummary + " WHERE id = ?").get(id);
+  return p ? toSummary(p) : null;
+}
+
+// POST / PUT bodies are JSON or multipart: fields title, annotations (JSON text), removeBaseImage,
+// files baseImage and preview
+const planFiles = receiveFiles([{ name: "baseImage", maxCount: 1 }, { name: "preview", maxCount: 1 }]);
+
+/** Replaces the base image / preview with the uploaded ones (files must have gone through checkFiles). */
+async function storeImages(id, req) {
+  const base = req.files?.baseImage?.[0];
+  const preview = req.files?.preview?.[0];
+  const removeBase = [true, "true", "1"].includes(req.body?.removeBaseImage);
+  for (const [kind, file] of [["base", base], ["preview", preview]]) {
+    const old = attachmentRows("plan", id, kind);
+    if (file) await saveFiles("plan", id, [file], req.user.id, kind);
+    if (file || (kind === "base" && removeBase)) removeAttachments(old);
+  }
+}
+
+function uploadedImages(req) {
+  return [req.files?.baseImage?.[0], req.files?.preview?.[0]].filter(Boolean);
+}
+
+/** Validates a plan body { title, annotations }. Returns [error, fields]. */
+function readPlan(body) {
+  const { title, annotations } = body || {};
+  if (!title || !String(title).trim()) return [{ error: "Titre requis", field: "title" }];
+  let doc = annotations;
+  if (typeof doc === "string") {
+    try { doc = JSON.parse(doc); } catch { return [{ error: "Annotations invalides", field: "annotations" }]; }
+  }
+  if (doc != null && (!Array.isArray(doc.layers) || !Array.isArray(doc.shapes))) return [{ error: "Annotations invalides (layers, shapes)", field: "annotations" }];
+  return [null, {
+    title: String(title).trim(),
+    annotations: doc ? JSON.stringify(doc) : null,
+  }];
+}
+
+// images are not versioned: a restore brings back the title and the annotations
+function snapshot(id) {
+  const p = getPlan.get(id);
+  return p ? { title: p.title, annotations: p.annotations } : null;
+}
+
+function restore(id, snap) {
+  db.prepare("UPDATE tactical_plans SET title = @title, annotations = @annotations, updated_at = datetime('now') WHERE id = @id")
+    .run({ title: snap.title, annotations: snap.annotations ?? null, id });
+}
+
+/** Pushes the current summary to live clients. */
+function changed(id, userId, action = "updated") {
+  publish("plan", action, id, getSummary(id), userId);
+}
+
+/* GET /tactical-plans?q&before&limit -> { items, nextBefore } */
+router.get("/", (req, res) => {
+  const params = {};
+  const search = matchCondition("plan", "id", req.query.q, params);
+  res.json(paginate({ select: selectSummary, where: search ? [search] : [], params }, req.query, toSummary));
+});
+
+router.get("/:id", (req, res) => {
+  const plan = readFullPlan(req.params.id);
+  if (!plan) return res.status(404).json({ error: "Plan introuvable" });
+  res.json(plan);
+});
+
+router.post("/", requirePermission("manage_plans"), planFiles, async (req, res, next) => {
+  try {
+    const [error, plan] = readPlan(req.body);
+    if (error) return res.status(400).json(error);
+    const fileError = await checkFiles(uploadedImages(req), { imagesOnly: true });
+    if (fileError) return res.status(400).json({ error: fileError });
+
+    const id = db.transaction(() => {
+      const info = db.prepare("INSERT INTO tactical_plans (title, annotations, created_by) VALUES (@title, @annotations, @created_by)")
+        .run({ ...plan, created_by: req.user.id });
+      recordRevision("plan", info.lastInsertRowid, "create", snapshot(info.lastInsertRowid), req.user.id);
+      return info.lastInsertRowid;
+    })();
+    await storeImages(id, req);
+    audit(req, "plan.create", { entityType: "plan", entityId: id, details: { title: plan.title } });
+    changed(id, req.user.id, "created");
+    res.status(201).json(readFullPlan(id));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.put("/:id", requirePermission("manage_plans"), planFiles, async (req, res, next) => {
+  try {
+    if (!getPlan.get(req.params.id)) return res.status(404).json({ error: "Plan introuvable" });
+    const [error, plan] = readPlan(req.body);
+    if (error) return res.status(400).json(error);
+    const fileError = await checkFiles(uploadedImages(req), { imagesOnly: true });
+    if (fileError) return res.status(400).json({ error: fileError });
+
+    db.transaction(() => {
+      restore(req.params.id, plan);
+      recordRevision("plan", req.params.id, "update", snapshot(req.params.id), req.user.id);
+    })();
+    await storeImages(req.params.id, req);
+    audit(req, "plan.update", { entityType: "plan", entityId: req.params.id, details: { title: plan.title } });
+    changed(req.params.id, req.user.id);
+    res.json(readFullPlan(req.params.id));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.delete("/:id", requirePermission("manage_plans"), (req, res) => {
+  const snap = snapshot(req.params.id);
+  if (!snap) return res.status(404).json({ error: "Plan introuvable" });
+  db.transaction(() => {
+    db.prepare("DELETE FROM tactical_plans WHERE id = ?").run(req.params.id);
+    recordRevision("plan", req.params.id, "delete", snap, req.user.id);
+  })();
+  removeEntityAttachments("plan", req.params.id);
+  audit(req, "plan.delete", { entityType: "plan", entityId: req.params.id, details: { title: snap.title } });
+  publish("plan", "deleted", req.params.id, null, req.user.id);
+  res.status(204).end();
+});
+
+mountRevisionRoutes(router, {
+  type: "plan",
+  label: "Plan",
+  permission: "manage_plans",
+  snapshot,
+  restore,
+  respond: readFullPlan,
+  changed,
+});
+
+mountAttachmentRoutes(router, {
+  type: "plan",
+  label: "Plan",
+  permission: "manage_plans",
+  exists: (id) => !!getPlan.get(id),
+  changed,
+});
+
+export default router;
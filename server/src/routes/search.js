@@ -0,0 +1,48 @@
+import { Router } from "express";
+import db from "../db.js";
+import { requireAuth } from "../auth.js";
+
+const router = Router();
+router.use(requireAuth);
+
+export const SEARCH_TYPES = ["tactic", "operation", "plan", "squad", "member"];
+const MAX_PER_TYPE = 20;
+
+/**
+ * Turns free text into an FTS5 query: every word must match, as a prefix ("entr" finds "entrée").
+ * Words are quoted, so FTS syntax typed by users (AND, *, quotes) is searched as plain text.
+ * Returns null when there is nothing to search.
+ */
+export function ftsQuery(text) {
+  const words = String(text || "").match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map(w => `"${w}"*`).join(" ") : null;
+}
+
+/**
+ * Condition for the list routes' `q` filter: keeps the records of `type` matching the text.
+ * Returns null when there is nothing to search; params gets the @match parameter.
+ */
+export function matchCondition(type, idColumn, text, params) {
+  const match = ftsQuery(text);
+  if (!match) return null;
+  params.match = match;
+  return `${idColumn} IN (SELECT entity_id FROM search_index WHERE search_index MATCH @match AND entity_type = '${type}')`;
+}
+
+/* GET /search?q=...&limit=5 -> { tactic: [{ id, title, snippet }], operation: [...], plan, squad, member } */
+router.get("/", (req, res) => {
+  const match = ftsQuery(req.query.q);
+  if (!match) return res.status(400).json({ error: "Texte de recherche requis" });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), MAX_PER_TYPE);
+
+  const find = db.prepare(`
+    SELECT entity_id AS id, title, snippet(search_index, 3, '', '', '…', 12) AS snippet
+    FROM search_index WHERE search_index MATCH ? AND entity_type = ?
+    ORDER BY rank LIMIT ?
+  `);
+  const results = {};
+  for (const type of SEARCH_TYPES) results[type] = find.all(match, type, limit);
+  res.json(results);
+});
+
+export default router;
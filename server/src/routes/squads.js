@@ -0,0 +1,179 @@
+import { Router } from "express";
+import db from "../db.js";
+import { requireAuth, requirePermission } from "../auth.js";
+import { recordRevision, mountRevisionRoutes } from "../revisions.js";
+import { audit } from "../audit.js";
+import { publish } from "../realtime.js";
+
+export const SQUAD_ROLES = ["operator", "pointman", "breacher", "sniper", "medic", "negotiator", "shield"];
+
+const router = Router();
+router.use(requireAuth);
+
+/* ---------- Reads ---------- */
+const selectSquad = `
+  SELECT s.*, u.username AS leader_username, u.display_name AS leader_name
+  FROM squads s LEFT JOIN users u ON u.id = s.leader_id
+`;
+const membersOf = db.prepare(`
+  SELECT sm.user_id, sm.role, sm.added_at, u.username, u.display_name
+  FROM squad_members sm JOIN users u ON u.id = sm.user_id
+  WHERE sm.squad_id = ? ORDER BY u.username
+`);
+
+export function getSquad(id) {
+  const squad = db.prepare(selectSquad + " WHERE s.id = ?").get(id);
+  return squad ? { ...squad, members: membersOf.all(squad.id) } : null;
+}
+
+function snapshot(id) {
+  const s = db.prepare("SELECT * FROM squads WHERE id = ?").get(id);
+  if (!s) return null;
+  const members = db.prepare("SELECT user_id, role FROM squad_members WHERE squad_id = ? ORDER BY user_id").all(id);
+  return { name: s.name, description: s.description, leader_id: s.leader_id, color: s.color, members };
+}
+
+// members or leader deleted since the snapshot are skipped
+function restore(id, snap) {
+  const userExists = db.prepare("SELECT 1 FROM users WHERE id = ?");
+  const leaderId = snap.leader_id && userExists.get(snap.leader_id) ? snap.leader_id : null;
+  db.prepare("UPDATE squads SET name = ?, description = ?, leader_id = ?, color = ?, updated_at = datetime('now') WHERE id = ?")
+    .run(snap.name, snap.description, leaderId, snap.color ?? null, id);
+  db.prepare("DELETE FROM squad_members WHERE squad_id = ?").run(id);
+  const add = db.prepare("INSERT INTO squad_members (squad_id, user_id, role) VALUES (?, ?, ?)");
+  for (const m of snap.members || []) if (userExists.get(m.user_id)) add.run(id, m.user_id, m.role);
+}
+
+function touch(req) {
+  db.prepare("UPDATE squads SET updated_at = datetime('now') WHERE id = ?").run(req.params.id);
+  recordRevision("squad", req.params.id, "update", snapshot(req.params.id), req.user.id);
+}
+
+function readLeaderId(value) {
+  if (value === undefined) return [null, undefined];
+  if (value === null || value === "") return [null, null];
+  const id = Number(value);
+  if (!db.prepare("SELECT 1 FROM users WHERE id = ?").get(id)) return [{ error: "Chef d'escouade introuvable", field: "leaderId" }];
+  return [null, id];
+}
+
+// map color of the squad's units
+function readColor(value) {
+  if (value === undefined) return [null, undefined];
+  if (value === null || value === "") return [null, null];
+  if (!/^#[0-9a-f]{6}$/i.test(value)) return [{ error: "Couleur invalide (#rrggbb)", field: "color" }];
+  return [null, value];
+}
+
+/** Pushes the current record to live clients. */
+function changed(id, userId, action = "updated") {
+  publish("squad", action, id, getSquad(id), userId);
+}
+
+/* ---------- Routes ---------- */
+router.get("/", (req, res) => {
+  const squads = db.prepare(selectSquad + " ORDER BY s.id DESC").all();
+  res.json(squads.map(s => ({ ...s, members: membersOf.all(s.id) })));
+});
+
+router.get("/:id", (req, res) => {
+  const squad = getSquad(req.params.id);
+  if (!squad) return res.status(404).json({ error: "Escouade introuvable" });
+  res.json(squad);
+});
+
+router.post("/", requirePermission("manage_squads"), (req, res) => {
+  const { name, description, leaderId, color } = req.body || {};
+  if (!name || !String(name).trim()) return res.status(400).json({ error: "Nom requis", field: "name" });
+  const [error, leader] = readLeaderId(leaderId);
+  if (error) return res.status(400).json(error);
+  const [colorError, squadColor] = readColor(color);
+  if (colorError) return res.status(400).json(colorError);
+  const id = db.transaction(() => {
+    const info = db.prepare("INSERT INTO squads (name, description, leader_id, color, created_by) VALUES (?, ?, ?, ?, ?)")
+      .run(String(name).trim(), description ? String(description) : null, leader ?? null, squadColor ?? null, req.user.id);
+    recordRevision("squad", info.lastInsertRowid, "create", snapshot(info.lastInsertRowid), req.user.id);
+    return info.lastInsertRowid;
+  })();
+  audit(req, "squad.create", { entityType: "squad", entityId: id, details: { name: String(name).trim() } });
+  changed(id, req.user.id, "created");
+  res.status(201).json(getSquad(id));
+});
+
+/* PUT /squads/:id { name?, description?, leaderId?, color? } */
+router.put("/:id", requirePermission("manage_squads"), (req, res) => {
+  const squad = db.prepare("SELECT * FROM squads WHERE id = ?").get(req.params.id);
+  if (!squad) return res.status(404).json({ error: "Escouade introuvable" });
+  const { name, description, leaderId, color } = req.body || {};
+  if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: "Nom requis", field: "name" });
+  const [error, leader] = readLeaderId(leaderId);
+  if (error) return res.status(400).json(error);
+  const [colorError, squadColor] = readColor(color);
+  if (colorError) return res.status(400).json(colorError);
+
+  db.transaction(() => {
+    db.prepare("UPDATE squads SET name = ?, description = ?, leader_id = ?, color = ? WHERE id = ?").run(
+      name !== undefined ? String(name).trim() : squad.name,
+      description !== undefined ? (description ? String(description) : null) : squad.description,
+      leader !== undefined ? leader : squad.leader_id,
+      squadColor !== undefined ? squadColor : squad.color,
+      squad.id,
+    );
+    touch(req);
+  })();
+  audit(req, "squad.update", { entityType: "squad", entityId: squad.id, details: { name: name !== undefined ? String(name).trim() : squad.name } });
+  changed(squad.id, req.user.id);
+  res.json(getSquad(squad.id));
+});
+
+router.delete("/:id", requirePermission("manage_squads"), (req, res) => {
+  const snap = snapshot(req.params.id);
+  if (!snap) return res.status(404).json({ error: "Escouade introuvable" });
+  db.transaction(() => {
+    db.prepare("DELETE FROM squads WHERE id = ?").run(req.params.id);
+    recordRevision("squad", req.params.id, "delete", snap, req.user.id);
+  })();
+  audit(req, "squad.delete", { entityType: "squad", entityId: req.params.id, details: { name: snap.name } });
+  publish("squad", "deleted", req.params.id, null, req.user.id);
+  res.status(204).end();
+});
+
+/* PUT /squads/:id/members/:userId { role } : adds the member or changes their role */
+router.put("/:id/members/:userId", requirePermission("manage_squads"), (req, res) => {
+  if (!db.prepare("SELECT 1 FROM squads WHERE id = ?").get(req.params.id)) return res.status(404).json({ error: "Escouade introuvable" });
+  if (!db.prepare("SELECT 1 FROM users WHERE id = ?").get(req.params.userId)) return res.status(404).json({ error: "Membre introuvable" });
+  const role = req.body?.role || "operator";
+  if (!SQUAD_ROLES.includes(role)) return res.status(400).json({ error: "Rôle invalide" });
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO squad_members (squad_id, user_id, role) VALUES (?, ?, ?)
+      ON CONFLICT (squad_id, user_id) DO UPDATE SET role = excluded.role
+    `).run(Number(req.params.id), Number(req.params.userId), role);
+    touch(req);
+  })();
+  audit(req, "squad.member_set", { entityType: "squad", entityId: req.params.id, details: { userId: Number(req.params.userId), role } });
+  changed(req.params.id, req.user.id);
+  res.json(getSquad(req.params.id));
+});
+
+router.delete("/:id/members/:userId", requirePermission("manage_squads"), (req, res) => {
+  const info = db.prepare("DELETE FROM squad_members WHERE squad_id = ? AND user_id = ?").run(req.params.id, req.params.userId);
+  if (!info.changes) return res.status(404).json({ error: "Ce membre ne fait pas partie de l'escouade" });
+  touch(req);
+  audit(req, "squad.member_remove", { entityType: "squad", entityId: req.params.id, details: { userId: Number(req.params.userId) } });
+  changed(req.params.id, req.user.id);
+  res.json(getSquad(req.params.id));
+});
+
+mountRevisionRoutes(router, {
+  type: "squad",
+  label: "Escouade",
+  permission: "manage_squads",
+  snapshot,
+  restore,
+  respond: getSquad,
+  changed,
+});
+
+export default router;
@@ -0,0 +1,369 @@
+import { Router } from "express";
+import db from "../db.js";
+import { requireAuth, requirePermission, hasPermission } from "../auth.js";
+import { recordRevision, listRevisions, mountRevisionRoutes } from "../revisions.js";
+import { audit } from "../audit.js";
+import {
+  receiveFiles, checkFiles, saveFiles, removeAttachments, removeEntityAttachments,
+  attachmentRows, attachmentSummary, listAttachments, attachmentCountSql, mountAttachmentRoutes,
+} from "../attachments.js";
+import { paginate } from "../pagination.js";
+import { matchCondition } from "./search.js";
+import { recordLinkRevision, linksChanged } from "./operations.js";
+
+// mirror the CHECK constraint of the tactics table
+export const TACTIC_CATEGORIES = [
+  "cqb", "hostage_rescue", "vehicle_assault", "barricaded_suspect", "high_risk_warrant", "sniper_overwatch", "crowd_control", "other",
+];
+const MAX_TAGS = 20;
+const MAX_STEPS = 30;
+const MAX_STEP_IMAGES = 10; // per request
+
+const router = Router();
+router.use(requireAuth);
+
+/* ---------- Reads ---------- */
+const getTactic = db.prepare("SELECT * FROM tactics WHERE id = ?");
+const linkedPlans = db.prepare(`
+  SELECT p.id, p.title FROM tactic_plans tp JOIN tactical_plans p ON p.id = tp.plan_id WHERE tp.tactic_id = ? ORDER BY p.id
+`);
+const linkedOperations = db.prepare(`
+  SELECT o.id, o.name, o.status FROM operation_tactics ot JOIN operations o ON o.id = ot.operation_id WHERE ot.tactic_id = ? ORDER BY o.id DESC
+`);
+
+/**
+ * Full record. content is the plain-text description; each step may show one image (an
+ * attachment of kind "step"); other images and PDFs are ordinary attachments.
+ */
+function readTactic(id) {
+  const t = getTactic.get(id);
+  if (!t) return null;
+  const images = new Map(attachmentRows("tactic", t.id, "step").map(row => [row.id, row]));
+  return {
+    ...t,
+    tags: JSON.parse(t.tags),
+    steps: JSON.parse(t.steps).map(step => {
+      const image = images.get(step.image_id);
+      return { ...step, image_id: image ? image.id : null, image: image ? attachmentSummary(image) : null };
+    }),
+    plans: linkedPlans.all(t.id),
+    operations: linkedOperations.all(t.id),
+    attachments: listAttachments("tactic", t.id),
+  };
+}
+
+/* ---------- Validation ---------- */
+// multipart bodies carry the lists as JSON text
+function listField(value) {
+  if (typeof value !== "string") return value;
+  try { return JSON.parse(value); } catch { return null; }
+}
+
+function idList(value) {
+  const list = listField(value);
+  return Array.isArray(list) ? [...new Set(list.map(Number))] : null;
+}
+
+/**
+ * Reads a tactic body: { title, content, category, difficulty, tags [..], steps [{ title, text, image }],
+ * planIds [..], operationIds [..] }. A step image is the id of one of the tactic's step images, or
+ * "new:N" for the Nth file of the stepImages upload. operationIds is optional (unchanged when absent).
+ * Returns [error, fields].
+ */
+function readTacticBody(body, { tacticId = null, uploadCount = 0 } = {}) {
+  const b = body || {};
+  if (!b.title || !String(b.title).trim()) return [{ error: "Titre requis", field: "title" }];
+
+  const category = b.category || "other";
+  if (!TACTIC_CATEGORIES.includes(category)) return [{ error: "Catégorie invalide", field: "category" }];
+
+  let difficulty = null;
+  if (b.difficulty !== undefined && b.difficulty !== null && b.difficulty !== "") {
+    difficulty = Number(b.difficulty);
+    if (!Number.isInteger(difficulty) || difficulty < 1 || difficulty > 5) return [{ error: "Difficulté invalide (1 à 5)", field: "difficulty" }];
+  }
+
+  const rawTags = listField(b.tags ?? []);
+  if (!Array.isArray(rawTags)) return [{ error: "Tags invalides (liste attendue)", field: "tags" }];
+  const tags = [...new Set(rawTags.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) return [{ error: `${MAX_TAGS} tags au plus`, field: "tags" }];
+  if (tags.some(t => t.length > 30)) return [{ error: "Tag trop long (30 caractères max.)", field: "tags" }];
+
+  const rawSteps = listField(b.steps ?? []);
+  if (!Array.isArray(rawSteps)) return [{ error: "Étapes invalides (liste attendue)", field: "steps" }];
+  if (rawSteps.length > MAX_STEPS) return [{ error: `${MAX_STEPS} étapes au plus`, field: "steps" }];
+  const ownImages = new Set(tacticId ? attachmentRows("tactic", tacticId, "step").map(r => r.id) : []);
+  const steps = [];
+  for (const [i, s] of rawSteps.entries()) {
+    const title = String(s?.title ?? "").trim();
+    const text = String(s?.text ?? "").trim();
+    if (!title && !text) return [{ error: `Étape ${i + 1} : titre ou texte requis`, field: "steps" }];
+    let image = s.image ?? null;
+    if (typeof image === "string" && image.startsWith("new:")) {
+      const index = Number(image.slice(4));
+      if (!Number.isInteger(index) || index < 0 || index >= uploadCount) return [{ error: `Étape ${i + 1} : image envoyée introuvable`, field: "steps" }];
+    } else if (image !== null) {
+      image = Number(image);
+      if (!ownImages.has(image)) return [{ error: `Étape ${i + 1} : image introuvable`, field: "steps" }];
+    }
+    steps.push({ title: title || null, text: text || null, image });
+  }
+
+  const planIds = idList(b.planIds ?? []);
+  if (!planIds) return [{ error: "Plans invalides (liste attendue)", field: "planIds" }];
+  for (const id of planIds) {
+    if (!db.prepare("SELECT 1 FROM tactical_plans WHERE id = ?").get(id)) return [{ error: "Plan introuvable : " + id, field: "planIds" }];
+  }
+  let operationIds;
+  if (b.operationIds !== undefined) {
+    operationIds = idList(b.operationIds);
+    if (!operationIds) return [{ error: "Opérations invalides (liste attendue)", field: "operationIds" }];
+    for (const id of operationIds) {
+      if (!db.prepare("SELECT 1 FROM operations WHERE id = ?").get(id)) return [{ error: "Opération introuvable : " + id, field: "operationIds" }];
+    }
+  }
+
+  return [null, {
+    title: String(b.title).trim(),
+    content: b.content ? String(b.content) : null,
+    category,
+    difficulty,
+    tags,
+    steps,
+    planIds,
+    operationIds,
+  }];
+}
+
+/* ---------- Writes ---------- */
+// POST / PUT bodies are JSON or multipart (lists as JSON text, files stepImages)
+const stepFiles = receiveFiles([{ name: "stepImages", maxCount: MAX_STEP_IMAGES }]);
+
+function uploadedStepImages(req) {
+  return req.files?.stepImages || [];
+}
+
+/** Writes the fields; "new:N" step images become the ids of the saved uploads. */
+function writeFields(id, t, newImageIds = []) {
+  const steps = t.steps.map(s => ({
+    title: s.title,
+    text: s.text,
+    image_id: typeof s.image === "string" ? newImageIds[Number(s.image.slice(4))] : s.image,
+  }));
+  db.prepare(`
+    UPDATE tactics SET title = @title, content = @content, category = @category, difficulty = @difficulty,
+      tags = @tags, steps = @steps, updated_at = datetime('now')
+    WHERE id = @id
+  `).run({ id, title: t.title, content: t.content, category: t.category, difficulty: t.difficulty, tags: JSON.stringify(t.tags), steps: JSON.stringify(steps) });
+}
+
+/**
+ * Replaces the linked plans, and the operations when given (records deleted since are skipped).
+ * Returns the ids of the operations linked or unlinked, for their revisions (see recordLinkRevision).
+ */
+function writeLinks(id, { planIds, operationIds }) {
+  db.prepare("DELETE FROM tactic_plans WHERE tactic_id = ?").run(id);
+  const linkPlan = db.prepare("INSERT INTO tactic_plans (tactic_id, plan_id) SELECT ?, id FROM tactical_plans WHERE id = ?");
+  for (const planId of planIds) linkPlan.run(id, planId);
+  if (!operationIds) return [];
+  const before = linkedOperations.all(id).map(o => o.id);
+  db.prepare("DELETE FROM operation_tactics WHERE tactic_id = ?").run(id);
+  const linkOperation = db.prepare("INSERT INTO operation_tactics (operation_id, tactic_id) SELECT id, ? FROM operations WHERE id = ?");
+  for (const operationId of operationIds) linkOperation.run(id, operationId);
+  const after = linkedOperations.all(id).map(o => o.id);
+  return [...before.filter(opId => !after.includes(opId)), ...after.filter(opId => !before.includes(opId))];
+}
+
+// step images dropped from the steps are deleted with the update, unless a revision still shows them
+function removeUnusedStepImages(id) {
+  const snapshots = [{ steps: JSON.parse(getTactic.get(id).steps) }, ...listRevisions("tactic", id).map(r => r.snapshot)];
+  const used = new Set(snapshots.flatMap(snap => (snap.steps || []).map(s => s.image_id)));
+  removeAttachments(attachmentRows("tactic", id, "step").filter(row => !used.has(row.id)));
+}
+
+/* ---------- Revisions ----------
+ * Snapshots hold the fields and the linked plans. Step images are kept while a revision refers
+ * to them (see removeUnusedStepImages); a restored step whose image is gone anyway shows none.
+ * Links to operations are versioned with the operations: changing them here records a revision
+ * of each operation concerned.
+ */
+function snapshot(id) {
+  const t = getTactic.get(id);
+  if (!t) return null;
+  return {
+    title: t.title,
+    content: t.content,
+    category: t.category,
+    difficulty: t.difficulty,
+    tags: JSON.parse(t.tags),
+    steps: JSON.parse(t.steps),
+    plan_ids: linkedPlans.all(id).map(p => p.id),
+  };
+}
+
+// snapshots taken before the library fields existed only hold title and content
+function restore(id, snap) {
+  const full = { ...snapshot(id), ...snap };
+  const images = new Set(attachmentRows("tactic", id, "step").map(row => row.id));
+  writeFields(id, { ...full, steps: full.steps.map(s => ({ title: s.title, text: s.text, image: images.has(s.image_id) ? s.image_id : null })) });
+  writeLinks(id, { planIds: full.plan_ids });
+}
+
+/* ---------- Routes ---------- */
+/* GET /tactics?q&category&difficulty&tag&before&limit -> { items, nextBefore }
+ * Summaries: the first EXCERPT_LENGTH characters of the content, the number of steps and of
+ * attachments. The full record (content, steps, links, attachment links) comes from GET /tactics/:id.
+ */
+const EXCERPT_LENGTH = 200;
+
+router.get("/", (req, res) => {
+  const where = [];
+  const params = {};
+  if (req.query.category) {
+    if (!TACTIC_CATEGORIES.includes(req.query.category)) return res.status(400).json({ error: "Catégorie invalide" });
+    where.push("t.category = @category");
+    params.category = req.query.category;
+  }
+  if (req.query.difficulty) {
+    const difficulty = Number(req.query.difficulty);
+    if (!Number.isInteger(difficulty) || difficulty < 1 || difficulty > 5) return res.status(400).json({ error: "Difficulté invalide (1 à 5)" });
+    where.push("t.difficulty = @difficulty");
+    params.difficulty = difficulty;
+  }
+  if (req.query.tag) {
+    where.push("EXISTS (SELECT 1 FROM json_each(t.tags) WHERE value = @tag)");
+    params.tag = String(req.query.tag).trim().toLowerCase();
+  }
+  const search = matchCondition("tactic", "t.id", req.query.q, params);
+  if (search) where.push(search);
+
+  res.json(paginate({
+    select: `
+      SELECT t.id, t.title, substr(t.content, 1, ${EXCERPT_LENGTH}) AS excerpt, length(t.content) > ${EXCERPT_LENGTH} AS truncated,
+        t.category, t.difficulty, t.tags, json_array_length(t.steps) AS step_count,
+        t.created_by, t.created_at, t.updated_at, ${attachmentCountSql("tactic", "t.id")} AS attachment_count
+      FROM tactics t`,
+    idColumn: "t.id",
+    where,
+    params,
+  }, req.query, t => ({ ...t, truncated: !!t.truncated, tags: JSON.parse(t.tags) })));
+});
+
+/* GET /tactics/tags -> [{ tag, count }] : tags in use, most used first */
+router.get("/tags", (req, res) => {
+  res.json(db.prepare(`
+    SELECT value AS tag, COUNT(*) AS count FROM tactics, json_each(tactics.tags) GROUP BY value ORDER BY count DESC, value
+  `).all());
+});
+
+router.get("/:id", (req, res) => {
+  const tactic = readTactic(req.params.id);
+  if (!tactic) return res.status(404).json({ error: "Tactique introuvable" });
+  res.json(tactic);
+});
+
+router.post("/", requirePermission("manage_tactics"), stepFiles, async (req, res, next) => {
+  try {
+    const files = uploadedStepImages(req);
+    const [error, t] = readTacticBody(req.body, { uploadCount: files.length });
+    if (error) return res.status(400).json(error);
+    if (t.operationIds && !hasPermission(req.user, "manage_operations")) {
+      return res.status(403).json({ error: "Permission manquante : manage_operations" });
+    }
+    const fileError = await checkFiles(files, { imagesOnly: true });
+    if (fileError) return res.status(400).json({ error: fileError });
+
+    // the row comes first: step images are attached to it; nothing of it stays if a later step fails
+    const id = db.prepare("INSERT INTO tactics (title, created_by) VALUES (?, ?)").run(t.title, req.user.id).lastInsertRowid;
+    let linkedOps;
+    try {
+      const imageIds = await saveFiles("tactic", id, files, req.user.id, "step");
+      linkedOps = db.transaction(() => {
+        writeFields(id, t, imageIds);
+        const ops = writeLinks(id, t);
+        recordRevision("tactic", id, "create", snapshot(id), req.user.id);
+        for (const opId of ops) recordLinkRevision(opId, req.user.id);
+        return ops;
+      })();
+    } catch (e) {
+      removeEntityAttachments("tactic", id);
+      db.prepare("DELETE FROM tactics WHERE id = ?").run(id);
+      throw e;
+    }
+    audit(req, "tactic.create", { entityType: "tactic", entityId: id, details: { title: t.title } });
+    for (const opId of linkedOps) linksChanged(req, opId, { tactic: t.title });
+    res.status(201).json(readTactic(id));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.put("/:id", requirePermission("manage_tactics"), stepFiles, async (req, res, next) => {
+  try {
+    if (!getTactic.get(req.params.id)) return res.status(404).json({ error: "Tactique introuvable" });
+    const files = uploadedStepImages(req);
+    const [error, t] = readTacticBody(req.body, { tacticId: req.params.id, uploadCount: files.length });
+    if (error) return res.status(400).json(error);
+    if (t.operationIds && !hasPermission(req.user, "manage_operations")) {
+      return res.status(403).json({ error: "Permission manquante : manage_operations" });
+    }
+    const fileError = await checkFiles(files, { imagesOnly: true });
+    if (fileError) return res.status(400).json({ error: fileError });
+
+    const imageIds = await saveFiles("tactic", req.params.id, files, req.user.id, "step");
+    let linkedOps;
+    try {
+      linkedOps = db.transaction(() => {
+        writeFields(req.params.id, t, imageIds);
+        const ops = writeLinks(req.params.id, t);
+        recordRevision("tactic", req.params.id, "update", snapshot(req.params.id), req.user.id);
+        for (const opId of ops) recordLinkRevision(opId, req.user.id);
+        return ops;
+      })();
+    } catch (e) {
+      // the update is rolled back: the images it uploaded go too
+      removeAttachments(attachmentRows("tactic", req.params.id, "step").filter(row => imageIds.includes(row.id)));
+      throw e;
+    }
+    removeUnusedStepImages(req.params.id);
+    audit(req, "tactic.update", { entityType: "tactic", entityId: req.params.id, details: { title: t.title } });
+    for (const opId of linkedOps) linksChanged(req, opId, { tactic: t.title });
+    res.json(readTactic(req.params.id));
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.delete("/:id", requirePermission("manage_tactics"), (req, res) => {
+  const snap = snapshot(req.params.id);
+  if (!snap) return res.status(404).json({ error: "Tactique introuvable" });
+  // the links go with the tactic (ON DELETE CASCADE): its operations change too
+  const linkedOps = linkedOperations.all(req.params.id).map(o => o.id);
+  db.transaction(() => {
+    db.prepare("DELETE FROM tactics WHERE id = ?").run(req.params.id);
+    recordRevision("tactic", req.params.id, "delete", snap, req.user.id);
+    for (const opId of linkedOps) recordLinkRevision(opId, req.user.id);
+  })();
+  removeEntityAttachments("tactic", req.params.id);
+  audit(req, "tactic.delete", { entityType: "tactic", entityId: req.params.id, details: { title: snap.title } });
+  for (const opId of linkedOps) linksChanged(req, opId, { tactic: snap.title });
+  res.status(204).end();
+});
+
+mountRevisionRoutes(router, {
+  type: "tactic",
+  label: "Tactique",
+  permission: "manage_tactics",
+  snapshot,
+  restore,
+  respond: readTactic,
+});
+
+mountAttachmentRoutes(router, {
+  type: "tactic",
+  label: "Tactique",
+  permission: "manage_tactics",
+  exists: (id) => !!getTactic.get(id),
+});
+
+export default router;
@@ -0,0 +1,62 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import sharp from "sharp";
+import { UPLOAD_DIR } from "./config.js";
+
+/**
+ * Files on disk for attachments, under UPLOAD_DIR with random names.
+ * Kept free of database access so migrations can use it.
+ */
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+/** Accepted types, recognised from the first bytes of the file: the uploader's Content-Type is not trusted. */
+export const FILE_TYPES = [
+  { mime: "image/png", ext: ".png", test: b => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mime: "image/jpeg", ext: ".jpg", test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mime: "image/gif", ext: ".gif", test: b => b.subarray(0, 4).toString("latin1") === "GIF8" },
+  { mime: "image/webp", ext: ".webp", test: b => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP" },
+  { mime: "application/pdf", ext: ".pdf", test: b => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+];
+
+const THUMBNAIL_SIZE = 320;
+
+export function detectType(buffer) {
+  return FILE_TYPES.find(t => t.test(buffer)) || null;
+}
+
+export function isImage(mime) {
+  return mime.startsWith("image/");
+}
+
+export function filePath(key) {
+  return path.join(UPLOAD_DIR, key);
+}
+
+/** Writes a buffer under a new random key and returns the key. */
+export function storeBuffer(buffer, ext) {
+  const key = crypto.randomUUID() + ext;
+  fs.writeFileSync(filePath(key), buffer);
+  return key;
+}
+
+export function removeFiles(...keys) {
+  for (const key of keys) if (key) fs.rmSync(filePath(key), { force: true });
+}
+
+/** Resolves when the buffer is an image sharp can decode, rejects otherwise. */
+export async function checkImage(buffer) {
+  const meta = await sharp(buffer).metadata();
+  if (!meta.width || !meta.height) throw new Error("image sans dimensions");
+}
+
+/** WebP thumbnail (THUMBNAIL_SIZE px box) of a stored image; returns the thumbnail key. */
+export async function createThumbnail(key) {
+  const thumbKey = key.replace(/\.[^.]+$/, "") + ".thumb.webp";
+  await sharp(filePath(key))
+    .rotate()
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toFile(filePath(thumbKey));
+  return thumbKey;
+}
@@ -0,0 +1,143 @@
+import db from "./db.js";
+import { requirePermission } from "./auth.js";
+import { audit } from "./audit.js";
+import { publish } from "./realtime.js";
+
+/**
+ * Zones of an operation, drawn on the Los Santos map: perimeters, inner and outer cordons,
+ * staging areas, sniper arcs. Coordinates are in-game X/Y, like the operation's location.
+ * A zone is a polygon ({ points: [{ x, y }, ...] }) or a circle ({ center: { x, y }, radius }).
+ */
+export const ZONE_KINDS = ["perimeter", "inner_cordon", "outer_cordon", "staging", "sniper_arc", "other"];
+export const ZONE_SHAPES = ["polygon", "circle"];
+
+const MAX_POINTS = 100;
+const MAX_RADIUS = 10000;
+
+const selectZone = `
+  SELECT z.*, o.name AS operation_name, o.status AS operation_status
+  FROM operation_zones z JOIN operations o ON o.id = z.operation_id
+`;
+
+/** Row -> zone as the API returns it: the geometry fields are spread on the record. */
+function toZone({ geometry, ...zone }) {
+  return { ...zone, ...JSON.parse(geometry) };
+}
+
+export function getZone(id) {
+  const row = db.prepare(selectZone + " WHERE z.id = ?").get(id);
+  return row ? toZone(row) : null;
+}
+
+export function listZones(operationId) {
+  return db.prepare(selectZone + " WHERE z.operation_id = ? ORDER BY z.id").all(operationId).map(toZone);
+}
+
+/** Zones of the operations still under way (not completed nor aborted), for the map layers. */
+export function activeZones() {
+  return db.prepare(selectZone + " WHERE o.status NOT IN ('completed', 'aborted') ORDER BY z.operation_id, z.id").all().map(toZone);
+}
+
+/** Operations zones can be drawn for (not completed nor aborted), newest first: [{ id, name, status }]. */
+export function activeOperations() {
+  return db.prepare("SELECT id, name, status FROM operations WHERE status NOT IN ('completed', 'aborted') ORDER BY id DESC").all();
+}
+
+function readPoint(p) {
+  const x = Number(p?.x);
+  const y = Number(p?.y);
+  return p?.x !== "" && p?.y !== "" && Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+}
+
+/** Reads { label, kind, color, shape, points | center, radius }. Returns [error, fields]. */
+function readZone(body) {
+  const b = body || {};
+  const label = String(b.label ?? "").trim();
+  if (!label) return [{ error: "Libellé requis", field: "label" }];
+  const kind = b.kind || "other";
+  if (!ZONE_KINDS.includes(kind)) return [{ error: "Type de zone invalide", field: "kind" }];
+  if (!/^#[0-9a-f]{6}$/i.test(b.color)) return [{ error: "Couleur invalide (#rrggbb)", field: "color" }];
+  if (!ZONE_SHAPES.includes(b.shape)) return [{ error: "Forme invalide (polygon ou circle)", field: "shape" }];
+
+  let geometry;
+  if (b.shape === "polygon") {
+    const points = Array.isArray(b.points) ? b.points.map(readPoint) : [];
+    if (points.length < 3 || points.length > MAX_POINTS || points.includes(null)) {
+      return [{ error: `Polygone invalide (3 à ${MAX_POINTS} points x/y)`, field: "points" }];
+    }
+    geometry = { points };
+  } else {
+    const center = readPoint(b.center);
+    if (!center) return [{ error: "Centre invalide (x/y)", field: "center" }];
+    const radius = Number(b.radius);
+    if (!(radius > 0 && radius <= MAX_RADIUS)) return [{ error: `Rayon invalide (0 à ${MAX_RADIUS})`, field: "radius" }];
+    geometry = { center, radius };
+  }
+  return [null, { label, kind, color: b.color, shape: b.shape, geometry: JSON.stringify(geometry) }];
+}
+
+/**
+ * Adds GET/POST /:id/zones and PUT/DELETE /:id/zones/:zoneId to the operations router.
+ * Each change is pushed as a "zone" event (for the map) and through changed(operationId).
+ */
+export function mountZoneRoutes(router, { changed }) {
+  const operationOf = (req, res) => {
+    const op = db.prepare("SELECT id FROM operations WHERE id = ?").get(req.params.id);
+    if (!op) res.status(404).json({ error: "Opération introuvable" });
+    return op;
+  };
+  const zoneOf = (req, res) => {
+    const zone = db.prepare("SELECT * FROM operation_zones WHERE id = ? AND operation_id = ?").get(req.params.zoneId, req.params.id);
+    if (!zone) res.status(404).json({ error: "Zone introuvable" });
+    return zone;
+  };
+
+  router.get("/:id/zones", (req, res) => {
+    if (!operationOf(req, res)) return;
+    res.json(listZones(req.params.id));
+  });
+
+  router.post("/:id/zones", requirePermission("manage_operations"), (req, res) => {
+    const op = operationOf(req, res);
+    if (!op) return;
+    const [error, fields] = readZone(req.body);
+    if (error) return res.status(400).json(error);
+    const info = db.prepare(`
+      INSERT INTO operation_zones (operation_id, label, kind, color, shape, geometry, created_by)
+      VALUES (@operation_id, @label, @kind, @color, @shape, @geometry, @created_by)
+    `).run({ ...fields, operation_id: op.id, created_by: req.user.id });
+    const zone = getZone(info.lastInsertRowid);
+    audit(req, "operation.zone_add", { entityType: "operation", entityId: op.id, details: { label: zone.label, kind: zone.kind } });
+    publish("zone", "created", zone.id, zone, req.user.id);
+    changed(op.id, req.user.id);
+    res.status(201).json(zone);
+  });
+
+  /* PUT /operations/:id/zones/:zoneId : same body as POST */
+  router.put("/:id/zones/:zoneId", requirePermission("manage_operations"), (req, res) => {
+    const existing = zoneOf(req, res);
+    if (!existing) return;
+    const [error, fields] = readZone(req.body);
+    if (error) return res.status(400).json(error);
+    db.prepare(`
+      UPDATE operation_zones SET label = @label, kind = @kind, color = @color, shape = @shape, geometry = @geometry,
+        updated_at = datetime('now')
+      WHERE id = @id
+    `).run({ ...fields, id: existing.id });
+    const zone = getZone(existing.id);
+    audit(req, "operation.zone_update", { entityType: "operation", entityId: existing.operation_id, details: { label: zone.label } });
+    publish("zone", "updated", zone.id, zone, req.user.id);
+    changed(existing.operation_id, req.user.id);
+    res.json(zone);
+  });
+
+  router.delete("/:id/zones/:zoneId", requirePermission("manage_operations"), (req, res) => {
+    const existing = zoneOf(req, res);
+    if (!existing) return;
+    db.prepare("DELETE FROM operation_zones WHERE id = ?").run(existing.id);
+    audit(req, "operation.zone_delete", { entityType: "operation", entityId: existing.operation_id, details: { label: existing.label } });
+    publish("zone", "deleted", existing.id, null, req.user.id);
+    changed(existing.operation_id, req.user.id);
+    res.status(204).end();
+  });
+}